@@ -34,6 +34,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { isoWeek } from './utils/iso-week.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -43,27 +44,6 @@ const EVENTS_DIR = path.resolve(__dirname, '../public/data/events');
 const EVENT_CATEGORIES = ['conflict', 'infrastructure', 'land', 'news', 'refugees'];
 const METRIC_KEYS = ['killed', 'injured', 'displaced', 'demolished', 'detained'];
 
-function isoWeek(dateStr) {
-    const d = new Date(dateStr);
-    if (Number.isNaN(d.getTime())) return null;
-    // ISO-8601 week number, with the week's Monday as the period start.
-    const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
-    const day = target.getUTCDay() || 7;
-    target.setUTCDate(target.getUTCDate() + 4 - day);
-    const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
-    const week = Math.ceil(((target - yearStart) / 86400000 + 1) / 7);
-    const monday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
-    monday.setUTCDate(monday.getUTCDate() - ((d.getUTCDay() || 7) - 1));
-    const sunday = new Date(monday);
-    sunday.setUTCDate(monday.getUTCDate() + 6);
-    const fmt = (x) => x.toISOString().slice(0, 10);
-    return {
-        key: `${target.getUTCFullYear()}-W${String(week).padStart(2, '0')}`,
-        start: fmt(monday),
-        end: fmt(sunday),
-    };
-}
-
 async function loadCategory(cat) {
     const allDataPath = path.join(UNIFIED_DIR, cat, 'all-data.json');
     try {
@@ -0,0 +1,149 @@
+/**
+ * Post-pipeline step: build `public/data/unified/<category>/records.db`, a
+ * per-category SQLite copy of the unified records with indexes on date,
+ * admin2, gazetteer_key, event_type and stable_id, plus an R*Tree over
+ * location.lat/lon for the ?near= / ?within= / ?polygon= filters (layout in
+ * scripts/utils/record-db.js).
+ *
+ * The API's recordStore.js queries these instead of parsing all-data.json
+ * (or concatenating every partition) on each /unified request, which is what
+ * pushes large categories past the container memory limit. Run after
+ * attach-stable-ids.js / attach-locations.js so rows carry final stable_ids
+ * and geo keys, and after optimize-unified-data.js (partition layout is
+ * handled either way). The API treats a DB older than its category's JSON as
+ * stale and falls back to JSON, so a skipped run degrades gracefully.
+ *
+ * Reads one partition at a time; writes to records.db.tmp and renames so a
+ * running API never opens a half-built file.
+ *
+ * Usage: node scripts/build-record-db.js [category ...]
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import {
+    RECORD_DB_FILE, RECORD_DB_VERSION, RECORD_DB_SCHEMA,
+    RECORD_INSERT_COLUMNS, RECORD_RTREE_FILL, recordToRow,
+} from './utils/record-db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const UNIFIED_DIR = path.resolve(__dirname, '../public/data/unified');
+
+async function listCategoryDirs() {
+    const entries = await fs.readdir(UNIFIED_DIR, { withFileTypes: true });
+    return entries
+        .filter((e) => e.isDirectory() && e.name !== 'snapshots')
+        .map((e) => e.name)
+        .sort();
+}
+
+async function readJson(p) {
+    return JSON.parse(await fs.readFile(p, 'utf-8'));
+}
+
+// Yield { records, metadata? } batches in the order fileService.js reads them.
+async function* readBatches(catDir) {
+    try {
+        const doc = await readJson(path.join(catDir, 'all-data.json'));
+        yield { records: Array.isArray(doc.data) ? doc.data : [], metadata: doc.metadata || null };
+        return;
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    let files;
+    try {
+        files = (await fs.readdir(path.join(catDir, 'partitions')))
+            .filter((f) => f.endsWith('.json') && f !== 'index.json')
+            .sort();
+    } catch {
+        return;
+    }
+    let metadata = null;
+    try {
+        metadata = await readJson(path.join(catDir, 'metadata.json'));
+    } catch {
+        // metadata is optional
+    }
+    yield { records: [], metadata };
+    for (const f of files) {
+        const part = await readJson(path.join(catDir, 'partitions', f));
+        const records = Array.isArray(part) ? part : part.data;
+        if (Array.isArray(records)) yield { records };
+    }
+}
+
+async function buildCategory(category) {
+    const catDir = path.join(UNIFIED_DIR, category);
+    const finalPath = path.join(catDir, RECORD_DB_FILE);
+    const tmpPath = `${finalPath}.tmp`;
+    await fs.rm(tmpPath, { force: true });
+
+    const db = new Database(tmpPath);
+    let total = 0;
+    let metadata = null;
+    try {
+        db.pragma('journal_mode = OFF');
+        db.pragma('synchronous = OFF');
+        db.exec(RECORD_DB_SCHEMA);
+        const insert = db.prepare(
+            `INSERT INTO records (${RECORD_INSERT_COLUMNS.join(', ')})
+             VALUES (${RECORD_INSERT_COLUMNS.map(() => '?').join(', ')})`
+        );
+        const insertMany = db.transaction((records, offset) => {
+            for (let i = 0; i < records.length; i++) insert.run(recordToRow(records[i], offset + i));
+        });
+
+        for await (const batch of readBatches(catDir)) {
+            if (batch.metadata) metadata = batch.metadata;
+            insertMany(batch.records, total);
+            total += batch.records.length;
+        }
+        db.exec(RECORD_RTREE_FILL);
+
+        const setMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+        setMeta.run('version', String(RECORD_DB_VERSION));
+        setMeta.run('category', category);
+        setMeta.run('built_at', new Date().toISOString());
+        setMeta.run('total', String(total));
+        setMeta.run('metadata', metadata ? JSON.stringify(metadata) : null);
+        db.exec('ANALYZE');
+    } finally {
+        db.close();
+    }
+
+    if (total === 0) {
+        await fs.rm(tmpPath, { force: true });
+        return null;
+    }
+    await fs.rename(tmpPath, finalPath);
+    return { total };
+}
+
+async function main() {
+    const requested = process.argv.slice(2);
+    const categories = requested.length ? requested : await listCategoryDirs();
+    console.log(`[INFO]  Building record DBs for ${categories.length} categories`);
+
+    let grandTotal = 0;
+    let failed = 0;
+    for (const cat of categories) {
+        try {
+            const res = await buildCategory(cat);
+            if (!res) continue;
+            grandTotal += res.total;
+            console.log(`[OK]    ${cat.padEnd(26)} ${String(res.total).padStart(7)} rows`);
+        } catch (err) {
+            failed += 1;
+            console.error(`[ERROR] ${cat}: ${err.message}`);
+        }
+    }
+
+    console.log(`\n[OK]    Record DBs complete: ${grandTotal} rows${failed ? `, ${failed} categories failed` : ''}`);
+}
+
+main().catch((err) => {
+    console.error('[FATAL] build-record-db failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+/**
+ * Evaluate customer webhooks against the data on disk, then send what is
+ * due. Run by refresh-data.sh and update-all-data.sh once the pipeline has
+ * finished (new_records diffs live data against the newest snapshot from an
+ * earlier day, i.e. the previous run). Failed sends
+ * stay queued in keys.db; the API's delivery worker retries them.
+ *
+ *   KEYS_DB_PATH=/app/data/keys.db node scripts/dispatch-webhooks.js [--no-evaluate]
+ */
+import { evaluateWebhooks, deliverDue } from '../src/api/services/webhooks.js';
+
+const evaluate = !process.argv.includes('--no-evaluate');
+
+const evaluated = evaluate ? await evaluateWebhooks() : null;
+const delivered = await deliverDue();
+console.log(`[${new Date().toISOString()}] webhooks ${JSON.stringify({ ...(evaluated || {}), ...delivered })}`);
@@ -0,0 +1,53 @@
+/**
+ * Pipeline step: attach news.db articles to the event clusters built by
+ * build-events.js, so /events/:id lists a cluster's coverage and /news/:id
+ * its related_events (scripts/utils/news-events.js does the matching).
+ *
+ * Reads NEWS_DB_PATH like the collector and the API; a missing news.db or
+ * events.json is a skip, not a failure — the news collector runs on its own
+ * schedule and may not have started yet.
+ *
+ * Idempotent; runs after build-events.js in refresh-data.sh.
+ */
+import { DatabaseSync } from 'node:sqlite';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initDb } from './news-collector.js';
+import { linkArticles } from './utils/news-events.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const EVENTS_PATH = path.join(ROOT, 'public/data/events/events.json');
+const DB_PATH = process.env.NEWS_DB_PATH || path.join(ROOT, 'services/westbank-alerts/data/news.db');
+
+async function main() {
+    if (!existsSync(DB_PATH)) {
+        console.log(`[SKIP]  No news.db at ${DB_PATH} — run the news collector first`);
+        return;
+    }
+    let clusters;
+    try {
+        clusters = JSON.parse(await fs.readFile(EVENTS_PATH, 'utf-8')).data || [];
+    } catch {
+        console.log('[SKIP]  No events.json — run scripts/build-events.js first');
+        return;
+    }
+
+    const db = new DatabaseSync(DB_PATH);
+    try {
+        initDb(db);
+        const stats = linkArticles(db, clusters);
+        console.log(`[OK]    News links: ${stats.articles} articles resolved to places, ${stats.placed} attached ` +
+            `to ${stats.clusters} clusters (${stats.links} links)`);
+    } finally {
+        db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error('[FATAL] link-news-events failed:', err);
+    process.exit(1);
+});
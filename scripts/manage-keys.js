@@ -1,13 +1,19 @@
 #!/usr/bin/env node
-import { upsertCustomer, issueApiKey, _paths } from '../src/api/services/keyStore.js';
+import {
+    upsertCustomer, issueApiKey, findCustomerByEmail, listCustomerKeys, getKeyById, revokeApiKey, _paths,
+} from '../src/api/services/keyStore.js';
 
 const [, , cmd, ...args] = process.argv;
 
 function usage() {
     console.log(`Usage:
   node scripts/manage-keys.js issue <email> [tier]      Create customer if needed, issue an API key
+  node scripts/manage-keys.js list <email>               List a customer's keys (prefix, tier, label, status)
+  node scripts/manage-keys.js revoke <keyId> [reason]    Revoke a key (permanent)
   node scripts/manage-keys.js where                      Print the keys DB path
 
+Customers manage their own keys under /api/v1/me/keys.
+
 Tiers: free | journalist | ngo | enterprise (default: free)
 `);
     process.exit(1);
@@ -20,6 +26,24 @@ if (cmd === 'issue') {
     const key = issueApiKey({ customerId: customer.id, tier });
     console.log(JSON.stringify({ email, tier, key: key.raw, keyId: key.id }, null, 2));
     console.log('\nStore this key now — it will not be shown again.');
+} else if (cmd === 'list') {
+    const [email] = args;
+    if (!email) usage();
+    const customer = findCustomerByEmail(email);
+    if (!customer) {
+        console.error(`No customer with email ${email}`);
+        process.exit(1);
+    }
+    console.table(listCustomerKeys(customer.id));
+} else if (cmd === 'revoke') {
+    const [keyId, ...reason] = args;
+    const key = keyId && getKeyById(Number(keyId));
+    if (!key) {
+        console.error(`No key with id ${keyId}`);
+        process.exit(1);
+    }
+    const revoked = revokeApiKey({ customerId: key.customer_id, keyId: key.id, reason: reason.join(' ') || 'revoked by operator' });
+    console.log(JSON.stringify(revoked || { error: 'already revoked', keyId: key.id }, null, 2));
 } else if (cmd === 'where') {
     console.log(_paths.DB_PATH);
 } else {
@@ -5,11 +5,22 @@
  * Fetches trusted Palestine-focused RSS feeds every FETCH_INTERVAL_MS,
  * persists articles to SQLite (news.db), dedupes by guid/url, and
  * classifies topic/severity/entities using the shared known_locations KB.
+ * Articles are also indexed in the articles_fts full-text table that
+ * /news/search queries (scripts/utils/news-search.js) and grouped into
+ * cross-outlet stories for /news/stories (scripts/utils/news-stories.js).
+ *
+ * Each feed keeps a row in `feed_state` (scripts/utils/feed-schedule.js):
+ * its ETag / Last-Modified for conditional requests, an interval adapted to
+ * how often it publishes, and failure health. A run fetches only the feeds
+ * that are due, FETCH_CONCURRENCY hosts at a time, one request per host
+ * HOST_DELAY_MS apart.
  *
  * Run modes:
- *   - one-shot:   node scripts/news-collector.js --once
+ *   - one-shot:   node scripts/news-collector.js --once [--all]
  *   - daemon:     node scripts/news-collector.js       (loops forever)
  *
+ * --all fetches every feed, due or not (still conditionally).
+ *
  * DB path: services/westbank-alerts/data/news.db (same volume as alerts.db)
  *
  * Usage:
@@ -22,6 +33,9 @@ import path from 'node:path';
 import crypto from 'node:crypto';
 import { fileURLToPath } from 'node:url';
 import { createLogger } from './utils/logger.js';
+import { normalizeForSearch } from './utils/news-search.js';
+import { clusterNewArticles } from './utils/news-stories.js';
+import { isDue, recordSuccess, recordFailure, fetchByHost, MIN_INTERVAL_MS } from './utils/feed-schedule.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,9 +45,11 @@ const SOURCES_PATH = path.join(__dirname, 'news-sources.json');
 const LOCATIONS_PATH = path.resolve(ROOT, 'services/westbank-alerts/data/known_locations.json');
 const DB_PATH = process.env.NEWS_DB_PATH || path.resolve(ROOT, 'services/westbank-alerts/data/news.db');
 
+// Starting interval for a feed until its publishing rate is known.
 const FETCH_INTERVAL_MS = Number(process.env.NEWS_FETCH_INTERVAL_MS) || 15 * 60 * 1000;
+const FETCH_CONCURRENCY = Number(process.env.NEWS_FETCH_CONCURRENCY) || 4;
 const FEED_TIMEOUT_MS = 15_000;
-const FEED_DELAY_MS = 800;
+const HOST_DELAY_MS = 800;
 
 const logger = createLogger({ context: 'News-Collector', logLevel: 'INFO' });
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
@@ -80,8 +96,108 @@ function initDb(db) {
       articles_new INTEGER DEFAULT 0,
       errors TEXT
     );
+
+    -- Full-text index for /news/search; rowid = articles.id. Holds
+    -- normalizeForSearch() text, so it is written from JS, not by triggers.
+    CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
+      title, description, body,
+      tokenize = 'porter unicode61 remove_diacritics 2'
+    );
+
+    -- One row per event; story_articles puts each relevant article in
+    -- exactly one story (scripts/utils/news-stories.js).
+    CREATE TABLE IF NOT EXISTS stories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      language TEXT NOT NULL,
+      lead_article_id INTEGER,
+      first_published_at TEXT,
+      last_published_at TEXT,
+      article_count INTEGER DEFAULT 0,
+      source_count INTEGER DEFAULT 0,
+      entities TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_stories_last ON stories(last_published_at DESC);
+
+    CREATE TABLE IF NOT EXISTS story_articles (
+      article_id INTEGER PRIMARY KEY,
+      story_id INTEGER NOT NULL,
+      similarity REAL,
+      near_duplicate INTEGER DEFAULT 0,
+      signature TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_story_articles_story ON story_articles(story_id);
+
+    -- Article places resolved to the gazetteer / admin2, and the
+    -- build-events.js clusters they were attached to
+    -- (scripts/link-news-events.js, rebuilt on each pipeline run).
+    CREATE TABLE IF NOT EXISTS article_places (
+      article_id INTEGER NOT NULL,
+      gazetteer_key TEXT,
+      admin2 TEXT,
+      admin2_pcode TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_article_places_article ON article_places(article_id);
+
+    CREATE TABLE IF NOT EXISTS article_events (
+      article_id INTEGER NOT NULL,
+      cluster_id TEXT NOT NULL,
+      place_kind TEXT NOT NULL,
+      week TEXT NOT NULL,
+      PRIMARY KEY (article_id, cluster_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_article_events_cluster ON article_events(cluster_id);
+
+    -- Conditional-request validators, schedule and health per feed
+    -- (scripts/utils/feed-schedule.js).
+    CREATE TABLE IF NOT EXISTS feed_state (
+      feed_id TEXT PRIMARY KEY,
+      url TEXT NOT NULL,
+      etag TEXT,
+      last_modified TEXT,
+      interval_ms INTEGER,
+      items_per_hour REAL,
+      last_fetched_at TEXT,
+      last_status INTEGER,
+      last_success_at TEXT,
+      last_new_items_at TEXT,
+      latest_item_at TEXT,
+      items_last_fetch INTEGER,
+      new_items_last_fetch INTEGER,
+      next_fetch_at TEXT,
+      consecutive_failures INTEGER DEFAULT 0,
+      last_error TEXT,
+      disabled_at TEXT,
+      fetch_count INTEGER DEFAULT 0,
+      not_modified_count INTEGER DEFAULT 0
+    );
   `);
   db.exec('PRAGMA journal_mode=WAL; PRAGMA synchronous=NORMAL;');
+  syncSearchIndex(db);
+}
+
+function indexArticle(stmt, id, { title, description, body }) {
+  stmt.run(id, normalizeForSearch(title), normalizeForSearch(description), normalizeForSearch(body));
+}
+
+// Index articles stored before articles_fts existed.
+function syncSearchIndex(db) {
+  const missing = db.prepare(
+    'SELECT id, title, description, body FROM articles WHERE id NOT IN (SELECT rowid FROM articles_fts)'
+  ).all();
+  if (!missing.length) return 0;
+  const stmt = db.prepare('INSERT INTO articles_fts (rowid, title, description, body) VALUES (?, ?, ?, ?)');
+  db.exec('BEGIN');
+  try {
+    for (const row of missing) indexArticle(stmt, row.id, row);
+    db.exec('COMMIT');
+  } catch (e) {
+    db.exec('ROLLBACK');
+    throw e;
+  }
+  return missing.length;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -255,25 +371,52 @@ function extractEntities(title, description, body) {
 // ─────────────────────────────────────────────────────────────────────────────
 // Fetch
 // ─────────────────────────────────────────────────────────────────────────────
-async function fetchFeed(feed) {
+// Conditional GET with the validators from the feed's last response.
+// Returns { status, notModified, xml, etag, lastModified }; throws on
+// anything else, with `status` set for HTTP errors.
+async function fetchFeed(feed, state) {
   const controller = new AbortController();
   const to = setTimeout(() => controller.abort(), FEED_TIMEOUT_MS);
+  const headers = {
+    'User-Agent': 'Mozilla/5.0 (compatible; PalestineDataBackend/2.0; +news-collector)',
+    'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5',
+  };
+  if (state?.etag) headers['If-None-Match'] = state.etag;
+  if (state?.last_modified) headers['If-Modified-Since'] = state.last_modified;
   try {
-    const res = await fetch(feed.url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; PalestineDataBackend/2.0; +news-collector)',
-        'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5',
-      },
-      signal: controller.signal,
-      redirect: 'follow',
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return await res.text();
+    const res = await fetch(feed.url, { headers, signal: controller.signal, redirect: 'follow' });
+    if (res.status === 304) return { status: 304, notModified: true };
+    if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}`), { status: res.status });
+    return {
+      status: res.status,
+      notModified: false,
+      xml: await res.text(),
+      etag: res.headers.get('etag'),
+      lastModified: res.headers.get('last-modified'),
+    };
   } finally {
     clearTimeout(to);
   }
 }
 
+const FEED_STATE_COLUMNS = [
+  'url', 'etag', 'last_modified', 'interval_ms', 'items_per_hour', 'last_fetched_at', 'last_status',
+  'last_success_at', 'last_new_items_at', 'latest_item_at', 'items_last_fetch', 'new_items_last_fetch',
+  'next_fetch_at', 'consecutive_failures', 'last_error', 'disabled_at', 'fetch_count', 'not_modified_count',
+];
+
+function loadFeedState(db) {
+  return new Map(db.prepare('SELECT * FROM feed_state').all().map((r) => [r.feed_id, r]));
+}
+
+function saveFeedState(db, feedId, state) {
+  db.prepare(`
+    INSERT INTO feed_state (feed_id, ${FEED_STATE_COLUMNS.join(', ')})
+    VALUES (?, ${FEED_STATE_COLUMNS.map(() => '?').join(', ')})
+    ON CONFLICT(feed_id) DO UPDATE SET ${FEED_STATE_COLUMNS.map((c) => `${c} = excluded.${c}`).join(', ')}
+  `).run(feedId, ...FEED_STATE_COLUMNS.map((c) => state[c] ?? null));
+}
+
 function guidHash(feed, item) {
   const basis = (item.rawGuid || item.link || item.title || '') + '|' + feed.id;
   return crypto.createHash('sha1').update(basis).digest('hex');
@@ -288,7 +431,12 @@ function normalizeDate(s) {
 // ─────────────────────────────────────────────────────────────────────────────
 // Main pipeline
 // ─────────────────────────────────────────────────────────────────────────────
-async function runOnce(db, sources) {
+async function runOnce(db, sources, { all = false } = {}) {
+  const states = loadFeedState(db);
+  const due = sources.filter((feed) => all || isDue(states.get(feed.id), Date.now()));
+  if (!due.length) return { feedsAttempted: 0, feedsOk: 0, feedsNotModified: 0, articlesSeen: 0, articlesNew: 0, errors: [] };
+  if (!LOCATION_INDEX) await loadLocations();
+
   const startedAt = new Date().toISOString();
   const runStmt = db.prepare(
     'INSERT INTO fetch_runs (started_at, feeds_attempted, feeds_ok, articles_seen, articles_new) VALUES (?, 0, 0, 0, 0)'
@@ -296,7 +444,7 @@ async function runOnce(db, sources) {
   const runInfo = runStmt.run(startedAt);
   const runId = Number(runInfo.lastInsertRowid);
 
-  let feedsAttempted = 0, feedsOk = 0, articlesSeen = 0, articlesNew = 0;
+  let feedsAttempted = 0, feedsOk = 0, feedsNotModified = 0, articlesSeen = 0, articlesNew = 0;
   const errors = [];
 
   const insert = db.prepare(`
@@ -306,15 +454,27 @@ async function runOnce(db, sources) {
        topics, entities, severity, palestine_relevant, raw_guid)
     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
+  const index = db.prepare('INSERT INTO articles_fts (rowid, title, description, body) VALUES (?, ?, ?, ?)');
 
-  for (const feed of sources) {
+  await fetchByHost(due, async (feed) => {
     feedsAttempted++;
+    // A changed URL is a different resource: drop its validators.
+    const prev = states.get(feed.id)?.url === feed.url ? states.get(feed.id) : { ...states.get(feed.id), etag: null, last_modified: null };
     try {
-      const xml = await fetchFeed(feed);
-      const items = parseFeed(xml);
+      const res = await fetchFeed(feed, prev);
+      if (res.notModified) {
+        feedsOk++;
+        feedsNotModified++;
+        const state = recordSuccess(prev, { nowMs: Date.now(), status: 304, notModified: true, newItems: 0, fallbackMs: FETCH_INTERVAL_MS });
+        saveFeedState(db, feed.id, { ...state, url: feed.url });
+        await logger.info(`${feed.name}: not modified`);
+        return;
+      }
+      const items = parseFeed(res.xml);
       feedsOk++;
       await logger.info(`${feed.name}: ${items.length} items`);
 
+      let inserted = 0;
       for (const item of items) {
         if (!item.title) continue;
         articlesSeen++;
@@ -348,13 +508,41 @@ async function runOnce(db, sources) {
           1,
           item.rawGuid
         );
-        if (info.changes > 0) articlesNew++;
+        if (info.changes > 0) {
+          articlesNew++;
+          inserted++;
+          indexArticle(index, Number(info.lastInsertRowid), item);
+        }
+      }
+
+      // New items since the last fetch, for the feed's publishing rate:
+      // those dated after the newest one seen before, or — for undated
+      // feeds — the articles this fetch added.
+      const dates = items.map((i) => normalizeDate(i.published)).filter(Boolean).sort();
+      const latestItemAt = dates[dates.length - 1] || null;
+      let newItems = null;
+      if (prev?.last_success_at) {
+        newItems = prev.latest_item_at && latestItemAt ? dates.filter((d) => d > prev.latest_item_at).length : inserted;
       }
+      const state = recordSuccess(prev, {
+        nowMs: Date.now(), status: res.status, notModified: false, newItems, itemCount: items.length,
+        latestItemAt, etag: res.etag, lastModified: res.lastModified, fallbackMs: FETCH_INTERVAL_MS,
+      });
+      saveFeedState(db, feed.id, { ...state, url: feed.url });
     } catch (e) {
       errors.push(`${feed.id}: ${e.message}`);
-      await logger.warn(`${feed.name} failed: ${e.message}`);
+      const state = recordFailure(prev, { nowMs: Date.now(), status: e.status, error: e.message, fallbackMs: FETCH_INTERVAL_MS });
+      saveFeedState(db, feed.id, { ...state, url: feed.url });
+      await logger.warn(`${feed.name} failed: ${e.message}${state.disabled_at ? ` — disabled after ${state.consecutive_failures} failures, next retry ${state.next_fetch_at}` : ''}`);
     }
-    await sleep(FEED_DELAY_MS);
+  }, { concurrency: FETCH_CONCURRENCY, hostDelayMs: HOST_DELAY_MS });
+
+  try {
+    const stories = clusterNewArticles(db);
+    await logger.info(`stories: ${stories.clustered} articles clustered, ${stories.joined} joined a story, ${stories.created} new`);
+  } catch (e) {
+    errors.push(`stories: ${e.message}`);
+    await logger.warn(`story clustering failed: ${e.message}`);
   }
 
   db.prepare(
@@ -370,14 +558,15 @@ async function runOnce(db, sources) {
   );
 
   await logger.success(
-    `run #${runId} done: feeds ${feedsOk}/${feedsAttempted}, articles seen=${articlesSeen}, new=${articlesNew}, errors=${errors.length}`
+    `run #${runId} done: feeds ${feedsOk}/${feedsAttempted} (${feedsNotModified} not modified, ${sources.length - due.length} not due), articles seen=${articlesSeen}, new=${articlesNew}, errors=${errors.length}`
   );
-  return { feedsAttempted, feedsOk, articlesSeen, articlesNew, errors };
+  return { feedsAttempted, feedsOk, feedsNotModified, articlesSeen, articlesNew, errors };
 }
 
 async function main() {
   const args = new Set(process.argv.slice(2));
   const once = args.has('--once');
+  const all = args.has('--all');
 
   await fs.mkdir(path.dirname(DB_PATH), { recursive: true });
   const db = new DatabaseSync(DB_PATH);
@@ -393,13 +582,14 @@ async function main() {
   process.on('SIGINT', stop);
   process.on('SIGTERM', stop);
 
-  await runOnce(db, sources);
+  await runOnce(db, sources, { all });
   if (once) { db.close(); return; }
 
-  await logger.info(`daemon mode — interval ${Math.round(FETCH_INTERVAL_MS / 1000)}s`);
+  // Feeds run on their own intervals; wake often enough for the shortest.
+  await logger.info(`daemon mode — checking for due feeds every ${Math.round(MIN_INTERVAL_MS / 1000)}s`);
   while (!stopping) {
     // sleep in 1s chunks so SIGTERM cuts through quickly
-    const until = Date.now() + FETCH_INTERVAL_MS;
+    const until = Date.now() + MIN_INTERVAL_MS;
     while (!stopping && Date.now() < until) await sleep(1000);
     if (stopping) break;
     try { await runOnce(db, sources); }
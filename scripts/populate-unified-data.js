@@ -2916,7 +2916,10 @@ async function main() {
     }
 
     // Write dated snapshot of unified data for ?as_of= pinning. Runs after
-    // stable IDs so snapshots include the citable ID indexes.
+    // stable IDs so snapshots include the citable ID indexes. Record DBs are
+    // built once, by the pipeline scripts after the location and optimize
+    // passes (refresh-data.sh, update-all-data.sh); write-snapshot.js leaves
+    // out a records.db older than this run's JSON.
     logger.info('Writing unified snapshot...');
     try {
         const { spawn } = await import('child_process');
@@ -98,6 +98,7 @@ run "attach-locations" node scripts/attach-locations.js
 # overlapping-source rows, and event clusters build on final stable_ids.
 run "attach-stable-ids" node scripts/attach-stable-ids.js
 run "build-events"     node scripts/build-events.js
+run "link-news"        node scripts/link-news-events.js
 
 # Step 3: Manifests + quality snapshot + derived artifacts
 echo "[step 3] manifests + quality" | tee -a "$LOG"
@@ -107,6 +108,7 @@ run "manifest"        node scripts/generate-unified-manifest.js
 run "search-index"    node scripts/generate-search-index.js
 run "optimize"        node scripts/optimize-unified-data.js
 run "optimize-search" node scripts/optimize-search-index.js
+run "record-db"       node scripts/build-record-db.js
 run "validate"        node scripts/validate-data.js
 run "quality"         node scripts/generate-quality-snapshot.js
 
@@ -121,6 +123,12 @@ run "databank-structures"   python3 scripts/backfill-databank-from-infrastructur
 run "databank-incidents"    python3 scripts/backfill-incidents-from-insecurity-insight.py
 run "learn-corrections"     python3 scripts/learn-from-corrections.py
 
+# Step 4b: Customer webhooks — diffs live data against the previous day's
+# snapshot, so it needs final stable IDs (step 2). Reads KEYS_DB_PATH like
+# the API does.
+echo "[step 4b] webhooks" | tee -a "$LOG"
+run "webhooks" node scripts/dispatch-webhooks.js
+
 # Step 5: Pinned daily snapshot for ?as_of= queries
 echo "[step 5] daily snapshot" | tee -a "$LOG"
 run "write-snapshot" node scripts/write-snapshot.js
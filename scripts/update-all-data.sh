@@ -79,12 +79,17 @@ run_fatal "Step 4b: Generating data manifest" npm run generate:manifest
 run_fatal "Step 4c: Generating unified manifest" node scripts/generate-unified-manifest.js
 run_fatal "Step 4d: Generating search index" npm run generate:search
 run_tolerated "Step 4e: Optimizing unified data + search index" npm run optimize
+run_tolerated "Step 4f: Building per-category SQLite record DBs" npm run build:record-db
 
 # Step 5: Validation + quality snapshot (powers /api/v1/quality and the
 # freshness gate's Warning: 299 headers).
 run_tolerated "Step 5a: Validating data quality" npm run validate
 run_fatal "Step 5b: Generating quality snapshot" node scripts/generate-quality-snapshot.js
 
+# Step 6: Customer webhooks (new records since the previous run, threshold
+# breaches). Failed sends stay queued for the API's delivery worker.
+run_tolerated "Step 6: Dispatching customer webhooks" node scripts/dispatch-webhooks.js
+
 echo "========================================="
 echo "Update Pipeline Complete!"
 echo "========================================="
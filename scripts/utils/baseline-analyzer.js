@@ -11,7 +11,8 @@
  *     generated_at: ISO,
  *     window_ends: YYYY-MM-DD,
  *     baselines: {
- *       "West Bank:idf_raid":  { count_30d, avg_weekly_90d, avg_weekly_12m, p90_weekly_12m },
+ *       "West Bank:idf_raid":  { count_7d, count_30d, avg_weekly_90d, avg_weekly_12m,
+ *                                p90_weekly_12m, weekly_12m: [52 counts, oldest first] },
  *       "Gaza Strip:airstrike": {...}
  *     },
  *     by_area: {
@@ -31,12 +32,15 @@ const UNIFIED_DIR = path.join(__dirname, '../../public/data/unified');
 const OUT_PATH = path.join(__dirname, '../../public/data/analytics/baselines.json');
 
 const DAY = 24 * 60 * 60 * 1000;
+// Rolling 7-day windows counted back from window_ends, for weekly_12m.
+const ROLLING_WEEKS = 52;
 
 function daysBetween(aISO, bISO) {
   return Math.floor((new Date(bISO) - new Date(aISO)) / DAY);
 }
 
-function percentile(sorted, p) {
+/** Nearest-rank percentile of an ascending array (p in 0–1); 0 when empty. */
+export function percentile(sorted, p) {
   if (sorted.length === 0) return 0;
   const idx = Math.min(sorted.length - 1, Math.floor(sorted.length * p));
   return sorted[idx];
@@ -44,6 +48,7 @@ function percentile(sorted, p) {
 
 function emptyStat() {
   return {
+    count_7d: 0,
     count_30d: 0,
     count_90d: 0,
     count_12m: 0,
@@ -131,6 +136,10 @@ export async function buildBaselines(nowISO = new Date().toISOString(), opts = {
   // Weekly counts buckets: weekKey = YYYY-WW
   const regionWeekly = new Map(); // regionKey → Map(weekKey → count)
   const areaWeekly = new Map();
+  // Zero-filled counts per rolling week ending at windowEnds — the
+  // distribution alerts are percentile-ranked against.
+  const regionRolling = new Map(); // regionKey → number[ROLLING_WEEKS]
+  const areaRolling = new Map();
 
   function weekKey(dateStr) {
     const d = new Date(dateStr);
@@ -153,6 +162,13 @@ export async function buildBaselines(nowISO = new Date().toISOString(), opts = {
     wm.set(wk, (wm.get(wk) || 0) + 1);
   }
 
+  function bumpRolling(map, key, date) {
+    const weeksAgo = Math.floor(daysBetween(date, windowEnds) / 7);
+    if (weeksAgo < 0 || weeksAgo >= ROLLING_WEEKS) return;
+    if (!map.has(key)) map.set(key, new Array(ROLLING_WEEKS).fill(0));
+    map.get(key)[ROLLING_WEEKS - 1 - weeksAgo] += 1;
+  }
+
   let processed = 0;
   for (const r of records) {
     const date = r.date;
@@ -173,6 +189,7 @@ export async function buildBaselines(nowISO = new Date().toISOString(), opts = {
     if (date >= cutoff12m) {
       rStat.count_12m += 1;
       bumpWeekly(regionWeekly, regionKey, date);
+      bumpRolling(regionRolling, regionKey, date);
     }
 
     if (areaKey) {
@@ -185,24 +202,27 @@ export async function buildBaselines(nowISO = new Date().toISOString(), opts = {
       if (date >= cutoff12m) {
         aStat.count_12m += 1;
         bumpWeekly(areaWeekly, areaKey, date);
+        bumpRolling(areaRolling, areaKey, date);
       }
     }
     processed += 1;
   }
 
-  function finalizeMap(bucketMap, weeklyMap) {
+  function finalizeMap(bucketMap, weeklyMap, rollingMap) {
     const out = {};
     for (const [key, stat] of bucketMap) {
       stat.avg_weekly_90d = stat.count_90d / (90 / 7);
       const weeks = Array.from((weeklyMap.get(key) || new Map()).values());
       finalize(stat, weeks);
+      stat.weekly_12m = rollingMap.get(key) || new Array(ROLLING_WEEKS).fill(0);
+      stat.count_7d = stat.weekly_12m[ROLLING_WEEKS - 1];
       out[key] = stat;
     }
     return out;
   }
 
-  const baselines = finalizeMap(regionBuckets, regionWeekly);
-  const byArea = finalizeMap(areaBuckets, areaWeekly);
+  const baselines = finalizeMap(regionBuckets, regionWeekly, regionRolling);
+  const byArea = finalizeMap(areaBuckets, areaWeekly, areaRolling);
 
   const out = {
     generated_at: new Date().toISOString(),
@@ -217,9 +237,21 @@ export async function buildBaselines(nowISO = new Date().toISOString(), opts = {
   return out;
 }
 
+// Parsed baselines.json and the mtime it was read at.
+let loaded = null;
+
+/**
+ * baselines.json, parsed once per file mtime so a pipeline run is picked up
+ * without a restart; null before the first build. Callers share the object
+ * and must not mutate it.
+ */
 export async function loadBaselines() {
   try {
-    return JSON.parse(await fs.readFile(OUT_PATH, 'utf8'));
+    const { mtimeMs } = await fs.stat(OUT_PATH);
+    if (loaded?.mtimeMs === mtimeMs) return loaded.value;
+    const value = JSON.parse(await fs.readFile(OUT_PATH, 'utf8'));
+    loaded = { mtimeMs, value };
+    return value;
   } catch {
     return null;
   }
@@ -237,9 +269,7 @@ export function lookupContext(baselines, region, eventType, area) {
 
   let context = '';
   if (avgWeekly > 0) {
-    const weeklyRate = thisMonth / (30 / 7);
-    const delta = avgWeekly > 0 ? ((weeklyRate - avgWeekly) / avgWeekly) * 100 : 0;
-    const dir = delta > 15 ? 'above' : delta < -15 ? 'below' : 'near';
+    const dir = trendVsBaseline(thisMonth, avgWeekly);
     context = `${thisMonth} ${eventType.replace(/_/g, ' ')}(s) in ${area || region} over last 30d — ${dir} 90d avg of ${avgWeekly.toFixed(2)}/wk`;
   } else if (thisMonth > 0) {
     context = `${thisMonth} ${eventType.replace(/_/g, ' ')}(s) in ${area || region} over last 30d`;
@@ -255,6 +285,24 @@ export function lookupContext(baselines, region, eventType, area) {
   };
 }
 
+/**
+ * Mid-rank percentile (0–100) of `value` among the weekly counts: weeks
+ * below it plus half the weeks equal to it. Null without a distribution.
+ */
+export function percentileRank(weekly, value) {
+  if (!Array.isArray(weekly) || weekly.length === 0) return null;
+  const below = weekly.filter(c => c < value).length;
+  const equal = weekly.filter(c => c === value).length;
+  return Math.round(((below + equal / 2) / weekly.length) * 1000) / 10;
+}
+
+/** 'above' / 'near' / 'below' the 90d weekly average (±15%); lookupContext() words its summary with it. */
+export function trendVsBaseline(count30d, avgWeekly90d) {
+  if (!(avgWeekly90d > 0)) return 'insufficient_history';
+  const delta = ((count30d / (30 / 7) - avgWeekly90d) / avgWeekly90d) * 100;
+  return delta > 15 ? 'above' : delta < -15 ? 'below' : 'near';
+}
+
 // CLI entry
 const isMain = import.meta.url === `file://${process.argv[1]}`;
 if (isMain) {
@@ -83,6 +83,37 @@ export function createEmptyRecord() {
   };
 }
 
+// createEmptyRecord() leaves these null; they hold numbers once filled.
+const NULLABLE_NUMERIC_PATHS = new Set([
+  'location.lat', 'location.lon', 'temporal_context.days_since_baseline',
+]);
+
+/**
+ * Flat list of the canonical record's leaf fields as dot paths
+ * (location.admin2, metrics.killed, …) with their value type.
+ * Returns [{ path, type: 'string'|'number'|'boolean'|'array' }] in
+ * createEmptyRecord() key order.
+ */
+export function listFieldPaths() {
+  const out = [];
+  const walk = (obj, prefix) => {
+    for (const [k, v] of Object.entries(obj)) {
+      const p = prefix ? `${prefix}.${k}` : k;
+      if (v && typeof v === 'object' && !Array.isArray(v)) {
+        walk(v, p);
+        continue;
+      }
+      let type = 'string';
+      if (Array.isArray(v)) type = 'array';
+      else if (typeof v === 'number' || NULLABLE_NUMERIC_PATHS.has(p)) type = 'number';
+      else if (typeof v === 'boolean') type = 'boolean';
+      out.push({ path: p, type });
+    }
+  };
+  walk(createEmptyRecord(), '');
+  return out;
+}
+
 /**
  * Validate a record against the canonical schema.
  * Returns { valid: boolean, errors: string[] }
@@ -0,0 +1,126 @@
+/**
+ * Per-feed scheduling for the news collector (news.db `feed_state`).
+ *
+ * Each feed is fetched on its own interval, adapted to how fast it
+ * publishes: an exponentially weighted items-per-hour rate, refreshed on
+ * every successful fetch (a 304 counts as zero new items), sets the
+ * interval to about TARGET_NEW_ITEMS items' worth, clamped to
+ * [MIN_INTERVAL_MS, MAX_INTERVAL_MS]. Failures back off exponentially from
+ * the current interval; after DISABLE_AFTER_FAILURES in a row the feed is
+ * disabled and only probed every DISABLED_RETRY_MS until it answers again.
+ *
+ * Fetches run through fetchByHost(): at most `concurrency` hosts at once,
+ * one request per host at a time, `hostDelayMs` apart.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+export const MIN_INTERVAL_MS = 5 * MINUTE;
+export const MAX_INTERVAL_MS = 6 * HOUR;
+export const TARGET_NEW_ITEMS = 5;
+export const RATE_SMOOTHING = 0.5;
+export const MAX_BACKOFF_MS = 24 * HOUR;
+export const DISABLE_AFTER_FAILURES = 10;
+export const DISABLED_RETRY_MS = 24 * HOUR;
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const iso = (ms) => new Date(ms).toISOString();
+
+/** Interval for a feed publishing `itemsPerHour`; `fallbackMs` until a rate is known. */
+export function adaptInterval(itemsPerHour, fallbackMs) {
+  if (itemsPerHour == null) return clamp(fallbackMs, MIN_INTERVAL_MS, MAX_INTERVAL_MS);
+  if (itemsPerHour <= 0) return MAX_INTERVAL_MS;
+  return Math.round(clamp((TARGET_NEW_ITEMS / itemsPerHour) * HOUR, MIN_INTERVAL_MS, MAX_INTERVAL_MS));
+}
+
+/** A feed is due when it has never been fetched or its next_fetch_at has passed. */
+export function isDue(state, nowMs) {
+  return !state?.next_fetch_at || Date.parse(state.next_fetch_at) <= nowMs;
+}
+
+/**
+ * State after a successful fetch. `newItems` is null on the first fetch
+ * (nothing to compare against), which leaves the rate unknown.
+ * `notModified` is a 304: validators are kept as they were.
+ */
+export function recordSuccess(prev, { nowMs, status, notModified, newItems, itemCount, latestItemAt, etag, lastModified, fallbackMs }) {
+  let rate = prev?.items_per_hour ?? null;
+  const since = prev?.last_success_at ? (nowMs - Date.parse(prev.last_success_at)) / HOUR : null;
+  if (newItems != null && since > 0) {
+    const observed = newItems / since;
+    rate = rate == null ? observed : RATE_SMOOTHING * observed + (1 - RATE_SMOOTHING) * rate;
+  }
+  const interval = adaptInterval(rate, fallbackMs);
+  return {
+    etag: notModified ? prev?.etag ?? null : etag ?? null,
+    last_modified: notModified ? prev?.last_modified ?? null : lastModified ?? null,
+    interval_ms: interval,
+    items_per_hour: rate == null ? null : Math.round(rate * 1000) / 1000,
+    last_fetched_at: iso(nowMs),
+    last_status: status,
+    last_success_at: iso(nowMs),
+    last_new_items_at: newItems ? iso(nowMs) : prev?.last_new_items_at ?? null,
+    latest_item_at: latestItemAt ?? prev?.latest_item_at ?? null,
+    items_last_fetch: notModified ? prev?.items_last_fetch ?? null : itemCount,
+    new_items_last_fetch: newItems ?? 0,
+    next_fetch_at: iso(nowMs + interval),
+    consecutive_failures: 0,
+    last_error: null,
+    disabled_at: null,
+    fetch_count: (prev?.fetch_count || 0) + 1,
+    not_modified_count: (prev?.not_modified_count || 0) + (notModified ? 1 : 0),
+  };
+}
+
+/** State after a failed fetch: back off, and disable after too many in a row. */
+export function recordFailure(prev, { nowMs, status, error, fallbackMs }) {
+  const failures = (prev?.consecutive_failures || 0) + 1;
+  const interval = prev?.interval_ms || adaptInterval(null, fallbackMs);
+  const disabled = failures >= DISABLE_AFTER_FAILURES;
+  const wait = disabled ? DISABLED_RETRY_MS : Math.min(interval * 2 ** (failures - 1), MAX_BACKOFF_MS);
+  return {
+    ...prev,
+    interval_ms: interval,
+    last_fetched_at: iso(nowMs),
+    last_status: status ?? null,
+    next_fetch_at: iso(nowMs + wait),
+    consecutive_failures: failures,
+    last_error: error,
+    disabled_at: disabled ? prev?.disabled_at ?? iso(nowMs) : null,
+    fetch_count: (prev?.fetch_count || 0) + 1,
+  };
+}
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+};
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Run `worker(feed)` for every feed: up to `concurrency` hosts in parallel,
+ * each host's feeds one after another with `hostDelayMs` between them.
+ * `worker` must handle its own errors.
+ */
+export async function fetchByHost(feeds, worker, { concurrency = 4, hostDelayMs = 0 } = {}) {
+  const hosts = new Map();
+  for (const feed of feeds) {
+    const host = hostOf(feed.url);
+    if (!hosts.has(host)) hosts.set(host, []);
+    hosts.get(host).push(feed);
+  }
+  const queue = [...hosts.values()];
+  const lane = async () => {
+    for (let group = queue.shift(); group; group = queue.shift()) {
+      for (let i = 0; i < group.length; i++) {
+        if (i > 0 && hostDelayMs) await sleep(hostDelayMs);
+        await worker(group[i]);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, lane));
+}
@@ -0,0 +1,28 @@
+/**
+ * ISO-8601 week of a date: { key: 'YYYY-Www', start: <Monday>, end: <Sunday> }.
+ *
+ * Weeks start on Monday and belong to the year of their Thursday, so
+ * 2021-01-01 (a Friday) is 2020-W53. Shared by build-events.js (cluster
+ * weeks) and the API's week bucketing so both agree on what "week" means.
+ * Returns null for an unparseable date.
+ */
+export function isoWeek(dateStr) {
+    const d = new Date(dateStr);
+    if (Number.isNaN(d.getTime())) return null;
+    // ISO-8601 week number, with the week's Monday as the period start.
+    const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    const day = target.getUTCDay() || 7;
+    target.setUTCDate(target.getUTCDate() + 4 - day);
+    const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((target - yearStart) / 86400000 + 1) / 7);
+    const monday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    monday.setUTCDate(monday.getUTCDate() - ((d.getUTCDay() || 7) - 1));
+    const sunday = new Date(monday);
+    sunday.setUTCDate(monday.getUTCDate() + 6);
+    const fmt = (x) => x.toISOString().slice(0, 10);
+    return {
+        key: `${target.getUTCFullYear()}-W${String(week).padStart(2, '0')}`,
+        start: fmt(monday),
+        end: fmt(sunday),
+    };
+}
@@ -0,0 +1,98 @@
+/**
+ * Links news articles to the rest of the databank: each relevant article's
+ * place entities are resolved with location-resolver.js to a gazetteer_key
+ * and admin2 (news.db `article_places`), and the article is attached to the
+ * build-events.js clusters for those places in its ISO week
+ * (`article_events`) — the place-level cluster by gazetteer_key and the
+ * governorate rollup by admin2, the same two keys records cluster on.
+ *
+ * Both tables are rebuilt on every run: clusters are regenerated by each
+ * pipeline run, and resolution is cached per place so a rebuild is cheap.
+ */
+import { resolveLocation } from './location-resolver.js';
+import { isoWeek } from './iso-week.js';
+
+const parseEntities = (json) => {
+  try {
+    return JSON.parse(json || '[]') || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Resolve one news entity ({ canonical, name_en, name_ar }) to
+ * { gazetteer_key, admin2, admin2_pcode }, trying the English name then the
+ * Arabic one. Null when neither resolves to a place or a governorate.
+ */
+export function resolveEntity(entity) {
+  for (const name of [entity?.name_en, entity?.name_ar]) {
+    if (!name) continue;
+    const hit = resolveLocation({ name });
+    if (hit?.gazetteer_key || hit?.admin2) {
+      return { gazetteer_key: hit.gazetteer_key || null, admin2: hit.admin2 || null, admin2_pcode: hit.admin2_pcode || null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Rebuild article_places and article_events from `clusters` (events.json
+ * `data`). Returns { articles, placed, links, clusters }: articles with
+ * places, those placed in at least one cluster, article–cluster links, and
+ * distinct clusters with coverage.
+ */
+export function linkArticles(db, clusters) {
+  const byKey = new Map(clusters.map((c) => [`${c.place_key}|${c.week}`, c]));
+  const resolved = new Map();
+  const resolve = (entity) => {
+    const key = entity.canonical || entity.name_en || entity.name_ar;
+    if (!resolved.has(key)) resolved.set(key, resolveEntity(entity));
+    return resolved.get(key);
+  };
+
+  const articles = db.prepare(`
+    SELECT id, entities, published_at, fetched_at FROM articles
+    WHERE palestine_relevant = 1 AND entities IS NOT NULL AND entities != '[]'`).all();
+  const addPlace = db.prepare(`
+    INSERT INTO article_places (article_id, gazetteer_key, admin2, admin2_pcode) VALUES (?, ?, ?, ?)`);
+  const addLink = db.prepare(`
+    INSERT OR IGNORE INTO article_events (article_id, cluster_id, place_kind, week) VALUES (?, ?, ?, ?)`);
+
+  const stats = { articles: 0, placed: 0, links: 0, clusters: 0 };
+  const linkedClusters = new Set();
+  db.exec('BEGIN');
+  try {
+    db.exec('DELETE FROM article_places; DELETE FROM article_events;');
+    for (const article of articles) {
+      const places = [...new Map(parseEntities(article.entities).map(resolve).filter(Boolean)
+        .map((p) => [`${p.gazetteer_key}|${p.admin2}`, p])).values()];
+      if (!places.length) continue;
+      stats.articles++;
+      const week = isoWeek(article.published_at || article.fetched_at);
+      let linked = false;
+      for (const p of places) {
+        addPlace.run(article.id, p.gazetteer_key, p.admin2, p.admin2_pcode);
+        if (!week) continue;
+        const keys = [
+          p.gazetteer_key && [p.gazetteer_key, 'gazetteer'],
+          p.admin2 && [`admin2:${p.admin2.toLowerCase()}`, 'admin2'],
+        ].filter(Boolean);
+        for (const [placeKey, kind] of keys) {
+          const cluster = byKey.get(`${placeKey}|${week.key}`);
+          if (!cluster) continue;
+          if (addLink.run(article.id, cluster.cluster_id, kind, week.key).changes) stats.links++;
+          linkedClusters.add(cluster.cluster_id);
+          linked = true;
+        }
+      }
+      if (linked) stats.placed++;
+    }
+    db.exec('COMMIT');
+  } catch (e) {
+    db.exec('ROLLBACK');
+    throw e;
+  }
+  stats.clusters = linkedClusters.size;
+  return stats;
+}
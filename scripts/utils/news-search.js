@@ -0,0 +1,193 @@
+/**
+ * Full-text search over the news archive (news.db `articles_fts`).
+ *
+ * FTS5 cannot run a JS tokenizer, so text is normalized here before it is
+ * indexed (news-collector.js) and before it is matched (/news/search); the
+ * FTS5 `porter unicode61` tokenizer then stems English. Arabic
+ * normalization folds the spelling variants headlines mix freely:
+ *
+ *   - tashkeel, superscript alef and tatweel are dropped
+ *   - أ إ آ ٱ → ا, ة → ه, ى → ي, ؤ → و, ئ → ي
+ *   - Arabic-Indic and Persian digits → 0-9
+ *   - a leading definite article is stripped (القدس → قدس, وال/بال/كال/فال,
+ *     لل) on words long enough to keep a stem
+ *
+ * Snippets are cut from the original text: normalizeWithOffsets() keeps,
+ * for every normalized character, the index of the character it came from.
+ */
+
+const DROP = /[\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/;
+const FOLD = {
+  'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا',
+  'ة': 'ه',
+  'ى': 'ي',
+  'ؤ': 'و',
+  'ئ': 'ي',
+};
+const ARABIC_LETTER = /[\u0621-\u064A]/;
+// Longest first; `min` is the shortest word the prefix is stripped from.
+const ARTICLE_PREFIXES = [
+  { prefix: 'وال', min: 6 }, { prefix: 'بال', min: 6 }, { prefix: 'كال', min: 6 }, { prefix: 'فال', min: 6 },
+  { prefix: 'ال', min: 5 }, { prefix: 'لل', min: 5 },
+];
+
+export const MAX_QUERY_LENGTH = 500;
+export const MAX_QUERY_TERMS = 32;
+
+function foldChar(ch) {
+  if (DROP.test(ch)) return '';
+  if (FOLD[ch]) return FOLD[ch];
+  const code = ch.charCodeAt(0);
+  if (code >= 0x0660 && code <= 0x0669) return String(code - 0x0660);
+  if (code >= 0x06F0 && code <= 0x06F9) return String(code - 0x06F0);
+  return ch;
+}
+
+/**
+ * Normalize `text` for the index. Returns { text, offsets } where
+ * offsets[i] is the index in the input of normalized character i.
+ */
+export function normalizeWithOffsets(input) {
+  const src = String(input ?? '');
+  const chars = [];
+  const from = [];
+  for (let i = 0; i < src.length; i++) {
+    const out = foldChar(src[i]);
+    if (out) {
+      chars.push(out);
+      from.push(i);
+    }
+  }
+
+  // Strip the article from each run of Arabic letters.
+  const keep = new Array(chars.length).fill(true);
+  for (let i = 0; i < chars.length;) {
+    if (!ARABIC_LETTER.test(chars[i])) { i++; continue; }
+    let j = i;
+    while (j < chars.length && ARABIC_LETTER.test(chars[j])) j++;
+    const word = chars.slice(i, j).join('');
+    const hit = ARTICLE_PREFIXES.find(({ prefix, min }) => word.length >= min && word.startsWith(prefix));
+    if (hit) for (let k = i; k < i + hit.prefix.length; k++) keep[k] = false;
+    i = j;
+  }
+
+  let text = '';
+  const offsets = [];
+  chars.forEach((ch, i) => {
+    if (!keep[i]) return;
+    text += ch;
+    offsets.push(from[i]);
+  });
+  return { text, offsets };
+}
+
+/** normalizeWithOffsets() without the offsets, for indexing and queries. */
+export function normalizeForSearch(text) {
+  return normalizeWithOffsets(text).text;
+}
+
+const quote = (tokens, prefix) => `"${tokens.join(' ')}"${prefix ? '*' : ''}`;
+const tokensOf = (text) => normalizeForSearch(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Turn a user query into an FTS5 MATCH expression over normalized terms.
+ * Supports "exact phrases", AND / OR / NOT (upper case; NOT is binary:
+ * `gaza NOT football`), parentheses and trailing-* prefixes; adjacent terms
+ * are ANDed. Returns { match } or { error } with a message.
+ */
+export function buildMatchQuery(q) {
+  const query = String(q ?? '').trim();
+  if (!query) return { error: 'q is required' };
+  if (query.length > MAX_QUERY_LENGTH) return { error: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+  if ((query.match(/"/g) || []).length % 2) return { error: 'Unbalanced quotes in q' };
+
+  const out = [];
+  let depth = 0;
+  let terms = 0;
+  // What the previous token was: 'start', 'operand', 'operator', 'open'.
+  let prev = 'start';
+  for (const [token, phrase] of query.matchAll(/"([^"]*)"|\(|\)|[^\s()"]+/g)) {
+    if (token === '(') {
+      if (prev === 'operand') out.push('AND');
+      out.push('(');
+      depth++;
+      prev = 'open';
+    } else if (token === ')') {
+      if (prev !== 'operand' || depth === 0) return { error: 'Unexpected ) in q' };
+      out.push(')');
+      depth--;
+    } else if (token === 'AND' || token === 'OR' || token === 'NOT') {
+      if (prev !== 'operand') return { error: `${token} needs a term on both sides (e.g. gaza ${token} rafah)` };
+      out.push(token);
+      prev = 'operator';
+    } else {
+      const prefix = phrase === undefined && token.endsWith('*');
+      const tokens = tokensOf(phrase ?? token.replace(/\*+$/, ''));
+      if (!tokens.length) continue;
+      if (++terms > MAX_QUERY_TERMS) return { error: `At most ${MAX_QUERY_TERMS} terms in q` };
+      if (prev === 'operand') out.push('AND');
+      out.push(quote(tokens, prefix));
+      prev = 'operand';
+    }
+  }
+  if (depth !== 0) return { error: 'Unbalanced parentheses in q' };
+  if (prev === 'operator') return { error: 'q must not end with an operator' };
+  if (!terms) return { error: 'q has no searchable terms' };
+  return { match: out.join(' ') };
+}
+
+const escapeHtml = (s) => s.replace(/[&<>]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+
+/**
+ * Matched ranges in `original`, from FTS5 highlight() output `marked` —
+ * the normalized column text with each hit wrapped in `open` / `close`.
+ * Returns [[start, end)] in original character positions.
+ */
+export function matchRanges(original, marked, open, close) {
+  const { offsets } = normalizeWithOffsets(original);
+  const ranges = [];
+  let pos = 0;
+  let start = null;
+  for (let i = 0; i < marked.length;) {
+    if (marked.startsWith(open, i)) {
+      start = pos;
+      i += open.length;
+    } else if (marked.startsWith(close, i)) {
+      if (start !== null && pos > start && offsets[pos - 1] !== undefined) {
+        ranges.push([offsets[start], offsets[pos - 1] + 1]);
+      }
+      start = null;
+      i += close.length;
+    } else {
+      pos++;
+      i++;
+    }
+  }
+  return ranges;
+}
+
+/**
+ * `text` with `ranges` wrapped in <mark>…</mark>, HTML-escaped. With
+ * `maxLength`, only a window of about that many characters around the
+ * first match is kept, cut at spaces and marked with … where trimmed.
+ */
+export function markRanges(text, ranges, maxLength = null) {
+  let from = 0;
+  let to = text.length;
+  if (maxLength && text.length > maxLength) {
+    const first = ranges[0]?.[0] ?? 0;
+    from = Math.max(0, first - Math.floor(maxLength / 4));
+    to = Math.min(text.length, from + maxLength);
+    if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+    if (to < text.length) to = text.lastIndexOf(' ', to) > first ? text.lastIndexOf(' ', to) : to;
+  }
+  let out = '';
+  let pos = from;
+  for (const [s, e] of ranges) {
+    if (e <= pos || s >= to) continue;
+    out += escapeHtml(text.slice(pos, Math.max(s, pos))) + '<mark>' + escapeHtml(text.slice(Math.max(s, pos), Math.min(e, to))) + '</mark>';
+    pos = Math.min(e, to);
+  }
+  out += escapeHtml(text.slice(pos, to));
+  return `${from > 0 ? '…' : ''}${out.trim()}${to < text.length ? '…' : ''}`;
+}
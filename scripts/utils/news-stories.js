@@ -0,0 +1,204 @@
+/**
+ * Story clustering for the news archive: one `stories` row per event, with
+ * every outlet's article about it in `story_articles`.
+ *
+ * Articles are compared on MinHash signatures of their word shingles
+ * (title unigrams and bigrams plus bigrams of the description and the
+ * start of the body, normalized with news-search.js so Arabic spelling
+ * variants agree). An article joins the most similar story whose latest
+ * article is within STORY_WINDOW_HOURS of it when the estimated Jaccard
+ * similarity to one of its members reaches JOIN_THRESHOLD, or
+ * ENTITY_JOIN_THRESHOLD when they also name the same place
+ * (known_locations canonical keys from the collector). Pairs at
+ * NEAR_DUPLICATE_THRESHOLD or above are flagged as near-duplicates —
+ * syndicated or lightly edited copies of one report.
+ *
+ * Shingles are words, so stories do not span languages.
+ */
+import { normalizeForSearch } from './news-search.js';
+
+export const SIGNATURE_SIZE = 64;
+export const STORY_WINDOW_HOURS = 48;
+export const JOIN_THRESHOLD = 0.3;
+export const ENTITY_JOIN_THRESHOLD = 0.15;
+export const NEAR_DUPLICATE_THRESHOLD = 0.7;
+
+const BODY_TOKENS = 150;
+// Members per candidate story compared against, most recent first.
+const MEMBERS_COMPARED = 20;
+const HOUR = 60 * 60 * 1000;
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'from', 'by', 'with', 'as', 'is', 'are',
+  'was', 'were', 'be', 'been', 'has', 'have', 'had', 'it', 'its', 'this', 'that', 'after', 'says', 'said',
+  // Arabic, after normalization
+  'في', 'من', 'علي', 'الي', 'عن', 'مع', 'ان', 'او', 'ما', 'هذا', 'هذه', 'التي', 'الذي', 'قد', 'كما', 'بعد',
+]);
+
+const words = (text) => normalizeForSearch(text).toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter((w) => w.length > 1 && !STOPWORDS.has(w));
+
+function bigrams(tokens) {
+  const out = [];
+  for (let i = 1; i < tokens.length; i++) out.push(`${tokens[i - 1]} ${tokens[i]}`);
+  return out;
+}
+
+/** The shingle set an article is compared on. */
+export function shingles({ title, description, body }) {
+  const head = words(title);
+  const rest = [...words(description), ...words(body).slice(0, BODY_TOKENS)];
+  return new Set([...head, ...bigrams(head), ...bigrams(rest)]);
+}
+
+// FNV-1a over UTF-16 code units, then murmur3's finalizer per hash
+// function: SIGNATURE_SIZE independent-enough 32-bit hashes.
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => fmix32(i + 1));
+
+/** MinHash signature of a shingle set; null when it is empty. */
+export function minhash(set) {
+  if (!set.size) return null;
+  const sig = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const shingle of set) {
+    const base = fnv1a(shingle);
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const v = fmix32(base ^ SEEDS[i]);
+      if (v < sig[i]) sig[i] = v;
+    }
+  }
+  return sig;
+}
+
+/** Estimated Jaccard similarity of the sets behind two signatures. */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  let same = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) if (a[i] === b[i]) same++;
+  return same / SIGNATURE_SIZE;
+}
+
+export const encodeSignature = (sig) => (sig ? sig.map((v) => v.toString(16).padStart(8, '0')).join('') : null);
+export const decodeSignature = (hex) => (hex ? hex.match(/.{8}/g).map((h) => parseInt(h, 16)) : null);
+
+const entityKeys = (json) => {
+  try {
+    return new Set((JSON.parse(json || '[]') || []).map((e) => e.canonical).filter(Boolean));
+  } catch {
+    return new Set();
+  }
+};
+const RELIABILITY_RANK = { high: 0, medium: 1, low: 2 };
+const articleTime = (a) => a.published_at || a.fetched_at;
+const shiftHours = (iso, h) => new Date(new Date(iso).getTime() + h * HOUR).toISOString();
+
+// Recompute a story's counts, span, places and lead (the earliest article
+// from the most reliable outlet).
+function refreshStory(db, storyId) {
+  const members = db.prepare(`
+    SELECT a.id, a.title, a.source_id, a.reliability, a.entities, a.published_at, a.fetched_at
+    FROM story_articles sa JOIN articles a ON a.id = sa.article_id
+    WHERE sa.story_id = ?`).all(storyId);
+  const times = members.map(articleTime).sort();
+  const lead = [...members].sort((x, y) => (RELIABILITY_RANK[x.reliability] ?? 3) - (RELIABILITY_RANK[y.reliability] ?? 3)
+    || articleTime(x).localeCompare(articleTime(y)))[0];
+  const entities = new Set(members.flatMap((m) => [...entityKeys(m.entities)]));
+  db.prepare(`
+    UPDATE stories SET title = ?, lead_article_id = ?, first_published_at = ?, last_published_at = ?,
+      article_count = ?, source_count = ?, entities = ?, updated_at = ?
+    WHERE id = ?`).run(
+    lead.title, lead.id, times[0], times[times.length - 1],
+    members.length, new Set(members.map((m) => m.source_id)).size, JSON.stringify([...entities].sort()),
+    new Date().toISOString(), storyId,
+  );
+}
+
+/**
+ * Assign every article not yet in a story, oldest first. Relevant articles
+ * only, as /news/latest lists. Returns { clustered, joined, created }.
+ */
+export function clusterNewArticles(db) {
+  const pending = db.prepare(`
+    SELECT id, title, description, body, language, entities, published_at, fetched_at
+    FROM articles
+    WHERE palestine_relevant = 1 AND id NOT IN (SELECT article_id FROM story_articles)
+    ORDER BY COALESCE(published_at, fetched_at), id`).all();
+  if (!pending.length) return { clustered: 0, joined: 0, created: 0 };
+
+  const candidates = db.prepare(`
+    SELECT id FROM stories
+    WHERE language = ? AND last_published_at >= ? AND first_published_at <= ?`);
+  const members = db.prepare(`
+    SELECT sa.signature, a.entities FROM story_articles sa JOIN articles a ON a.id = sa.article_id
+    WHERE sa.story_id = ? AND sa.signature IS NOT NULL
+    ORDER BY sa.article_id DESC LIMIT ${MEMBERS_COMPARED}`);
+  const createStory = db.prepare(`
+    INSERT INTO stories (title, language, first_published_at, last_published_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)`);
+  const addMember = db.prepare(`
+    INSERT INTO story_articles (story_id, article_id, similarity, near_duplicate, signature)
+    VALUES (?, ?, ?, ?, ?)`);
+
+  let joined = 0;
+  let created = 0;
+  db.exec('BEGIN');
+  try {
+    for (const article of pending) {
+      const when = articleTime(article);
+      const signature = minhash(shingles(article));
+      const places = entityKeys(article.entities);
+
+      let best = null;
+      if (signature) {
+        const near = candidates.all(article.language, shiftHours(when, -STORY_WINDOW_HOURS), shiftHours(when, STORY_WINDOW_HOURS));
+        for (const { id } of near) {
+          for (const m of members.all(id)) {
+            const score = similarity(signature, decodeSignature(m.signature));
+            const sharesPlace = [...entityKeys(m.entities)].some((k) => places.has(k));
+            const needed = sharesPlace ? ENTITY_JOIN_THRESHOLD : JOIN_THRESHOLD;
+            if (score >= needed && (!best || score > best.score)) best = { storyId: id, score };
+          }
+        }
+      }
+
+      let storyId = best?.storyId;
+      if (storyId) {
+        joined++;
+      } else {
+        const now = new Date().toISOString();
+        storyId = Number(createStory.run(article.title, article.language, when, when, now, now).lastInsertRowid);
+        created++;
+      }
+      addMember.run(
+        storyId, article.id,
+        best ? Math.round(best.score * 1000) / 1000 : null,
+        best && best.score >= NEAR_DUPLICATE_THRESHOLD ? 1 : 0,
+        encodeSignature(signature),
+      );
+      refreshStory(db, storyId);
+    }
+    db.exec('COMMIT');
+  } catch (e) {
+    db.exec('ROLLBACK');
+    throw e;
+  }
+  return { clustered: pending.length, joined, created };
+}
@@ -0,0 +1,145 @@
+/**
+ * Per-category SQLite layout: `public/data/unified/<category>/records.db`.
+ *
+ * Written by scripts/build-record-db.js at the end of the pipeline and read
+ * by src/api/utils/recordStore.js, which pushes /unified filters, sorting,
+ * pagination and aggregation down into SQL instead of parsing the whole
+ * category JSON per request. The JSON files stay the source of truth; the DB
+ * is a derived, rebuildable index and the API falls back to JSON without it.
+ *
+ * Each row keeps the full canonical record as JSON plus the fields the API
+ * filters, sorts and aggregates on as typed, indexed columns.
+ */
+import { computeStableId } from './stable-id.js';
+
+export const RECORD_DB_FILE = 'records.db';
+
+// Bump when the table layout changes; the API ignores DBs of other versions.
+export const RECORD_DB_VERSION = 2;
+
+// Canonical metrics stored as REAL columns (m_<name>).
+export const METRIC_COLUMNS = [
+    'killed', 'injured', 'displaced', 'affected', 'demolished', 'detained', 'count', 'value',
+];
+
+// Canonical dot path → column. Anything else is read out of `record` JSON.
+export const PATH_COLUMNS = {
+    stable_id: 'stable_id',
+    date: 'date',
+    event_type: 'event_type',
+    'location.name': 'location_name',
+    'location.region': 'region',
+    'location.governorate': 'governorate',
+    'location.admin1': 'admin1',
+    'location.admin2': 'admin2',
+    'location.admin2_pcode': 'admin2_pcode',
+    'location.gazetteer_key': 'gazetteer_key',
+    ...Object.fromEntries(METRIC_COLUMNS.map((m) => [`metrics.${m}`, `m_${m}`])),
+};
+
+export const RECORD_DB_SCHEMA = `
+    CREATE TABLE records (
+        pos               INTEGER PRIMARY KEY,  -- order in all-data.json / partitions
+        stable_id         TEXT NOT NULL,
+        legacy_id         TEXT,
+        date              TEXT,
+        event_type        TEXT,
+        location_name     TEXT,
+        region            TEXT,
+        governorate       TEXT,
+        admin1            TEXT,
+        admin2            TEXT,
+        admin2_pcode      TEXT,
+        gazetteer_key     TEXT,
+        lat               REAL,                 -- recordCoordinates()
+        lon               REAL,
+        ${METRIC_COLUMNS.map((m) => `m_${m} REAL,`).join('\n        ')}
+        legacy_fatalities REAL,                 -- pre-canonical top-level fatalities
+        legacy_injuries   REAL,                 -- pre-canonical top-level injuries
+        source_names      TEXT NOT NULL,        -- JSON array, for the license gate
+        record            TEXT NOT NULL
+    );
+    CREATE INDEX idx_records_date          ON records(date);
+    CREATE INDEX idx_records_admin2        ON records(admin2 COLLATE NOCASE);
+    CREATE INDEX idx_records_gazetteer_key ON records(gazetteer_key);
+    CREATE INDEX idx_records_event_type    ON records(event_type);
+    CREATE INDEX idx_records_stable_id     ON records(stable_id);
+    -- Located rows only; filled by RECORD_RTREE_FILL once records are in.
+    CREATE VIRTUAL TABLE records_rtree USING rtree(pos, min_lat, max_lat, min_lon, max_lon);
+    CREATE TABLE meta (
+        key   TEXT PRIMARY KEY,
+        value TEXT
+    );
+`;
+
+/**
+ * [lat, lng] of a record — location.lat/lon as attach-locations.js stamps
+ * them, GeoJSON-order location.coordinates, or top-level latitude/longitude
+ * (Insecurity Insight rows) — or null when it has no usable point.
+ */
+export function recordCoordinates(record) {
+    const loc = record?.location || {};
+    const lat = num(loc.lat ?? loc.latitude ?? (Array.isArray(loc.coordinates) ? loc.coordinates[1] : record?.latitude));
+    const lng = num(loc.lon ?? loc.lng ?? loc.longitude ?? (Array.isArray(loc.coordinates) ? loc.coordinates[0] : record?.longitude));
+    if (lat === null || lng === null || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return [lat, lng];
+}
+
+export const RECORD_RTREE_FILL = `
+    INSERT INTO records_rtree (pos, min_lat, max_lat, min_lon, max_lon)
+    SELECT pos, lat, lat, lon, lon FROM records WHERE lat IS NOT NULL AND lon IS NOT NULL
+`;
+
+function text(v) {
+    return v === undefined || v === null ? null : String(v);
+}
+
+function num(v) {
+    if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+    if (typeof v === 'string' && v.trim() !== '') {
+        const n = Number(v);
+        return Number.isFinite(n) ? n : null;
+    }
+    return null;
+}
+
+/**
+ * Column values for one canonical record, in RECORD_INSERT_COLUMNS order.
+ */
+export function recordToRow(record, pos) {
+    const loc = record.location || {};
+    const m = record.metrics || {};
+    const point = recordCoordinates(record);
+    const sourceNames = (Array.isArray(record.sources) ? record.sources : [])
+        .map((s) => (typeof s === 'string' ? s : s?.name))
+        .filter(Boolean);
+    return [
+        pos,
+        record.stable_id || computeStableId(record),
+        text(record.id),
+        text(record.date),
+        text(record.event_type),
+        text(loc.name),
+        text(loc.region),
+        text(loc.governorate),
+        text(loc.admin1),
+        text(loc.admin2),
+        text(loc.admin2_pcode),
+        text(loc.gazetteer_key),
+        point ? point[0] : null,
+        point ? point[1] : null,
+        ...METRIC_COLUMNS.map((k) => num(m[k])),
+        num(record.fatalities),
+        num(record.injuries),
+        JSON.stringify(sourceNames),
+        JSON.stringify(record),
+    ];
+}
+
+export const RECORD_INSERT_COLUMNS = [
+    'pos', 'stable_id', 'legacy_id', 'date', 'event_type',
+    'location_name', 'region', 'governorate', 'admin1', 'admin2', 'admin2_pcode', 'gazetteer_key',
+    'lat', 'lon',
+    ...METRIC_COLUMNS.map((k) => `m_${k}`),
+    'legacy_fatalities', 'legacy_injuries', 'source_names', 'record',
+];
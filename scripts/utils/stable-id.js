@@ -78,6 +78,46 @@ export function computeStableId(record) {
     return h.slice(0, 32);
 }
 
+// Canonical fields that describe *what was measured or said* about a fact
+// rather than *which* fact it is. Changing any of these between pipeline runs
+// yields a new stable_id but the same logical key — i.e. a modification.
+// location is handled separately: only location.name identifies, the rest is
+// enrichment stamped later by attach-locations.js.
+const NON_IDENTITY_TOP_LEVEL = new Set([
+    'stable_id', 'id', 'schema_version', 'location', 'metrics', 'description',
+    'actors', 'severity_index', 'temporal_context', 'quality', 'sources',
+]);
+
+/**
+ * Logical identity of a record, stable across content revisions.
+ *
+ * stable_id changes whenever any content changes, so it cannot tell an
+ * updated record from a removed-and-added pair. The logical key can:
+ *   - when sources carry a `source_record_key` (upstream row ID), it is the
+ *     category plus those (source name, key) pairs;
+ *   - otherwise it is the category, date, event_type, location.name and any
+ *     category-specific top-level fields (indicator_code, name, dob, …) —
+ *     everything except the measurement fields listed above.
+ * Returned as 32 hex chars, like computeStableId.
+ */
+export function computeLogicalKey(record) {
+    const upstream = (Array.isArray(record.sources) ? record.sources : [])
+        .filter((s) => s && typeof s === 'object' && s.source_record_key != null)
+        .map((s) => `${s.name || s.organization || ''}:${s.source_record_key}`)
+        .sort();
+    let identity;
+    if (upstream.length) {
+        identity = { category: record.category ?? null, upstream };
+    } else {
+        identity = { location_name: record.location?.name ?? null };
+        for (const [k, v] of Object.entries(record)) {
+            if (!NON_IDENTITY_TOP_LEVEL.has(k)) identity[k] = v;
+        }
+    }
+    const json = JSON.stringify(canonicalize(identity));
+    return crypto.createHash('sha256').update(json).digest('hex').slice(0, 32);
+}
+
 /**
  * Attach stable_id to every record in a dataset. Safe to call multiple
  * times — stable_id is deterministic from content, not from position.
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for a customer's webhook endpoint: verifies
+ * X-PDB-Signature and prints each delivery. Register it with the API
+ * running under WEBHOOK_ALLOW_LOCAL=1 (plain http to localhost):
+ *
+ *   node scripts/webhook-receiver.js --secret whsec_… [--port 8787] [--fail 2]
+ *   curl -X POST localhost:3000/api/v1/me/webhooks -H "Authorization: Bearer pdb_live_…" \
+ *        -H 'Content-Type: application/json' \
+ *        -d '{"url":"http://127.0.0.1:8787/hook","category":"conflict","trigger":{"type":"new_records"}}'
+ *
+ * The secret comes back from that POST; restart the receiver with it.
+ * --fail N answers the first N deliveries with 500, to watch the retry
+ * schedule in GET /me/webhooks/:id/deliveries. Bad signatures get 401.
+ */
+import http from 'http';
+import { verifySignature, SIGNATURE_HEADER } from '../src/api/services/webhooks.js';
+
+function option(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i > 0 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
+
+const port = Number(option('port', 8787));
+const secret = option('secret', process.env.WEBHOOK_SECRET);
+let failures = Number(option('fail', 0));
+
+if (!secret) {
+    console.error('Usage: node scripts/webhook-receiver.js --secret whsec_… [--port 8787] [--fail N]');
+    process.exit(1);
+}
+
+http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const event = req.headers['x-pdb-event'];
+        const delivery = req.headers['x-pdb-delivery'];
+        if (!verifySignature(secret, body, req.headers[SIGNATURE_HEADER.toLowerCase()])) {
+            console.log(`✗ ${delivery} ${event}: bad signature`);
+            res.writeHead(401).end();
+            return;
+        }
+        if (failures > 0) {
+            failures--;
+            console.log(`… ${delivery} ${event}: verified, answering 500 (${failures} more to fail)`);
+            res.writeHead(500).end();
+            return;
+        }
+        const payload = JSON.parse(body);
+        const detail = payload.data?.total !== undefined
+            ? `${payload.data.total} record(s)`
+            : payload.data?.value !== undefined ? `${payload.data.period?.date} = ${payload.data.value} > ${payload.data.threshold}` : '';
+        console.log(`✓ ${delivery} ${event} ${payload.category} ${detail}`.trimEnd());
+        res.writeHead(204).end();
+    });
+}).listen(port, () => console.log(`webhook receiver on http://127.0.0.1:${port}/`));
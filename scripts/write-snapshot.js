@@ -22,8 +22,14 @@ const SNAPSHOT_DIR = path.join(UNIFIED_DIR, 'snapshots');
 const RETENTION = Number(process.env.SNAPSHOT_RETENTION_DAYS || 30);
 
 // Files we snapshot per category. Everything else (partition chunks, metadata)
-// can be re-derived; these are the two needed for `?as_of=` reads.
-const CATEGORY_FILES = ['all-data.json', 'stable-id-index.json', 'metadata.json'];
+// can be re-derived; these are the ones needed for `?as_of=` reads.
+// records.db (build-record-db.js) lets pinned reads use the SQL path too; it
+// is copied last so its mtime is never older than the JSON beside it, which
+// is how the API tells a current DB from a stale one — so it is only copied
+// when the source DB is already at least as new as that JSON.
+const CATEGORY_FILES = ['all-data.json', 'stable-id-index.json', 'metadata.json', 'records.db'];
+const RECORD_DB = 'records.db';
+const RECORD_DB_SOURCES = ['all-data.json', 'stable-id-index.json'];
 
 function todayISO() {
     return new Date().toISOString().slice(0, 10);
@@ -43,6 +49,26 @@ async function listCategoryDirs() {
     return out.sort();
 }
 
+// True when the category's records.db predates its JSON (the pipeline has
+// not rebuilt it since the last transform), or is missing.
+async function recordDbStale(catDir) {
+    let dbMtime;
+    try {
+        dbMtime = (await fs.stat(path.join(catDir, RECORD_DB))).mtimeMs;
+    } catch (err) {
+        if (err.code === 'ENOENT') return true;
+        throw err;
+    }
+    for (const f of RECORD_DB_SOURCES) {
+        try {
+            if ((await fs.stat(path.join(catDir, f))).mtimeMs > dbMtime) return true;
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+    return false;
+}
+
 async function writeSnapshot(date) {
     const targetRoot = path.join(SNAPSHOT_DIR, date);
     await fs.mkdir(targetRoot, { recursive: true });
@@ -55,6 +81,11 @@ async function writeSnapshot(date) {
         for (const fname of CATEGORY_FILES) {
             const src = path.join(UNIFIED_DIR, cat, fname);
             const dst = path.join(destDir, fname);
+            if (fname === RECORD_DB && await recordDbStale(path.join(UNIFIED_DIR, cat))) {
+                // Drop a DB left by an earlier run today; pinned reads use the JSON.
+                await fs.rm(dst, { force: true });
+                continue;
+            }
             try {
                 await fs.copyFile(src, dst);
                 written += 1;
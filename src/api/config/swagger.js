@@ -23,7 +23,19 @@ const sinceParam = param('since', 'query', 'ISO date filter (records on/after)',
 const untilParam = param('until', 'query', 'ISO date filter (records on/before)', { type: 'string', format: 'date' }, false, '2026-01-01');
 const limitParam = param('limit', 'query', 'Page size', { type: 'integer', default: 100, maximum: 1000 });
 const offsetParam = param('offset', 'query', 'Pagination offset', { type: 'integer', default: 0 });
+const feedParam = param('format', 'query', 'json (default) or a feed: atom, rss, jsonfeed. An Accept of application/atom+xml, application/rss+xml or application/feed+json does the same.', { type: 'string', enum: ['json', 'atom', 'rss', 'jsonfeed'], default: 'json' });
 const regionParam = param('region', 'query', 'Filter by region', { type: 'string', enum: ['Gaza Strip', 'West Bank', 'East Jerusalem'] });
+const filterParam = param('filter', 'query',
+    'Filter expression over canonical fields: = != > >= < <= ~ (contains), IN (…), NOT IN (…), combined with AND / OR / NOT and parentheses. Bare values run to the next AND/OR; quote values that contain them. Malformed expressions return 400 invalid_filter with the offending position and token.',
+    { type: 'string' }, false, 'metrics.injured>=5 AND event_type IN (airstrike,raid) AND location.admin1=Gaza Strip');
+
+// ?near= / ?within= / ?polygon= (utils/spatial.js), matched on location.lat/lon.
+const spatialParams = [
+    param('near', 'query', 'lat,lng — keep records within radius_km of this point and add distance_km to each; enables sort_by=distance_km (nearest first by default)', { type: 'string' }, false, '31.52,34.45'),
+    param('radius_km', 'query', 'Radius for near= in km', { type: 'number', default: 10, maximum: 500 }),
+    param('within', 'query', 'OCHA admin2 (or admin1) pcode; keep records inside that polygon', { type: 'string' }, false, 'PS0101'),
+    param('polygon', 'query', 'GeoJSON Polygon / MultiPolygon (or a Feature wrapping one), URL-encoded JSON or base64url; at most 5000 vertices', { type: 'string' }),
+];
 
 export const specs = {
     openapi: '3.0.0',
@@ -43,6 +55,8 @@ export const specs = {
             '```',
             'Authorization: Bearer YOUR_API_KEY',
             '```',
+            'Keyed tiers with a monthly cap get `X-RateLimit-Monthly-*` headers, an `X-Quota-Warning` header past 80% and 95% of the month, and `429 quota_exhausted` (with `resets_at`) once it is used up.',
+            'Keys minted with `scopes` (`POST /me/keys`) are limited to listed routes, categories, methods and origins; other calls get `403 insufficient_scope` naming the `missing_scope`.',
             '',
             '## Freshness & licensing',
             'Stale categories (>90 days since latest record) return a `Warning: 299` header and `metadata.stale: true`. Per-source licenses surfaced at `/licenses` — some sources are non-commercial (WHO, certain news, B\'Tselem records).',
@@ -73,6 +87,7 @@ export const specs = {
         { name: 'Live Checkpoints', description: 'Live checkpoint status + history' },
         { name: 'Live Context', description: 'Weather, market, prayer times, air quality, conditions' },
         { name: 'Trust', description: 'Snapshot pinning, citable IDs, license registry' },
+        { name: 'Maps', description: 'Vector tiles over facilities, admin boundaries, IPC polygons and events' },
         { name: 'Account', description: 'API key usage and billing (auth required)' },
     ],
     components: {
@@ -189,24 +204,194 @@ export const specs = {
                 [categoryParam, sinceParam, untilParam, regionParam,
                     param('location', 'query', 'Filter by location name (substring match)'),
                     param('event_type', 'query', 'Filter by event_type'),
+                    filterParam,
+                    ...spatialParams,
+                    param('sort_by', 'query', 'Sort field (dot paths allowed, or distance_km with near=); ties broken by stable_id', { type: 'string', default: 'date' }),
+                    param('order', 'query', 'Sort order', { type: 'string', enum: ['asc', 'desc'], default: 'desc' }),
+                    param('cursor', 'query', 'Opaque next_cursor / prev_cursor from a previous page. Keyed on (sort field, stable_id), so it stays valid across pipeline runs and with as_of; takes precedence over page.', { type: 'string' }),
                     limitParam, offsetParam,
-                    param('as_of', 'query', 'Read from a pinned daily snapshot (YYYY-MM-DD)', { type: 'string', format: 'date' })],
+                    param('as_of', 'query', 'Read from a pinned daily snapshot (YYYY-MM-DD)', { type: 'string', format: 'date' }),
+                    feedParam],
                 {
                     responses: {
-                        200: { description: 'Paginated records', content: { 'application/json': { schema: { $ref: '#/components/schemas/UnifiedResponse' } } } },
+                        200: { description: 'Paginated records; as a feed, the page newest first with one entry per record, linked to its /record permalink', content: { 'application/json': { schema: { $ref: '#/components/schemas/UnifiedResponse' } }, 'application/atom+xml': {}, 'application/rss+xml': {}, 'application/feed+json': {} } },
+                        400: { description: 'Bad as_of, invalid_filter, invalid_cursor, invalid_spatial_filter, unknown_admin_area or invalid_format' },
                         404: { description: 'Unknown category' },
                     },
                 }),
         },
         '/unified/{category}/summary': { get: tagged(['Unified Data'], 'Aggregated metrics for a category', [categoryParam, sinceParam, untilParam, regionParam]) },
         '/unified/{category}/timeseries': {
-            get: tagged(['Unified Data'], 'Time-series buckets',
+            get: tagged(['Unified Data'], 'Time-series buckets. Weeks are ISO-8601 (Monday start, 2021-01-01 is 2020-W53); each bucket carries its start/end day.',
                 [categoryParam,
                     param('metric', 'query', 'Metric to aggregate (count, sum of metrics.value, etc.)', { type: 'string', default: 'count' }),
-                    param('interval', 'query', 'Bucket interval', { type: 'string', enum: ['day', 'week', 'month', 'year'], default: 'month' }),
+                    param('interval', 'query', 'Bucket interval', { type: 'string', enum: ['day', 'week', 'month', 'quarter', 'year'], default: 'month' }),
+                    param('tz', 'query', 'IANA time zone timestamped records are bucketed in; plain dates keep their day', { type: 'string', default: 'UTC' }, false, 'Asia/Gaza'),
+                    param('fill', 'query', 'Emit empty periods between the first and last bucket as 0 or null', { type: 'string', enum: ['none', 'zero', 'null'], default: 'none' }),
+                    param('rolling', 'query', 'Add rolling_avg, the trailing mean over this many periods', { type: 'integer', enum: [7, 30, 90] }),
                     regionParam, sinceParam, untilParam]),
         },
+        '/unified/{category}/analytics': {
+            get: tagged(['Unified Data'], 'Statistics over the zero-filled /timeseries series: linear trend with r², autocorrelation seasonality, change points, anomalous periods (z-score or IQR) and a linear forecast with a 95% prediction band. Each section names its method.',
+                [categoryParam,
+                    param('metric', 'query', 'Metric to aggregate', { type: 'string', default: 'killed' }),
+                    param('interval', 'query', 'Bucket interval', { type: 'string', enum: ['day', 'week', 'month', 'quarter', 'year'], default: 'month' }),
+                    param('tz', 'query', 'IANA time zone for bucketing', { type: 'string', default: 'UTC' }),
+                    regionParam,
+                    param('anomaly_method', 'query', 'Anomaly test', { type: 'string', enum: ['zscore', 'iqr'], default: 'zscore' }),
+                    param('threshold', 'query', 'z-score threshold (default 3) or IQR multiplier (default 1.5)', { type: 'number' }),
+                    param('horizon', 'query', 'Periods to forecast (1-24)', { type: 'integer', default: 6 }),
+                    param('as_of', 'query', 'Read from a pinned daily snapshot (YYYY-MM-DD)', { type: 'string', format: 'date' })],
+                { responses: { 200: { description: '{ trend, seasonality, change_points, anomalies, forecast, data, meta }' }, 400: { description: 'Invalid parameter' }, 422: { description: 'Fewer than 4 periods' } } }),
+        },
+        '/pivot': {
+            get: tagged(['Unified Data'], 'Compare category/metric series in one table, grouped by admin area and period. Conflict killed/injured are folded as cumulative counters (per-region maxima, period deltas), as /timeseries does; license gate and attributions per series.',
+                [param('metrics', 'query', 'metric (for every category in categories=) or category:metric, comma-separated', { type: 'string' }, true, 'conflict:killed,land:demolished'),
+                    param('categories', 'query', 'Categories for unqualified metrics, comma-separated', { type: 'string' }),
+                    param('group_by', 'query', 'Any of admin1, admin2, region, gazetteer_key, event_type plus one of day, week (ISO), month, quarter, year', { type: 'string' }, false, 'admin2,month'),
+                    param('tz', 'query', 'IANA time zone for the time dimension', { type: 'string', default: 'UTC' }),
+                    param('from', 'query', 'Start (YYYY, YYYY-MM or YYYY-MM-DD)', { type: 'string' }),
+                    param('to', 'query', 'End (YYYY, YYYY-MM or YYYY-MM-DD)', { type: 'string' }),
+                    param('format', 'query', 'long rows or a wide matrix', { type: 'string', enum: ['long', 'wide'], default: 'long' })],
+                { responses: { 200: { description: '{ series, group_by, columns, data, meta: { series } }' }, 400: { description: 'invalid_pivot or pivot_too_large' } } }),
+        },
+        '/unified/{category}/export': {
+            get: tagged(['Unified Data'], 'Stream the whole filtered category from disk (no pagination). Same filters, license gate and as_of pinning as /unified/{category}; attributions in the X-Required-Attributions header. CSV/Parquet flatten location.* and metrics.* into columns.',
+                [categoryParam,
+                    param('format', 'query', 'Output format', { type: 'string', enum: ['csv', 'ndjson', 'parquet'], default: 'ndjson' }),
+                    param('start_date', 'query', 'Records on/after (YYYY-MM-DD)', { type: 'string', format: 'date' }),
+                    param('end_date', 'query', 'Records on/before (YYYY-MM-DD)', { type: 'string', format: 'date' }),
+                    regionParam,
+                    param('location', 'query', 'Filter by location name (substring match)'),
+                    param('admin2', 'query', 'OCHA governorate (exact, case-insensitive)'),
+                    param('gazetteer_key', 'query', 'Shared gazetteer key (exact)'),
+                    param('event_type', 'query', 'Filter by event_type'),
+                    filterParam,
+                    ...spatialParams,
+                    param('as_of', 'query', 'Read from a pinned daily snapshot (YYYY-MM-DD)', { type: 'string', format: 'date' })],
+                {
+                    responses: {
+                        200: {
+                            description: 'Streamed attachment',
+                            content: { 'text/csv': {}, 'application/x-ndjson': {}, 'application/vnd.apache.parquet': {} },
+                        },
+                        400: { description: 'Unknown format, bad as_of, invalid_filter or invalid_spatial_filter' },
+                        404: { description: 'Unknown category' },
+                    },
+                }),
+        },
+        '/unified/{category}/changes': {
+            get: tagged(['Unified Data'], 'Incremental change feed: records added, removed or modified (same logical key, new stable_id content hash) between a retained snapshot and a later snapshot or live data. Ordered by stable_id; removals carry ids only.',
+                [categoryParam,
+                    param('since', 'query', 'Base snapshot (resolves to the latest retained one on or before)', { type: 'string', format: 'date' }, true, '2026-06-01'),
+                    param('until', 'query', 'Target snapshot (default: live data)', { type: 'string', format: 'date' }),
+                    param('change', 'query', 'Comma list of change types', { type: 'string' }, false, 'added,modified'),
+                    param('cursor', 'query', 'Opaque next_cursor / prev_cursor from a previous page', { type: 'string' }),
+                    param('limit', 'query', 'Page size', { type: 'integer', default: 100, maximum: 1000 })],
+                {
+                    responses: {
+                        200: { description: 'Paginated change entries with summary counts' },
+                        400: { description: 'Bad since/until/change or invalid_cursor' },
+                        404: { description: 'No snapshot on or before since/until, or category not in snapshot' },
+                    },
+                }),
+        },
         '/unified/{category}/metadata': { get: tagged(['Unified Data'], 'Schema + provenance for a category', [categoryParam]) },
+        '/graphql': {
+            post: tagged(['Unified Data'], 'GraphQL over unified records, event clusters, sources and licenses — walk record → clusters → siblings → sources → license in one request. Schema generated from canonical-schema.js (introspectable). Queries are costed before they run and charged at one rate-limit point per 10 cost units (max 5000); paid tiers get the same license gate as /unified, and attributions are in extensions.required_attributions.',
+                [],
+                {
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                example: {
+                                    query: 'query($id: ID!) { record(category: "conflict", id: $id) { date clusters { week siblings { category record { stable_id sources { name license { license_id attribution_text } } } } } } }',
+                                    variables: { id: '<stable_id>' },
+                                },
+                            },
+                        },
+                    },
+                    responses: {
+                        200: { description: '{ data, errors?, extensions: { cost, records_hidden_by_license, required_attributions } }' },
+                        400: { description: 'Syntax/validation error, bad variables, or query_too_expensive' },
+                        429: { description: 'Query cost exceeds the remaining rate limit' },
+                    },
+                }),
+            get: tagged(['Unified Data'], 'GraphQL over GET (?query=&variables=<json>&operationName=)',
+                [param('query', 'query', 'GraphQL document', { type: 'string' }, true, '{ categories }'),
+                    param('variables', 'query', 'JSON-encoded variables', { type: 'string' }),
+                    param('operationName', 'query', 'Operation to run when the document has several', { type: 'string' })]),
+        },
+
+        '/geo/admin/lookup': {
+            get: tagged(['Maps'], 'Reverse geocode one point: containing admin1/admin2 (admin3 where the boundary release has it), the locality (admin3 or the nearest adminpoints locality) and the nearest gazetteer place with distance_km',
+                [param('lat', 'query', 'Latitude', { type: 'number' }, true, 32.46),
+                    param('lng', 'query', 'Longitude', { type: 'number' }, true, 35.3)],
+                { responses: { 200: { description: 'Admin hits and nearest place' }, 400: { description: 'lat and lng required' } } }),
+            post: tagged(['Maps'], 'Batch reverse geocode up to 10,000 points. Results follow input order; unreadable points get error: invalid_point. Charged as one request per 500 points against the rate limit.', [], {
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    points: {
+                                        type: 'array',
+                                        maxItems: 10000,
+                                        items: {
+                                            type: 'object',
+                                            required: ['lat', 'lng'],
+                                            properties: { lat: { type: 'number' }, lng: { type: 'number' }, id: { description: 'Echoed back on the result' } },
+                                        },
+                                    },
+                                },
+                            },
+                            example: { points: [{ id: 'a1', lat: 32.46, lng: 35.3 }, { id: 'a2', lat: 31.52, lng: 34.45 }] },
+                        },
+                    },
+                },
+                responses: {
+                    200: { description: '{ count, invalid, results: [{ id?, query, admin1, admin2, admin3, locality, nearest_place } | { id?, error }] }' },
+                    400: { description: 'invalid_body, invalid_json or too_many_points' },
+                    413: { description: 'Body over 2 MB' },
+                },
+            }),
+        },
+        '/places': {
+            get: tagged(['Maps'], 'Search gazetteer places by name — Arabic or Latin, transliteration variants ("Jenin", "جنين", "Janin") and small typos. Best match first.',
+                [param('q', 'query', 'Place name', { type: 'string' }, true, 'Jenin'),
+                    param('limit', 'query', 'Results (default 10, max 50)', { type: 'integer' })],
+                { responses: { 200: { description: '{ query, count, results: [{ gazetteer_key, name_en, name_ar, lat, lng, admin1, admin2, admin2_pcode, score, matched }] }' }, 400: { description: 'missing_query' } } }),
+        },
+        '/places/{gazetteer_key}': {
+            get: tagged(['Maps'], 'One gazetteer place with its record counts per unified category and links to its event clusters',
+                [param('gazetteer_key', 'path', 'Gazetteer key (location.gazetteer_key on unified records)', { type: 'string' }, true, 'jenin')],
+                { responses: { 200: { description: 'Place, records.by_category and clusters (null until build-events.js has run)' }, 404: { description: 'unknown_place' } } }),
+        },
+        '/places/{key}/profile': {
+            get: tagged(['Maps'], 'One document about a locality or governorate: conflict/demolition/displacement monthly timelines from unified records, OSM facility counts, ACLED monthly aggregates, IPC phase, HAPI baseline population, latest news and recent event clusters. Each section carries its attribution and is null when its dataset is missing.',
+                [param('key', 'path', 'Gazetteer key or OCHA admin2 pcode', { type: 'string' }, true, 'jenin')],
+                { responses: { 200: { description: '{ data: { place, timelines, facilities, acled, ipc, population, news, clusters } }' }, 404: { description: 'unknown_place' } } }),
+        },
+        '/tiles': { get: tagged(['Maps'], 'Vector tile layers with TileJSON and tile URL templates') },
+        '/tiles/{layer}.json': {
+            get: tagged(['Maps'], 'TileJSON 3.0 for a layer: tile URL template, bounds, fields, attribution and license_id',
+                [param('layer', 'path', 'Tile layer (see GET /tiles)', { type: 'string' }, true, 'admin2'),
+                    param('source', 'query', 'Facility source, as /facilities/:layer', { type: 'string' }),
+                    param('categories', 'query', 'events only — comma-separated unified categories', { type: 'string' })]),
+        },
+        '/tiles/{layer}/{z}/{x}/{y}.mvt': {
+            get: tagged(['Maps'], 'One Mapbox Vector Tile, cut on request and simplified per zoom. Attribution in X-Attribution / X-License; 204 when the tile is empty.',
+                [param('layer', 'path', 'Tile layer (see GET /tiles)', { type: 'string' }, true, 'health'),
+                    param('z', 'path', 'Zoom (0-22; detail kept to 14)', { type: 'integer' }, true, 10),
+                    param('x', 'path', 'Tile column', { type: 'integer' }, true, 610),
+                    param('y', 'path', 'Tile row', { type: 'integer' }, true, 416),
+                    param('source', 'query', 'Facility source, as /facilities/:layer', { type: 'string' }),
+                    param('categories', 'query', 'events only — comma-separated unified categories', { type: 'string' })],
+                { responses: { 200: { description: 'application/vnd.mapbox-vector-tile' }, 204: { description: 'Empty tile' }, 400: { description: 'invalid_tile or unknown_source' } } }),
+        },
 
         '/search': {
             get: tagged(['Search'], 'Full-text search across all categories',
@@ -230,6 +415,51 @@ export const specs = {
             get: tagged(['News'], 'Aggregated news headlines from 11 outlets (Al Jazeera, BBC ME, Haaretz, ToI, Mondoweiss, Amnesty, HRW, ReliefWeb, MEE, MEMonitor, EI). Fair-use only — not redistributable.',
                 [limitParam, param('source', 'query', 'Filter by outlet')]),
         },
+        '/news/latest': {
+            get: tagged(['News'], 'Latest headlines, newest first. As a feed (?format=atom|rss|jsonfeed) each entry links to the publisher and carries the fair-use notice.',
+                [param('limit', 'query', 'Page size', { type: 'integer', default: 50, maximum: 200 }),
+                    param('source', 'query', 'Filter by outlet'), feedParam],
+                { responses: { 200: { description: 'Articles, or a feed', content: { 'application/json': {}, 'application/atom+xml': {}, 'application/rss+xml': {}, 'application/feed+json': {} } }, 400: { description: 'invalid_format' } } }),
+        },
+        '/news/search': {
+            get: tagged(['News'], 'BM25-ranked full-text search over article titles, descriptions and bodies, with highlighted snippets. Arabic hamza/alef, taa marbuta, alef maqsura and tashkeel variants match each other; English is stemmed.', [
+                param('q', 'query', 'Terms, "exact phrases", AND / OR / NOT (binary: a NOT b), parentheses, prefix*', { type: 'string' }, true, '"West Bank" AND (raid OR demolition*)'),
+                param('sort', 'query', 'relevance (default) or date (newest first)', { type: 'string', enum: ['relevance', 'date'] }),
+                param('limit', 'query', 'Page size', { type: 'integer', default: 20, maximum: 100 }),
+                param('offset', 'query', 'Results to skip', { type: 'integer', default: 0 }),
+                param('source', 'query', 'Filter by outlet'),
+                param('language', 'query', 'Filter by language (en, ar)'),
+                param('since', 'query', 'Published on/after (ISO date)', { type: 'string', format: 'date' }),
+            ], {
+                responses: {
+                    200: { description: 'Ranked articles with `score` and `highlights` (title, snippet)', content: { 'application/json': {} } },
+                    400: { description: 'invalid_query — the message says what is wrong with q' },
+                    503: { description: 'search_unavailable — news.db has no full-text index yet' },
+                },
+            }),
+        },
+
+        '/news/sources': {
+            get: tagged(['News'], 'Every configured feed with its article count, reliability rating and fetch health: status (ok / failing / disabled / pending), adaptive interval, publishing rate, conditional-request support, last error and next fetch.'),
+        },
+        '/news/{id}': {
+            get: tagged(['News'], 'One article, with the places its entities resolved to (gazetteer_key, admin2) and `related_events` — the event clusters for those places in its ISO week, linked by scripts/link-news-events.js',
+                [param('id', 'path', 'Article id', { type: 'integer' }, true)]),
+        },
+        '/news/stories': {
+            get: tagged(['News'], 'Articles grouped into stories — one per event, across outlets — by MinHash similarity of title and body, shared places and a 48-hour window. Newest activity first.', [
+                param('limit', 'query', 'Page size', { type: 'integer', default: 20, maximum: 100 }),
+                param('offset', 'query', 'Stories to skip', { type: 'integer', default: 0 }),
+                param('since', 'query', 'Latest article on/after (ISO date)', { type: 'string', format: 'date' }),
+                param('language', 'query', 'Filter by language (en, ar)'),
+                param('min_sources', 'query', 'Only stories covered by at least this many outlets', { type: 'integer' }),
+                param('place', 'query', 'Only stories naming this known_locations key', { type: 'string' }, false, 'jenin'),
+            ]),
+        },
+        '/news/stories/{id}': {
+            get: tagged(['News'], 'One story: every outlet that covered it with its reliability rating, and the member articles with their similarity and near-duplicate flag',
+                [param('id', 'path', 'Story id', { type: 'integer' }, true)]),
+        },
 
         '/live/alerts/latest': {
             get: {
@@ -254,10 +484,39 @@ export const specs = {
                     param('min_confidence', 'query', 'Minimum confidence', { type: 'number' }),
                     param('per_page', 'query', 'Page size (max 200)', { type: 'integer', default: 50, maximum: 200 }),
                     param('page', 'query', 'Page number', { type: 'integer', default: 1 }),
+                    feedParam,
                 ],
-                responses: { 200: { description: 'Paginated alerts', content: { 'application/json': {} } } },
+                responses: {
+                    200: { description: 'Paginated alerts, or a feed of the page', content: { 'application/json': {}, 'application/atom+xml': {}, 'application/rss+xml': {}, 'application/feed+json': {} } },
+                    400: { description: 'invalid_format' },
+                },
             },
         },
+        '/baselines': {
+            get: tagged(['Live Alerts'], 'Historical baselines from baseline-analyzer.js: 7/30/90-day and 12-month counts, weekly averages, p90 and the past 52 weekly counts per region and per area × event_type',
+                [param('area', 'query', 'Area name (case-insensitive); returns area keys only unless region is also set', { type: 'string' }, false, 'Jenin'),
+                    param('region', 'query', 'Region (case-insensitive); returns region keys only unless area is also set', { type: 'string' }, false, 'West Bank'),
+                    param('event_type', 'query', 'Alert/record event_type', { type: 'string' }, false, 'idf_raid')],
+                { responses: { 200: { description: '{ window_ends, regions, areas }' }, 503: { description: 'data_unavailable' } } }),
+        },
+        '/baselines/contextualize': {
+            post: tagged(['Live Alerts'], 'Place up to 200 alerts (alerts-service shape) against the baselines: Nth event in the area in 30 days vs the 90-day weekly average, percentile rank of the current 7-day count among the past 52 weeks, and unusual: true at the 90th percentile or above. Area baselines are preferred over region ones. Charged as one request per 10 alerts against the rate limit.', [], {
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            example: { alerts: [{ id: 17, type: 'idf_raid', area: 'Jenin', zone: 'north', timestamp: '2024-09-21T08:00:00Z' }] },
+                        },
+                    },
+                },
+                responses: {
+                    200: { description: '{ window_ends, count, unusual, results: [{ id, event_type, area, region, date, context }] }' },
+                    400: { description: 'invalid_body or too_many_alerts' },
+                    429: { description: 'Rate limit exceeded for the batch size' },
+                    503: { description: 'data_unavailable' },
+                },
+            }),
+        },
         '/live/alerts/{id}': { get: tagged(['Live Alerts'], 'Fetch a single alert by ID', [param('id', 'path', 'Alert ID', { type: 'integer' }, true)]) },
         '/live/alerts/active': { get: tagged(['Live Alerts'], 'Currently-active alerts only (not retracted, recent)') },
         '/live/sirens': { get: tagged(['Live Alerts'], 'Recent siren events only') },
@@ -317,6 +576,153 @@ export const specs = {
                 responses: { 200: { description: 'Usage', content: { 'application/json': {} } }, 401: { description: 'Missing/invalid API key' } },
             },
         },
+        '/me/keys': {
+            get: {
+                tags: ['Account'],
+                summary: 'List the account\'s API keys (prefix, tier, label, status, last_used_at, revocation)',
+                security: [{ bearerAuth: [] }],
+                responses: { 200: { description: 'Keys', content: { 'application/json': {} } }, 401: { description: 'Missing/invalid API key' } },
+            },
+            post: {
+                tags: ['Account'],
+                summary: 'Mint another key on the caller\'s tier (for rotation); the raw key is returned once',
+                security: [{ bearerAuth: [] }],
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    label: { type: 'string', maxLength: 64 },
+                                    scopes: {
+                                        type: 'object',
+                                        description: 'Optional restrictions, fixed for the key\'s lifetime; omitted dimensions are unrestricted.',
+                                        properties: {
+                                            routes: { type: 'array', items: { type: 'string' }, example: ['/unified', '/record'] },
+                                            categories: { type: 'array', items: { type: 'string' }, example: ['conflict'] },
+                                            methods: { type: 'array', items: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] } },
+                                            origins: { type: 'array', items: { type: 'string' }, example: ['https://dashboard.example.org'] },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    201: { description: 'New key', content: { 'application/json': {} } },
+                    400: { description: 'invalid_label or invalid_scopes' },
+                    403: { description: 'insufficient_scope — managing keys needs an unscoped key' },
+                    409: { description: 'key_limit_reached — at most 5 active keys' },
+                },
+            },
+        },
+        '/me/keys/{id}': {
+            patch: {
+                tags: ['Account'],
+                summary: 'Set or clear (null) a key label',
+                security: [{ bearerAuth: [] }],
+                parameters: [param('id', 'path', 'Key id from GET /me/keys', { type: 'integer' }, true)],
+                requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { label: { type: 'string', nullable: true, maxLength: 64 } } } } } },
+                responses: { 200: { description: 'Updated key', content: { 'application/json': {} } }, 404: { description: 'key_not_found' } },
+            },
+            delete: {
+                tags: ['Account'],
+                summary: 'Revoke a key permanently, with an optional reason',
+                security: [{ bearerAuth: [] }],
+                parameters: [param('id', 'path', 'Key id from GET /me/keys', { type: 'integer' }, true)],
+                requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { reason: { type: 'string', maxLength: 200 } } } } } },
+                responses: {
+                    200: { description: 'Revoked key', content: { 'application/json': {} } },
+                    404: { description: 'key_not_found' },
+                    409: { description: 'key_already_revoked or last_active_key' },
+                },
+            },
+        },
+        '/me/webhooks': {
+            get: {
+                tags: ['Account'],
+                summary: 'List the account\'s webhooks (without secrets)',
+                security: [{ bearerAuth: [] }],
+                responses: { 200: { description: 'Webhooks', content: { 'application/json': {} } }, 401: { description: 'Missing/invalid API key' } },
+            },
+            post: {
+                tags: ['Account'],
+                summary: 'Register an HTTPS callback for new matching records or a threshold breach; the signing secret is returned once',
+                description: 'Deliveries are JSON POSTs signed with `X-PDB-Signature: t=<unix>,v1=<hex HMAC-SHA256 of "<t>.<body>">`, retried with backoff for about 45 hours.',
+                security: [{ bearerAuth: [] }],
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['url', 'category', 'trigger'],
+                                properties: {
+                                    url: { type: 'string', example: 'https://example.org/hooks/pdb' },
+                                    category: { type: 'string', example: 'conflict' },
+                                    filter: { type: 'object', description: '/unified/:category query parameters', example: { admin2: 'Jenin' } },
+                                    trigger: {
+                                        type: 'object',
+                                        properties: {
+                                            type: { type: 'string', enum: ['new_records', 'threshold'] },
+                                            metric: { type: 'string', description: 'threshold: a metric or count (default)' },
+                                            interval: { type: 'string', enum: ['day', 'week', 'month'] },
+                                            above: { description: 'threshold: a number, or "p90" for the area\'s weekly baseline', oneOf: [{ type: 'number' }, { type: 'string', enum: ['p90'] }] },
+                                        },
+                                        example: { type: 'threshold', metric: 'killed', interval: 'week', above: 'p90' },
+                                    },
+                                    label: { type: 'string', maxLength: 64 },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    201: { description: 'Webhook with its secret', content: { 'application/json': {} } },
+                    400: { description: 'invalid_url, invalid_category, invalid_filter or invalid_trigger' },
+                    403: { description: 'insufficient_scope — category outside the key\'s scopes' },
+                    409: { description: 'webhook_limit_reached — at most 10 webhooks' },
+                },
+            },
+        },
+        '/me/webhooks/{id}': {
+            get: {
+                tags: ['Account'],
+                summary: 'One webhook',
+                security: [{ bearerAuth: [] }],
+                parameters: [param('id', 'path', 'Webhook id from GET /me/webhooks', { type: 'integer' }, true)],
+                responses: { 200: { description: 'Webhook', content: { 'application/json': {} } }, 404: { description: 'webhook_not_found' } },
+            },
+            delete: {
+                tags: ['Account'],
+                summary: 'Delete a webhook and its delivery log',
+                security: [{ bearerAuth: [] }],
+                parameters: [param('id', 'path', 'Webhook id from GET /me/webhooks', { type: 'integer' }, true)],
+                responses: { 200: { description: 'Deleted webhook', content: { 'application/json': {} } }, 404: { description: 'webhook_not_found' } },
+            },
+        },
+        '/me/webhooks/{id}/deliveries': {
+            get: {
+                tags: ['Account'],
+                summary: 'Delivery log, newest first: status, attempts, last response status and error, next retry',
+                security: [{ bearerAuth: [] }],
+                parameters: [
+                    param('id', 'path', 'Webhook id from GET /me/webhooks', { type: 'integer' }, true),
+                    param('status', 'query', 'Only deliveries in this state', { type: 'string', enum: ['pending', 'delivered', 'failed'] }),
+                    param('limit', 'query', 'Max deliveries (1–200)', { type: 'integer', default: 50 }),
+                ],
+                responses: { 200: { description: 'Deliveries', content: { 'application/json': {} } }, 404: { description: 'webhook_not_found' } },
+            },
+        },
+        '/me/webhooks/{id}/ping': {
+            post: {
+                tags: ['Account'],
+                summary: 'Queue a signed test delivery',
+                security: [{ bearerAuth: [] }],
+                parameters: [param('id', 'path', 'Webhook id from GET /me/webhooks', { type: 'integer' }, true)],
+                responses: { 202: { description: 'Queued', content: { 'application/json': {} } }, 404: { description: 'webhook_not_found' } },
+            },
+        },
         '/billing/checkout': {
             post: {
                 tags: ['Account'],
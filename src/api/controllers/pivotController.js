@@ -0,0 +1,217 @@
+import { listCategories, getUnifiedData } from '../utils/fileService.js';
+import { filterRecordsByLicense, collectRequiredAttributions } from '../middleware/licenseFilter.js';
+import { openRecordStore } from '../utils/recordStore.js';
+import {
+    GROUP_DIMENSIONS, INTERVALS, isCumulativeMetric, isValidTimeZone, timeseriesRowsFromRecords, buildSeries,
+} from '../utils/timeseries.js';
+import { buildRecordFilter } from './unifiedController.js';
+import { categoryInScope, sendScopeError } from '../utils/keyScopes.js';
+import { METRIC_COLUMNS } from '../../../scripts/utils/record-db.js';
+
+const TIME_DIMENSIONS = INTERVALS;
+const MAX_SERIES = 12;
+const MAX_CELLS = 50000;
+
+const csv = (v) => String(v || '').split(',').map((s) => s.trim()).filter(Boolean);
+
+// from/to as YYYY, YYYY-MM or YYYY-MM-DD → the first / last day it covers.
+function readBound(value, end) {
+    const m = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(String(value));
+    if (!m) return null;
+    const [, y, mo, d] = m;
+    if (d) return `${y}-${mo}-${d}`;
+    if (mo) {
+        if (!end) return `${y}-${mo}-01`;
+        const last = new Date(Date.UTC(Number(y), Number(mo), 0)).getUTCDate();
+        return `${y}-${mo}-${String(last).padStart(2, '0')}`;
+    }
+    return end ? `${y}-12-31` : `${y}-01-01`;
+}
+
+const invalid = (message, extra = {}) => ({ error: { error: 'invalid_pivot', message, ...extra } });
+
+/**
+ * Validate the /pivot query. Metrics are `metric` (for every listed
+ * category) or `category:metric` (for that one), so "killed in conflict vs
+ * demolished in land" is metrics=conflict:killed,land:demolished.
+ * Returns { series, geoDims, timeDim, tz, startDate, endDate, format },
+ * { error } with a ready-to-send 400 body, or { missingScope } when a
+ * category is outside the key's scopes.
+ */
+function parsePivotQuery(query, available, scopes) {
+    const categories = csv(query.categories);
+    const metrics = csv(query.metrics);
+    if (!metrics.length) return invalid('metrics is required, e.g. metrics=killed or metrics=conflict:killed,land:demolished');
+
+    const series = [];
+    for (const m of metrics) {
+        const [cat, metric] = m.includes(':') ? m.split(':') : [null, m];
+        if (!METRIC_COLUMNS.includes(metric)) return invalid(`Unknown metric "${metric}"`, { metrics_available: METRIC_COLUMNS });
+        const cats = cat ? [cat] : categories;
+        if (!cats.length) return invalid(`Metric "${metric}" needs categories= or a category: prefix`);
+        for (const c of cats) {
+            if (!series.some((s) => s.category === c && s.metric === metric)) series.push({ category: c, metric });
+        }
+    }
+    // Scopes first, so a scoped key learns nothing about other categories.
+    const outOfScope = series.find((s) => !categoryInScope(scopes, s.category));
+    if (outOfScope) return { missingScope: `category:${outOfScope.category.toLowerCase()}` };
+    const unknownCategory = series.find((s) => !available.includes(s.category));
+    if (unknownCategory) return invalid(`Unknown category "${unknownCategory.category}"`, { categories_available: available });
+    if (series.length > MAX_SERIES) return invalid(`At most ${MAX_SERIES} category/metric series per request`);
+
+    const groupBy = [...new Set(csv(query.group_by))];
+    const timeDims = groupBy.filter((d) => TIME_DIMENSIONS.includes(d));
+    const unknown = groupBy.filter((d) => !TIME_DIMENSIONS.includes(d) && !GROUP_DIMENSIONS[d]);
+    if (unknown.length) {
+        return invalid(`Unknown group_by dimension "${unknown[0]}"`, {
+            dimensions_available: [...Object.keys(GROUP_DIMENSIONS), ...TIME_DIMENSIONS],
+        });
+    }
+    if (timeDims.length > 1) return invalid(`group_by takes at most one of ${TIME_DIMENSIONS.join(', ')}`);
+
+    const tz = query.tz || 'UTC';
+    if (!isValidTimeZone(tz)) return invalid('tz must be an IANA time zone, e.g. Asia/Gaza');
+
+    const startDate = query.from ? readBound(query.from, false) : null;
+    const endDate = query.to ? readBound(query.to, true) : null;
+    if ((query.from && !startDate) || (query.to && !endDate)) return invalid('from and to must be YYYY, YYYY-MM or YYYY-MM-DD');
+
+    const format = query.format || 'long';
+    if (!['long', 'wide'].includes(format)) return invalid('format must be long or wide');
+
+    return {
+        series,
+        geoDims: groupBy.filter((d) => GROUP_DIMENSIONS[d]),
+        timeDim: timeDims[0] || null,
+        tz,
+        startDate,
+        endDate,
+        format,
+    };
+}
+
+// (date, region[, dims]) rows for one series, license-gated for `tier`:
+// records.db when available, else the category JSON.
+async function seriesRows({ category, metric }, { geoDims, startDate, endDate }, tier) {
+    const cumulative = isCumulativeMetric(category, metric);
+    const query = { start_date: startDate, end_date: endDate };
+    const store = await openRecordStore(category);
+    const view = store?.timeseriesRows({ tier, metric, cumulative, query, dims: geoDims });
+    if (view) return { ...view, engine: 'sqlite' };
+
+    const result = await getUnifiedData(category);
+    const { records, hidden } = filterRecordsByLicense(result?.data || [], tier);
+    const { keep } = buildRecordFilter(query);
+    const data = records.filter((item) => item.date && (!keep || keep(item)));
+    return {
+        rows: timeseriesRowsFromRecords(data, metric, cumulative, geoDims),
+        hidden,
+        required_attributions: collectRequiredAttributions(data),
+        engine: 'json',
+    };
+}
+
+/**
+ * GET /api/v1/pivot
+ * Several category/metric series side by side, grouped by any of admin1,
+ * admin2, region, gazetteer_key, event_type and one time dimension.
+ * Conflict killed/injured keep getTimeseries' cumulative handling: per
+ * region maxima, then period deltas (or the plain total without a time
+ * dimension). format=long (default) gives one row per series × group;
+ * format=wide one row per group with a `<category>:<metric>` column each.
+ */
+export async function getPivot(req, res) {
+    try {
+        const scopes = req.customer?.scopes;
+        const parsed = parsePivotQuery(req.query, await listCategories(), scopes);
+        if (parsed.missingScope) return sendScopeError(res, parsed.missingScope, scopes);
+        if (parsed.error) return res.status(400).json(parsed.error);
+        const { series, geoDims, timeDim, tz, format } = parsed;
+        const tier = req.customer?.tier;
+
+        const long = [];
+        const meta = {};
+        for (const s of series) {
+            const view = await seriesRows(s, parsed, tier);
+            const cumulative = isCumulativeMetric(s.category, s.metric);
+            const groups = new Map();
+            for (const row of view.rows) {
+                const key = JSON.stringify(geoDims.map((d) => row[d]));
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            }
+            for (const [key, rows] of groups) {
+                const dims = Object.fromEntries(JSON.parse(key).map((v, i) => [geoDims[i], v]));
+                for (const cell of buildSeries(rows, timeDim || 'all', cumulative, { tz })) {
+                    long.push({
+                        category: s.category,
+                        metric: s.metric,
+                        ...dims,
+                        ...(timeDim ? { [timeDim]: cell.date } : {}),
+                        value: cell.value,
+                        count: cell.count,
+                    });
+                }
+            }
+            if (long.length > MAX_CELLS) {
+                return res.status(400).json({
+                    error: 'pivot_too_large',
+                    message: `More than ${MAX_CELLS} cells; narrow from/to or group_by`,
+                });
+            }
+            meta[`${s.category}:${s.metric}`] = {
+                cumulative,
+                records_hidden_by_license: view.hidden,
+                required_attributions: view.required_attributions,
+                query_engine: view.engine,
+            };
+        }
+
+        const dimensions = timeDim ? [...geoDims, timeDim] : geoDims;
+        const byDims = (a, b) => {
+            for (const d of dimensions) {
+                const c = String(a[d]).localeCompare(String(b[d]));
+                if (c) return c;
+            }
+            return 0;
+        };
+
+        let data;
+        if (format === 'wide') {
+            const rows = new Map();
+            for (const cell of long) {
+                const key = JSON.stringify(dimensions.map((d) => cell[d]));
+                if (!rows.has(key)) {
+                    rows.set(key, {
+                        ...Object.fromEntries(dimensions.map((d) => [d, cell[d]])),
+                        ...Object.fromEntries(series.map((s) => [`${s.category}:${s.metric}`, null])),
+                    });
+                }
+                rows.get(key)[`${cell.category}:${cell.metric}`] = cell.value;
+            }
+            data = [...rows.values()].sort(byDims);
+        } else {
+            const order = new Map(series.map((s, i) => [`${s.category}:${s.metric}`, i]));
+            data = long.sort((a, b) => order.get(`${a.category}:${a.metric}`) - order.get(`${b.category}:${b.metric}`)
+                || byDims(a, b));
+        }
+
+        res.json({
+            series: series.map((s) => `${s.category}:${s.metric}`),
+            group_by: dimensions,
+            from: parsed.startDate,
+            to: parsed.endDate,
+            tz,
+            format,
+            columns: format === 'wide'
+                ? [...dimensions, ...series.map((s) => `${s.category}:${s.metric}`)]
+                : ['category', 'metric', ...dimensions, 'value', 'count'],
+            data,
+            meta: { series: meta },
+        });
+    } catch (error) {
+        console.error('Error in getPivot:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
@@ -1,4 +1,5 @@
 import { search, isSearchReady } from '../services/searchService.js';
+import { categoryInScope, sendScopeError } from '../utils/keyScopes.js';
 
 const MAX_LIMIT = 100;
 const SEARCH_TIMEOUT_MS = 2000;
@@ -21,6 +22,11 @@ export async function searchController(req, res) {
             return res.status(400).json({ error: 'Query parameter "q" is required' });
         }
 
+        const scopes = req.customer?.scopes;
+        if (category && !categoryInScope(scopes, category)) {
+            return sendScopeError(res, `category:${String(category).toLowerCase()}`, scopes);
+        }
+
         if (!isSearchReady()) {
             return res.status(503).json({ error: 'Search service is initializing, please try again shortly' });
         }
@@ -30,7 +36,11 @@ export async function searchController(req, res) {
 
         const options = { limit };
         if (fuzzy) options.fuzzy = parseFloat(fuzzy);
-        if (category) options.filter = (result) => result.category === category;
+        // Category-scoped keys only see previews from their categories.
+        const tests = [];
+        if (category) tests.push((result) => result.category === category);
+        if (scopes?.categories) tests.push((result) => categoryInScope(scopes, result.category));
+        if (tests.length) options.filter = (result) => tests.every((t) => t(result));
 
         const results = await withTimeout(() => search(q, options), SEARCH_TIMEOUT_MS);
 
@@ -1,6 +1,24 @@
-import { getUnifiedData, getUnifiedMetadata, categoryExists, resolveSnapshot } from '../utils/fileService.js';
+import {
+    getUnifiedData, getUnifiedMetadata, getUnifiedMtime, categoryExists,
+    resolveSnapshot, listSnapshots, iterateUnifiedBatches,
+} from '../utils/fileService.js';
 import { applyFreshnessGate } from '../utils/freshnessGate.js';
 import { filterRecordsByLicense, collectRequiredAttributions } from '../middleware/licenseFilter.js';
+import { EXPORT_FORMATS, createExportWriter } from '../utils/exportWriters.js';
+import { compileFilter } from '../utils/filterQuery.js';
+import { readCursorQuery, sortRecords, paginateSorted } from '../utils/cursor.js';
+import { CHANGE_TYPES, diffRecords } from '../utils/changeFeed.js';
+import { openRecordStore } from '../utils/recordStore.js';
+import {
+    parseSpatialQuery, compileSpatial, describeSpatial, spatialSortDefaults, selectWithin, withDistance,
+} from '../utils/spatial.js';
+import {
+    INTERVALS, ROLLING_WINDOWS, MAX_FILL_PERIODS, isCumulativeMetric, isValidTimeZone,
+    timeseriesRowsFromRecords, buildSeries, fillGaps, addRollingAverage,
+} from '../utils/timeseries.js';
+import { ANOMALY_METHODS, MIN_PERIODS, MAX_HORIZON, analyzeSeries } from '../utils/seriesAnalytics.js';
+import { recordCoordinates } from '../../../scripts/utils/record-db.js';
+import { feedFormat, sendFeed, apiBase, recordPermalink } from '../utils/feeds.js';
 
 // Resolve ?as_of=YYYY-MM-DD into a snapshot-dir handle + envelope-ready
 // pin descriptor. Returns { snapshotDir?: string, pin?: { requested, resolved } }
@@ -43,6 +61,153 @@ function selectFields(item, fields) {
     return result;
 }
 
+/**
+ * Compile the /unified/:category record filters (location, region, admin2,
+ * gazetteer_key, event_type, start_date, end_date, min_killed and the
+ * ?filter= expression) into one predicate. Shared by getData and exportData
+ * so a bulk extract matches the paginated view exactly. `spatial`
+ * (compileSpatial()) adds the near/within/polygon test; getData leaves it
+ * out and hands it to queryRecordPage, which uses the R-tree instead.
+ * Returns { keep, filterAst } — keep is null when no filter is set;
+ * filterAst is the parsed ?filter= for recordStore's SQL translation — or
+ * { error } with a ready-to-send 400 body when ?filter= does not parse.
+ */
+export function buildRecordFilter(query, spatial = null) {
+    const {
+        location, region, admin2, gazetteer_key, event_type,
+        start_date, end_date, min_killed, filter,
+    } = query;
+    const tests = [];
+    let filterAst = null;
+
+    if (filter !== undefined) {
+        const compiled = compileFilter(filter);
+        if (compiled.error) {
+            return { error: { error: 'invalid_filter', ...compiled.error, filter: String(filter) } };
+        }
+        tests.push(compiled.predicate);
+        filterAst = compiled.ast;
+    }
+
+    if (location) {
+        tests.push(item => matchesLocation(item, location));
+    }
+
+    if (region) {
+        const r = region.toLowerCase();
+        tests.push(item => (item.location?.region || '').toLowerCase().includes(r));
+    }
+
+    // Shared geographic keys stamped by attach-locations.js — exact match,
+    // these are controlled vocabularies (OCHA governorate / gazetteer key).
+    if (admin2) {
+        const a = admin2.toLowerCase();
+        tests.push(item => (item.location?.admin2 || '').toLowerCase() === a);
+    }
+
+    if (gazetteer_key) {
+        tests.push(item => item.location?.gazetteer_key === gazetteer_key);
+    }
+
+    if (event_type) {
+        tests.push(item => item.event_type === event_type);
+    }
+
+    if (start_date) {
+        const d = new Date(start_date);
+        tests.push(item => new Date(item.date) >= d);
+    }
+
+    if (end_date) {
+        const d = new Date(end_date);
+        tests.push(item => new Date(item.date) <= d);
+    }
+
+    if (min_killed) {
+        const mk = parseInt(min_killed);
+        tests.push(item => (item.metrics?.killed || 0) >= mk);
+    }
+
+    if (spatial) {
+        tests.push(item => {
+            const p = recordCoordinates(item);
+            return p !== null && spatial.contains(p[0], p[1]);
+        });
+    }
+
+    if (tests.length === 0) return { keep: null, filterAst };
+    return { keep: item => tests.every(t => t(item)), filterAst };
+}
+
+// JSON fallback for getData: load the whole category, then license-gate,
+// filter, sort and page in memory. Same result shape as
+// recordStore.queryPage(); null when the category has no data on disk.
+async function queryPageFromJson(category, snapshotDir, { keep, spatial, tier, sortBy, order, limit, offset, cursor }) {
+    const result = await getUnifiedData(category, { snapshotDir });
+    if (!result || !result.data) return null;
+
+    // --- License gate (paid tiers only — anonymous/free see everything) ---
+    const { records: licensed, hidden } = filterRecordsByLicense(result.data, tier);
+
+    // --- Spatial filter: R-tree candidates, then the exact test ---
+    let located = spatial ? selectWithin(licensed, spatial) : licensed;
+    if (spatial?.center) located = located.map(r => withDistance(r, spatial));
+    const data = keep ? located.filter(keep) : located;
+
+    // (sort field, stable_id) is a total order, so pages never reshuffle
+    // between requests and cursors can seek into it.
+    sortRecords(data, sortBy, order);
+    const page = paginateSorted(data, { sortBy, order, limit, offset, cursor });
+    return { ...page, total: data.length, hidden, metadata: result.metadata };
+}
+
+/**
+ * One page of a category's records: records.db when the pipeline built one,
+ * else the JSON fallback. `pageQuery` is { query, filterAst, keep, spatial,
+ * tier, sortBy, order, limit, offset, cursor } (see getData). Returns the
+ * queryPage() shape plus `query_engine`, or null when the category has no
+ * data. Shared with the GraphQL `records` field.
+ */
+export async function queryRecordPage(category, snapshotDir, pageQuery) {
+    const store = await openRecordStore(category, { snapshotDir });
+    const sqlPage = store?.queryPage(pageQuery);
+    if (sqlPage) return { ...sqlPage, query_engine: 'sqlite' };
+    const view = await queryPageFromJson(category, snapshotDir, pageQuery);
+    return view && { ...view, query_engine: 'json' };
+}
+
+const FEED_TITLE_LENGTH = 140;
+
+// A page of records as a feed: one entry per record, its permalink the
+// citable /record/:category/:id URL.
+function recordsFeed(req, category, records) {
+    const base = apiBase(req);
+    return {
+        title: `Palestine data — ${category}`,
+        description: `Newest ${category} records from the unified databank.`,
+        homeUrl: `${base}/unified/${encodeURIComponent(category)}`,
+        attributions: collectRequiredAttributions(records),
+        items: records.map((r) => {
+            const loc = r.location || {};
+            const text = r.description ? String(r.description) : '';
+            const required = collectRequiredAttributions([r]);
+            return {
+                id: recordPermalink(base, category, r),
+                title: (text.length > FEED_TITLE_LENGTH ? `${text.slice(0, FEED_TITLE_LENGTH - 1)}…` : text)
+                    || [r.event_type, loc.name].filter(Boolean).join(' — ')
+                    || `${category} ${r.date || ''}`.trim(),
+                summary: text || null,
+                published: r.date,
+                categories: [r.event_type, loc.admin2 || loc.region].filter(Boolean),
+                attributions: required.length
+                    ? required
+                    : (r.sources || []).map((src) => (typeof src === 'string' ? src : src?.name)).filter(Boolean),
+                extra: { stable_id: r.stable_id || null, category, location: loc, metrics: r.metrics || null },
+            };
+        }),
+    };
+}
+
 // ---------------------------------------------------------------------------
 // GET /unified/:category
 // ---------------------------------------------------------------------------
@@ -52,17 +217,7 @@ export async function getData(req, res) {
         const {
             page = 1,
             limit = 50,
-            location,
-            region,
-            admin2,
-            gazetteer_key,
-            event_type,
-            start_date,
-            end_date,
-            min_killed,
             fields,
-            sort_by = 'date',
-            order = 'desc',
         } = req.query;
 
         const pin = await resolvePin(req);
@@ -73,114 +228,302 @@ export async function getData(req, res) {
             return res.status(404).json({ error: 'No snapshot available on or before requested date', as_of: pin.requested });
         }
 
-        if (!await categoryExists(category, { snapshotDir: pin?.snapshotDir })) {
+        // Feeds (?format=atom|rss|jsonfeed or a feed Accept header) are
+        // always newest first.
+        const { format, error: formatError } = feedFormat(req);
+        if (formatError) return res.status(400).json(formatError);
+
+        const { keep, filterAst, error: filterError } = buildRecordFilter(req.query);
+        if (filterError) return res.status(400).json(filterError);
+
+        const { spec, error: spatialError } = await parseSpatialQuery(req.query);
+        if (spatialError) return res.status(400).json(spatialError);
+        const sortDefaults = spatialSortDefaults(req.query, spec);
+        if (sortDefaults.error) return res.status(400).json(sortDefaults.error);
+
+        const { sortBy, order, cursor, error: cursorError } = readCursorQuery(
+            format ? { ...req.query, sort_by: 'date', order: 'desc' } : req.query, sortDefaults);
+        if (cursorError) return res.status(400).json(cursorError);
+
+        const snapshotDir = pin?.snapshotDir;
+        if (!await categoryExists(category, { snapshotDir })) {
             return res.status(404).json({ error: 'Category not found' });
         }
 
-        const result = await getUnifiedData(category, { snapshotDir: pin?.snapshotDir });
+        // ?cursor= (keyset) wins over ?page=; both return next/prev cursors.
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(500, Math.max(1, parseInt(limit) || 50));
+        const pageQuery = {
+            query: req.query, filterAst, keep, spatial: spec && compileSpatial(spec), tier: req.customer?.tier,
+            sortBy, order, limit: limitNum, offset: (pageNum - 1) * limitNum, cursor,
+        };
 
-        if (!result || !result.data) {
+        const view = await queryRecordPage(category, snapshotDir, pageQuery);
+        if (!view) {
             return res.status(404).json({ error: 'Data not found' });
         }
+        const { items: paginatedData, start, next_cursor, prev_cursor } = view;
+        if (format) {
+            await applyFreshnessGate(res, category, {}); // Warning header only
+            return sendFeed(req, res, format, recordsFeed(req, category, paginatedData));
+        }
 
-        let data = result.data;
+        // --- Field selection ---
+        const responseData = fields
+            ? paginatedData.map(item => selectFields(item, fields))
+            : paginatedData;
 
-        // --- License gate (paid tiers only — anonymous/free see everything) ---
-        const { records: licensedData, hidden: hiddenByLicense } = filterRecordsByLicense(
-            data, req.customer?.tier
-        );
-        data = licensedData;
+        const envelope = await applyFreshnessGate(res, category, {
+            data: responseData,
+            pagination: {
+                total: view.total,
+                page: cursor ? Math.floor(start / limitNum) + 1 : pageNum,
+                limit: limitNum,
+                pages: Math.ceil(view.total / limitNum),
+                sort_by: sortBy,
+                order,
+                next_cursor,
+                prev_cursor,
+            },
+            metadata: view.metadata,
+            meta: {
+                records_hidden_by_license: view.hidden,
+                required_attributions: collectRequiredAttributions(paginatedData),
+                query_engine: view.query_engine,
+                ...(spec ? { spatial: describeSpatial(spec) } : {}),
+            },
+        });
+        if (pin?.pin) envelope.as_of = pin.pin;
+        res.json(envelope);
 
-        // --- Filtering ---
-        if (location) {
-            data = data.filter(item => matchesLocation(item, location));
-        }
+    } catch (error) {
+        console.error('Error in getData:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
 
-        if (region) {
-            const r = region.toLowerCase();
-            data = data.filter(item => (item.location?.region || '').toLowerCase().includes(r));
-        }
+// ---------------------------------------------------------------------------
+// GET /unified/:category/export?format=csv|ndjson|parquet
+// ---------------------------------------------------------------------------
 
-        // Shared geographic keys stamped by attach-locations.js — exact match,
-        // these are controlled vocabularies (OCHA governorate / gazetteer key).
-        if (admin2) {
-            const a = admin2.toLowerCase();
-            data = data.filter(item => (item.location?.admin2 || '').toLowerCase() === a);
+// Rows handed to a writer at once. Bounds the flattening/row-group buffers
+// for all-data.json categories, which arrive from disk as a single batch.
+const EXPORT_CHUNK_SIZE = 5000;
+
+// Walk the category batch by batch, applying the license gate and the
+// getData filters, and hand each surviving chunk to `onChunk`.
+async function forEachExportChunk(category, snapshotDir, tier, keep, onChunk) {
+    for await (const batch of iterateUnifiedBatches(category, { snapshotDir })) {
+        const { records, hidden } = filterRecordsByLicense(batch, tier);
+        const kept = keep ? records.filter(keep) : records;
+        for (let i = 0; i < kept.length; i += EXPORT_CHUNK_SIZE) {
+            if (await onChunk(kept.slice(i, i + EXPORT_CHUNK_SIZE), 0) === false) return;
         }
+        if (hidden) await onChunk([], hidden);
+    }
+}
 
-        if (gazetteer_key) {
-            data = data.filter(item => item.location?.gazetteer_key === gazetteer_key);
+export async function exportData(req, res) {
+    try {
+        const { category } = req.params;
+        const format = String(req.query.format || 'ndjson').toLowerCase();
+        const spec = EXPORT_FORMATS[format];
+        if (!spec) {
+            return res.status(400).json({ error: 'format must be one of csv, ndjson, parquet' });
         }
 
-        if (event_type) {
-            data = data.filter(item => item.event_type === event_type);
+        const pin = await resolvePin(req);
+        if (pin?.invalid) return res.status(400).json({ error: 'as_of must be YYYY-MM-DD' });
+        if (pin?.notFound) return res.status(404).json({ error: 'No snapshot available on or before requested date', as_of: pin.requested });
+
+        const { spec: spatialSpec, error: spatialError } = await parseSpatialQuery(req.query);
+        if (spatialError) return res.status(400).json(spatialError);
+
+        const { keep, error: filterError } = buildRecordFilter(req.query, spatialSpec && compileSpatial(spatialSpec));
+        if (filterError) return res.status(400).json(filterError);
+
+        const snapshotDir = pin?.snapshotDir;
+        if (!await categoryExists(category, { snapshotDir })) {
+            return res.status(404).json({ error: 'Category not found' });
         }
 
-        if (start_date) {
-            const d = new Date(start_date);
-            data = data.filter(item => new Date(item.date) >= d);
+        const tier = req.customer?.tier;
+
+        // Headers go out before the body, so a first pass settles the row
+        // count and attribution set; the second pass streams. Both passes
+        // hold at most one partition in memory.
+        let total = 0;
+        let hiddenByLicense = 0;
+        const attributions = new Set();
+        await forEachExportChunk(category, snapshotDir, tier, keep, (chunk, hidden) => {
+            total += chunk.length;
+            hiddenByLicense += hidden;
+            for (const a of collectRequiredAttributions(chunk)) attributions.add(a);
+        });
+        const requiredAttributions = Array.from(attributions).sort();
+
+        await applyFreshnessGate(res, category, {});
+        const stamp = pin?.pin?.resolved || new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', spec.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${category}-${stamp}.${spec.extension}"`);
+        res.setHeader('X-Total-Records', String(total));
+        res.setHeader('X-Records-Hidden-By-License', String(hiddenByLicense));
+        res.setHeader('X-Required-Attributions', requiredAttributions.join(' | '));
+        if (pin?.pin) res.setHeader('X-As-Of', pin.pin.resolved);
+
+        const writer = createExportWriter(format, res, {
+            metadata: {
+                category,
+                as_of: pin?.pin?.resolved || null,
+                required_attributions: requiredAttributions,
+            },
+        });
+        await forEachExportChunk(category, snapshotDir, tier, keep, async (chunk) => {
+            if (res.destroyed) return false;
+            if (chunk.length) await writer.writeBatch(chunk);
+        });
+        if (!res.destroyed) {
+            await writer.end();
+            res.end();
         }
 
-        if (end_date) {
-            const d = new Date(end_date);
-            data = data.filter(item => new Date(item.date) <= d);
+    } catch (error) {
+        console.error('Error in exportData:', error);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Internal server error' });
         }
+    }
+}
 
-        if (min_killed) {
-            const mk = parseInt(min_killed);
-            data = data.filter(item => (item.metrics?.killed || 0) >= mk);
+// ---------------------------------------------------------------------------
+// GET /unified/:category/changes?since=YYYY-MM-DD[&until=YYYY-MM-DD]
+// ---------------------------------------------------------------------------
+
+// A diff costs two full category reads plus a hash per record, and a
+// warehouse sync pages through the same one repeatedly — keep the last few.
+// Keys include the live data mtime, so a new pipeline run is a cache miss.
+const CHANGES_CACHE_SIZE = 4;
+const changesCache = new Map(); // key → { entries, summary }
+
+async function getCachedDiff(key, load) {
+    let diff = changesCache.get(key);
+    if (diff) {
+        changesCache.delete(key);
+    } else {
+        diff = await load();
+        if (!diff) return null;
+    }
+    changesCache.set(key, diff);
+    if (changesCache.size > CHANGES_CACHE_SIZE) {
+        changesCache.delete(changesCache.keys().next().value);
+    }
+    return diff;
+}
+
+export async function getChanges(req, res) {
+    try {
+        const { category } = req.params;
+        const { since, until, change, page = 1, limit = 100 } = req.query;
+
+        if (!since || !/^\d{4}-\d{2}-\d{2}$/.test(String(since))) {
+            return res.status(400).json({ error: 'since must be YYYY-MM-DD (a retained snapshot date, see /snapshots)' });
+        }
+        if (until && !/^\d{4}-\d{2}-\d{2}$/.test(String(until))) {
+            return res.status(400).json({ error: 'until must be YYYY-MM-DD' });
+        }
+        const types = change ? String(change).split(',').map(t => t.trim()).filter(Boolean) : CHANGE_TYPES;
+        const unknownType = types.find(t => !CHANGE_TYPES.includes(t));
+        if (unknownType) {
+            return res.status(400).json({ error: `change must be a comma list of ${CHANGE_TYPES.join(', ')}`, got: unknownType });
+        }
+        // Entries are always ordered by stable_id; only ?cursor= is read.
+        const { cursor, error: cursorError } = readCursorQuery(
+            { cursor: req.query.cursor }, { sortBy: 'stable_id', order: 'asc' }
+        );
+        if (cursorError) return res.status(400).json(cursorError);
+
+        const from = await resolveSnapshot(String(since));
+        const to = until ? await resolveSnapshot(String(until)) : null;
+        if (!from || (until && !to)) {
+            return res.status(404).json({
+                error: 'No snapshot available on or before requested date',
+                requested: from ? until : since,
+                available_snapshots: await listSnapshots(),
+            });
+        }
+        if (to && to.resolved < from.resolved) {
+            return res.status(400).json({ error: 'until must not resolve to a snapshot before since', since: from.resolved, until: to.resolved });
         }
 
-        // --- Sorting ---
-        data.sort((a, b) => {
-            let valA, valB;
-            // Support nested dot paths like metrics.killed
-            if (sort_by.includes('.')) {
-                const [obj, key] = sort_by.split('.');
-                valA = a[obj]?.[key];
-                valB = b[obj]?.[key];
-            } else {
-                valA = a[sort_by];
-                valB = b[sort_by];
-            }
+        // Snapshots only carry all-data.json categories (write-snapshot.js).
+        if (!await categoryExists(category, { snapshotDir: from.dir })) {
+            return res.status(404).json({ error: 'Category not found in snapshot', since: from.resolved });
+        }
+        if (!await categoryExists(category, { snapshotDir: to?.dir })) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
 
-            if (valA == null) return 1;
-            if (valB == null) return -1;
-            if (valA < valB) return order === 'asc' ? -1 : 1;
-            if (valA > valB) return order === 'asc' ? 1 : -1;
-            return 0;
+        const target = to ? to.resolved : `live@${await getUnifiedMtime(category)}`;
+        const diff = await getCachedDiff(`${category}|${from.resolved}|${target}`, async () => {
+            const [before, after] = await Promise.all([
+                getUnifiedData(category, { snapshotDir: from.dir }),
+                getUnifiedData(category, { snapshotDir: to?.dir }),
+            ]);
+            if (!before?.data || !after?.data) return null;
+            return diffRecords(before.data, after.data);
         });
+        if (!diff) {
+            return res.status(404).json({ error: 'Data not found' });
+        }
 
-        // --- Pagination ---
-        const pageNum = Math.max(1, parseInt(page));
-        const limitNum = Math.min(500, Math.max(1, parseInt(limit)));
-        const startIndex = (pageNum - 1) * limitNum;
-        const paginatedData = data.slice(startIndex, startIndex + limitNum);
+        let entries = types.length === CHANGE_TYPES.length
+            ? diff.entries
+            : diff.entries.filter(e => types.includes(e.change));
 
-        // --- Field selection ---
-        const responseData = fields
-            ? paginatedData.map(item => selectFields(item, fields))
-            : paginatedData;
+        // License gate applies to whichever version of the record we hold
+        // (newer one, or the last known one for removals).
+        const { records: visible, hidden: hiddenByLicense } = filterRecordsByLicense(
+            entries.map(e => e.record), req.customer?.tier
+        );
+        if (hiddenByLicense) {
+            const keep = new Set(visible);
+            entries = entries.filter(e => keep.has(e.record));
+        }
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(1000, Math.max(1, parseInt(limit) || 100));
+        const { items, start, next_cursor, prev_cursor } = paginateSorted(entries, {
+            sortBy: 'stable_id', order: 'asc', limit: limitNum, cursor, offset: (pageNum - 1) * limitNum,
+        });
 
         const envelope = await applyFreshnessGate(res, category, {
-            data: responseData,
+            category,
+            since: { requested: from.requested, resolved: from.resolved },
+            until: to ? { requested: to.requested, resolved: to.resolved } : 'live',
+            summary: diff.summary,
+            // Removals carry only their ids; the warehouse already has the row.
+            data: items.map(({ record, ...e }) => (e.change === 'removed' ? e : { ...e, record })),
             pagination: {
-                total: data.length,
-                page: pageNum,
+                total: entries.length,
+                page: Math.floor(start / limitNum) + 1,
                 limit: limitNum,
-                pages: Math.ceil(data.length / limitNum),
+                pages: Math.ceil(entries.length / limitNum),
+                next_cursor,
+                prev_cursor,
             },
-            metadata: result.metadata,
             meta: {
                 records_hidden_by_license: hiddenByLicense,
-                required_attributions: collectRequiredAttributions(paginatedData),
+                required_attributions: collectRequiredAttributions(
+                    items.filter(e => e.change !== 'removed').map(e => e.record)
+                ),
             },
         });
-        if (pin?.pin) envelope.as_of = pin.pin;
         res.json(envelope);
 
     } catch (error) {
-        console.error('Error in getData:', error);
+        console.error('Error in getChanges:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 }
@@ -220,6 +563,70 @@ export async function getMetadata(req, res) {
 // ---------------------------------------------------------------------------
 // GET /unified/:category/summary
 // ---------------------------------------------------------------------------
+
+// JSON fallback for getSummary: same aggregates as recordStore.summarize().
+function summarizeRecords(data, category) {
+    const summary = {
+        total_records: data.length,
+        date_range: {
+            earliest: null,
+            latest: null,
+        },
+        metrics_totals: {
+            killed: 0, injured: 0, displaced: 0, affected: 0,
+            demolished: 0, detained: 0, count: 0,
+        },
+        by_region: {},
+        by_event_type: {},
+    };
+
+    // Find date range
+    const dates = data.map(d => d.date).filter(Boolean).sort();
+    if (dates.length) {
+        summary.date_range.earliest = dates[0];
+        summary.date_range.latest = dates[dates.length - 1];
+    }
+
+    // Aggregate metrics and group-bys
+    const _maxByRegion = {};
+    for (const item of data) {
+        const m = item.metrics || {};
+        const killed = m.killed || item.fatalities || 0;
+        const injured = m.injured || item.injuries || 0;
+
+        // For conflict: fatalities are cumulative (max per region)
+        if (category === 'conflict') {
+            const region = item.location?.region || 'Unknown';
+            if (!_maxByRegion[region]) _maxByRegion[region] = { killed: 0, injured: 0 };
+            _maxByRegion[region].killed = Math.max(_maxByRegion[region].killed, killed);
+            _maxByRegion[region].injured = Math.max(_maxByRegion[region].injured, injured);
+        } else {
+            summary.metrics_totals.killed += killed;
+            summary.metrics_totals.injured += injured;
+        }
+
+        summary.metrics_totals.displaced += m.displaced || 0;
+        summary.metrics_totals.affected += m.affected || 0;
+        summary.metrics_totals.demolished += m.demolished || 0;
+        summary.metrics_totals.detained += m.detained || 0;
+        summary.metrics_totals.count += m.count || 0;
+
+        const regionKey = item.location?.region || 'Unknown';
+        summary.by_region[regionKey] = (summary.by_region[regionKey] || 0) + 1;
+
+        const etKey = item.event_type || 'unknown';
+        summary.by_event_type[etKey] = (summary.by_event_type[etKey] || 0) + 1;
+    }
+
+    if (category === 'conflict') {
+        for (const r of Object.values(_maxByRegion)) {
+            summary.metrics_totals.killed += r.killed;
+            summary.metrics_totals.injured += r.injured;
+        }
+    }
+    return summary;
+}
+
 export async function getSummary(req, res) {
     try {
         const { category } = req.params;
@@ -232,95 +639,184 @@ export async function getSummary(req, res) {
             return res.status(404).json({ error: 'Category not found' });
         }
 
-        const result = await getUnifiedData(category, { snapshotDir: pin?.snapshotDir });
-        if (!result?.data) {
-            return res.status(404).json({ error: 'Data not found' });
+        let summary;
+        const store = await openRecordStore(category, { snapshotDir: pin?.snapshotDir });
+        if (store) {
+            const { hidden, required_attributions, ...aggregates } = store.summarize({
+                tier: req.customer?.tier,
+                cumulativeByRegion: category === 'conflict',
+            });
+            summary = { category, ...aggregates };
+            summary.meta = { records_hidden_by_license: hidden, required_attributions, query_engine: 'sqlite' };
+        } else {
+            const result = await getUnifiedData(category, { snapshotDir: pin?.snapshotDir });
+            if (!result?.data) {
+                return res.status(404).json({ error: 'Data not found' });
+            }
+            const { records: data, hidden: hiddenByLicense } = filterRecordsByLicense(
+                result.data, req.customer?.tier
+            );
+            summary = { category, ...summarizeRecords(data, category) };
+            summary.meta = {
+                records_hidden_by_license: hiddenByLicense,
+                required_attributions: collectRequiredAttributions(data),
+                query_engine: 'json',
+            };
         }
 
-        const { records: data, hidden: hiddenByLicense } = filterRecordsByLicense(
-            result.data, req.customer?.tier
-        );
-        const summary = {
-            category,
-            total_records: data.length,
-            date_range: {
-                earliest: null,
-                latest: null,
-            },
-            metrics_totals: {
-                killed: 0, injured: 0, displaced: 0, affected: 0,
-                demolished: 0, detained: 0, count: 0,
-            },
-            by_region: {},
-            by_event_type: {},
-        };
+        const envelope = await applyFreshnessGate(res, category, summary);
+        if (pin?.pin) envelope.as_of = pin.pin;
+        res.json(envelope);
 
-        // Find date range
-        const dates = data.map(d => d.date).filter(Boolean).sort();
-        if (dates.length) {
-            summary.date_range.earliest = dates[0];
-            summary.date_range.latest = dates[dates.length - 1];
-        }
+    } catch (error) {
+        console.error('Error in getSummary:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
 
-        // Aggregate metrics and group-bys
-        const _maxByRegion = {};
-        for (const item of data) {
-            const m = item.metrics || {};
-            const killed = m.killed || item.fatalities || 0;
-            const injured = m.injured || item.injuries || 0;
-
-            // For conflict: fatalities are cumulative (max per region)
-            if (category === 'conflict') {
-                const region = item.location?.region || 'Unknown';
-                if (!_maxByRegion[region]) _maxByRegion[region] = { killed: 0, injured: 0 };
-                _maxByRegion[region].killed = Math.max(_maxByRegion[region].killed, killed);
-                _maxByRegion[region].injured = Math.max(_maxByRegion[region].injured, injured);
-            } else {
-                summary.metrics_totals.killed += killed;
-                summary.metrics_totals.injured += injured;
-            }
+// ---------------------------------------------------------------------------
+// GET /unified/:category/timeseries
+// ---------------------------------------------------------------------------
+
+const FILL_MODES = ['none', 'zero', 'null'];
+
+// interval / tz / fill / rolling for getTimeseries, or { error } with a
+// ready-to-send 400 body.
+function readTimeseriesOptions(query) {
+    const { interval = 'month', tz = 'UTC', fill = 'none' } = query;
+    if (!INTERVALS.includes(interval)) {
+        return { error: { error: `interval must be one of ${INTERVALS.join(', ')}` } };
+    }
+    if (!isValidTimeZone(tz)) {
+        return { error: { error: 'tz must be an IANA time zone, e.g. Asia/Gaza or Asia/Hebron' } };
+    }
+    if (!FILL_MODES.includes(fill)) {
+        return { error: { error: `fill must be one of ${FILL_MODES.join(', ')}` } };
+    }
+    const rolling = query.rolling === undefined ? null : Number(query.rolling);
+    if (rolling !== null && !ROLLING_WINDOWS.includes(rolling)) {
+        return { error: { error: `rolling must be one of ${ROLLING_WINDOWS.join(', ')} (periods)` } };
+    }
+    return { interval, tz, fill, rolling };
+}
 
-            summary.metrics_totals.displaced += m.displaced || 0;
-            summary.metrics_totals.affected += m.affected || 0;
-            summary.metrics_totals.demolished += m.demolished || 0;
-            summary.metrics_totals.detained += m.detained || 0;
-            summary.metrics_totals.count += m.count || 0;
+// License-gated { rows, hidden, required_attributions, engine } for one
+// metric: records.db when available, else the category JSON. Null when the
+// category has no data.
+async function loadTimeseriesView(category, { snapshotDir, tier, metric, region, cumulative }) {
+    const store = await openRecordStore(category, { snapshotDir });
+    const view = store?.timeseriesRows({ tier, metric, region, cumulative });
+    if (view) return { ...view, engine: 'sqlite' };
 
-            const regionKey = item.location?.region || 'Unknown';
-            summary.by_region[regionKey] = (summary.by_region[regionKey] || 0) + 1;
+    const result = await getUnifiedData(category, { snapshotDir });
+    if (!result?.data) return null;
 
-            const etKey = item.event_type || 'unknown';
-            summary.by_event_type[etKey] = (summary.by_event_type[etKey] || 0) + 1;
+    const { records: licensedData, hidden } = filterRecordsByLicense(result.data, tier);
+    let data = licensedData.filter(item => item.date);
+
+    if (region) {
+        const r = region.toLowerCase();
+        data = data.filter(item => (item.location?.region || '').toLowerCase().includes(r));
+    }
+    return {
+        rows: timeseriesRowsFromRecords(data, metric, cumulative),
+        hidden,
+        required_attributions: collectRequiredAttributions(data),
+        engine: 'json',
+    };
+}
+
+export async function getTimeseries(req, res) {
+    try {
+        const { category } = req.params;
+        const { metric = 'killed', region } = req.query;
+        const options = readTimeseriesOptions(req.query);
+        if (options.error) return res.status(400).json(options.error);
+        const { interval, tz, fill, rolling } = options;
+
+        const pin = await resolvePin(req);
+        if (pin?.invalid) return res.status(400).json({ error: 'as_of must be YYYY-MM-DD' });
+        if (pin?.notFound) return res.status(404).json({ error: 'No snapshot available on or before requested date', as_of: pin.requested });
+
+        if (!await categoryExists(category, { snapshotDir: pin?.snapshotDir })) {
+            return res.status(404).json({ error: 'Category not found' });
         }
 
-        if (category === 'conflict') {
-            for (const r of Object.values(_maxByRegion)) {
-                summary.metrics_totals.killed += r.killed;
-                summary.metrics_totals.injured += r.injured;
-            }
+        const isCumulative = isCumulativeMetric(category, metric);
+        const view = await loadTimeseriesView(category, {
+            snapshotDir: pin?.snapshotDir, tier: req.customer?.tier, metric, region, cumulative: isCumulative,
+        });
+        if (!view) return res.status(404).json({ error: 'Data not found' });
+
+        let series = buildSeries(view.rows, interval, isCumulative, { tz });
+        if (fill !== 'none') series = fillGaps(series, interval, fill);
+        if (series && rolling) series = addRollingAverage(series, interval, rolling);
+        if (!series) {
+            return res.status(400).json({
+                error: `Series spans more than ${MAX_FILL_PERIODS} ${interval} periods; use a coarser interval`,
+            });
         }
 
-        summary.meta = {
-            records_hidden_by_license: hiddenByLicense,
-            required_attributions: collectRequiredAttributions(data),
-        };
-        const envelope = await applyFreshnessGate(res, category, summary);
+        const envelope = await applyFreshnessGate(res, category, {
+            category,
+            metric,
+            interval,
+            tz,
+            fill,
+            rolling,
+            region: region || 'all',
+            data: series,
+            meta: {
+                records_hidden_by_license: view.hidden,
+                required_attributions: view.required_attributions,
+                query_engine: view.engine,
+            },
+        });
         if (pin?.pin) envelope.as_of = pin.pin;
         res.json(envelope);
 
     } catch (error) {
-        console.error('Error in getSummary:', error);
+        console.error('Error in getTimeseries:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 }
 
 // ---------------------------------------------------------------------------
-// GET /unified/:category/timeseries
+// GET /unified/:category/analytics
 // ---------------------------------------------------------------------------
-export async function getTimeseries(req, res) {
+
+// anomaly_method / threshold / horizon for getAnalytics, or { error }.
+function readAnalyticsOptions(query) {
+    const anomalyMethod = query.anomaly_method || 'zscore';
+    const spec = ANOMALY_METHODS[anomalyMethod];
+    if (!spec) {
+        return { error: { error: `anomaly_method must be one of ${Object.keys(ANOMALY_METHODS).join(', ')}` } };
+    }
+    const anomalyParameter = query.threshold === undefined ? spec.default : Number(query.threshold);
+    if (!(anomalyParameter > 0)) {
+        return { error: { error: `threshold must be a positive number (the ${anomalyMethod} ${spec.parameter})` } };
+    }
+    const horizon = query.horizon === undefined ? 6 : Number(query.horizon);
+    if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON) {
+        return { error: { error: `horizon must be an integer from 1 to ${MAX_HORIZON} (periods)` } };
+    }
+    return { anomalyMethod, anomalyParameter, horizon };
+}
+
+/**
+ * Trend, seasonality, change points, anomalous periods and a short
+ * forecast over the same series /timeseries returns, zero-filled so every
+ * period counts. Each section states its method (utils/seriesAnalytics.js).
+ */
+export async function getAnalytics(req, res) {
     try {
         const { category } = req.params;
-        const { metric = 'killed', interval = 'month', region } = req.query;
+        const { metric = 'killed', region } = req.query;
+        const options = readTimeseriesOptions(req.query);
+        if (options.error) return res.status(400).json(options.error);
+        const analytics = readAnalyticsOptions(req.query);
+        if (analytics.error) return res.status(400).json(analytics.error);
+        const { interval, tz } = options;
 
         const pin = await resolvePin(req);
         if (pin?.invalid) return res.status(400).json({ error: 'as_of must be YYYY-MM-DD' });
@@ -330,104 +826,48 @@ export async function getTimeseries(req, res) {
             return res.status(404).json({ error: 'Category not found' });
         }
 
-        const result = await getUnifiedData(category, { snapshotDir: pin?.snapshotDir });
-        if (!result?.data) {
-            return res.status(404).json({ error: 'Data not found' });
-        }
-
-        const { records: licensedData, hidden: hiddenByLicense } = filterRecordsByLicense(
-            result.data, req.customer?.tier
-        );
-        let data = licensedData.filter(item => item.date);
+        const isCumulative = isCumulativeMetric(category, metric);
+        const view = await loadTimeseriesView(category, {
+            snapshotDir: pin?.snapshotDir, tier: req.customer?.tier, metric, region, cumulative: isCumulative,
+        });
+        if (!view) return res.status(404).json({ error: 'Data not found' });
 
-        if (region) {
-            const r = region.toLowerCase();
-            data = data.filter(item => (item.location?.region || '').toLowerCase().includes(r));
+        const series = fillGaps(buildSeries(view.rows, interval, isCumulative, { tz }), interval, 'zero');
+        if (!series) {
+            return res.status(400).json({
+                error: `Series spans more than ${MAX_FILL_PERIODS} ${interval} periods; use a coarser interval`,
+            });
         }
-
-        // Build time buckets
-        const buckets = {};
-        const isCumulative = category === 'conflict' && (metric === 'killed' || metric === 'injured');
-
-        if (isCumulative) {
-            // For cumulative data: find max value per region per time bucket
-            const regionBuckets = {}; // { region: { period: maxVal } }
-            for (const item of data) {
-                const d = new Date(item.date);
-                let key;
-                if (interval === 'year') key = `${d.getUTCFullYear()}`;
-                else if (interval === 'week') {
-                    const dayOfYear = Math.floor((d - new Date(d.getUTCFullYear(), 0, 0)) / 86400000);
-                    key = `${d.getUTCFullYear()}-W${Math.ceil(dayOfYear / 7).toString().padStart(2, '0')}`;
-                } else {
-                    key = `${d.getUTCFullYear()}-${(d.getUTCMonth() + 1).toString().padStart(2, '0')}`;
-                }
-
-                let metricVal = item.metrics?.[metric] ?? 0;
-                if (metricVal === 0 && metric === 'killed') metricVal = item.fatalities ?? 0;
-                if (metricVal === 0 && metric === 'injured') metricVal = item.injuries ?? 0;
-
-                const region = item.location?.region || 'Unknown';
-                if (!regionBuckets[region]) regionBuckets[region] = {};
-                regionBuckets[region][key] = Math.max(regionBuckets[region][key] || 0, metricVal);
-
-                if (!buckets[key]) buckets[key] = { date: key, value: 0, count: 0 };
-                buckets[key].count += 1;
-            }
-            // Sum max values across regions for each period, then compute deltas
-            const allKeys = Object.keys(buckets).sort();
-            for (const key of allKeys) {
-                let totalForPeriod = 0;
-                for (const region of Object.keys(regionBuckets)) {
-                    totalForPeriod += regionBuckets[region][key] || 0;
-                }
-                buckets[key].value = totalForPeriod;
-            }
-            // Convert from cumulative to delta
-            for (let i = allKeys.length - 1; i > 0; i--) {
-                buckets[allKeys[i]].value = Math.max(0, buckets[allKeys[i]].value - buckets[allKeys[i - 1]].value);
-            }
-        } else {
-            for (const item of data) {
-                const d = new Date(item.date);
-                let key;
-                if (interval === 'year') key = `${d.getUTCFullYear()}`;
-                else if (interval === 'week') {
-                    const dayOfYear = Math.floor((d - new Date(d.getUTCFullYear(), 0, 0)) / 86400000);
-                    key = `${d.getUTCFullYear()}-W${Math.ceil(dayOfYear / 7).toString().padStart(2, '0')}`;
-                } else {
-                    key = `${d.getUTCFullYear()}-${(d.getUTCMonth() + 1).toString().padStart(2, '0')}`;
-                }
-
-                if (!buckets[key]) buckets[key] = { date: key, value: 0, count: 0 };
-
-                let metricVal = item.metrics?.[metric] ?? 0;
-                if (metricVal === 0 && metric === 'killed') metricVal = item.fatalities ?? 0;
-                if (metricVal === 0 && metric === 'injured') metricVal = item.injuries ?? 0;
-                if (metricVal === 0) metricVal = item[metric] ?? 0;
-                buckets[key].value += typeof metricVal === 'number' ? metricVal : 0;
-                buckets[key].count += 1;
-            }
+        if (series.length < MIN_PERIODS) {
+            return res.status(422).json({
+                error: `At least ${MIN_PERIODS} ${interval} periods are needed for analytics; got ${series.length}`,
+                periods: series.length,
+            });
         }
 
-        const series = Object.values(buckets).sort((a, b) => a.date.localeCompare(b.date));
-
         const envelope = await applyFreshnessGate(res, category, {
             category,
             metric,
             interval,
+            tz,
             region: region || 'all',
+            periods: series.length,
+            from: series[0].start,
+            to: series[series.length - 1].end,
+            cumulative: isCumulative,
+            ...analyzeSeries(series, { interval, ...analytics }),
             data: series,
             meta: {
-                records_hidden_by_license: hiddenByLicense,
-                required_attributions: collectRequiredAttributions(data),
+                records_hidden_by_license: view.hidden,
+                required_attributions: view.required_attributions,
+                query_engine: view.engine,
             },
         });
         if (pin?.pin) envelope.as_of = pin.pin;
         res.json(envelope);
 
     } catch (error) {
-        console.error('Error in getTimeseries:', error);
+        console.error('Error in getAnalytics:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 }
@@ -1,4 +1,5 @@
 import { findByRawKey, touchKey, logUsage } from '../services/keyStore.js';
+import { parseStoredScopes, missingScope, sendScopeError } from '../utils/keyScopes.js';
 
 const BEARER_RE = /^Bearer\s+(pdb_live_[a-f0-9]{32})$/;
 const ANON = Object.freeze({ tier: 'anonymous' });
@@ -10,7 +11,12 @@ export function apiKey(req, res, next) {
     const record = raw ? findByRawKey(raw) : null;
 
     if (record) {
-        req.customer = { id: record.customer_id, keyId: record.id, tier: record.tier };
+        req.customer = {
+            id: record.customer_id,
+            keyId: record.id,
+            tier: record.tier,
+            scopes: parseStoredScopes(record.scopes),
+        };
         touchKey(record.id);
     } else {
         req.customer = ANON;
@@ -27,5 +33,10 @@ export function apiKey(req, res, next) {
         });
     });
 
+    // Scoped keys (utils/keyScopes.js) are refused here, before rate limiting
+    // and caches; the usage log above still records the 403.
+    const missing = missingScope(req.customer.scopes, req);
+    if (missing) return sendScopeError(res, missing, req.customer.scopes);
+
     next();
 }
@@ -42,8 +42,9 @@ function recordSourceNames(record) {
 
 // True if any source on the record is explicitly non-commercial. "varies" /
 // "unknown" / missing entries are NOT treated as blocking — the registry only
-// gates on confirmed restrictions.
-function isCommerciallyBlocked(record) {
+// gates on confirmed restrictions. Exported for recordStore.js, which runs it
+// inside SQLite as a user function.
+export function isCommerciallyBlocked(record) {
     const names = recordSourceNames(record);
     if (names.length === 0) return false;
     for (const n of names) {
@@ -53,6 +54,11 @@ function isCommerciallyBlocked(record) {
     return false;
 }
 
+/** True when `tier` is subject to the commercial-use gate. */
+export function licenseGateApplies(tier) {
+    return PAID_TIERS.has(tier);
+}
+
 /**
  * Strip records with non-commercial sources for paid tiers. Anonymous + free
  * see everything.
@@ -1,22 +1,20 @@
-import { RateLimiterMemory } from 'rate-limiter-flexible';
 import { TIERS } from '../config/tiers.js';
+import { getCurrentMonthUsage } from '../services/keyStore.js';
+import { createLimiter } from '../services/rateLimitStore.js';
+import { logger } from '../logger.js';
 
-function makeLimiter(points, durationSeconds) {
-    if (!points) return null;
-    return new RateLimiterMemory({ points, duration: durationSeconds });
-}
-
-// One short-window (per-minute) limiter per tier. In-memory is fine for a
-// single-instance home-server deployment; swap to RateLimiterRedis later.
+// One short-window (per-minute) limiter per tier. The backing store —
+// per-process memory, keys.db or Redis — is picked by RATE_LIMIT_STORE
+// (services/rateLimitStore.js) so several API instances can share counts.
 const minuteLimiters = Object.fromEntries(
-    Object.entries(TIERS).map(([tier, def]) => [tier, makeLimiter(def.rpm, 60)])
+    Object.entries(TIERS).map(([tier, def]) => [tier, createLimiter({ name: `minute:${tier}`, points: def.rpm, duration: 60 })])
 );
 
 // Daily limiter only enforced for tiers with a `daily` cap (currently anon + free).
 const dailyLimiters = Object.fromEntries(
     Object.entries(TIERS)
         .filter(([, def]) => def.daily)
-        .map(([tier, def]) => [tier, makeLimiter(def.daily, 24 * 60 * 60)])
+        .map(([tier, def]) => [tier, createLimiter({ name: `daily:${tier}`, points: def.daily, duration: 24 * 60 * 60 })])
 );
 
 function consumerKey(req) {
@@ -36,33 +34,128 @@ function setHeaders(res, result, limit, headerPrefix) {
 // flipping the container to "unhealthy" while the API was actually fine.
 const RATE_LIMIT_EXEMPT_PATHS = new Set(['/api/v1/health']);
 
-export function tieredRateLimit(req, res, next) {
-    if (RATE_LIMIT_EXEMPT_PATHS.has(req.path)) return next();
+function limitersFor(req) {
     const tier = req.customer?.tier || 'anonymous';
-    const key = consumerKey(req);
-
-    const minute = minuteLimiters[tier] || minuteLimiters.anonymous;
-    const daily = dailyLimiters[tier] || null;
-    const tierDef = TIERS[tier] || TIERS.anonymous;
-
-    Promise.all([
-        minute ? minute.consume(key, 1) : Promise.resolve(null),
-        daily ? daily.consume(key, 1) : Promise.resolve(null),
-    ])
-        .then(([m, d]) => {
-            setHeaders(res, m, tierDef.rpm, 'Minute');
-            setHeaders(res, d, tierDef.daily, 'Daily');
-            next();
-        })
-        .catch((rejection) => {
-            const retryAfter = Math.ceil((rejection.msBeforeNext || 1000) / 1000);
-            res.setHeader('Retry-After', retryAfter);
-            res.setHeader('X-RateLimit-Tier', tier);
-            res.status(429).json({
-                error: 'rate_limited',
-                tier,
-                retry_after_seconds: retryAfter,
-                message: `Tier "${tier}" rate limit exceeded. Upgrade tier or retry after ${retryAfter}s.`,
-            });
+    return {
+        tier,
+        key: consumerKey(req),
+        minute: minuteLimiters[tier] || minuteLimiters.anonymous,
+        daily: dailyLimiters[tier] || null,
+        tierDef: TIERS[tier] || TIERS.anonymous,
+    };
+}
+
+// Charge `points` to the caller's minute and daily windows. Both windows'
+// X-RateLimit-* headers are set on every outcome, 429s included, whichever
+// store backs them. Resolves true when allowed; false once the 429 is sent.
+function consume(req, res, points) {
+    const { tier, key, minute, daily, tierDef } = limitersFor(req);
+    return Promise.allSettled([
+        minute ? minute.consume(key, points) : Promise.resolve(null),
+        daily ? daily.consume(key, points) : Promise.resolve(null),
+    ]).then(([m, d]) => {
+        const failed = [m, d].find((r) => r.status === 'rejected' && r.reason instanceof Error);
+        if (failed) {
+            // A failing store (keys.db locked, Redis gone without insurance)
+            // must not turn into 429s for everyone — let the request through.
+            logger.error({ err: failed.reason }, 'rate_limit_store_failed');
+            return true;
+        }
+        const result = (r) => (r.status === 'fulfilled' ? r.value : r.reason);
+        setHeaders(res, result(m), tierDef.rpm, 'Minute');
+        setHeaders(res, result(d), tierDef.daily, 'Daily');
+
+        const rejected = [m, d].filter((r) => r.status === 'rejected').map((r) => r.reason);
+        if (rejected.length === 0) return true;
+
+        const msBeforeNext = Math.max(...rejected.map((r) => r.msBeforeNext || 1000));
+        const retryAfter = Math.ceil(msBeforeNext / 1000);
+        res.setHeader('Retry-After', retryAfter);
+        res.setHeader('X-RateLimit-Tier', tier);
+        res.status(429).json({
+            error: 'rate_limited',
+            tier,
+            retry_after_seconds: retryAfter,
+            message: `Tier "${tier}" rate limit exceeded. Upgrade tier or retry after ${retryAfter}s.`,
         });
+        return false;
+    });
+}
+
+// Account and billing routes stay reachable once the monthly quota is spent,
+// so a customer can still check usage and upgrade.
+const QUOTA_EXEMPT_PREFIXES = ['/api/v1/me', '/api/v1/billing'];
+
+// Share of the monthly quota at which responses start carrying X-Quota-Warning.
+const QUOTA_WARNING_LEVELS = [0.95, 0.8];
+
+/**
+ * Monthly quota for keyed tiers with a `monthly` cap, counted the way
+ * /me/usage reports it: usage_daily rollups for the month plus today's
+ * un-rolled usage_events (this request is logged on finish, so it is added
+ * here). Sets X-RateLimit-Monthly-* and, past 80% / 95%, X-Quota-Warning.
+ * Returns false once the 429 quota_exhausted has been sent.
+ */
+function checkMonthlyQuota(req, res) {
+    const keyId = req.customer?.keyId;
+    const tier = req.customer?.tier || 'anonymous';
+    const monthly = (TIERS[tier] || TIERS.anonymous).monthly;
+    if (!keyId || !monthly) return true;
+    if (QUOTA_EXEMPT_PREFIXES.some((p) => req.path === p || req.path.startsWith(`${p}/`))) return true;
+
+    let usage;
+    try {
+        usage = getCurrentMonthUsage(keyId);
+    } catch (err) {
+        // keys.db trouble must not take the API down — fail open, like usage logging.
+        logger.error({ err }, 'monthly_quota_check_failed');
+        return true;
+    }
+    const resetsAt = new Date(`${usage.resets_on}T00:00:00Z`);
+    const resetSeconds = Math.max(0, Math.ceil((resetsAt.getTime() - Date.now()) / 1000));
+    res.setHeader('X-RateLimit-Monthly-Limit', monthly);
+    res.setHeader('X-RateLimit-Monthly-Reset', resetSeconds);
+
+    if (usage.count >= monthly) {
+        res.setHeader('X-RateLimit-Monthly-Remaining', 0);
+        res.setHeader('Retry-After', resetSeconds);
+        res.setHeader('X-RateLimit-Tier', tier);
+        res.status(429).json({
+            error: 'quota_exhausted',
+            tier,
+            monthly_limit: monthly,
+            used: usage.count,
+            period_start: usage.period_start,
+            resets_at: resetsAt.toISOString(),
+            message: `Monthly quota of ${monthly} requests for tier "${tier}" is used up. ` +
+                `It resets on ${usage.resets_on}; upgrade your tier for more.`,
+        });
+        return false;
+    }
+
+    const used = usage.count + 1;
+    res.setHeader('X-RateLimit-Monthly-Remaining', monthly - used);
+    const level = QUOTA_WARNING_LEVELS.find((l) => used >= monthly * l);
+    if (level) {
+        res.setHeader('X-Quota-Warning',
+            `${Math.round(level * 100)}% of monthly quota used (${used}/${monthly}); resets ${usage.resets_on}`);
+    }
+    return true;
+}
+
+export function tieredRateLimit(req, res, next) {
+    if (RATE_LIMIT_EXEMPT_PATHS.has(req.path)) return next();
+    if (!checkMonthlyQuota(req, res)) return;
+    consume(req, res, 1).then((ok) => { if (ok) next(); });
+}
+
+/**
+ * Charge `points` more against the caller's limits on top of the one
+ * tieredRateLimit took for the request — for endpoints whose cost varies
+ * per request (GraphQL query cost). Updates the X-RateLimit-* headers.
+ * Resolves true when allowed; false once the 429 has been sent.
+ */
+export function consumeExtraPoints(req, res, points) {
+    if (!(points > 0)) return Promise.resolve(true);
+    return consume(req, res, points);
 }
@@ -9,6 +9,8 @@ import express from 'express';
 import http from 'http';
 import { URL } from 'url';
 import { LiveTransformer } from '../utils/live-transformer.js';
+import { feedFormat, sendFeed, apiBase } from '../utils/feeds.js';
+import { collectRequiredAttributions } from '../middleware/licenseFilter.js';
 
 const router = express.Router();
 
@@ -16,9 +18,10 @@ const router = express.Router();
 const ALERTS_API = process.env.ALERTS_API_URL || 'http://alerts:8080';
 
 /**
- * Generic proxy handler that forwards requests to the alerts backend
+ * Generic proxy handler that forwards requests to the alerts backend.
+ * `send(res, status, body)` replaces the JSON reply for transformed bodies.
  */
-function proxyRequest(targetPath, transformFn = null) {
+function proxyRequest(targetPath, transformFn = null, send = null) {
     return async (req, res) => {
         try {
             const url = new URL(targetPath + (req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : ''), ALERTS_API);
@@ -49,7 +52,8 @@ function proxyRequest(targetPath, transformFn = null) {
                         try {
                             const parsed = JSON.parse(data);
                             const transformed = transformFn(parsed);
-                            res.status(proxyRes.statusCode).json(transformed);
+                            if (send) send(res, proxyRes.statusCode, transformed);
+                            else res.status(proxyRes.statusCode).json(transformed);
                         } catch (err) {
                             res.status(500).json({ error: 'Transformation failed', detail: err.message });
                         }
@@ -128,8 +132,39 @@ function proxySSE(targetPath) {
     };
 }
 
+// Transformed alerts as a feed, newest first; each entry's permalink is its
+// /live/alerts/:id.
+function alertsFeed(req, records) {
+    const base = apiBase(req);
+    const sorted = [...records].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+    return {
+        title: 'Palestine live alerts',
+        description: 'Real-time West Bank and Gaza alerts from the alerts service.',
+        homeUrl: `${base}/live/alerts`,
+        attributions: collectRequiredAttributions(sorted),
+        items: sorted.map((r) => {
+            const required = collectRequiredAttributions([r]);
+            return {
+                id: `${base}/live/alerts/${encodeURIComponent(String(r.id).replace(/^alert-/, ''))}`,
+                title: `${String(r.event_type).replace(/_/g, ' ')} — ${r.location?.name || 'Unknown'}`,
+                summary: r.description || null,
+                published: r.date,
+                categories: [r.event_type, r.location?.region].filter(Boolean),
+                attributions: required.length ? required : (r.sources || []).map((src) => src.name),
+                extra: { event_type: r.event_type, location: r.location, severity: r.metrics?.severity },
+            };
+        }),
+    };
+}
+
 // ── Alert endpoints ──────────────────────────────────────────────────────────
-router.get('/alerts', proxyRequest('/alerts', LiveTransformer.transformAlerts));
+// ?format=atom|rss|jsonfeed (or a feed Accept header) returns /alerts as a feed.
+router.get('/alerts', (req, res) => {
+    const { format, error } = feedFormat(req);
+    if (error) return res.status(400).json(error);
+    const send = format && ((out, status, body) => sendFeed(req, out, format, alertsFeed(req, body.data)));
+    return proxyRequest('/alerts', LiveTransformer.transformAlerts, send)(req, res);
+});
 router.get('/alerts/latest', proxyRequest('/alerts/latest', LiveTransformer.transformAlerts));
 router.get('/alerts/active', proxyRequest('/alerts/active', LiveTransformer.transformAlerts));
 
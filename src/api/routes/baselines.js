@@ -0,0 +1,113 @@
+/**
+ * /api/v1/baselines — historical activity baselines for live alerts, from
+ * public/data/analytics/baselines.json (scripts/utils/baseline-analyzer.js:
+ * unified conflict records plus the alerts service, per region and per
+ * area × event_type).
+ *
+ * GET  /baselines?area=&region=&event_type=  read baselines; area= narrows
+ *                                            to area keys, region= to
+ *                                            region keys
+ * POST /baselines/contextualize              place alert payloads (the
+ *                                            shape live-transformer.js
+ *                                            takes) against them: Nth event
+ *                                            in 30 days vs the 90-day weekly
+ *                                            average, percentile rank of the
+ *                                            current week; rate-limited per
+ *                                            10 alerts
+ */
+import express from 'express';
+import apicache from 'apicache';
+import { loadBaselines } from '../../../scripts/utils/baseline-analyzer.js';
+import { LiveTransformer } from '../utils/live-transformer.js';
+import { consumeExtraPoints } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+const cache = apicache.middleware;
+
+export const MAX_ALERTS = 200;
+// A batch is charged against the tier's rate limit at one request per this
+// many alerts (a full batch costs 20, as a full /geo/admin/lookup batch does).
+export const ALERTS_PER_REQUEST = 10;
+
+const unavailable = (res) => res.status(503).json({
+    error: 'data_unavailable',
+    message: 'baselines.json has not been built yet (node scripts/utils/baseline-analyzer.js)',
+});
+
+// "<scope>:<event_type>" entries → [{ [field]: scope, event_type, ...stat }].
+function entries(map, field, scope, eventType) {
+    const wanted = scope ? scope.toLowerCase() : null;
+    return Object.entries(map || {})
+        .map(([key, stat]) => {
+            const i = key.lastIndexOf(':');
+            return { [field]: key.slice(0, i), event_type: key.slice(i + 1), ...stat };
+        })
+        .filter((e) => (!wanted || e[field].toLowerCase() === wanted) && (!eventType || e.event_type === eventType))
+        .sort((a, b) => b.count_30d - a.count_30d || a[field].localeCompare(b[field]));
+}
+
+router.get('/', cache('10 minutes'), async (req, res) => {
+    const baselines = await loadBaselines();
+    if (!baselines) return unavailable(res);
+    const { area, region, event_type: eventType } = req.query;
+
+    res.json({
+        generated_at: baselines.generated_at,
+        window_ends: baselines.window_ends,
+        filters: { area: area || null, region: region || null, event_type: eventType || null },
+        regions: area && !region ? [] : entries(baselines.baselines, 'region', region, eventType),
+        areas: region && !area ? [] : entries(baselines.by_area, 'area', area, eventType),
+    });
+});
+
+router.post('/contextualize', async (req, res) => {
+    const alerts = Array.isArray(req.body) ? req.body : req.body?.alerts;
+    if (!Array.isArray(alerts) || alerts.length === 0) {
+        return res.status(400).json({
+            error: 'invalid_body',
+            message: 'Send { "alerts": [{ "type": "idf_raid", "area": "Jenin", "zone": "north", "timestamp": "…" }, …] }',
+        });
+    }
+    if (alerts.length > MAX_ALERTS) {
+        return res.status(400).json({
+            error: 'too_many_alerts',
+            message: `At most ${MAX_ALERTS} alerts per request`,
+            max: MAX_ALERTS,
+            received: alerts.length,
+        });
+    }
+    if (!await consumeExtraPoints(req, res, Math.ceil(alerts.length / ALERTS_PER_REQUEST) - 1)) return;
+    const baselines = await loadBaselines();
+    if (!baselines) return unavailable(res);
+
+    // Results line up with `alerts`; unreadable entries get an error
+    // instead of failing the batch. Alerts past window_ends are counted
+    // in order, so three Jenin raids in one batch come back 3rd, 4th, 5th.
+    const seen = new Map();
+    const results = alerts.map((alert) => {
+        if (!alert || typeof alert !== 'object' || Array.isArray(alert)) return { error: 'invalid_alert' };
+        const id = alert.id !== undefined ? { id: alert.id } : {};
+        if (alert.timestamp && Number.isNaN(new Date(alert.timestamp).getTime())) {
+            return { ...id, error: 'invalid_timestamp' };
+        }
+        const [rec] = LiveTransformer.transformAlerts([alert]).data;
+        return {
+            ...id,
+            event_type: rec.event_type,
+            area: rec.location.name,
+            region: rec.location.region,
+            date: rec.date,
+            context: LiveTransformer.baselineContext(rec, baselines, seen),
+        };
+    });
+
+    res.json({
+        generated_at: baselines.generated_at,
+        window_ends: baselines.window_ends,
+        count: results.length,
+        unusual: results.filter((r) => r.context?.unusual).length,
+        results,
+    });
+});
+
+export default router;
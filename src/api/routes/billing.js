@@ -1,6 +1,6 @@
 import express from 'express';
 import Stripe from 'stripe';
-import { getKeyById } from '../services/keyStore.js';
+import { getKeyById, setCustomerTierByKey, deactivateCustomerKeysByKey } from '../services/keyStore.js';
 import { TIERS } from '../config/tiers.js';
 
 const router = express.Router();
@@ -121,7 +121,7 @@ router.post(
         }
 
         try {
-            await handleStripeEvent(event);
+            handleStripeEvent(event);
             res.json({ received: true });
         } catch (e) {
             (req.log || console).error({ err: e, type: event.type }, 'stripe_webhook_handle_failed');
@@ -130,15 +130,7 @@ router.post(
     }
 );
 
-async function handleStripeEvent(event) {
-    // Lazy import to avoid pulling DB into module top-level (matters for tests).
-    const { default: Database } = await import('better-sqlite3');
-    const dbPath = process.env.KEYS_DB_PATH || './data/keys.db';
-    const db = new Database(dbPath);
-
-    const setTier = db.prepare(`UPDATE api_keys SET tier = ?, active = 1 WHERE id = ?`);
-    const deactivate = db.prepare(`UPDATE api_keys SET active = 0 WHERE id = ?`);
-
+function handleStripeEvent(event) {
     switch (event.type) {
         case 'customer.subscription.created':
         case 'customer.subscription.updated': {
@@ -146,20 +138,19 @@ async function handleStripeEvent(event) {
             const priceId = sub.items?.data?.[0]?.price?.id;
             const tier = priceTierMap[priceId];
             const keyId = Number(sub.metadata?.key_id || sub.client_reference_id || 0);
-            if (tier && keyId) setTier.run(tier, keyId);
+            if (tier && keyId) setCustomerTierByKey(keyId, tier);
             break;
         }
         case 'customer.subscription.deleted': {
             const sub = event.data.object;
             const keyId = Number(sub.metadata?.key_id || sub.client_reference_id || 0);
-            if (keyId) deactivate.run(keyId);
+            if (keyId) deactivateCustomerKeysByKey(keyId);
             break;
         }
         default:
             // Ignore other event types.
             break;
     }
-    db.close();
 }
 
 router.get('/status', (req, res) => {
@@ -32,7 +32,7 @@ const ALLOWED = new Set([
 const cache = new Map();
 let manifestCache = null;
 
-async function loadType(type) {
+export async function loadType(type) {
     if (!ALLOWED.has(type)) return null;
     const file = path.join(DATA_DIR, `acled-pse-${type}.json`);
     let stat;
@@ -44,7 +44,7 @@ async function loadType(type) {
     return data;
 }
 
-async function loadManifest() {
+export async function loadManifest() {
     if (manifestCache) return manifestCache;
     try {
         manifestCache = JSON.parse(
@@ -21,20 +21,26 @@
  *
  *   No pagination yet — capped at `limit` (default 500, max 5000) to keep
  *   responses bounded. Frontends scrub by narrowing the date window.
+ *
+ *   ?format=atom|rss|jsonfeed (or a feed Accept header) returns the same
+ *   items as a feed, each linking its /record/:category/:id permalink.
  */
 
 import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { categoryInScope, sendScopeError } from '../utils/keyScopes.js';
+import { feedFormat, sendFeed, apiBase, recordPermalink } from '../utils/feeds.js';
+import { collectRequiredAttributions } from '../middleware/licenseFilter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const UNIFIED_DIR = path.resolve(__dirname, '../../../public/data/unified');
+export const UNIFIED_DIR = path.resolve(__dirname, '../../../public/data/unified');
 
 const router = express.Router();
 
-const DEFAULT_CATEGORIES = ['conflict', 'refugees', 'health', 'land', 'infrastructure', 'westbank'];
+export const DEFAULT_CATEGORIES = ['conflict', 'refugees', 'health', 'land', 'infrastructure', 'westbank'];
 
 async function readJsonSafe(p) {
     try { return JSON.parse(await fs.readFile(p, 'utf8')); } catch { return null; }
@@ -46,7 +52,7 @@ function inBbox(lat, lng, bbox) {
     return lat >= bbox[0] && lat <= bbox[2] && lng >= bbox[1] && lng <= bbox[3];
 }
 
-function normalize(record, sourceCategory) {
+export function normalize(record, sourceCategory) {
     const loc = record.location || {};
     const lat = loc.lat ?? (loc.coordinates ? loc.coordinates[1] : null);
     const lng = loc.lon ?? loc.lng ?? (loc.coordinates ? loc.coordinates[0] : null);
@@ -70,12 +76,46 @@ function normalize(record, sourceCategory) {
     };
 }
 
+function timelineFeed(req, events, recordOf) {
+    const base = apiBase(req);
+    const items = events.map((e) => {
+        const record = recordOf.get(e);
+        const required = collectRequiredAttributions([record]);
+        return {
+            id: recordPermalink(base, e.source_category, record),
+            title: e.title || [e.type, e.place_name].filter(Boolean).join(' — ') || e.source_category,
+            summary: record.description || null,
+            published: e.date,
+            categories: [e.source_category, e.type].filter(Boolean),
+            attributions: required.length ? required : e.attribution,
+            extra: {
+                category: e.source_category, place_name: e.place_name, region: e.region,
+                lat: e.lat, lng: e.lng, killed: e.killed, injured: e.injured, displaced: e.displaced,
+            },
+        };
+    });
+    return {
+        title: 'Palestine events timeline',
+        description: 'Time-ordered records across unified categories.',
+        homeUrl: `${base}/events/timeline`,
+        attributions: collectRequiredAttributions(events.map((e) => recordOf.get(e))),
+        items,
+    };
+}
+
 router.get('/', async (req, res) => {
+    const { format, error: formatError } = feedFormat(req);
+    if (formatError) return res.status(400).json(formatError);
     const from = req.query.from ? String(req.query.from) : null;
     const to = req.query.to ? String(req.query.to) : null;
     const limit = Math.min(5000, Math.max(1, parseInt(req.query.limit, 10) || 500));
     const categoriesRaw = req.query.categories ? String(req.query.categories).split(',') : DEFAULT_CATEGORIES;
-    const categories = categoriesRaw.filter((c) => DEFAULT_CATEGORIES.includes(c));
+    // Category-scoped keys: asking for an out-of-scope category is a 403,
+    // the default set is narrowed to what the key may read.
+    const scopes = req.customer?.scopes;
+    const outOfScope = req.query.categories && categoriesRaw.find((c) => !categoryInScope(scopes, c));
+    if (outOfScope) return sendScopeError(res, `category:${outOfScope}`, scopes);
+    const categories = categoriesRaw.filter((c) => DEFAULT_CATEGORIES.includes(c) && categoryInScope(scopes, c));
 
     let bbox = null;
     if (req.query.bbox) {
@@ -88,6 +128,7 @@ router.get('/', async (req, res) => {
 
     // Pull each requested category's all-data.json, filter, normalize.
     const events = [];
+    const recordOf = new Map(); // normalized item → source record, for feeds
     const sourceCounts = {};
     for (const cat of categories) {
         const filePath = path.join(UNIFIED_DIR, cat, 'all-data.json');
@@ -101,6 +142,7 @@ router.get('/', async (req, res) => {
             const norm = normalize(r, cat);
             if (bbox && !inBbox(norm.lat, norm.lng, bbox)) continue;
             events.push(norm);
+            recordOf.set(norm, r);
             kept += 1;
             if (events.length >= limit * 4) break;  // hard cap on category contribution
         }
@@ -111,6 +153,7 @@ router.get('/', async (req, res) => {
     events.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
     const truncated = events.length > limit;
     const out = events.slice(0, limit);
+    if (format) return sendFeed(req, res, format, timelineFeed(req, out, recordOf));
 
     res.json({
         meta: {
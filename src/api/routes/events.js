@@ -9,42 +9,87 @@
  *   ?min_categories=2        only clusters spanning N+ categories
  *   ?min_records=3           only clusters with N+ member records
  *   ?page=&limit=            pagination (default 20, max 100)
+ *   ?format=atom|rss|jsonfeed the page as a feed (or a feed Accept header),
+ *                            newest week first, linking /events/:cluster_id
  *
- * GET /api/v1/events/:cluster_id      one cluster (ev-<16 hex>)
+ * GET /api/v1/events/:cluster_id      one cluster (ev-<16 hex>), with the
+ *                                      news articles attached to it
+ *                                      (scripts/link-news-events.js)
  *
  * Members are {category, stable_id, date, event_type} references — hydrate
  * via the citable permalink GET /api/v1/record/:category/:stable_id.
+ *
+ * Keys with category scopes see clusters narrowed by scopeCluster(): no
+ * members, counts or totals from other categories, and a 403 for an
+ * explicit out-of-scope ?category= or a cluster with nothing in scope.
  */
 import express from 'express';
 import apicache from 'apicache';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const EVENTS_PATH = path.resolve(__dirname, '../../../public/data/events/events.json');
+import { loadEventClusters, findCluster, scopeCluster } from '../utils/eventClusters.js';
+import { articlesForCluster, NEWS_ATTRIBUTION } from './news.js';
+import { getUnifiedData } from '../utils/fileService.js';
+import { findUnifiedRecord } from '../utils/recordLookup.js';
+import { collectRequiredAttributions } from '../middleware/licenseFilter.js';
+import { feedFormat, sendFeed, apiBase } from '../utils/feeds.js';
+import { categoryInScope, sendScopeError } from '../utils/keyScopes.js';
 
 const router = express.Router();
 const cache = apicache.middleware;
+const NEWS_LIMIT = 50;
 
-let eventsCache = null;
-let eventsCacheMtime = 0;
-
-async function loadEvents() {
-    try {
-        const stat = await fs.stat(EVENTS_PATH);
-        if (eventsCache && stat.mtimeMs === eventsCacheMtime) return eventsCache;
-        eventsCache = JSON.parse(await fs.readFile(EVENTS_PATH, 'utf-8'));
-        eventsCacheMtime = stat.mtimeMs;
-        return eventsCache;
-    } catch {
-        return null;
+// Members are references, so their sources — and the attributions those
+// require — come from looking the records up: cluster_id → [attribution].
+async function clusterAttributions(clusters) {
+    const loads = new Map();
+    const getRecords = (category) => {
+        if (!loads.has(category)) loads.set(category, getUnifiedData(category).then((r) => r?.data || null));
+        return loads.get(category);
+    };
+    const out = new Map();
+    for (const c of clusters) {
+        const records = [];
+        for (const [category, members] of Object.entries(c.members)) {
+            for (const m of members) {
+                const hit = await findUnifiedRecord(category, m.stable_id, { getRecords });
+                if (hit) records.push(hit.record);
+            }
+        }
+        out.set(c.cluster_id, collectRequiredAttributions(records));
     }
+    return out;
+}
+
+async function clusterFeed(req, clusters) {
+    const base = apiBase(req);
+    const attributions = await clusterAttributions(clusters);
+    return {
+        title: 'Palestine event clusters',
+        description: 'Records across categories grouped by place and ISO week (scripts/build-events.js).',
+        homeUrl: `${base}/events`,
+        attributions: [...new Set([...attributions.values()].flat())].sort(),
+        items: clusters.map((c) => {
+            const counts = Object.entries(c.aggregated || {}).filter(([, v]) => v > 0).map(([k, v]) => `${v} ${k}`);
+            return {
+                id: `${base}/events/${c.cluster_id}`,
+                title: `${c.place_name}, ${c.week}: ${c.record_count} record${c.record_count === 1 ? '' : 's'} (${c.categories.join(', ')})`,
+                summary: `${c.period.start} – ${c.period.end}${counts.length ? `: ${counts.join(', ')}` : ''}`,
+                published: c.period.start,
+                categories: c.categories,
+                attributions: attributions.get(c.cluster_id),
+                extra: { cluster_id: c.cluster_id, place_key: c.place_key, admin2: c.admin2, week: c.week, aggregated: c.aggregated },
+            };
+        }),
+    };
 }
 
 router.get('/', cache('5 minutes'), async (req, res) => {
-    const doc = await loadEvents();
+    const { format, error: formatError } = feedFormat(req);
+    if (formatError) return res.status(400).json(formatError);
+    const scopes = req.customer?.scopes;
+    if (req.query.category && !categoryInScope(scopes, req.query.category)) {
+        return sendScopeError(res, `category:${String(req.query.category).toLowerCase()}`, scopes);
+    }
+    const doc = await loadEventClusters();
     if (!doc) {
         return res.status(503).json({ error: 'Event clusters not generated yet — run scripts/build-events.js' });
     }
@@ -61,7 +106,7 @@ router.get('/', cache('5 minutes'), async (req, res) => {
         limit = 20,
     } = req.query;
 
-    let data = doc.data;
+    let data = scopes?.categories ? doc.data.map((c) => scopeCluster(c, scopes)).filter(Boolean) : doc.data;
 
     if (admin2) {
         const a = String(admin2).toLowerCase();
@@ -92,6 +137,7 @@ router.get('/', cache('5 minutes'), async (req, res) => {
     const pg = Math.max(parseInt(page, 10) || 1, 1);
     const total = data.length;
     const pageData = data.slice((pg - 1) * lim, pg * lim);
+    if (format) return sendFeed(req, res, format, await clusterFeed(req, pageData));
 
     res.json({
         data: pageData,
@@ -111,15 +157,24 @@ router.get('/:id', cache('5 minutes'), async (req, res) => {
     if (!/^ev-[0-9a-f]{16}$/.test(req.params.id)) {
         return res.status(404).json({ error: 'Invalid cluster id (expected ev-<16 hex chars>)' });
     }
-    const doc = await loadEvents();
+    const doc = await loadEventClusters();
     if (!doc) {
         return res.status(503).json({ error: 'Event clusters not generated yet' });
     }
-    const cluster = doc.data.find((c) => c.cluster_id === req.params.id);
-    if (!cluster) {
+    const found = await findCluster(req.params.id);
+    if (!found) {
         return res.status(404).json({ error: 'Cluster not found' });
     }
-    res.json({ data: cluster, metadata: { generated_at: doc.generated_at } });
+    const scopes = req.customer?.scopes;
+    const cluster = scopeCluster(found, scopes);
+    if (!cluster) return sendScopeError(res, `category:${found.categories[0]}`, scopes);
+    const coverage = articlesForCluster(cluster.cluster_id, NEWS_LIMIT);
+    res.json({
+        data: cluster,
+        // null until the news collector and link-news-events.js have run
+        news: coverage && { ...coverage, attribution: NEWS_ATTRIBUTION },
+        metadata: { generated_at: doc.generated_at },
+    });
 });
 
 export default router;
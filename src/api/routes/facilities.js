@@ -13,6 +13,10 @@
  *         type=                                 (optional substring match
  *                                                on amenity / healthcare /
  *                                                place tag)
+ *         near=lat,lng&radius_km=               (optional; adds
+ *                                                properties.distance_km)
+ *         within=<admin pcode>, polygon=<GeoJSON> (optional; utils/spatial.js)
+ *         sort_by=distance_km&order=asc         (needs near=)
  *         limit=                                (default 1000, max 5000)
  *         offset=
  */
@@ -21,16 +25,19 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import express from 'express';
+import {
+    parseSpatialQuery, compileSpatial, describeSpatial, spatialSortDefaults, selectWithin,
+} from '../utils/spatial.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const DATA_DIR = path.resolve(__dirname, '../../../public/data/osm');
+export const DATA_DIR = path.resolve(__dirname, '../../../public/data/osm');
 
 const router = express.Router();
 
 // Layer → default file. Some layers accept a ?source= query for cross-
 // validation; layout is { default: <file>, sources: { osm, … } }.
-const LAYER_DEFS = {
+export const LAYER_DEFS = {
     'health': {
         default: 'health-facilities.geojson',  // OSM
         sources: {
@@ -55,12 +62,18 @@ const LAYER_FILES = Object.fromEntries(
 const cache = new Map();
 let manifestCache = null;
 
-async function loadLayer(layer, source) {
+// File backing a layer (and optional ?source=), or null for unknown layers.
+export function layerFile(layer, source) {
     const def = LAYER_DEFS[layer];
     if (!def) return null;
     const file = source && def.sources?.[source]
         ? def.sources[source]
         : def.default;
+    return file || null;
+}
+
+export async function loadLayer(layer, source) {
+    const file = layerFile(layer, source);
     if (!file) return null;
     const target = path.join(DATA_DIR, file);
     let stat;
@@ -73,7 +86,7 @@ async function loadLayer(layer, source) {
     return data;
 }
 
-async function loadManifest() {
+export async function loadManifest() {
     if (manifestCache) return manifestCache;
     try {
         manifestCache = JSON.parse(
@@ -83,9 +96,10 @@ async function loadManifest() {
     return manifestCache;
 }
 
-function inBbox(coords, bbox) {
-    const [lng, lat] = coords;
-    return lng >= bbox[0] && lng <= bbox[2] && lat >= bbox[1] && lat <= bbox[3];
+// [lat, lng] of a Point feature, for the spatial index.
+export function featurePoint(f) {
+    const c = f.geometry?.type === 'Point' ? f.geometry.coordinates : null;
+    return c && Number.isFinite(c[0]) && Number.isFinite(c[1]) ? [c[1], c[0]] : null;
 }
 
 function matchesType(props, layer, typeQuery) {
@@ -115,7 +129,9 @@ router.get('/', async (_req, res) => {
             endpoint: `/api/v1/facilities/${k}`,
         })),
         notes: 'OSM-derived facility points refreshed monthly upstream. ' +
-               'Use bbox= for spatial filtering; type= for substring match ' +
+               'Use bbox=, near=lat,lng&radius_km=, within=<admin pcode> or ' +
+               'polygon=<GeoJSON> for spatial filtering (sort_by=distance_km ' +
+               'with near=); type= for substring match ' +
                'on amenity/healthcare/place tags. Response shape is a ' +
                'GeoJSON FeatureCollection so mapping libs can render directly.',
     });
@@ -148,13 +164,33 @@ router.get('/:layer', async (req, res) => {
         const parts = String(req.query.bbox).split(',').map(parseFloat);
         if (parts.length === 4 && parts.every(Number.isFinite)) bbox = parts;
     }
+    const { spec, error: spatialError } = await parseSpatialQuery(req.query);
+    if (spatialError) return res.status(400).json(spatialError);
+    const { order: defaultOrder, error: sortError } = spatialSortDefaults(req.query, spec);
+    if (sortError) return res.status(400).json(sortError);
+    const sortBy = req.query.sort_by ? String(req.query.sort_by) : null;
+    if (sortBy && sortBy !== 'distance_km') {
+        return res.status(400).json({ error: 'invalid_sort', message: 'sort_by accepts only distance_km' });
+    }
+    const order = req.query.order ? (String(req.query.order) === 'desc' ? 'desc' : 'asc') : defaultOrder;
     const typeQ = String(req.query.type || '');
     const limit  = Math.min(parseInt(req.query.limit, 10) || 1000, 5000);
     const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-    let filtered = data.features;
-    if (bbox)  filtered = filtered.filter(f => inBbox(f.geometry?.coordinates || [], bbox));
+    // bbox= and the spatial params share one R-tree pass over the layer.
+    const spatial = (bbox || spec) && compileSpatial({ ...spec, ...(bbox ? { bbox } : {}) });
+    let filtered = spatial ? selectWithin(data.features, spatial, featurePoint) : data.features;
     if (typeQ) filtered = filtered.filter(f => matchesType(f.properties || {}, layer, typeQ));
+    if (spatial?.center) {
+        filtered = filtered.map(f => {
+            const [lat, lng] = featurePoint(f);
+            return { ...f, properties: { ...f.properties, distance_km: spatial.distanceKm(lat, lng) } };
+        });
+    }
+    if (sortBy) {
+        const dir = order === 'desc' ? -1 : 1;
+        filtered.sort((a, b) => dir * (a.properties.distance_km - b.properties.distance_km));
+    }
 
     const total = filtered.length;
     const slice = filtered.slice(offset, offset + limit);
@@ -173,6 +209,8 @@ router.get('/:layer', async (req, res) => {
             offset,
             limit,
             bbox,
+            spatial: describeSpatial(spec),
+            ...(sortBy ? { sort_by: sortBy, order } : {}),
             type_filter: typeQ || null,
             available_sources: Object.keys(def.sources),
             attribution,
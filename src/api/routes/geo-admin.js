@@ -2,48 +2,42 @@
  * /api/v1/geo/admin — OCHA admin boundaries for Palestine.
  *
  * Backed by public/data/admin/admin{0,1,2}.geojson (OCHA FISS via HDX,
- * refreshed nightly by scripts/sources/cod-ab.js).
+ * refreshed nightly by scripts/sources/cod-ab.js), plus admin3 locality
+ * polygons when the COD-AB release carries them.
  *
  * Endpoints (all public):
- *   GET /geo/admin                       — index of available levels
- *   GET /geo/admin/:level                — return GeoJSON FeatureCollection
+ *   GET  /geo/admin                      — index of available levels
+ *   GET  /geo/admin/:level               — return GeoJSON FeatureCollection
  *                                          (level ∈ admin0|admin1|admin2|
- *                                           adminlines|adminpoints)
- *   GET /geo/admin/lookup?lat=&lng=      — point-in-polygon reverse geocode
- *                                          (returns admin1 + admin2 hit)
+ *                                           admin3|adminlines|adminpoints)
+ *   GET  /geo/admin/lookup?lat=&lng=     — point-in-polygon reverse geocode
+ *                                          (admin1/admin2/admin3 hits, the
+ *                                           nearest adminpoints locality and
+ *                                           the nearest gazetteer place)
+ *   POST /geo/admin/lookup               — the same for up to 10,000 points:
+ *                                          { points: [{ lat, lng, id? }] },
+ *                                          rate-limited per 500 points
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import express from 'express';
+import {
+    ADMIN_DIR as DATA_DIR, ADMIN_LAYERS as ALLOWED_LAYERS, loadAdminLayer as loadLayer, adminFeatureAt,
+    nearestLocalityPoint,
+} from '../utils/adminBoundaries.js';
+import { loadGazetteerIndex, nearestPlace } from '../utils/gazetteer.js';
+import { consumeExtraPoints } from '../middleware/rateLimit.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const DATA_DIR = path.resolve(__dirname, '../../../public/data/admin');
+// Points per POST /lookup. server.js raises the JSON body limit for this
+// route to fit them.
+export const MAX_BATCH_POINTS = 10000;
+// A batch is charged against the tier's rate limit at one request per this
+// many points (a full batch costs 20).
+export const POINTS_PER_REQUEST = 500;
 
 const router = express.Router();
 
-const ALLOWED_LAYERS = new Set([
-    'admin0', 'admin1', 'admin2', 'adminlines', 'adminpoints',
-]);
-
-// Cache parsed GeoJSON in memory keyed by (layer, mtimeMs). Polygons are
-// small (16 features for admin2) so loading once and reusing is fine.
-const cache = new Map();
-
-async function loadLayer(layer) {
-    if (!ALLOWED_LAYERS.has(layer)) return null;
-    const file = path.join(DATA_DIR, `${layer}.geojson`);
-    let stat;
-    try { stat = await fs.stat(file); } catch { return null; }
-    const cached = cache.get(layer);
-    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.data;
-    const data = JSON.parse(await fs.readFile(file, 'utf8'));
-    cache.set(layer, { mtimeMs: stat.mtimeMs, data });
-    return data;
-}
-
 let manifestCache = null;
 async function loadManifest() {
     if (manifestCache) return manifestCache;
@@ -55,49 +49,6 @@ async function loadManifest() {
     return manifestCache;
 }
 
-// ── Point-in-polygon (ray casting) ───────────────────────────────────────────
-//
-// Walks a single ring of [lng, lat] coords; returns true if (lng, lat) is
-// inside. Edges-on-boundary count as inside. Standard algorithm — adequate
-// for 16-feature admin2 lookups; if we ever need admin3 with thousands of
-// polygons we'll bolt on an R-tree.
-function pointInRing(lng, lat, ring) {
-    let inside = false;
-    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-        const xi = ring[i][0], yi = ring[i][1];
-        const xj = ring[j][0], yj = ring[j][1];
-        const intersect = ((yi > lat) !== (yj > lat)) &&
-            (lng < (xj - xi) * (lat - yi) / (yj - yi || 1e-12) + xi);
-        if (intersect) inside = !inside;
-    }
-    return inside;
-}
-
-function pointInFeature(lng, lat, feature) {
-    const g = feature.geometry;
-    if (!g) return false;
-    if (g.type === 'Polygon') {
-        if (!pointInRing(lng, lat, g.coordinates[0])) return false;
-        // Subtract holes
-        for (let i = 1; i < g.coordinates.length; i++) {
-            if (pointInRing(lng, lat, g.coordinates[i])) return false;
-        }
-        return true;
-    }
-    if (g.type === 'MultiPolygon') {
-        for (const poly of g.coordinates) {
-            if (!pointInRing(lng, lat, poly[0])) continue;
-            let inHole = false;
-            for (let i = 1; i < poly.length; i++) {
-                if (pointInRing(lng, lat, poly[i])) { inHole = true; break; }
-            }
-            if (!inHole) return true;
-        }
-        return false;
-    }
-    return false;
-}
-
 function compactProps(props, level) {
     // Trim the OCHA properties down to the useful ones; the full props
     // are still in the layer file for clients that need them.
@@ -113,10 +64,73 @@ function compactProps(props, level) {
         out.pcode = props.adm2_pcode;
         out.parent_admin1 = props.adm1_name;
         out.parent_pcode = props.adm1_pcode;
+    } else if (level === 'admin3') {
+        out.name = props.adm3_name;
+        out.pcode = props.adm3_pcode;
+        out.parent_admin2 = props.adm2_name;
+        out.parent_pcode = props.adm2_pcode;
     }
     return out;
 }
 
+// Finest admin unit at the point: the containing admin3 polygon when the
+// release has one, else the nearest locality label point from adminpoints
+// in the same governorate.
+function resolveLocality(ctx, lat, lng, admin2, admin3) {
+    if (admin3) return { ...admin3, level: 'admin3', source: 'admin3', distance_km: 0 };
+    const near = nearestLocalityPoint(ctx.adminpoints, lng, lat, { admin2Pcode: admin2?.pcode });
+    if (!near) return null;
+    const props = near.feature.properties;
+    const [plng, plat] = near.feature.geometry.coordinates;
+    return {
+        name: props[`adm${near.level}_name`],
+        pcode: props[`adm${near.level}_pcode`],
+        level: `admin${near.level}`,
+        source: 'adminpoints',
+        lat: plat,
+        lng: plng,
+        distance_km: near.distance_km,
+    };
+}
+
+// Everything one lookup reads, loaded once so a batch resolves each point
+// synchronously against the R-tree indexes.
+async function loadLookupContext() {
+    const [admin1, admin2, admin3, adminpoints, gazetteer] = await Promise.all([
+        loadLayer('admin1'), loadLayer('admin2'), loadLayer('admin3'), loadLayer('adminpoints'),
+        loadGazetteerIndex(),
+    ]);
+    return { admin1, admin2, admin3, adminpoints, gazetteer };
+}
+
+function resolvePoint(ctx, lat, lng) {
+    const hit = (level) => {
+        const f = adminFeatureAt(ctx[level], lng, lat);
+        return f ? compactProps(f.properties, level) : null;
+    };
+    const admin2 = hit('admin2');
+    const admin3 = hit('admin3');
+    return {
+        query: { lat, lng },
+        admin1: hit('admin1'),
+        admin2,
+        admin3,
+        locality: resolveLocality(ctx, lat, lng, admin2, admin3),
+        nearest_place: nearestPlace(ctx.gazetteer, lat, lng),
+    };
+}
+
+// { lat, lng|lon, id? } or [lat, lng] → { lat, lng, id } or null.
+function readPoint(p) {
+    const [lat, lng, id] = Array.isArray(p)
+        ? [p[0], p[1], undefined]
+        : [p?.lat, p?.lng ?? p?.lon, p?.id];
+    const la = typeof lat === 'string' ? parseFloat(lat) : lat;
+    const ln = typeof lng === 'string' ? parseFloat(lng) : lng;
+    if (!Number.isFinite(la) || !Number.isFinite(ln) || Math.abs(la) > 90 || Math.abs(ln) > 180) return null;
+    return { lat: la, lng: ln, id };
+}
+
 // ── Routes ───────────────────────────────────────────────────────────────────
 
 router.get('/', async (_req, res) => {
@@ -134,10 +148,14 @@ router.get('/', async (_req, res) => {
         last_refreshed: manifest?.fetched_at,
         levels,
         lookup_endpoint: '/api/v1/geo/admin/lookup?lat=&lng=',
+        batch_lookup: `POST /api/v1/geo/admin/lookup { points: [{ lat, lng, id? }] } (max ${MAX_BATCH_POINTS})`,
         notes: 'Official OCHA Common Operational Datasets — Subnational ' +
                'Administrative Boundaries for Palestine. Use /lookup for ' +
                'reverse-geocoding a coordinate to its containing admin ' +
-               'units; use /:level for raw GeoJSON polygons.',
+               'units and nearest gazetteer place; use /:level for raw ' +
+               'GeoJSON polygons. admin3 is empty unless the upstream ' +
+               'release includes locality polygons; lookup falls back to ' +
+               'the nearest adminpoints locality for its locality field.',
     });
 });
 
@@ -147,14 +165,43 @@ router.get('/lookup', async (req, res) => {
     if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
         return res.status(400).json({ error: 'lat and lng required' });
     }
-    const [a1, a2] = await Promise.all([loadLayer('admin1'), loadLayer('admin2')]);
-    const hit1 = (a1?.features || []).find(f => pointInFeature(lng, lat, f));
-    const hit2 = (a2?.features || []).find(f => pointInFeature(lng, lat, f));
-    res.json({
-        query: { lat, lng },
-        admin1: hit1 ? compactProps(hit1.properties, 'admin1') : null,
-        admin2: hit2 ? compactProps(hit2.properties, 'admin2') : null,
+    res.json(resolvePoint(await loadLookupContext(), lat, lng));
+});
+
+router.post('/lookup', async (req, res) => {
+    const points = Array.isArray(req.body) ? req.body : req.body?.points;
+    if (!Array.isArray(points) || points.length === 0) {
+        return res.status(400).json({
+            error: 'invalid_body',
+            message: 'Send { "points": [{ "lat": 31.52, "lng": 34.45, "id": "optional" }, …] }',
+        });
+    }
+    if (points.length > MAX_BATCH_POINTS) {
+        return res.status(400).json({
+            error: 'too_many_points',
+            message: `At most ${MAX_BATCH_POINTS} points per request`,
+            max: MAX_BATCH_POINTS,
+            received: points.length,
+        });
+    }
+    if (!await consumeExtraPoints(req, res, Math.ceil(points.length / POINTS_PER_REQUEST) - 1)) return;
+
+    const ctx = await loadLookupContext();
+    let invalid = 0;
+    // Results line up with `points`; unreadable entries get an error
+    // instead of failing the whole batch.
+    const results = points.map((p) => {
+        const point = readPoint(p);
+        if (!point) {
+            invalid += 1;
+            return { ...(p?.id !== undefined ? { id: p.id } : {}), error: 'invalid_point' };
+        }
+        return {
+            ...(point.id !== undefined ? { id: point.id } : {}),
+            ...resolvePoint(ctx, point.lat, point.lng),
+        };
     });
+    res.json({ count: results.length, invalid, results });
 });
 
 router.get('/:level', async (req, res) => {
@@ -0,0 +1,118 @@
+/**
+ * GraphQL endpoint over unified categories, event clusters and the source /
+ * license registries (schema in utils/graphqlSchema.js).
+ *
+ * POST /api/v1/graphql   { query, variables?, operationName? }
+ * GET  /api/v1/graphql?query=&variables=<json>&operationName=
+ *
+ * Each operation is costed before it runs (utils/graphqlCost.js) and
+ * charged against the caller's tier limits at one rate-limit point per
+ * GRAPHQL_UNITS_PER_POINT units — the point tieredRateLimit already took
+ * counts towards it. Operations over MAX_QUERY_COST are rejected unrun.
+ * Records follow the same tier license gate as /unified; the attributions
+ * for everything returned are listed in `extensions`.
+ */
+import express from 'express';
+import {
+    parse, validate, execute, getOperationAST, getVariableValues, GraphQLError,
+} from 'graphql';
+import { schema, createGraphqlContext } from '../utils/graphqlSchema.js';
+import { estimateQueryCost } from '../utils/graphqlCost.js';
+import { consumeExtraPoints } from '../middleware/rateLimit.js';
+import { collectRequiredAttributions } from '../middleware/licenseFilter.js';
+
+const router = express.Router();
+
+export const GRAPHQL_UNITS_PER_POINT = 10;
+export const MAX_QUERY_COST = 5000;
+
+function fail(res, status, errors) {
+    const list = (Array.isArray(errors) ? errors : [errors])
+        .map((e) => (e instanceof GraphQLError ? e.toJSON() : e));
+    return res.status(status).json({ errors: list });
+}
+
+function readParams(req) {
+    const src = req.method === 'GET' ? req.query : (req.body || {});
+    let variables = src.variables ?? null;
+    if (typeof variables === 'string' && variables !== '') {
+        try {
+            variables = JSON.parse(variables);
+        } catch {
+            return { error: 'variables must be a JSON object' };
+        }
+    }
+    if (variables !== null && variables !== '' && (typeof variables !== 'object' || Array.isArray(variables))) {
+        return { error: 'variables must be a JSON object' };
+    }
+    return {
+        query: typeof src.query === 'string' ? src.query : null,
+        variables: variables || {},
+        operationName: src.operationName ? String(src.operationName) : null,
+    };
+}
+
+async function handle(req, res) {
+    const params = readParams(req);
+    if (params.error) {
+        return fail(res, 400, { message: params.error, extensions: { code: 'invalid_variables' } });
+    }
+    if (!params.query) {
+        return fail(res, 400, { message: 'Provide a GraphQL document as `query`', extensions: { code: 'missing_query' } });
+    }
+
+    let document;
+    try {
+        document = parse(params.query);
+    } catch (err) {
+        return fail(res, 400, err);
+    }
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length) return fail(res, 400, validationErrors);
+
+    const operation = getOperationAST(document, params.operationName);
+    if (!operation) {
+        return fail(res, 400, {
+            message: params.operationName
+                ? `Unknown operation "${params.operationName}"`
+                : 'Document has several operations; pass operationName',
+            extensions: { code: 'unknown_operation' },
+        });
+    }
+    const coerced = getVariableValues(schema, operation.variableDefinitions || [], params.variables);
+    if (coerced.errors) return fail(res, 400, coerced.errors);
+
+    const cost = estimateQueryCost(schema, document, operation, coerced.coerced);
+    const points = Math.max(1, Math.ceil(cost / GRAPHQL_UNITS_PER_POINT));
+    res.setHeader('X-GraphQL-Cost', cost);
+    if (cost > MAX_QUERY_COST) {
+        return fail(res, 400, {
+            message: `Query cost ${cost} exceeds the maximum of ${MAX_QUERY_COST}; lower limits or select fewer nested lists`,
+            extensions: { code: 'query_too_expensive', cost, max_cost: MAX_QUERY_COST },
+        });
+    }
+    if (!await consumeExtraPoints(req, res, points - 1)) return;
+
+    const ctx = createGraphqlContext({ tier: req.customer?.tier, scopes: req.customer?.scopes });
+    const result = await execute({
+        schema,
+        document,
+        operationName: params.operationName,
+        variableValues: params.variables,
+        contextValue: ctx,
+    });
+
+    res.json({
+        ...result,
+        extensions: {
+            cost: { units: cost, rate_limit_points: points },
+            records_hidden_by_license: ctx.hidden,
+            required_attributions: collectRequiredAttributions(ctx.served),
+        },
+    });
+}
+
+router.post('/', (req, res, next) => handle(req, res).catch(next));
+router.get('/', (req, res, next) => handle(req, res).catch(next));
+
+export default router;
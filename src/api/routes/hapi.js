@@ -36,7 +36,7 @@ const ALLOWED = new Set([
 const cache = new Map();
 let manifestCache = null;
 
-async function loadDataset(name) {
+export async function loadDataset(name) {
     if (!ALLOWED.has(name)) return null;
     const file = path.join(DATA_DIR, `${name}.json`);
     let stat;
@@ -48,7 +48,7 @@ async function loadDataset(name) {
     return data;
 }
 
-async function loadManifest() {
+export async function loadManifest() {
     if (manifestCache) return manifestCache;
     try {
         manifestCache = JSON.parse(
@@ -19,11 +19,11 @@ import express from 'express';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const DATA_DIR = path.resolve(__dirname, '../../../public/data/humanitarian');
+export const DATA_DIR = path.resolve(__dirname, '../../../public/data/humanitarian');
 
 const router = express.Router();
 
-const PHASE_LABELS = {
+export const PHASE_LABELS = {
     1: 'Minimal/None',
     2: 'Stressed',
     3: 'Crisis',
@@ -34,7 +34,7 @@ const PHASE_LABELS = {
 let geoCache = null;
 let manifestCache = null;
 
-async function loadGeo() {
+export async function loadGeo() {
     const file = path.join(DATA_DIR, 'ipc-food-insecurity.geojson');
     let stat;
     try { stat = await fs.stat(file); } catch { return null; }
@@ -44,7 +44,7 @@ async function loadGeo() {
     return data;
 }
 
-async function loadManifest() {
+export async function loadManifest() {
     if (manifestCache) return manifestCache;
     try {
         manifestCache = JSON.parse(
@@ -14,12 +14,22 @@
  *   GET /incidents/:category             — list within one category
  *       ?since=YYYY-MM-DD&until=YYYY-MM-DD
  *       &min_killed=N&perpetrator=...&limit=&offset=
+ *       &sort_by=date&order=desc&cursor=   (keyset paging, see utils/cursor.js;
+ *                                           without sort_by or cursor, rows
+ *                                           keep shard order and page by offset)
+ *       &near=lat,lng&radius_km=&within=<pcode>&polygon=<GeoJSON>
+ *                                          (utils/spatial.js; near= adds
+ *                                           distance_km, sort_by=distance_km)
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import express from 'express';
+import { readCursorQuery, sortRecords, paginateSorted, recordId } from '../utils/cursor.js';
+import {
+    parseSpatialQuery, compileSpatial, describeSpatial, spatialSortDefaults, selectWithin, withDistance,
+} from '../utils/spatial.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -119,7 +129,10 @@ router.get('/', async (_req, res) => {
             'Incident-level data on attacks against healthcare, aid workers, ' +
             'education, food/water systems, plus protection-in-danger and ' +
             'conflict-related sexual violence. Per-category endpoints accept ' +
-            'since=, until=, min_killed=, perpetrator=, limit=, offset= filters.',
+            'since=, until=, min_killed=, perpetrator=, limit=, offset= filters, ' +
+            'near=lat,lng&radius_km= / within=<admin pcode> / polygon=<GeoJSON> ' +
+            'spatial filters (sort_by=distance_km with near=), ' +
+            'and page by cursor= (next_cursor / prev_cursor in each response).',
     });
 });
 
@@ -150,8 +163,21 @@ router.get('/:category', async (req, res) => {
     const perpetrator = String(req.query.perpetrator || '').toLowerCase();
     const limit  = Math.min(parseInt(req.query.limit, 10) || 200, 5000);
     const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { spec, error: spatialError } = await parseSpatialQuery(req.query);
+    if (spatialError) return res.status(400).json(spatialError);
+    const sortDefaults = spatialSortDefaults(req.query, spec);
+    if (sortDefaults.error) return res.status(400).json(sortDefaults.error);
+    const { sortBy, order, cursor, error: cursorError } = readCursorQuery(req.query, sortDefaults);
+    if (cursorError) return res.status(400).json(cursorError);
+    // Without sort_by or cursor, rows keep the shard's order and page by
+    // offset= alone, as they did before keyset paging existed.
+    const shardOrder = !req.query.sort_by && !req.query.cursor;
 
-    let filtered = rows;
+    // Copy before sorting — `rows` is the shared per-process shard cache.
+    // The spatial pass returns a fresh array and indexes `rows` once.
+    const spatial = spec && compileSpatial(spec);
+    let filtered = spatial ? selectWithin(rows, spatial) : rows.slice();
+    if (spatial?.center) filtered = filtered.map(i => withDistance(i, spatial));
     if (since)  filtered = filtered.filter(i => i.date && i.date >= since);
     if (until)  filtered = filtered.filter(i => i.date && i.date <= until);
     if (Number.isFinite(minKilled)) {
@@ -165,12 +191,20 @@ router.get('/:category', async (req, res) => {
     }
 
     const total = filtered.length;
-    const slice = filtered.slice(offset, offset + limit).map(i => ({
+    let page;
+    if (shardOrder) {
+        page = { items: filtered.slice(offset, offset + limit), start: offset, next_cursor: null, prev_cursor: null };
+    } else {
+        sortRecords(filtered, sortBy, order);
+        page = paginateSorted(filtered, { sortBy, order, limit, offset, cursor });
+    }
+    const slice = page.items.map(i => ({
         // Strip the raw `details` from list responses to keep payloads small;
         // consumers can fetch the full row via /incidents/:category/:incident_id
         // (future endpoint) or download the public/data/insecurity-insight/
         // shard directly.
         ...i,
+        stable_id: recordId(i),
         details: undefined,
     }));
 
@@ -181,8 +215,13 @@ router.get('/:category', async (req, res) => {
         source: usedSource,
         available_sources: alt ? Object.keys(alt) : null,
         total,
-        offset,
+        offset: page.start,
         limit,
+        sort_by: shardOrder ? null : sortBy,
+        order: shardOrder ? null : order,
+        spatial: describeSpatial(spec),
+        next_cursor: page.next_cursor,
+        prev_cursor: page.prev_cursor,
         attribution: data.attribution
             || manifest?.attribution
             || 'Insecurity Insight via HDX (CC-BY-4.0)',
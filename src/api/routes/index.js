@@ -12,8 +12,11 @@ import eventsTimelineRoute from './events-timeline.js';
 import eventsClustersRoute from './events.js';
 import incidentsRoute from './incidents.js';
 import geoAdminRoute from './geo-admin.js';
+import placesRoute from './places.js';
+import baselinesRoute from './baselines.js';
 import facilitiesRoute from './facilities.js';
 import humanitarianRoute from './humanitarian.js';
+import tilesRoute from './tiles.js';
 import displacementRoute from './displacement.js';
 import indicatorsRoute from './indicators.js';
 import responseRoute from './response.js';
@@ -26,12 +29,18 @@ import snapshotsRoutes from './snapshots.js';
 import meRoutes from './me.js';
 import billingRoutes from './billing.js';
 import accessRequestRoutes from './access-request.js';
+import graphqlRoutes from './graphql.js';
 import { getCategories, getStats } from '../controllers/statsController.js';
+import { getPivot } from '../controllers/pivotController.js';
 
 const router = express.Router();
 const cache = apicache.middleware;
 
 router.use('/unified', unifiedRoutes);
+
+// GraphQL over unified records, event clusters and the source/license
+// registries — one round trip for what the dashboard fetches in 6–10.
+router.use('/graphql', graphqlRoutes);
 router.use('/search', searchRoutes);
 
 // Westbank-alerts proxy (checkpoints, alerts, weather, market, etc.)
@@ -72,6 +81,14 @@ router.use('/incidents', incidentsRoute);
 // reverse-geocode lookup. Powers polygon overlays on the live map.
 router.use('/geo/admin', geoAdminRoute);
 
+// Forward geocoding over the shared gazetteer: name search in Arabic or
+// Latin, plus per-place record counts and event-cluster links.
+router.use('/places', placesRoute);
+
+// Historical baselines (baseline-analyzer.js) and "how unusual is this
+// alert" context for the live alert UI.
+router.use('/baselines', baselinesRoute);
+
 // OSM/HOT facility points (health, education, populated places). Powers
 // hospital/school enrichment on alerts + route-safety nearest-facility.
 router.use('/facilities', facilitiesRoute);
@@ -79,6 +96,10 @@ router.use('/facilities', facilitiesRoute);
 // Humanitarian severity layers (currently IPC food insecurity polygons).
 router.use('/humanitarian', humanitarianRoute);
 
+// Vector tiles over the facility, admin, IPC and event layers above, so map
+// clients stop downloading whole FeatureCollections.
+router.use('/tiles', tilesRoute);
+
 // Displacement time series — UNHCR POC stocks + IDMC IDP new-displacements.
 router.use('/displacement', displacementRoute);
 
@@ -100,7 +121,7 @@ router.use('/quality', qualityRoutes);
 router.use('/record', recordRoutes);
 router.use('/snapshots', snapshotsRoutes);
 
-// Customer surfaces (C3/C4): own-key usage stats + Stripe billing
+// Customer surfaces (C3/C4): own-key usage stats, key management + Stripe billing
 router.use('/me', meRoutes);
 router.use('/billing', billingRoutes);
 
@@ -110,6 +131,10 @@ router.use('/access-request', accessRequestRoutes);
 router.get('/categories', cache('10 minutes'), getCategories);
 router.get('/stats', cache('10 minutes'), getStats);
 
+// Cross-category comparison: several category/metric series grouped by
+// admin area and period, as a long table or a wide matrix.
+router.get('/pivot', cache('10 minutes'), getPivot);
+
 // Human-friendly redirect for the integration guide. The HTML lives under
 // public/integrate.html (served by express.static); this route keeps the URL
 // memorable.
@@ -140,13 +165,29 @@ router.get('/', (req, res) => {
                 [`GET ${base}/licenses`]: 'license registry for all sources',
             },
             unified_data: {
-                [`GET ${base}/unified/:category`]: 'paginated records (filters: location, region, event_type, date range)',
+                [`GET ${base}/unified/:category`]: 'paginated records (filters: location, region, event_type, date range, ?filter= expression, ?near=/?within=/?polygon= spatial; ?cursor= keyset paging)',
                 [`GET ${base}/unified/:category/summary`]: 'aggregated metrics',
-                [`GET ${base}/unified/:category/timeseries`]: 'time-series buckets (?metric=&interval=&region=)',
+                [`GET ${base}/unified/:category/timeseries`]: 'time-series buckets (?metric=&interval=day|week|month|quarter|year&region=&tz=&fill=&rolling=)',
+                [`GET ${base}/unified/:category/analytics`]: 'trend, seasonality, change points, anomalies and forecast over the series (?metric=&interval=&region=&anomaly_method=zscore|iqr&horizon=)',
+                [`GET ${base}/pivot`]: 'cross-category comparison (?categories=&metrics=&group_by=admin2,month&from=&to=&format=long|wide)',
                 [`GET ${base}/unified/:category/metadata`]: 'schema + provenance',
+                [`GET ${base}/unified/:category/export`]: 'streamed full extract (?format=csv|ndjson|parquet, same filters)',
+                [`GET ${base}/unified/:category/changes`]: 'added/removed/modified records since a snapshot (?since=&until=&change=&cursor=)',
                 [`GET ${base}/search?q=`]: 'full-text search across categories',
                 [`GET ${base}/record/:category/:id`]: 'single record by stable id',
+                [`POST ${base}/graphql`]: 'GraphQL: records, event clusters, sibling records, sources and licenses in one query (cost-based rate limiting)',
                 [`GET ${base}/snapshots`]: 'list pinned daily snapshots (?as_of=YYYY-MM-DD)',
+                [`POST ${base}/me/webhooks`]: 'signed callbacks on new matching records or threshold breaches (auth; GET /me/webhooks/:id/deliveries for the log)',
+            },
+            maps: {
+                [`GET ${base}/tiles`]: 'vector tile layers (facilities, admin boundaries, IPC food insecurity, events)',
+                [`GET ${base}/tiles/:layer.json`]: 'TileJSON with attribution + license',
+                [`GET ${base}/tiles/:layer/:z/:x/:y.mvt`]: 'Mapbox Vector Tile, simplified per zoom',
+                [`GET ${base}/geo/admin/lookup`]: 'reverse geocode ?lat=&lng= to admin1/admin2 (admin3 where available) + nearest gazetteer place',
+                [`POST ${base}/geo/admin/lookup`]: 'the same for up to 10,000 points ({ points: [{ lat, lng, id? }] })',
+                [`GET ${base}/places?q=`]: 'place search over the gazetteer (Arabic/Latin, transliteration-tolerant) with admin2 + pcode',
+                [`GET ${base}/places/:gazetteer_key`]: 'one place with record counts per category and its event clusters',
+                [`GET ${base}/places/:key/profile`]: 'everything about a place or governorate (gazetteer key or admin2 pcode): timelines, facilities, ACLED, IPC, population, news, clusters',
             },
             gaza: {
                 [`GET ${base}/gaza/daily`]: 'daily casualty bulletin with demographic breakdown',
@@ -154,11 +195,19 @@ router.get('/', (req, res) => {
             },
             news: {
                 [`GET ${base}/news`]: 'aggregated news headlines (fair-use)',
+                [`GET ${base}/news/latest`]: 'latest headlines (?source=&since=&q=; ?format=atom|rss|jsonfeed for feed readers)',
+                [`GET ${base}/news/search?q=`]: 'ranked full-text search over the news archive with highlighted snippets (phrases, AND/OR/NOT, Arabic variants folded)',
+                [`GET ${base}/news/sources`]: 'configured feeds with article counts and fetch health (interval, failures, next fetch)',
+                [`GET ${base}/news/:id`]: 'one article with resolved places and related_events (event clusters for its places and week)',
+                [`GET ${base}/news/stories`]: 'articles grouped into cross-outlet stories (?since=&language=&min_sources=&place=)',
+                [`GET ${base}/news/stories/:id`]: 'one story with its member articles and each source\'s reliability',
             },
             live_alerts_proxy: {
                 [`GET ${base}/live/alerts/latest`]: 'most recent alerts',
                 [`GET ${base}/live/alerts`]: 'paginated alerts (?since=&min_confidence=&areas=)',
                 [`GET ${base}/live/alerts/export`]: 'bulk ndjson/csv export (auth)',
+                [`GET ${base}/baselines`]: 'historical baselines per region and area × event_type (?area=&region=&event_type=)',
+                [`POST ${base}/baselines/contextualize`]: 'Nth event in 30 days vs 90-day weekly average + percentile rank for alert payloads ({ alerts: [...] })',
                 [`GET ${base}/live/checkpoints`]: 'current checkpoint statuses',
                 [`GET ${base}/live/checkpoints/:key/history`]: 'status transitions in window',
                 [`GET ${base}/live/checkpoints/uptime`]: '% open/closed/restricted per checkpoint',
@@ -176,6 +225,7 @@ router.get('/', (req, res) => {
             'All responses include freshness metadata. Stale categories (>90 days) carry a "Warning: 299" header.',
             'License is per-source — see /licenses. Some sources are non-commercial (WHO, certain news, B\'Tselem).',
             'No auth required for discovery, health, or read endpoints. Rate-limited per IP.',
+            'List endpoints (/news/latest, /events, /events/timeline, /live/alerts, /unified/:category) also answer as Atom, RSS or JSON Feed: ?format=atom|rss|jsonfeed or the matching Accept header.',
         ],
     });
 });
@@ -1,6 +1,15 @@
 import express from 'express';
-import { getKeyById, getCurrentMonthUsage } from '../services/keyStore.js';
+import {
+    getKeyById, getCurrentMonthUsage, listCustomerKeys, countActiveKeys,
+    issueApiKey, setKeyLabel, revokeApiKey,
+    createWebhook, listCustomerWebhooks, getCustomerWebhook, deleteCustomerWebhook, listWebhookDeliveries,
+} from '../services/keyStore.js';
+import {
+    generateWebhookSecret, validateWebhookUrl, normalizeWebhookFilter, normalizeTrigger, initialState, enqueuePing,
+} from '../services/webhooks.js';
 import { getTier } from '../config/tiers.js';
+import { categoryExists } from '../utils/fileService.js';
+import { normalizeScopes, parseStoredScopes, sendScopeError, categoryInScope } from '../utils/keyScopes.js';
 
 const router = express.Router();
 
@@ -40,8 +49,281 @@ router.get('/usage', requireAuth, (req, res) => {
             requests: usage.count,
             bytes: usage.bytes,
             monthly_remaining: tier.monthly == null ? null : Math.max(0, tier.monthly - usage.count),
+            resets_on: usage.resets_on,
         },
     });
 });
 
+// Active keys per customer — enough for rotation overlap and a few
+// per-environment keys without letting one account mint keys unbounded.
+export const MAX_ACTIVE_KEYS = 5;
+const MAX_LABEL_LENGTH = 64;
+const MAX_REASON_LENGTH = 200;
+
+function keyView(row, currentKeyId) {
+    return {
+        id: row.id,
+        prefix: row.key_prefix,
+        tier: row.tier,
+        label: row.label,
+        scopes: parseStoredScopes(row.scopes),
+        status: row.revoked_at ? 'revoked' : row.active ? 'active' : 'inactive',
+        current: row.id === currentKeyId,
+        created_at: row.created_at,
+        last_used_at: row.last_used_at,
+        revoked_at: row.revoked_at,
+        revoked_reason: row.revoked_reason,
+    };
+}
+
+// undefined when absent, null to clear, trimmed string otherwise; { error } when invalid.
+function readText(value, field, max) {
+    if (value === undefined) return { value: undefined };
+    if (value === null || value === '') return { value: null };
+    if (typeof value !== 'string' || value.trim().length > max) {
+        return { error: `\`${field}\` must be a string of at most ${max} characters` };
+    }
+    return { value: value.trim() || null };
+}
+
+function keyIdParam(req, res) {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+        res.status(400).json({ error: 'invalid_key_id', message: 'Key id must be a positive integer' });
+        return null;
+    }
+    return id;
+}
+
+// Managing keys needs an unscoped key, so a key handed to a contractor or
+// embedded in a dashboard cannot mint itself a wider one.
+function requireUnscoped(req, res, next) {
+    if (req.customer.scopes) return sendScopeError(res, 'keys:manage', req.customer.scopes);
+    next();
+}
+
+router.use('/keys', requireAuth, requireUnscoped);
+
+router.get('/keys', (req, res) => {
+    const { id: customerId, keyId } = req.customer;
+    const keys = listCustomerKeys(customerId).map((row) => keyView(row, keyId));
+    res.json({ keys, active: keys.filter((k) => k.status === 'active').length, max_active: MAX_ACTIVE_KEYS });
+});
+
+// Mint another key for the same customer, e.g. to rotate: deploy the new key,
+// then DELETE the old one. It takes the tier of the key making the request —
+// billing keeps every unrevoked key of a customer on the same tier — and
+// optional `scopes`, fixed for the key's lifetime (mint a new one to change).
+router.post('/keys', (req, res) => {
+    const label = readText(req.body?.label, 'label', MAX_LABEL_LENGTH);
+    if (label.error) return res.status(400).json({ error: 'invalid_label', message: label.error });
+    const scopes = normalizeScopes(req.body?.scopes);
+    if (scopes.error) return res.status(400).json({ error: 'invalid_scopes', message: scopes.error });
+
+    const current = getKeyById(req.customer.keyId);
+    if (!current) return res.status(404).json({ error: 'key_not_found' });
+    if (countActiveKeys(current.customer_id) >= MAX_ACTIVE_KEYS) {
+        return res.status(409).json({
+            error: 'key_limit_reached',
+            max_active: MAX_ACTIVE_KEYS,
+            message: `At most ${MAX_ACTIVE_KEYS} active keys per account; revoke one first.`,
+        });
+    }
+
+    const issued = issueApiKey({
+        customerId: current.customer_id,
+        tier: current.tier,
+        label: label.value ?? null,
+        scopes: scopes.scopes,
+    });
+    const row = listCustomerKeys(current.customer_id).find((k) => k.id === issued.id);
+    res.status(201).json({
+        key: issued.raw,
+        ...keyView(row, req.customer.keyId),
+        message: 'Store this key now — it will not be shown again.',
+    });
+});
+
+router.patch('/keys/:id', (req, res) => {
+    const id = keyIdParam(req, res);
+    if (id == null) return;
+    const label = readText(req.body?.label, 'label', MAX_LABEL_LENGTH);
+    if (label.error || label.value === undefined) {
+        return res.status(400).json({ error: 'invalid_label', message: label.error || 'Send `label` (string, or null to clear)' });
+    }
+    const row = setKeyLabel({ customerId: req.customer.id, keyId: id, label: label.value });
+    if (!row) return res.status(404).json({ error: 'key_not_found' });
+    res.json(keyView(row, req.customer.keyId));
+});
+
+// Revoking is permanent. The calling key may revoke itself, but not the
+// account's last active key — that would lock the customer out.
+router.delete('/keys/:id', (req, res) => {
+    const id = keyIdParam(req, res);
+    if (id == null) return;
+    const reason = readText(req.body?.reason ?? req.query.reason, 'reason', MAX_REASON_LENGTH);
+    if (reason.error) return res.status(400).json({ error: 'invalid_reason', message: reason.error });
+
+    const { id: customerId, keyId } = req.customer;
+    const target = listCustomerKeys(customerId).find((k) => k.id === id);
+    if (!target) return res.status(404).json({ error: 'key_not_found' });
+    if (target.revoked_at) {
+        return res.status(409).json({ error: 'key_already_revoked', revoked_at: target.revoked_at });
+    }
+    if (target.active && countActiveKeys(customerId) <= 1) {
+        return res.status(409).json({
+            error: 'last_active_key',
+            message: 'Mint a replacement with POST /me/keys before revoking your only active key.',
+        });
+    }
+
+    const row = revokeApiKey({ customerId, keyId: id, reason: reason.value ?? null });
+    if (!row) return res.status(409).json({ error: 'key_already_revoked' });
+    res.json(keyView(row, keyId));
+});
+
+// --- Webhooks ---------------------------------------------------------------
+// Signed POSTs to a customer URL when new records match a filter or a
+// threshold is crossed; see services/webhooks.js. Each webhook evaluates
+// with the tier of the key that registered it, and stops when that key is
+// revoked.
+
+export const MAX_WEBHOOKS = 10;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const MAX_DELIVERY_LIMIT = 200;
+
+function webhookView(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        category: row.category,
+        filter: JSON.parse(row.filter_params),
+        trigger: JSON.parse(row.trigger_spec),
+        label: row.label,
+        key_id: row.key_id,
+        active: Boolean(row.active),
+        created_at: row.created_at,
+        last_evaluated_at: row.last_evaluated_at,
+    };
+}
+
+function deliveryView(row) {
+    return {
+        id: row.id,
+        event_id: row.event_id,
+        event_type: row.event_type,
+        status: row.status,
+        attempts: row.attempts,
+        response_status: row.response_status,
+        last_error: row.last_error,
+        created_at: row.created_at,
+        last_attempt_at: row.last_attempt_at,
+        delivered_at: row.delivered_at,
+        next_attempt_at: row.status === 'pending' && row.next_attempt_at
+            ? new Date(row.next_attempt_at).toISOString()
+            : null,
+    };
+}
+
+function webhookParam(req, res) {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+        res.status(400).json({ error: 'invalid_webhook_id', message: 'Webhook id must be a positive integer' });
+        return null;
+    }
+    const row = getCustomerWebhook(req.customer.id, id);
+    if (!row) {
+        res.status(404).json({ error: 'webhook_not_found' });
+        return null;
+    }
+    return row;
+}
+
+router.use('/webhooks', requireAuth);
+
+router.get('/webhooks', (req, res) => {
+    const webhooks = listCustomerWebhooks(req.customer.id).map(webhookView);
+    res.json({ webhooks, count: webhooks.length, max: MAX_WEBHOOKS });
+});
+
+// Body: { url, category, filter?, trigger, label? }. The signing secret is
+// returned once, here.
+router.post('/webhooks', async (req, res) => {
+    const body = req.body || {};
+    const url = validateWebhookUrl(body.url);
+    if (url.error) return res.status(400).json({ error: 'invalid_url', message: url.error });
+    const label = readText(body.label, 'label', MAX_LABEL_LENGTH);
+    if (label.error) return res.status(400).json({ error: 'invalid_label', message: label.error });
+
+    const category = typeof body.category === 'string' ? body.category.trim().toLowerCase() : '';
+    if (!category || !await categoryExists(category)) {
+        return res.status(400).json({ error: 'invalid_category', message: 'Send `category`, one of /api/v1/unified' });
+    }
+    if (!categoryInScope(req.customer.scopes, category)) {
+        return sendScopeError(res, `category:${category}`, req.customer.scopes);
+    }
+    const filter = await normalizeWebhookFilter(body.filter);
+    if (filter.error) return res.status(400).json(filter.error);
+    const trigger = normalizeTrigger(body.trigger, filter.filter);
+    if (trigger.error) return res.status(400).json(trigger.error);
+
+    if (listCustomerWebhooks(req.customer.id).length >= MAX_WEBHOOKS) {
+        return res.status(409).json({
+            error: 'webhook_limit_reached',
+            max: MAX_WEBHOOKS,
+            message: `At most ${MAX_WEBHOOKS} webhooks per account; delete one first.`,
+        });
+    }
+
+    const secret = generateWebhookSecret();
+    const row = createWebhook({
+        customerId: req.customer.id,
+        keyId: req.customer.keyId,
+        url: url.url,
+        secret,
+        category,
+        filter: filter.filter,
+        trigger: trigger.trigger,
+        label: label.value ?? null,
+        state: await initialState(category, trigger.trigger),
+    });
+    res.status(201).json({
+        ...webhookView(row),
+        secret,
+        message: 'Store this secret now — it will not be shown again. Verify X-PDB-Signature with it.',
+    });
+});
+
+router.get('/webhooks/:id', (req, res) => {
+    const row = webhookParam(req, res);
+    if (row) res.json(webhookView(row));
+});
+
+router.delete('/webhooks/:id', (req, res) => {
+    const row = webhookParam(req, res);
+    if (!row) return;
+    deleteCustomerWebhook(req.customer.id, row.id);
+    res.json({ ...webhookView(row), deleted: true });
+});
+
+router.get('/webhooks/:id/deliveries', (req, res) => {
+    const row = webhookParam(req, res);
+    if (!row) return;
+    const status = req.query.status || null;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'invalid_status', message: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(MAX_DELIVERY_LIMIT, Math.max(1, parseInt(req.query.limit) || 50));
+    const deliveries = listWebhookDeliveries(row.id, { status, limit }).map(deliveryView);
+    res.json({ webhook_id: row.id, status, limit, count: deliveries.length, deliveries });
+});
+
+// Queue a `ping` event; the delivery worker sends it within a minute.
+router.post('/webhooks/:id/ping', (req, res) => {
+    const row = webhookParam(req, res);
+    if (!row) return;
+    const eventId = enqueuePing(row);
+    res.status(202).json({ webhook_id: row.id, event_id: eventId, status: 'pending' });
+});
+
 export default router;
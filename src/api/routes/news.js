@@ -1,7 +1,12 @@
 import express from 'express';
 import { DatabaseSync } from 'node:sqlite';
+import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { buildMatchQuery, matchRanges, markRanges } from '../../../scripts/utils/news-search.js';
+import { findCluster } from '../utils/eventClusters.js';
+import { feedFormat, sendFeed, apiBase } from '../utils/feeds.js';
+import { collectRequiredAttributions } from '../middleware/licenseFilter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,6 +15,7 @@ const ROOT = path.resolve(__dirname, '../../..');
 const DB_PATH =
   process.env.NEWS_DB_PATH ||
   path.resolve(ROOT, 'services/westbank-alerts/data/news.db');
+const SOURCES_PATH = path.resolve(ROOT, 'scripts/news-sources.json');
 
 // Lazy-open (DB may not exist until collector runs once).
 // Open RW because WAL-mode DBs need to touch -shm/-wal; api never writes rows.
@@ -49,28 +55,139 @@ function rowToArticle(r) {
   };
 }
 
+// Latest relevant articles whose extracted entities include gazetteer place
+// `key` (news-collector.js stores { canonical, name_en, name_ar } per hit).
+// Used by /places/:key/profile. Null when news.db is not readable.
+export function articlesMentioning(key, limit = 5) {
+  const d = db();
+  if (!d) return null;
+  const needle = `%"canonical":${JSON.stringify(key).replace(/[\\%_]/g, '\\$&')}%`;
+  try {
+    return d.prepare(`
+      SELECT * FROM articles
+      WHERE palestine_relevant = 1 AND entities LIKE ? ESCAPE '\\'
+      ORDER BY COALESCE(published_at, fetched_at) DESC
+      LIMIT ?`).all(needle, limit).map(rowToArticle);
+  } catch {
+    return null;
+  }
+}
+
+// Relevant articles attached to event cluster `clusterId` by
+// scripts/link-news-events.js, newest first: { total, articles }. Used by
+// /events/:id. Null when news.db or its link table is not there yet.
+export function articlesForCluster(clusterId, limit = 20) {
+  const d = db();
+  if (!d || !hasTable(d, 'article_events')) return null;
+  try {
+    const total = d.prepare('SELECT COUNT(*) AS c FROM article_events WHERE cluster_id = ?').get(clusterId).c;
+    const rows = d.prepare(`
+      SELECT a.*, ae.place_kind FROM article_events ae JOIN articles a ON a.id = ae.article_id
+      WHERE ae.cluster_id = ?
+      ORDER BY COALESCE(a.published_at, a.fetched_at) DESC
+      LIMIT ?`).all(clusterId, limit);
+    return {
+      total,
+      articles: rows.map((r) => ({
+        id: r.id,
+        title: r.title,
+        link: r.link,
+        source_id: r.source_id,
+        source_name: r.source_name,
+        reliability: r.reliability,
+        language: r.language,
+        published_at: r.published_at || r.fetched_at,
+        severity: r.severity,
+        matched_on: r.place_kind,
+      })),
+    };
+  } catch {
+    return null;
+  }
+}
+
+// articles_fts and the story tables are created by news-collector.js; a
+// news.db it has not opened since they were added has none yet.
+function hasTable(d, name) {
+  try {
+    return Boolean(d.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+  } catch {
+    return false;
+  }
+}
+
+// The source/language/severity/topic/since filters /latest and /search share.
+function articleFilters(query, col = (c) => c) {
+  const { source, language, topic, severity, since } = query;
+  const where = [`${col('palestine_relevant')} = 1`];
+  const params = [];
+  if (source)   { where.push(`${col('source_id')} = ?`);     params.push(source); }
+  if (language) { where.push(`${col('language')} = ?`);      params.push(language); }
+  if (severity) { where.push(`${col('severity')} = ?`);      params.push(severity); }
+  if (topic)    { where.push(`${col('topics')} LIKE ?`);     params.push(`%"${topic}"%`); }
+  if (since)    { where.push(`${col('published_at')} >= ?`); params.push(since); }
+  return { where, params };
+}
+
 const router = express.Router();
 
+export const NEWS_ATTRIBUTION = 'Headlines and links only; each article belongs to its publisher (source_name).';
+
+// /news/latest as a feed: entries link to the publisher's article, with
+// /news/:id as the permalink.
+function latestFeed(req, rows) {
+  const base = apiBase(req);
+  return {
+    title: 'Palestine news — latest headlines',
+    description: NEWS_ATTRIBUTION,
+    homeUrl: `${base}/news/latest`,
+    attributions: [NEWS_ATTRIBUTION],
+    items: rows.map((r) => {
+      const required = collectRequiredAttributions([{ sources: [r.source_name] }]);
+      return {
+        id: `${base}/news/${r.id}`,
+        url: r.link || null,
+        title: r.title,
+        summary: r.description,
+        published: r.published_at || r.fetched_at,
+        authors: [r.source_name],
+        categories: parseJSONSafe(r.topics) || [],
+        attributions: required.length ? required : [r.source_name],
+        extra: { source_id: r.source_id, reliability: r.reliability, language: r.language, severity: r.severity },
+      };
+    }),
+  };
+}
+
 // GET /api/v1/news/latest
 // Query: limit, offset, source, language, topic, severity, q, since
+// q goes through the full-text index (same syntax as /search, newest
+// first) when there is one, else a substring match on title/description.
+// format=atom|rss|jsonfeed (or a feed Accept header) returns the page as
+// a feed (src/api/utils/feeds.js).
 router.get('/latest', (req, res) => {
+  const { format, error: formatError } = feedFormat(req);
+  if (formatError) return res.status(400).json(formatError);
   const d = db();
-  if (!d) return res.json({ count: 0, articles: [], note: 'news.db not yet available' });
+  if (!d) {
+    if (format) return sendFeed(req, res, format, latestFeed(req, []));
+    return res.json({ count: 0, articles: [], note: 'news.db not yet available' });
+  }
 
   const limit  = Math.min(Number(req.query.limit) || 50, 200);
   const offset = Math.max(Number(req.query.offset) || 0, 0);
-  const { source, language, topic, severity, q, since } = req.query;
+  const { q } = req.query;
 
-  const where = ['palestine_relevant = 1'];
-  const params = [];
-  if (source)   { where.push('source_id = ?');            params.push(source); }
-  if (language) { where.push('language = ?');             params.push(language); }
-  if (severity) { where.push('severity = ?');             params.push(severity); }
-  if (topic)    { where.push('topics LIKE ?');            params.push(`%"${topic}"%`); }
-  if (since)    { where.push('published_at >= ?');        params.push(since); }
+  const { where, params } = articleFilters(req.query);
   if (q) {
-    where.push('(title LIKE ? OR description LIKE ?)');
-    params.push(`%${q}%`, `%${q}%`);
+    const fts = hasTable(d, 'articles_fts') ? buildMatchQuery(q) : { error: 'no index' };
+    if (fts.match) {
+      where.push('id IN (SELECT rowid FROM articles_fts WHERE articles_fts MATCH ?)');
+      params.push(fts.match);
+    } else {
+      where.push('(title LIKE ? OR description LIKE ?)');
+      params.push(`%${q}%`, `%${q}%`);
+    }
   }
 
   const sql = `
@@ -80,6 +197,7 @@ router.get('/latest', (req, res) => {
     LIMIT ? OFFSET ?`;
   try {
     const rows = d.prepare(sql).all(...params, limit, offset);
+    if (format) return sendFeed(req, res, format, latestFeed(req, rows));
     const total = d.prepare(`SELECT COUNT(*) as c FROM articles WHERE ${where.join(' AND ')}`).get(...params).c;
     res.json({
       count: rows.length,
@@ -93,7 +211,125 @@ router.get('/latest', (req, res) => {
   }
 });
 
-// GET /api/v1/news/sources — per-source counts, latest pub date, reliability
+const SNIPPET_LENGTH = 240;
+// BM25 column weights: a hit in the title counts most.
+const BM25_WEIGHTS = { title: 10, description: 4, body: 1 };
+const MARK_OPEN = '\u0002';
+const MARK_CLOSE = '\u0003';
+
+// { title, snippet, snippet_field } for a search hit: the title with hits
+// marked, and a window of body (else description) around the first hit.
+function searchHighlights(row) {
+  const marked = (field) => matchRanges(row[field] || '', row[`hl_${field}`] || '', MARK_OPEN, MARK_CLOSE);
+  const title = markRanges(row.title || '', marked('title'));
+  for (const field of ['body', 'description']) {
+    const ranges = marked(field);
+    if (ranges.length) return { title, snippet: markRanges(row[field], ranges, SNIPPET_LENGTH), snippet_field: field };
+  }
+  const fallback = row.description || row.body;
+  return {
+    title,
+    snippet: fallback ? markRanges(fallback, [], SNIPPET_LENGTH) : null,
+    snippet_field: fallback ? (row.description ? 'description' : 'body') : null,
+  };
+}
+
+// GET /api/v1/news/search?q=
+// BM25-ranked full-text search over title, description and body, with
+// Arabic spelling variants folded and English stemmed. q takes "phrases",
+// AND / OR / NOT, parentheses and prefix* terms. Also: sort=relevance|date,
+// limit, offset and the /latest filters.
+router.get('/search', (req, res) => {
+  const d = db();
+  if (!d) return res.json({ count: 0, total: 0, articles: [], note: 'news.db not yet available' });
+  if (!hasTable(d, 'articles_fts')) {
+    return res.status(503).json({
+      error: 'search_unavailable',
+      message: 'news.db has no full-text index yet; run the collector (npm run news:collect)',
+    });
+  }
+  const fts = buildMatchQuery(req.query.q);
+  if (fts.error) return res.status(400).json({ error: 'invalid_query', message: fts.error });
+  const sort = req.query.sort || 'relevance';
+  if (!['relevance', 'date'].includes(sort)) {
+    return res.status(400).json({ error: 'invalid_sort', message: 'sort must be relevance or date' });
+  }
+
+  const limit  = Math.min(Number(req.query.limit) || 20, 100);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  const { where, params } = articleFilters(req.query, (c) => `a.${c}`);
+  const from = `
+    FROM articles_fts JOIN articles a ON a.id = articles_fts.rowid
+    WHERE articles_fts MATCH ? AND ${where.join(' AND ')}`;
+  const weights = Object.values(BM25_WEIGHTS).join(', ');
+  const marks = [MARK_OPEN, MARK_CLOSE];
+
+  try {
+    const rows = d.prepare(`
+      SELECT a.*, bm25(articles_fts, ${weights}) AS rank,
+             highlight(articles_fts, 0, ?, ?) AS hl_title,
+             highlight(articles_fts, 1, ?, ?) AS hl_description,
+             highlight(articles_fts, 2, ?, ?) AS hl_body
+      ${from}
+      ORDER BY ${sort === 'date' ? 'COALESCE(a.published_at, a.fetched_at) DESC' : 'rank'}
+      LIMIT ? OFFSET ?`).all(...marks, ...marks, ...marks, fts.match, ...params, limit, offset);
+    const total = d.prepare(`SELECT COUNT(*) AS c ${from}`).get(fts.match, ...params).c;
+    res.json({
+      q: req.query.q,
+      match: fts.match,
+      sort,
+      count: rows.length,
+      total,
+      limit,
+      offset,
+      articles: rows.map((r) => ({
+        ...rowToArticle(r),
+        score: Number((-r.rank).toPrecision(4)),
+        highlights: searchHighlights(r),
+      })),
+    });
+  } catch (e) {
+    if (/fts5/i.test(e.message)) return res.status(400).json({ error: 'invalid_query', message: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// The collector's feed list; [] when it cannot be read.
+let _feeds = null;
+function configuredFeeds() {
+  if (_feeds) return _feeds;
+  try {
+    _feeds = JSON.parse(fs.readFileSync(SOURCES_PATH, 'utf8')).feeds || [];
+  } catch {
+    _feeds = [];
+  }
+  return _feeds;
+}
+
+// Fetch schedule and health from feed_state (scripts/utils/feed-schedule.js).
+function feedHealth(s) {
+  if (!s) return { status: 'pending' };
+  return {
+    status: s.disabled_at ? 'disabled' : s.consecutive_failures > 0 ? 'failing' : 'ok',
+    interval_minutes: s.interval_ms ? Math.round(s.interval_ms / 60000) : null,
+    items_per_hour: s.items_per_hour,
+    conditional: Boolean(s.etag || s.last_modified),
+    last_fetched_at: s.last_fetched_at,
+    last_status: s.last_status,
+    last_success_at: s.last_success_at,
+    last_new_items_at: s.last_new_items_at,
+    next_fetch_at: s.next_fetch_at,
+    consecutive_failures: s.consecutive_failures,
+    last_error: s.last_error,
+    disabled_at: s.disabled_at,
+    fetch_count: s.fetch_count,
+    not_modified_count: s.not_modified_count,
+  };
+}
+
+// GET /api/v1/news/sources — every configured feed (and any retired source
+// still in the archive): per-source counts, latest pub date, reliability,
+// and the feed's fetch schedule and health
 router.get('/sources', (req, res) => {
   const d = db();
   if (!d) return res.json({ sources: [] });
@@ -105,9 +341,29 @@ router.get('/sources', (req, res) => {
              MAX(fetched_at)   AS latest_fetched
       FROM articles
       GROUP BY source_id
-      ORDER BY article_count DESC
     `).all();
-    res.json({ sources: rows });
+    const states = hasTable(d, 'feed_state')
+      ? new Map(d.prepare('SELECT * FROM feed_state').all().map((r) => [r.feed_id, r]))
+      : new Map();
+    const stats = new Map(rows.map((r) => [r.source_id, r]));
+    const sources = configuredFeeds().map((f) => ({
+      source_id: f.id,
+      source_name: f.name,
+      language: f.language,
+      reliability: f.reliability,
+      article_count: 0,
+      latest_published: null,
+      latest_fetched: null,
+      ...stats.get(f.id),
+      url: f.url,
+      feed: feedHealth(states.get(f.id)),
+    }));
+    const configured = new Set(sources.map((s) => s.source_id));
+    for (const r of rows) {
+      if (!configured.has(r.source_id)) sources.push({ ...r, url: null, feed: { status: 'retired' } });
+    }
+    sources.sort((a, b) => b.article_count - a.article_count);
+    res.json({ sources });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -147,8 +403,114 @@ router.get('/stats', (req, res) => {
   }
 });
 
-// GET /api/v1/news/:id
-router.get('/:id', (req, res) => {
+function storyView(r) {
+  return {
+    id: r.id,
+    title: r.title,
+    language: r.language,
+    lead_article_id: r.lead_article_id,
+    first_published_at: r.first_published_at,
+    last_published_at: r.last_published_at,
+    article_count: r.article_count,
+    source_count: r.source_count,
+    sources: parseJSONSafe(r.sources) || [],
+    entities: parseJSONSafe(r.entities) || [],
+  };
+}
+
+const RELIABILITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// GET /api/v1/news/stories — one line per event, newest activity first.
+// Query: limit, offset, since (last article on/after), language,
+// min_sources (outlets that covered it), place (known_locations key)
+router.get('/stories', (req, res) => {
+  const d = db();
+  if (!d || !hasTable(d, 'stories')) {
+    return res.json({ count: 0, total: 0, stories: [], note: 'stories not built yet; run the collector (npm run news:collect)' });
+  }
+  const limit  = Math.min(Number(req.query.limit) || 20, 100);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  const { since, language, place } = req.query;
+  const minSources = Number(req.query.min_sources) || 0;
+
+  const where = ['1 = 1'];
+  const params = [];
+  if (since)      { where.push('s.last_published_at >= ?'); params.push(since); }
+  if (language)   { where.push('s.language = ?');           params.push(language); }
+  if (minSources) { where.push('s.source_count >= ?');      params.push(minSources); }
+  if (place)      { where.push('s.entities LIKE ?');        params.push(`%${JSON.stringify(String(place))}%`); }
+
+  try {
+    const rows = d.prepare(`
+      SELECT s.*, (
+        SELECT json_group_array(DISTINCT a.source_name)
+        FROM story_articles sa JOIN articles a ON a.id = sa.article_id
+        WHERE sa.story_id = s.id
+      ) AS sources
+      FROM stories s
+      WHERE ${where.join(' AND ')}
+      ORDER BY s.last_published_at DESC, s.id DESC
+      LIMIT ? OFFSET ?`).all(...params, limit, offset);
+    const total = d.prepare(`SELECT COUNT(*) AS c FROM stories s WHERE ${where.join(' AND ')}`).get(...params).c;
+    res.json({ count: rows.length, total, limit, offset, stories: rows.map(storyView) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/v1/news/stories/:id — the story, each outlet that covered it
+// with its reliability, and the member articles oldest first.
+// `similarity` is to the closest earlier member; near_duplicate marks
+// copies of one report.
+router.get('/stories/:id', (req, res) => {
+  const d = db();
+  if (!d || !hasTable(d, 'stories')) return res.status(404).json({ error: 'stories not available' });
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+  try {
+    const story = d.prepare('SELECT * FROM stories WHERE id = ?').get(id);
+    if (!story) return res.status(404).json({ error: 'not found' });
+    const members = d.prepare(`
+      SELECT a.id, a.source_id, a.source_name, a.reliability, a.language, a.title, a.link,
+             a.description, a.published_at, a.fetched_at, sa.similarity, sa.near_duplicate
+      FROM story_articles sa JOIN articles a ON a.id = sa.article_id
+      WHERE sa.story_id = ?
+      ORDER BY COALESCE(a.published_at, a.fetched_at), a.id`).all(id);
+
+    const sources = new Map();
+    for (const m of members) {
+      if (!sources.has(m.source_id)) {
+        sources.set(m.source_id, { source_id: m.source_id, source_name: m.source_name, reliability: m.reliability, articles: 0 });
+      }
+      sources.get(m.source_id).articles++;
+    }
+    res.json({
+      ...storyView({ ...story, sources: JSON.stringify([...sources.values()].map((src) => src.source_name)) }),
+      sources: [...sources.values()].sort((a, b) => (RELIABILITY_ORDER[a.reliability] ?? 3) - (RELIABILITY_ORDER[b.reliability] ?? 3)
+        || a.source_name.localeCompare(b.source_name)),
+      articles: members.map((m) => ({
+        id: m.id,
+        source_id: m.source_id,
+        source_name: m.source_name,
+        reliability: m.reliability,
+        language: m.language,
+        title: m.title,
+        link: m.link,
+        description: m.description,
+        published_at: m.published_at || m.fetched_at,
+        lead: m.id === story.lead_article_id,
+        similarity: m.similarity,
+        near_duplicate: Boolean(m.near_duplicate),
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/v1/news/:id — the article, the places its entities resolved to
+// and the event clusters it was attached to (scripts/link-news-events.js).
+router.get('/:id', async (req, res) => {
   const d = db();
   if (!d) return res.status(404).json({ error: 'news.db not available' });
   const id = Number(req.params.id);
@@ -156,7 +518,31 @@ router.get('/:id', (req, res) => {
   try {
     const row = d.prepare('SELECT * FROM articles WHERE id = ?').get(id);
     if (!row) return res.status(404).json({ error: 'not found' });
-    res.json(rowToArticle(row));
+    const places = hasTable(d, 'article_places')
+      ? d.prepare('SELECT gazetteer_key, admin2, admin2_pcode FROM article_places WHERE article_id = ?').all(id)
+      : [];
+    const links = hasTable(d, 'article_events')
+      ? d.prepare('SELECT cluster_id, place_kind FROM article_events WHERE article_id = ?').all(id)
+      : [];
+    const base = apiBase(req);
+    const related_events = [];
+    for (const link of links) {
+      const c = await findCluster(link.cluster_id);
+      if (!c) continue;
+      related_events.push({
+        cluster_id: c.cluster_id,
+        place_key: c.place_key,
+        place_kind: c.place_kind,
+        place_name: c.place_name,
+        admin2: c.admin2,
+        week: c.week,
+        period: c.period,
+        categories: c.categories,
+        record_count: c.record_count,
+        url: `${base}/events/${c.cluster_id}`,
+      });
+    }
+    res.json({ ...rowToArticle(row), places, related_events });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
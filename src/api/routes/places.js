@@ -0,0 +1,126 @@
+/**
+ * /api/v1/places — forward geocoding over the shared gazetteer
+ * (services/westbank-alerts/data/known_locations.json), the same place keys
+ * unified records carry as location.gazetteer_key.
+ *
+ * GET /places?q=jenin&limit=10   name search: Arabic or Latin, any common
+ *                                transliteration ("Jenin", "جنين", "Janin")
+ *                                and small typos; best match first
+ * GET /places/:gazetteer_key     one place, its record counts per unified
+ *                                category (those the key is scoped for) and
+ *                                its event clusters
+ * GET /places/:key/profile       everything about a place or governorate
+ *                                (gazetteer key or admin2 pcode) in one
+ *                                document — see utils/placeProfile.js
+ *
+ * Each place carries its OCHA admin1/admin2 and admin2 pcode, resolved from
+ * its coordinates against public/data/admin/admin2.geojson.
+ */
+import express from 'express';
+import apicache from 'apicache';
+import { loadGazetteerIndex, searchPlaces } from '../utils/gazetteer.js';
+import { loadAdminLayer, adminFeatureAt } from '../utils/adminBoundaries.js';
+import { placeRecordCounts } from '../utils/placeRecords.js';
+import { resolvePlaceSubject, buildPlaceProfile, placeClusters } from '../utils/placeProfile.js';
+
+const router = express.Router();
+const cache = apicache.middleware;
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+// Most recent clusters listed inline on /places/:key; the rest are one
+// /events?place_key= query away.
+const RECENT_CLUSTERS = 20;
+
+function placeView(place, admin2Layer, base) {
+    const feature = admin2Layer ? adminFeatureAt(admin2Layer, place.longitude, place.latitude) : null;
+    const props = feature?.properties || {};
+    return {
+        gazetteer_key: place.canonical_key,
+        name_en: place.name_en || null,
+        name_ar: place.name_ar || null,
+        governorate: place.governorate || null,
+        lat: place.latitude,
+        lng: place.longitude,
+        admin1: props.adm1_name || null,
+        admin2: props.adm2_name || null,
+        admin2_pcode: props.adm2_pcode || null,
+        url: `${base}/places/${encodeURIComponent(place.canonical_key)}`,
+    };
+}
+
+const apiBase = (req) => `${req.protocol}://${req.get('host')}/api/v1`;
+
+router.get('/', cache('10 minutes'), async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (!q) {
+        return res.status(400).json({ error: 'missing_query', message: 'q is required' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const gazetteer = await loadGazetteerIndex();
+    if (!gazetteer) {
+        return res.status(503).json({ error: 'data_unavailable', message: 'Gazetteer not found' });
+    }
+    const admin2Layer = await loadAdminLayer('admin2');
+    const base = apiBase(req);
+    const results = searchPlaces(gazetteer, q, { limit }).map(({ place, score, matched }) => ({
+        ...placeView(place, admin2Layer, base),
+        score,
+        matched,
+    }));
+    res.json({ query: q, count: results.length, results });
+});
+
+router.get('/:gazetteer_key', cache('5 minutes'), async (req, res) => {
+    const key = req.params.gazetteer_key;
+    const gazetteer = await loadGazetteerIndex();
+    if (!gazetteer) {
+        return res.status(503).json({ error: 'data_unavailable', message: 'Gazetteer not found' });
+    }
+    const place = gazetteer.byKey.get(key);
+    if (!place) {
+        return res.status(404).json({ error: 'unknown_place', message: `No gazetteer entry "${key}"` });
+    }
+
+    const base = apiBase(req);
+    const [admin2Layer, recordCounts, clusters] = await Promise.all([
+        loadAdminLayer('admin2'),
+        placeRecordCounts({ gazetteer_key: key }, req.customer?.tier, req.customer?.scopes),
+        placeClusters({ kind: 'gazetteer', key }, base, RECENT_CLUSTERS, req.customer?.scopes),
+    ]);
+
+    res.json({
+        data: {
+            ...placeView(place, admin2Layer, base),
+            aliases: place.aliases || [],
+            records: {
+                total: Object.values(recordCounts).reduce((s, n) => s + n, 0),
+                by_category: Object.fromEntries(Object.entries(recordCounts).map(([category, count]) => [category, {
+                    count,
+                    url: `${base}/unified/${encodeURIComponent(category)}?gazetteer_key=${encodeURIComponent(key)}`,
+                }])),
+            },
+            clusters,
+        },
+    });
+});
+
+router.get('/:key/profile', cache('5 minutes'), async (req, res) => {
+    const subject = await resolvePlaceSubject(req.params.key);
+    if (!subject) {
+        return res.status(404).json({
+            error: 'unknown_place',
+            message: 'key must be a gazetteer key (see /places?q=) or an OCHA admin2 pcode (see /geo/admin/admin2)',
+            key: req.params.key,
+        });
+    }
+    const profile = await buildPlaceProfile(subject, {
+        tier: req.customer?.tier,
+        scopes: req.customer?.scopes,
+        base: apiBase(req),
+    });
+    res.json({ data: profile, metadata: { generated_at: new Date().toISOString() } });
+});
+
+export default router;
@@ -1,55 +1,12 @@
 import express from 'express';
 import apicache from 'apicache';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { getUnifiedData, categoryExists } from '../utils/fileService.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const UNIFIED_DIR = path.resolve(__dirname, '../../../public/data/unified');
+import { categoryExists } from '../utils/fileService.js';
+import { findUnifiedRecord } from '../utils/recordLookup.js';
+import { loadEventClusters, loadMemberIndex } from '../utils/eventClusters.js';
 
 const router = express.Router();
 const cache = apicache.middleware;
 
-// In-process cache for stable-id indexes. Indexes are static per pipeline run
-// and small (O(record_count) 32-char keys) — one-time load per category.
-const indexCache = new Map();
-
-async function loadStableIdIndex(category) {
-    if (indexCache.has(category)) return indexCache.get(category);
-    try {
-        const raw = await fs.readFile(
-            path.join(UNIFIED_DIR, category, 'stable-id-index.json'),
-            'utf-8'
-        );
-        const parsed = JSON.parse(raw);
-        indexCache.set(category, parsed);
-        return parsed;
-    } catch {
-        indexCache.set(category, null);
-        return null;
-    }
-}
-
-// In-process cache for the event-cluster member index (stable_id → cluster ids).
-const EVENTS_DIR = path.resolve(__dirname, '../../../public/data/events');
-let memberIndexCache = null;
-let memberIndexMtime = 0;
-
-async function loadMemberIndex() {
-    try {
-        const p = path.join(EVENTS_DIR, 'member-index.json');
-        const stat = await fs.stat(p);
-        if (memberIndexCache && stat.mtimeMs === memberIndexMtime) return memberIndexCache;
-        memberIndexCache = JSON.parse(await fs.readFile(p, 'utf-8'));
-        memberIndexMtime = stat.mtimeMs;
-        return memberIndexCache;
-    } catch {
-        return null;
-    }
-}
-
 /**
  * GET /api/v1/record/:category/:id/related
  * Event clusters containing this record, with their sibling member refs —
@@ -68,10 +25,8 @@ router.get('/:category/:id/related', cache('5 minutes'), async (req, res) => {
         return res.json({ category, id, clusters: [], related_records: [] });
     }
 
-    let eventsDoc = null;
-    try {
-        eventsDoc = JSON.parse(await fs.readFile(path.join(EVENTS_DIR, 'events.json'), 'utf-8'));
-    } catch {
+    const eventsDoc = await loadEventClusters();
+    if (!eventsDoc) {
         return res.status(503).json({ error: 'Event clusters unreadable' });
     }
 
@@ -96,37 +51,11 @@ router.get('/:category/:id', cache('5 minutes'), async (req, res) => {
         return res.status(404).json({ error: 'Category not found' });
     }
 
-    const result = await getUnifiedData(category);
-    const records = result?.data || [];
-
-    // Prefer stable_id lookup (O(1)). Fall back to legacy scan by `id` for
-    // records written before stable IDs were attached, and finally to
-    // `stable_id` field match when the index file isn't present.
-    let found = null;
-    let lookupMode = null;
-
-    const idx = await loadStableIdIndex(category);
-    if (idx && idx.index && Object.prototype.hasOwnProperty.call(idx.index, id)) {
-        const pos = idx.index[id];
-        if (records[pos] && records[pos].stable_id === id) {
-            found = records[pos];
-            lookupMode = 'stable_id';
-        }
-    }
-
-    if (!found) {
-        found = records.find((r) => r.stable_id === id) || null;
-        if (found) lookupMode = 'stable_id_scan';
-    }
-
-    if (!found) {
-        found = records.find((r) => String(r.id) === String(id)) || null;
-        if (found) lookupMode = 'legacy_id';
-    }
-
-    if (!found) {
+    const hit = await findUnifiedRecord(category, id);
+    if (!hit) {
         return res.status(404).json({ error: 'Record not found', category, id });
     }
+    const { record: found, lookup: lookupMode } = hit;
 
     const host = req.get('x-forwarded-host') || req.get('host');
     const proto = req.get('x-forwarded-proto') || req.protocol;
@@ -0,0 +1,302 @@
+/**
+ * /api/v1/tiles — Mapbox Vector Tiles cut on the fly (utils/vectorTiles.js)
+ * from the same files the GeoJSON routes serve, for map clients that should
+ * not download whole FeatureCollections.
+ *
+ * Endpoints (public):
+ *   GET /tiles                           — index of layers
+ *   GET /tiles/:layer.json               — TileJSON 3.0 (tile URL template,
+ *                                          bounds, fields, attribution,
+ *                                          license)
+ *   GET /tiles/:layer/:z/:x/:y.mvt       — one tile; 204 when empty
+ *
+ * Layers:
+ *   health | education | populated-places   /facilities/:layer (?source=)
+ *   admin0 | admin1 | admin2 | adminlines | adminpoints
+ *                                           /geo/admin/:level
+ *   food-insecurity                         /humanitarian/food-insecurity
+ *   events                                  /events/timeline (?categories=),
+ *                                           every located record, not just
+ *                                           the newest 5000
+ *
+ * Tiles carry X-Attribution / X-License headers; each events feature has
+ * its own `attribution` property.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import express from 'express';
+import { renderTile, describeParts, isValidTile, TILE_MAX_ZOOM } from '../utils/vectorTiles.js';
+import { categoryInScope, sendScopeError } from '../utils/keyScopes.js';
+import { DATA_DIR as OSM_DIR, LAYER_DEFS as FACILITY_LAYERS, layerFile } from './facilities.js';
+import { ADMIN_DIR, ADMIN_LAYERS } from '../utils/adminBoundaries.js';
+import { DATA_DIR as HUMANITARIAN_DIR } from './humanitarian.js';
+import { UNIFIED_DIR, DEFAULT_CATEGORIES, normalize } from './events-timeline.js';
+
+const router = express.Router();
+
+const MVT_TYPE = 'application/vnd.mapbox-vector-tile';
+
+async function mtime(file) {
+    try {
+        return (await fs.stat(file)).mtimeMs;
+    } catch {
+        return null;
+    }
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+const manifestCache = new Map();
+async function loadManifest(file) {
+    const m = await mtime(file);
+    const cached = manifestCache.get(file);
+    if (cached && cached.mtimeMs === m) return cached.data;
+    const data = m == null ? null : await readJson(file);
+    manifestCache.set(file, { mtimeMs: m, data });
+    return data;
+}
+
+// One tile part per GeoJSON file, versioned by its mtime.
+async function geojsonPart(name, file) {
+    const version = await mtime(file);
+    if (version == null) return null;
+    return {
+        name,
+        indexKey: `${name}:${path.basename(file)}`,
+        version,
+        load: async () => (await readJson(file))?.features || [],
+    };
+}
+
+const FACILITY_ATTRIBUTION = {
+    osm: 'OpenStreetMap contributors (ODbL) via HOT.',
+    globalhealthsites: 'Global Healthsites Mapping Project via HDX (ODbL).',
+};
+
+function facilityLayer(layer) {
+    return {
+        group: 'facilities',
+        geojson_endpoint: `/api/v1/facilities/${layer}`,
+        sources: Object.keys(FACILITY_LAYERS[layer].sources),
+        async resolve(req) {
+            const source = req.query.source ? String(req.query.source).toLowerCase() : null;
+            if (source && !FACILITY_LAYERS[layer].sources[source]) {
+                return { error: { status: 400, error: 'unknown_source', layer, available_sources: this.sources } };
+            }
+            const part = await geojsonPart(layer, path.join(OSM_DIR, layerFile(layer, source)));
+            const manifest = await loadManifest(path.join(OSM_DIR, 'manifest.json'));
+            return {
+                cacheKey: source && source !== 'osm' ? `${layer}~${source}` : layer,
+                parts: part ? [part] : [],
+                query: source ? { source } : {},
+                meta: {
+                    attribution: FACILITY_ATTRIBUTION[source || 'osm'],
+                    license_id: manifest?.license_id || 'hdx-odc-odbl',
+                    last_refreshed: manifest?.fetched_at || null,
+                },
+            };
+        },
+    };
+}
+
+function adminLayer(level) {
+    return {
+        group: 'geo/admin',
+        geojson_endpoint: `/api/v1/geo/admin/${level}`,
+        async resolve() {
+            const part = await geojsonPart(level, path.join(ADMIN_DIR, `${level}.geojson`));
+            const manifest = await loadManifest(path.join(ADMIN_DIR, 'manifest.json'));
+            return {
+                cacheKey: level,
+                parts: part ? [part] : [],
+                query: {},
+                meta: {
+                    attribution: manifest?.attribution || 'OCHA FISS via HDX (CC-BY-IGO)',
+                    license_id: manifest?.license_id || 'cc-by-igo',
+                    last_refreshed: manifest?.fetched_at || null,
+                },
+            };
+        },
+    };
+}
+
+const foodInsecurityLayer = {
+    group: 'humanitarian',
+    geojson_endpoint: '/api/v1/humanitarian/food-insecurity',
+    async resolve() {
+        const part = await geojsonPart('food-insecurity', path.join(HUMANITARIAN_DIR, 'ipc-food-insecurity.geojson'));
+        const manifest = await loadManifest(path.join(HUMANITARIAN_DIR, 'ipc-manifest.json'));
+        return {
+            cacheKey: 'food-insecurity',
+            parts: part ? [part] : [],
+            query: {},
+            meta: {
+                attribution: manifest?.attribution || 'Integrated Food Security Phase Classification (IPC) via HDX.',
+                license_id: manifest?.license_id || 'other-pd-nr',
+                last_refreshed: manifest?.fetched_at || null,
+            },
+        };
+    },
+};
+
+// Located unified records as /events/timeline normalizes them, one index
+// per category so ?categories= subsets reuse them.
+async function eventsPart(category) {
+    const file = path.join(UNIFIED_DIR, category, 'all-data.json');
+    const version = await mtime(file);
+    if (version == null) return null;
+    return {
+        name: 'events',
+        indexKey: `events:${category}`,
+        version,
+        load: async () => {
+            const records = (await readJson(file))?.data || [];
+            const features = [];
+            for (const r of records) {
+                const { lat, lng, attribution, ...props } = normalize(r, category);
+                if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [lng, lat] },
+                    properties: { ...props, title: props.title?.slice(0, 120), attribution: attribution.join('; ') },
+                });
+            }
+            return features;
+        },
+    };
+}
+
+const eventsLayer = {
+    group: 'events',
+    geojson_endpoint: '/api/v1/events/timeline',
+    async resolve(req) {
+        const scopes = req.customer?.scopes;
+        const requested = req.query.categories
+            ? [...new Set(String(req.query.categories).split(',').map((c) => c.trim()).filter(Boolean))]
+            : null;
+        const outOfScope = requested?.find((c) => !categoryInScope(scopes, c));
+        if (outOfScope) return { scopeError: `category:${outOfScope}` };
+        const categories = (requested || DEFAULT_CATEGORIES)
+            .filter((c) => DEFAULT_CATEGORIES.includes(c) && categoryInScope(scopes, c))
+            .sort();
+        const parts = (await Promise.all(categories.map(eventsPart))).filter(Boolean);
+        const all = categories.length === DEFAULT_CATEGORIES.length;
+        return {
+            cacheKey: all ? 'events' : `events~${categories.join('+')}`,
+            parts,
+            query: requested ? { categories: categories.join(',') } : {},
+            meta: {
+                attribution: 'Per-record sources in each feature\'s `attribution`; see /api/v1/licenses.',
+                license_id: 'varies',
+                last_refreshed: null,
+                categories,
+            },
+        };
+    },
+};
+
+const LAYERS = {
+    ...Object.fromEntries(Object.keys(FACILITY_LAYERS).map((l) => [l, facilityLayer(l)])),
+    ...Object.fromEntries([...ADMIN_LAYERS].map((l) => [l, adminLayer(l)])),
+    'food-insecurity': foodInsecurityLayer,
+    events: eventsLayer,
+};
+
+// Header values must stay printable ASCII.
+const headerSafe = (s) => String(s ?? '').replace(/[^\x20-\x7e]/g, '');
+
+async function resolveLayer(req, res) {
+    const layer = String(req.params.layer || '').toLowerCase();
+    const def = LAYERS[layer];
+    if (!def) {
+        res.status(404).json({ error: 'unknown_layer', available: Object.keys(LAYERS) });
+        return null;
+    }
+    const resolved = await def.resolve(req);
+    if (resolved.scopeError) {
+        sendScopeError(res, resolved.scopeError, req.customer?.scopes);
+        return null;
+    }
+    if (resolved.error) {
+        const { status, ...body } = resolved.error;
+        res.status(status).json(body);
+        return null;
+    }
+    if (resolved.parts.length === 0) {
+        res.status(503).json({ error: 'data_unavailable', layer });
+        return null;
+    }
+    return { layer, def, ...resolved };
+}
+
+router.get('/', (req, res) => {
+    const base = `${req.protocol}://${req.get('host')}/api/v1/tiles`;
+    res.json({
+        layers: Object.entries(LAYERS).map(([layer, def]) => ({
+            layer,
+            group: def.group,
+            tilejson: `${base}/${layer}.json`,
+            tiles: `${base}/${layer}/{z}/{x}/{y}.mvt`,
+            geojson_endpoint: def.geojson_endpoint,
+            ...(def.sources ? { sources: def.sources } : {}),
+        })),
+        maxzoom: TILE_MAX_ZOOM,
+        notes: 'Mapbox Vector Tiles (v2, extent 4096) cut from the GeoJSON routes on request and ' +
+               'simplified per zoom. Each tile holds one layer named after the tile layer. ' +
+               'Tiles are cached and re-cut when the underlying file changes.',
+    });
+});
+
+router.get('/:layer.json', async (req, res) => {
+    const resolved = await resolveLayer(req, res);
+    if (!resolved) return;
+    const { layer, parts, query, meta } = resolved;
+    const { bounds, fields, count } = await describeParts(parts);
+    const qs = new URLSearchParams(query).toString();
+    res.json({
+        tilejson: '3.0.0',
+        name: layer,
+        tiles: [`${req.protocol}://${req.get('host')}/api/v1/tiles/${layer}/{z}/{x}/{y}.mvt${qs ? `?${qs}` : ''}`],
+        minzoom: 0,
+        maxzoom: TILE_MAX_ZOOM,
+        bounds: bounds || undefined,
+        attribution: meta.attribution,
+        vector_layers: Object.entries(fields).map(([id, f]) => ({ id, fields: f, minzoom: 0, maxzoom: TILE_MAX_ZOOM })),
+        license_id: meta.license_id,
+        last_refreshed: meta.last_refreshed,
+        features: count,
+        ...(meta.categories ? { categories: meta.categories } : {}),
+    });
+});
+
+router.get('/:layer/:z/:x/:y.mvt', async (req, res) => {
+    const z = Number(req.params.z);
+    const x = Number(req.params.x);
+    const y = Number(req.params.y);
+    if (!isValidTile(z, x, y)) {
+        return res.status(400).json({ error: 'invalid_tile', message: 'Expected integers with 0 ≤ z ≤ 22 and 0 ≤ x, y < 2^z' });
+    }
+    const resolved = await resolveLayer(req, res);
+    if (!resolved) return;
+    const { cacheKey, parts, meta } = resolved;
+
+    const etag = `"${cacheKey}-${parts.map((p) => Math.round(p.version)).join('-')}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('X-Attribution', headerSafe(meta.attribution));
+    res.setHeader('X-License', headerSafe(meta.license_id));
+    if (req.headers['if-none-match'] === etag) return res.status(304).end();
+
+    const tile = await renderTile(cacheKey, parts, z, x, y);
+    if (tile.length === 0) return res.status(204).end();
+    res.type(MVT_TYPE).send(tile);
+});
+
+export default router;
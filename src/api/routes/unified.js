@@ -1,6 +1,6 @@
 import express from 'express';
 import apicache from 'apicache';
-import { getData, getMetadata, getSummary, getTimeseries } from '../controllers/unifiedController.js';
+import { getData, getMetadata, getSummary, getTimeseries, getAnalytics, exportData, getChanges } from '../controllers/unifiedController.js';
 
 const router = express.Router();
 const cache = apicache.middleware;
@@ -24,9 +24,16 @@ const cache = apicache.middleware;
  *         name: limit
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *         description: Filter expression, e.g. metrics.injured>=5 AND event_type IN (airstrike,raid)
  *     responses:
  *       200:
  *         description: List of records
+ *       400:
+ *         description: Malformed filter (invalid_filter, with position and token)
  */
 router.get('/:category', cache('5 minutes'), getData);
 
@@ -50,13 +57,76 @@ router.get('/:category/summary', cache('10 minutes'), getSummary);
  *         description: Metric to aggregate (default killed)
  *       - in: query
  *         name: interval
- *         schema: { type: string, enum: [day, week, month, year] }
+ *         schema: { type: string, enum: [day, week, month, quarter, year] }
  *       - in: query
  *         name: region
  *         schema: { type: string }
  */
 router.get('/:category/timeseries', cache('10 minutes'), getTimeseries);
 
+/**
+ * @swagger
+ * /unified/{category}/analytics:
+ *   get:
+ *     summary: Trend, seasonality, change points, anomalies and a forecast over the time series
+ *     parameters:
+ *       - in: query
+ *         name: metric
+ *         schema: { type: string }
+ *       - in: query
+ *         name: interval
+ *         schema: { type: string, enum: [day, week, month, quarter, year] }
+ *       - in: query
+ *         name: anomaly_method
+ *         schema: { type: string, enum: [zscore, iqr] }
+ *     responses:
+ *       200:
+ *         description: Analysis sections, each naming its method
+ *       422:
+ *         description: Too few periods to analyze
+ */
+router.get('/:category/analytics', cache('10 minutes'), getAnalytics);
+
+/**
+ * @swagger
+ * /unified/{category}/export:
+ *   get:
+ *     summary: Stream the whole filtered category as CSV, NDJSON or Parquet
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, ndjson, parquet] }
+ *     responses:
+ *       200:
+ *         description: Streamed file (attachment)
+ */
+// Not cached: responses are full-category streams.
+router.get('/:category/export', exportData);
+
+/**
+ * @swagger
+ * /unified/{category}/changes:
+ *   get:
+ *     summary: Added, removed and modified records between a snapshot and a later snapshot or live data
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         required: true
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: until
+ *         schema: { type: string, format: date }
+ *         description: Later snapshot to diff against (default live data)
+ *       - in: query
+ *         name: change
+ *         schema: { type: string }
+ *         description: Comma list of added, removed, modified
+ *     responses:
+ *       200:
+ *         description: Paginated change entries
+ */
+router.get('/:category/changes', cache('5 minutes'), getChanges);
+
 /**
  * @swagger
  * /unified/{category}/metadata:
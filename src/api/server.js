@@ -9,17 +9,36 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { specs } from './config/swagger.js';
 import { initializeSearch } from './services/searchService.js';
+import { startDeliveryWorker } from './services/webhooks.js';
 import { apiKey } from './middleware/apiKey.js';
 import { tieredRateLimit } from './middleware/rateLimit.js';
 import { logger, httpLogger } from './logger.js';
 import routes from './routes/index.js';
+import { acceptedFeedFormat } from './utils/feeds.js';
 
 // Response caches must vary by customer tier: license filtering changes the
 // PAYLOAD per tier (paid tiers get non-commercial sources stripped), so a
 // shared cache key would serve one tier's body to another. appendKey is
 // evaluated per request, after the apiKey middleware has set req.customer.
+// They also vary by a feed Accept header, which turns the same URL into
+// Atom / RSS / JSON Feed (utils/feeds.js).
 apicache.options({
-    appendKey: (req) => (req.customer && req.customer.tier) || 'anonymous',
+    appendKey: (req) => {
+        const tier = (req.customer && req.customer.tier) || 'anonymous';
+        // Category-scoped keys get bodies narrowed (or refused) by handlers
+        // behind the cache, e.g. /pivot.
+        const categories = req.customer?.scopes?.categories;
+        const feed = acceptedFeedFormat(req);
+        return [tier, categories && `categories=${[...categories].sort().join(',')}`, feed].filter(Boolean).join(':');
+    },
+    // Per-caller headers set before the cache answers; replaying the first
+    // caller's copies would report someone else's remaining limits.
+    headerBlacklist: [
+        'x-ratelimit-minute-limit', 'x-ratelimit-minute-remaining', 'x-ratelimit-minute-reset',
+        'x-ratelimit-daily-limit', 'x-ratelimit-daily-remaining', 'x-ratelimit-daily-reset',
+        'x-ratelimit-monthly-limit', 'x-ratelimit-monthly-remaining', 'x-ratelimit-monthly-reset',
+        'x-quota-warning',
+    ],
 });
 
 const __filename = fileURLToPath(import.meta.url);
@@ -54,6 +73,9 @@ app.use(helmet({
 }));
 app.use(cors());
 app.use(httpLogger);
+// Batch reverse geocoding takes up to 10k points (routes/geo-admin.js);
+// parsed here first so the default 100kb parser below skips it.
+app.use('/api/v1/geo/admin/lookup', express.json({ limit: '2mb' }));
 app.use(express.json());
 app.use(compression());
 
@@ -82,6 +104,13 @@ if (sentryEnabled) {
 
 // Error Handler
 app.use((err, req, res, next) => {
+    // Malformed or oversized JSON bodies (express.json) are client errors.
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+        return res.status(err.status).json({
+            error: err.type === 'entity.too.large' ? 'payload_too_large' : 'invalid_json',
+            message: err.message,
+        });
+    }
     (req.log || logger).error({ err }, 'request_failed');
     res.status(500).json({ error: 'Something went wrong!' });
 });
@@ -104,6 +133,8 @@ process.on('unhandledRejection', (reason) => _crash('unhandledRejection', reason
 // Start server if this file is run directly
 // Start server
 const startServer = () => {
+    // Webhook retries between pipeline runs (scripts/dispatch-webhooks.js enqueues).
+    startDeliveryWorker();
     app.listen(PORT, () => {
         logger.info({ port: PORT, docs: `http://localhost:${PORT}/api-docs`, health: `http://localhost:${PORT}/api/v1/health` }, 'server_started');
     });
@@ -27,9 +27,14 @@ CREATE TABLE IF NOT EXISTS api_keys (
     active INTEGER NOT NULL DEFAULT 1,
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
     last_used_at TEXT,
+    label TEXT,
+    revoked_at TEXT,
+    revoked_reason TEXT,
+    scopes TEXT,
     FOREIGN KEY (customer_id) REFERENCES customers(id)
 );
 CREATE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys(key_hash);
+CREATE INDEX IF NOT EXISTS idx_api_keys_customer ON api_keys(customer_id);
 
 CREATE TABLE IF NOT EXISTS usage_events (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -65,6 +70,57 @@ CREATE TABLE IF NOT EXISTS access_requests (
     created_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
 CREATE INDEX IF NOT EXISTS idx_access_requests_status ON access_requests(status, created_at);
+
+-- Shared fixed-window rate-limit counters (RATE_LIMIT_STORE=sqlite, see
+-- services/rateLimitStore.js). expires_at is epoch ms.
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    points INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+);
+
+-- Customer webhook subscriptions (/me/webhooks, services/webhooks.js).
+-- filter_params and trigger_spec are JSON; state is the evaluator's bookkeeping (last
+-- category mtime seen, threshold periods already fired). The secret signs
+-- deliveries, so it is stored as issued.
+CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id INTEGER NOT NULL,
+    key_id INTEGER NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    category TEXT NOT NULL,
+    filter_params TEXT NOT NULL DEFAULT '{}',
+    trigger_spec TEXT NOT NULL,
+    label TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    state TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_evaluated_at TEXT,
+    FOREIGN KEY (customer_id) REFERENCES customers(id)
+);
+CREATE INDEX IF NOT EXISTS idx_webhooks_customer ON webhooks(customer_id);
+
+-- Delivery queue and log in one: pending rows are due at next_attempt_at
+-- (epoch ms); delivered / failed rows stay as the log.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    event_id TEXT UNIQUE NOT NULL,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER,
+    response_status INTEGER,
+    last_error TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_attempt_at TEXT,
+    delivered_at TEXT,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries(webhook_id, id);
 `;
 
 let _db = null;
@@ -76,9 +132,25 @@ function getDb() {
     _db.pragma('journal_mode = WAL');
     _db.pragma('foreign_keys = ON');
     _db.exec(SCHEMA);
+    migrate(_db);
     return _db;
 }
 
+// Columns added after the first release. CREATE TABLE IF NOT EXISTS leaves
+// existing keys.db files untouched, so add whatever is missing.
+const ADDED_COLUMNS = {
+    api_keys: { label: 'TEXT', revoked_at: 'TEXT', revoked_reason: 'TEXT', scopes: 'TEXT' },
+};
+
+function migrate(db) {
+    for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+        const have = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name));
+        for (const [name, type] of Object.entries(columns)) {
+            if (!have.has(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+        }
+    }
+}
+
 export function hashKey(raw) {
     return crypto.createHash('sha256').update(raw).digest('hex');
 }
@@ -98,20 +170,82 @@ export function upsertCustomer({ email, name = null }) {
         .get(email, name);
 }
 
-export function issueApiKey({ customerId, tier = 'free' }) {
+export function findCustomerByEmail(email) {
+    return getDb().prepare('SELECT id, email, name FROM customers WHERE email = ?').get(email);
+}
+
+// `scopes` is a normalized scope object (utils/keyScopes.js) or null for
+// an unrestricted key.
+export function issueApiKey({ customerId, tier = 'free', label = null, scopes = null }) {
     const { raw, hash, prefix } = generateKey();
     const info = getDb()
         .prepare(
-            'INSERT INTO api_keys (customer_id, key_hash, key_prefix, tier) VALUES (?, ?, ?, ?) RETURNING id'
+            `INSERT INTO api_keys (customer_id, key_hash, key_prefix, tier, label, scopes)
+             VALUES (?, ?, ?, ?, ?, ?) RETURNING id`
+        )
+        .get(customerId, hash, prefix, tier, label, scopes ? JSON.stringify(scopes) : null);
+    return { raw, id: info.id, prefix, tier, label, scopes };
+}
+
+const KEY_COLUMNS = `id, key_prefix, tier, label, scopes, active, created_at, last_used_at, revoked_at, revoked_reason`;
+
+// All keys of a customer, newest first, revoked ones included.
+export function listCustomerKeys(customerId) {
+    return getDb()
+        .prepare(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE customer_id = ? ORDER BY id DESC`)
+        .all(customerId);
+}
+
+export function countActiveKeys(customerId) {
+    return getDb()
+        .prepare('SELECT COUNT(*) AS n FROM api_keys WHERE customer_id = ? AND active = 1')
+        .get(customerId).n;
+}
+
+// Both scoped to the owning customer: another customer's key id matches
+// nothing and returns undefined, same as a missing one.
+export function setKeyLabel({ customerId, keyId, label }) {
+    return getDb()
+        .prepare(`UPDATE api_keys SET label = ? WHERE id = ? AND customer_id = ? RETURNING ${KEY_COLUMNS}`)
+        .get(label, keyId, customerId);
+}
+
+export function revokeApiKey({ customerId, keyId, reason = null }) {
+    return getDb()
+        .prepare(
+            `UPDATE api_keys SET active = 0, revoked_at = datetime('now'), revoked_reason = ?
+             WHERE id = ? AND customer_id = ? AND revoked_at IS NULL
+             RETURNING ${KEY_COLUMNS}`
         )
-        .get(customerId, hash, prefix, tier);
-    return { raw, id: info.id, prefix, tier };
+        .get(reason, keyId, customerId);
+}
+
+// Subscription changes (billing webhook) arrive for the key that checked out
+// but apply to every unrevoked key of that customer, so rotated keys keep
+// the paid tier and revoked keys stay revoked.
+export function setCustomerTierByKey(keyId, tier) {
+    return getDb()
+        .prepare(
+            `UPDATE api_keys SET tier = ?, active = 1
+             WHERE revoked_at IS NULL
+               AND customer_id = (SELECT customer_id FROM api_keys WHERE id = ?)`
+        )
+        .run(tier, keyId).changes;
+}
+
+export function deactivateCustomerKeysByKey(keyId) {
+    return getDb()
+        .prepare(
+            `UPDATE api_keys SET active = 0
+             WHERE customer_id = (SELECT customer_id FROM api_keys WHERE id = ?)`
+        )
+        .run(keyId).changes;
 }
 
 export function findByRawKey(raw) {
     if (!raw) return null;
     const row = getDb()
-        .prepare('SELECT id, customer_id, tier, active FROM api_keys WHERE key_hash = ?')
+        .prepare('SELECT id, customer_id, tier, active, scopes FROM api_keys WHERE key_hash = ?')
         .get(hashKey(raw));
     if (!row || !row.active) return null;
     return row;
@@ -140,8 +274,8 @@ export function logUsage({ keyId, tier, route, status, bytes }) {
 export function getKeyById(id) {
     return getDb()
         .prepare(
-            `SELECT k.id, k.customer_id, k.tier, k.active, k.key_prefix,
-                    k.created_at, k.last_used_at, c.email
+            `SELECT k.id, k.customer_id, k.tier, k.active, k.key_prefix, k.label, k.scopes,
+                    k.created_at, k.last_used_at, k.revoked_at, c.email
              FROM api_keys k JOIN customers c ON c.id = k.customer_id
              WHERE k.id = ?`
         )
@@ -156,6 +290,8 @@ export function getCurrentMonthUsage(keyId) {
     monthStart.setUTCDate(1);
     monthStart.setUTCHours(0, 0, 0, 0);
     const monthStartIso = monthStart.toISOString().slice(0, 10);
+    const nextMonth = new Date(monthStart);
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
 
     const fromDaily = db
         .prepare(
@@ -165,18 +301,22 @@ export function getCurrentMonthUsage(keyId) {
         )
         .get(keyId, monthStartIso);
 
-    // Add today's not-yet-rolled-up events.
+    // Add today's not-yet-rolled-up events. A range on ts (not substr())
+    // so idx_usage_key_ts is used: this runs on every keyed request.
     const today = new Date().toISOString().slice(0, 10);
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
     const fromEventsToday = db
         .prepare(
             `SELECT COUNT(*) AS count, COALESCE(SUM(bytes), 0) AS bytes
              FROM usage_events
-             WHERE key_id = ? AND substr(ts, 1, 10) = ?`
+             WHERE key_id = ? AND ts >= ? AND ts < ?`
         )
-        .get(keyId, today);
+        .get(keyId, today, tomorrow);
 
     return {
         period_start: monthStartIso,
+        // First day of the next period — when monthly quotas reset (UTC).
+        resets_on: nextMonth.toISOString().slice(0, 10),
         count: (fromDaily.count || 0) + (fromEventsToday.count || 0),
         bytes: (fromDaily.bytes || 0) + (fromEventsToday.bytes || 0),
     };
@@ -210,6 +350,128 @@ export function rollupYesterday() {
     return { date: yesterday, keys_rolled_up: rows.length };
 }
 
+/**
+ * Add `points` to the fixed window for `key`, opening a new window of
+ * `durationMs` when there is none or it has expired. One statement, so
+ * concurrent API processes sharing keys.db never lose an update.
+ * Returns { points, expires_at } for the window after the increment.
+ */
+export function consumeRateLimitPoints(key, points, durationMs, nowMs = Date.now()) {
+    return getDb()
+        .prepare(
+            `INSERT INTO rate_limits (key, points, expires_at) VALUES (@key, @points, @expires)
+             ON CONFLICT(key) DO UPDATE SET
+                 points = CASE WHEN rate_limits.expires_at <= @now THEN excluded.points
+                               ELSE rate_limits.points + excluded.points END,
+                 expires_at = CASE WHEN rate_limits.expires_at <= @now THEN excluded.expires_at
+                                   ELSE rate_limits.expires_at END
+             RETURNING points, expires_at`
+        )
+        .get({ key, points, expires: nowMs + durationMs, now: nowMs });
+}
+
+export function pruneRateLimits(nowMs = Date.now()) {
+    return getDb().prepare('DELETE FROM rate_limits WHERE expires_at <= ?').run(nowMs).changes;
+}
+
+// --- Webhooks -------------------------------------------------------------
+
+const WEBHOOK_COLUMNS = `id, customer_id, key_id, url, secret, category, filter_params, trigger_spec, label,
+    active, state, created_at, last_evaluated_at`;
+
+export function createWebhook({ customerId, keyId, url, secret, category, filter, trigger, label = null, state = null }) {
+    return getDb()
+        .prepare(
+            `INSERT INTO webhooks (customer_id, key_id, url, secret, category, filter_params, trigger_spec, label, state)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING ${WEBHOOK_COLUMNS}`
+        )
+        .get(customerId, keyId, url, secret, category, JSON.stringify(filter), JSON.stringify(trigger),
+            label, state ? JSON.stringify(state) : null);
+}
+
+export function listCustomerWebhooks(customerId) {
+    return getDb()
+        .prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE customer_id = ? ORDER BY id DESC`)
+        .all(customerId);
+}
+
+// Scoped to the owning customer, like setKeyLabel.
+export function getCustomerWebhook(customerId, id) {
+    return getDb()
+        .prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ? AND customer_id = ?`)
+        .get(id, customerId);
+}
+
+export function deleteCustomerWebhook(customerId, id) {
+    return getDb().prepare('DELETE FROM webhooks WHERE id = ? AND customer_id = ?').run(id, customerId).changes;
+}
+
+export function listActiveWebhooks() {
+    return getDb().prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE active = 1 ORDER BY id`).all();
+}
+
+export function getWebhookById(id) {
+    return getDb().prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ?`).get(id);
+}
+
+export function setWebhookState(id, state) {
+    getDb()
+        .prepare("UPDATE webhooks SET state = ?, last_evaluated_at = datetime('now') WHERE id = ?")
+        .run(JSON.stringify(state), id);
+}
+
+export function enqueueWebhookDelivery({ webhookId, eventId, eventType, payload, nowMs = Date.now() }) {
+    return getDb()
+        .prepare(
+            `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at)
+             VALUES (?, ?, ?, ?, ?) RETURNING id`
+        )
+        .get(webhookId, eventId, eventType, payload, nowMs).id;
+}
+
+/**
+ * Claim up to `limit` due deliveries by pushing their next_attempt_at out
+ * by `leaseMs` in the same statement, so API processes and the dispatch
+ * script sharing keys.db never send one twice. A claim that is never
+ * settled (crashed sender) comes due again when the lease runs out.
+ */
+export function claimDueWebhookDeliveries({ limit, leaseMs, nowMs = Date.now() }) {
+    return getDb()
+        .prepare(
+            `UPDATE webhook_deliveries SET next_attempt_at = @lease
+             WHERE id IN (
+                 SELECT id FROM webhook_deliveries
+                 WHERE status = 'pending' AND next_attempt_at <= @now
+                 ORDER BY next_attempt_at, id LIMIT @limit
+             )
+             RETURNING *`
+        )
+        .all({ lease: nowMs + leaseMs, now: nowMs, limit });
+}
+
+// Record one attempt. `status` is 'delivered', 'failed' (gave up) or
+// 'pending' with the next retry at `nextAttemptAt`.
+export function settleWebhookDelivery({ id, status, responseStatus = null, error = null, nextAttemptAt = null }) {
+    return getDb()
+        .prepare(
+            `UPDATE webhook_deliveries
+             SET status = ?, attempts = attempts + 1, response_status = ?, last_error = ?,
+                 next_attempt_at = ?, last_attempt_at = datetime('now'),
+                 delivered_at = CASE WHEN ? = 'delivered' THEN datetime('now') ELSE delivered_at END
+             WHERE id = ? RETURNING *`
+        )
+        .get(status, responseStatus, error, nextAttemptAt, status, id);
+}
+
+export function listWebhookDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+    const db = getDb();
+    return status
+        ? db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND status = ? ORDER BY id DESC LIMIT ?')
+            .all(webhookId, status, limit)
+        : db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?')
+            .all(webhookId, limit);
+}
+
 export function createAccessRequest({ name = null, org = null, email, tier = 'other', use_case = null, ip = null }) {
     return getDb()
         .prepare(
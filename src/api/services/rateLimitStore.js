@@ -0,0 +1,115 @@
+/**
+ * Storage backends for the tiered rate limiter (middleware/rateLimit.js),
+ * chosen with RATE_LIMIT_STORE:
+ *
+ *   memory (default) — RateLimiterMemory; each process counts on its own
+ *   sqlite           — a `rate_limits` table in keys.db; every process on
+ *                      the host (Docker API, local scripts, a second
+ *                      instance) shares the counters, no extra service
+ *   redis            — RateLimiterRedis on RATE_LIMIT_REDIS_URL (needs the
+ *                      optional `ioredis` package); for instances on
+ *                      different hosts, e.g. Docker + the Netlify function.
+ *                      A missing URL or package fails this module's import,
+ *                      so the API does not start counting per process.
+ *
+ * Every backend implements rate-limiter-flexible's `consume(key, points)`
+ * contract — resolves a RateLimiterRes, rejects with one when the limit is
+ * exceeded, rejects with an Error when the store itself fails — so the
+ * middleware and its X-RateLimit-* headers do not depend on the backend.
+ * Fixed windows: a key's window opens on its first hit and lasts `duration`
+ * seconds, as with RateLimiterMemory.
+ */
+import { RateLimiterMemory, RateLimiterRedis, RateLimiterRes } from 'rate-limiter-flexible';
+import { consumeRateLimitPoints, pruneRateLimits } from './keyStore.js';
+import { logger } from '../logger.js';
+
+export const RATE_LIMIT_STORES = ['memory', 'sqlite', 'redis'];
+
+// Expired sqlite windows are deleted every this many consumes.
+const SQLITE_PRUNE_EVERY = 500;
+
+function resolveStoreName() {
+    const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+    if (RATE_LIMIT_STORES.includes(name)) return name;
+    logger.warn({ store: name, supported: RATE_LIMIT_STORES }, 'rate_limit_store_unknown_using_memory');
+    return 'memory';
+}
+
+export const RATE_LIMIT_STORE = resolveStoreName();
+
+class RateLimiterSqlite {
+    constructor({ points, duration, keyPrefix }) {
+        this.points = points;
+        this.durationMs = duration * 1000;
+        this.keyPrefix = keyPrefix;
+        this.calls = 0;
+    }
+
+    consume(key, points = 1) {
+        try {
+            const now = Date.now();
+            if (++this.calls % SQLITE_PRUNE_EVERY === 0) pruneRateLimits(now);
+            const row = consumeRateLimitPoints(`${this.keyPrefix}:${key}`, points, this.durationMs, now);
+            const res = new RateLimiterRes(
+                Math.max(this.points - row.points, 0),
+                Math.max(row.expires_at - now, 0),
+                row.points,
+                row.points === points,
+            );
+            return row.points > this.points ? Promise.reject(res) : Promise.resolve(res);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    }
+}
+
+// Loaded when the module is imported: Redis configured but unusable is a
+// startup error. Falling back to memory would let every instance count on
+// its own and quietly multiply the shared limit.
+async function loadRedis() {
+    if (!process.env.RATE_LIMIT_REDIS_URL) throw new Error('RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL');
+    try {
+        return (await import('ioredis')).default;
+    } catch (err) {
+        throw new Error(`RATE_LIMIT_STORE=redis needs the optional ioredis package (npm install ioredis): ${err.message}`);
+    }
+}
+
+const Redis = RATE_LIMIT_STORE === 'redis' ? await loadRedis() : null;
+
+// One ioredis client per process, created on first use. Once running,
+// RateLimiterRedis falls back to the in-process insurance limiter whenever
+// Redis stops answering.
+let redisClient = null;
+function getRedisClient() {
+    if (redisClient) return redisClient;
+    redisClient = new Redis(process.env.RATE_LIMIT_REDIS_URL, { enableOfflineQueue: false });
+    redisClient.on('error', (err) => logger.error({ err }, 'rate_limit_redis_error'));
+    return redisClient;
+}
+
+/**
+ * A limiter allowing `points` per `duration` seconds on the configured
+ * store. `name` namespaces its keys in shared stores (e.g. "minute:free").
+ * Returns null when `points` is falsy (no limit).
+ *
+ * @param {{ name: string, points: number, duration: number }} opts
+ */
+export function createLimiter({ name, points, duration }) {
+    if (!points) return null;
+    const keyPrefix = `rl:${name}`;
+    switch (RATE_LIMIT_STORE) {
+    case 'sqlite':
+        return new RateLimiterSqlite({ points, duration, keyPrefix });
+    case 'redis':
+        return new RateLimiterRedis({
+            points,
+            duration,
+            keyPrefix,
+            storeClient: getRedisClient(),
+            insuranceLimiter: new RateLimiterMemory({ points, duration }),
+        });
+    default:
+        return new RateLimiterMemory({ points, duration, keyPrefix });
+    }
+}
@@ -0,0 +1,491 @@
+/**
+ * Customer webhooks (/me/webhooks): decide when a subscription fires, queue
+ * the event in keys.db and POST it, signed, to the customer's URL.
+ *
+ * Triggers:
+ *   new_records — records added to the category since the last pipeline
+ *                 run (previous day's snapshot vs live data, the /changes diff)
+ *                 that pass the webhook's filter
+ *   threshold   — a period's value of `metric` (or record count) for the
+ *                 filtered records goes above a fixed number, or above the
+ *                 area's p90 weekly count in baselines.json
+ *
+ * evaluateWebhooks() runs after each pipeline run (scripts/dispatch-webhooks.js
+ * from refresh-data.sh and update-all-data.sh) and only enqueues. deliverDue() sends whatever is
+ * due, retrying failures on RETRY_DELAYS_MS; the API process runs it on a
+ * timer (startDeliveryWorker) so retries go out between pipeline runs.
+ *
+ * Signatures: X-PDB-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ * "<t>.<raw body>" keyed with the webhook secret>. Receivers recompute it
+ * and reject stale timestamps (verifySignature).
+ */
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import {
+    getKeyById, listActiveWebhooks, setWebhookState, enqueueWebhookDelivery,
+    claimDueWebhookDeliveries, settleWebhookDelivery,
+} from './keyStore.js';
+import { getUnifiedData, getUnifiedMtime, listSnapshots, resolveSnapshot } from '../utils/fileService.js';
+import { filterRecordsByLicense } from '../middleware/licenseFilter.js';
+import { buildRecordFilter } from '../controllers/unifiedController.js';
+import { parseSpatialQuery, compileSpatial } from '../utils/spatial.js';
+import { diffRecords } from '../utils/changeFeed.js';
+import { isCumulativeMetric, timeseriesRowsFromRecords, buildSeries, periodOf } from '../utils/timeseries.js';
+import { loadBaselines, percentile } from '../../../scripts/utils/baseline-analyzer.js';
+import { METRIC_COLUMNS } from '../../../scripts/utils/record-db.js';
+import { logger } from '../logger.js';
+
+export const TRIGGER_TYPES = ['new_records', 'threshold'];
+export const THRESHOLD_INTERVALS = ['day', 'week', 'month'];
+// getData's record filters; anything else in `filter` is rejected.
+export const FILTER_PARAMS = [
+    'location', 'region', 'admin2', 'gazetteer_key', 'event_type', 'start_date', 'end_date',
+    'min_killed', 'filter', 'near', 'radius_km', 'within', 'polygon',
+];
+export const SIGNATURE_HEADER = 'X-PDB-Signature';
+export const SIGNATURE_TOLERANCE_SEC = 300;
+
+// Wait before retry n (after attempt n failed); one attempt more than
+// there are delays, then the delivery is marked failed (~45h in all).
+export const RETRY_DELAYS_MS = [1, 5, 30, 120, 360, 720, 1440].map((m) => m * 60 * 1000);
+export const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const LEASE_MS = 60000;
+const DELIVERY_BATCH = 20;
+const MAX_RECORDS_PER_EVENT = 100;
+// Threshold periods remembered as already fired, per webhook.
+const FIRED_MEMORY = 50;
+const USER_AGENT = 'palestine-data-backend-webhooks/1';
+
+export function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/** X-PDB-Signature value for `body` (the exact bytes sent) at `timestamp` (unix seconds). */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Receiver side of signPayload(): true when `header` carries a v1
+ * signature of `body` under `secret` no older than `toleranceSec`.
+ */
+export function verifySignature(secret, body, header, { toleranceSec = SIGNATURE_TOLERANCE_SEC, nowSec = Date.now() / 1000 } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map((p) => p.trim().split('=', 2)));
+    const t = Number(parts.t);
+    if (!Number.isInteger(t) || !parts.v1 || Math.abs(nowSec - t) > toleranceSec) return false;
+    const expected = Buffer.from(signPayload(secret, body, t).split('v1=')[1], 'hex');
+    const given = Buffer.from(parts.v1, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function isPrivateHost(host) {
+    const h = host.replace(/^\[|\]$/g, '').toLowerCase();
+    if (h === 'localhost' || /\.(localhost|local|internal)$/.test(h)) return true;
+    if (net.isIPv4(h)) {
+        const [a, b] = h.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+    }
+    if (net.isIPv6(h)) return h === '::1' || h === '::' || /^f[cd]/.test(h) || /^fe[89ab]/.test(h) || h.startsWith('::ffff:');
+    return false;
+}
+
+/**
+ * Registration check for a callback URL: https to a public host.
+ * WEBHOOK_ALLOW_LOCAL=1 also admits http and loopback/private hosts, for
+ * scripts/webhook-receiver.js during development. Returns { url } or { error }.
+ */
+export function validateWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value));
+    } catch {
+        return { error: '`url` must be an absolute URL' };
+    }
+    const allowLocal = process.env.WEBHOOK_ALLOW_LOCAL === '1';
+    if (url.protocol !== 'https:' && !(allowLocal && url.protocol === 'http:')) {
+        return { error: '`url` must use https' };
+    }
+    if (url.username || url.password) return { error: '`url` must not carry credentials' };
+    if (!allowLocal && isPrivateHost(url.hostname)) {
+        return { error: '`url` must point at a public host' };
+    }
+    return { url: url.toString() };
+}
+
+/**
+ * `lookup` for delivery sockets: resolves the callback host and refuses
+ * private, loopback and link-local addresses. The socket connects to the
+ * address checked here, so a DNS answer that changes between the check and
+ * the connect (rebinding) cannot reach an internal service.
+ */
+export function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find((a) => isPrivateHost(a.address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to a non-public address (${blocked.address})`);
+            refused.code = 'private_address';
+            return callback(refused);
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Validate `filter` — getData's query parameters as an object of strings —
+ * by compiling it the way evaluation will. Resolves to { filter } or
+ * { error } with a ready-to-send 400 body.
+ */
+export async function normalizeWebhookFilter(input) {
+    if (input === undefined || input === null) return { filter: {} };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: { error: 'invalid_filter', message: '`filter` must be an object of getData query parameters' } };
+    }
+    const filter = {};
+    for (const [name, value] of Object.entries(input)) {
+        if (!FILTER_PARAMS.includes(name)) {
+            return { error: { error: 'invalid_filter', message: `Unknown filter parameter "${name}"`, parameters: FILTER_PARAMS } };
+        }
+        if (value === null || value === '') continue;
+        if (!['string', 'number'].includes(typeof value)) {
+            return { error: { error: 'invalid_filter', message: `Filter parameter "${name}" must be a string` } };
+        }
+        filter[name] = String(value);
+    }
+    const compiled = await compileWebhookFilter(filter);
+    return compiled.error ? { error: compiled.error } : { filter };
+}
+
+async function compileWebhookFilter(filter) {
+    const spatial = await parseSpatialQuery(filter);
+    if (spatial.error) return { error: spatial.error };
+    const built = buildRecordFilter(filter, spatial.spec ? compileSpatial(spatial.spec) : null);
+    if (built.error) return { error: built.error };
+    return { keep: built.keep };
+}
+
+// Baseline scope for above: 'p90' — the filter's admin2 (or location) as
+// an area, else its region.
+function baselineScope(filter) {
+    const area = filter.admin2 || filter.location;
+    if (area) return { scope: 'area', key: area };
+    if (filter.region) return { scope: 'region', key: filter.region };
+    return null;
+}
+
+/**
+ * Validate `trigger` against the webhook's filter. Returns { trigger } —
+ * new_records: { type }; threshold: { type, metric, interval, above } — or
+ * { error } with a ready-to-send 400 body.
+ */
+export function normalizeTrigger(input, filter) {
+    const invalid = (message, extra = {}) => ({ error: { error: 'invalid_trigger', message, ...extra } });
+    const type = input?.type;
+    if (!TRIGGER_TYPES.includes(type)) return invalid(`trigger.type must be one of ${TRIGGER_TYPES.join(', ')}`);
+    if (type === 'new_records') return { trigger: { type } };
+
+    const metric = input.metric ?? 'count';
+    if (metric !== 'count' && !METRIC_COLUMNS.includes(metric)) {
+        return invalid(`Unknown metric "${metric}"`, { metrics_available: ['count', ...METRIC_COLUMNS] });
+    }
+    const interval = input.interval ?? 'week';
+    if (!THRESHOLD_INTERVALS.includes(interval)) return invalid(`trigger.interval must be one of ${THRESHOLD_INTERVALS.join(', ')}`);
+    const { above } = input;
+    if (above === 'p90') {
+        if (interval !== 'week') return invalid("above: 'p90' compares weekly values; use interval week");
+        if (!baselineScope(filter)) {
+            return invalid("above: 'p90' needs filter.admin2, filter.location or filter.region to pick the baseline");
+        }
+    } else if (typeof above !== 'number' || !Number.isFinite(above) || above < 0) {
+        return invalid("trigger.above must be a non-negative number or 'p90'");
+    }
+    return { trigger: { type, metric, interval, above } };
+}
+
+/**
+ * Evaluator state for a new webhook, so it only fires on what happens
+ * after registration: the category's current mtime, or the current period.
+ */
+export async function initialState(category, trigger, now = new Date()) {
+    if (trigger.type === 'new_records') return { mtime: await getUnifiedMtime(category) };
+    return { since: periodOf(now.toISOString(), trigger.interval).start, fired: [] };
+}
+
+// --- Evaluation -------------------------------------------------------------
+
+/**
+ * The weekly p90 a threshold webhook compares against: the 52 rolling
+ * weekly counts of every matching baselines.json entry (one per event
+ * type, or the filter's event_type), summed week by week. Null when
+ * baselines.json is missing or has no entry for the area.
+ */
+export function baselineP90(baselines, filter) {
+    const target = baselineScope(filter);
+    if (!baselines || !target) return null;
+    const map = target.scope === 'area' ? baselines.by_area : baselines.baselines;
+    const wanted = target.key.toLowerCase();
+    const stats = Object.entries(map || {})
+        .filter(([key]) => {
+            const i = key.lastIndexOf(':');
+            return key.slice(0, i).toLowerCase() === wanted && (!filter.event_type || key.slice(i + 1) === filter.event_type);
+        })
+        .map(([, stat]) => stat.weekly_12m)
+        .filter(Array.isArray);
+    if (!stats.length) return null;
+    const weekly = stats[0].map((_, i) => stats.reduce((sum, w) => sum + (w[i] || 0), 0));
+    return { ...target, p90_weekly_12m: percentile([...weekly].sort((a, b) => a - b), 0.9) };
+}
+
+const eventId = () => `evt_${crypto.randomBytes(12).toString('hex')}`;
+
+function enqueueEvent(webhook, type, data, now) {
+    const id = eventId();
+    const payload = JSON.stringify({
+        id,
+        type,
+        created_at: now.toISOString(),
+        webhook: { id: webhook.id, label: webhook.label },
+        category: webhook.category,
+        data,
+    });
+    enqueueWebhookDelivery({ webhookId: webhook.id, eventId: id, eventType: type, payload, nowMs: now.getTime() });
+    return id;
+}
+
+/** Queue a `ping` event, for POST /me/webhooks/:id/ping. Returns the event id. */
+export function enqueuePing(webhook, now = new Date()) {
+    return enqueueEvent(webhook, 'ping', { message: 'Test delivery from /me/webhooks/:id/ping' }, now);
+}
+
+// Per-run loaders, so webhooks on the same category share one read.
+function evaluationContext() {
+    const memo = new Map();
+    const once = (key, load) => {
+        if (!memo.has(key)) memo.set(key, load());
+        return memo.get(key);
+    };
+    return {
+        mtime: (category) => once(`mtime:${category}`, () => getUnifiedMtime(category)),
+        live: (category) => once(`live:${category}`, async () => (await getUnifiedData(category))?.data || null),
+        baselines: () => once('baselines', () => loadBaselines()),
+        // Records added since the previous pipeline run: the newest snapshot
+        // dated before this run (the day `mtime` was written).
+        // populate-unified-data.js snapshots mid-run, before locations and
+        // final stable IDs, so this run's own snapshot is never the base.
+        added: (category, mtime) => once(`added:${category}`, async () => {
+            const runDate = new Date(mtime).toISOString().slice(0, 10);
+            const previous = (await listSnapshots()).filter((d) => d < runDate);
+            if (!previous.length) return null;
+            const snapshot = await resolveSnapshot(previous[previous.length - 1]);
+            const [before, after] = await Promise.all([
+                getUnifiedData(category, { snapshotDir: snapshot.dir }),
+                getUnifiedData(category),
+            ]);
+            if (!before?.data || !after?.data) return null;
+            const records = diffRecords(before.data, after.data).entries
+                .filter((e) => e.change === 'added')
+                .map((e) => e.record);
+            return { snapshot: snapshot.resolved, records };
+        }),
+    };
+}
+
+async function evaluateNewRecords(webhook, state, ctx, { tier, keep }, now) {
+    const mtime = await ctx.mtime(webhook.category);
+    if (!mtime || mtime === state.mtime) return { state, enqueued: 0 };
+    const added = await ctx.added(webhook.category, mtime);
+    if (!added) return { state: { mtime }, enqueued: 0 };
+
+    // Against the same snapshot twice (several runs in one day), skip what
+    // an earlier run already sent.
+    const sent = new Set(state.snapshot === added.snapshot ? state.sent || [] : []);
+    const { records } = filterRecordsByLicense(added.records, tier);
+    const matched = records.filter((r) => (!keep || keep(r)) && !sent.has(r.stable_id));
+    const next = { mtime, snapshot: added.snapshot, sent: [...sent, ...matched.map((r) => r.stable_id)] };
+    if (!matched.length) return { state: next, enqueued: 0 };
+
+    enqueueEvent(webhook, 'records.new', {
+        since_snapshot: added.snapshot,
+        total: matched.length,
+        truncated: matched.length > MAX_RECORDS_PER_EVENT,
+        changes_url: `/api/v1/unified/${webhook.category}/changes?since=${added.snapshot}&change=added`,
+        records: matched.slice(0, MAX_RECORDS_PER_EVENT),
+    }, now);
+    return { state: next, enqueued: 1 };
+}
+
+async function evaluateThreshold(webhook, state, ctx, { tier, keep }, trigger, filter, now) {
+    let limit = trigger.above;
+    let baseline = null;
+    if (limit === 'p90') {
+        baseline = baselineP90(await ctx.baselines(), filter);
+        if (!baseline) return { state, enqueued: 0 };
+        limit = baseline.p90_weekly_12m;
+    }
+
+    const data = await ctx.live(webhook.category);
+    if (!data) return { state, enqueued: 0 };
+    const { records } = filterRecordsByLicense(data, tier);
+    const matched = records.filter((r) => r.date && (!keep || keep(r)));
+    const metric = trigger.metric === 'count' ? null : trigger.metric;
+    const cumulative = metric ? isCumulativeMetric(webhook.category, metric) : false;
+    const rows = metric
+        ? timeseriesRowsFromRecords(matched, metric, cumulative)
+        : matched.map((r) => ({ date: r.date, region: r.location?.region || 'Unknown', count: 1, sum: 1, max: 1 }));
+
+    const fired = new Set(state.fired || []);
+    let enqueued = 0;
+    for (const period of buildSeries(rows, trigger.interval, cumulative)) {
+        if (period.start < state.since || fired.has(period.date) || !(period.value > limit)) continue;
+        enqueueEvent(webhook, 'threshold.exceeded', {
+            metric: trigger.metric,
+            interval: trigger.interval,
+            period: { date: period.date, start: period.start, end: period.end },
+            value: period.value,
+            records: period.count,
+            threshold: limit,
+            ...(baseline ? { baseline: { [baseline.scope]: baseline.key, p90_weekly_12m: baseline.p90_weekly_12m } } : {}),
+            filter,
+        }, now);
+        fired.add(period.date);
+        enqueued++;
+    }
+    return { state: { ...state, fired: [...fired].slice(-FIRED_MEMORY) }, enqueued };
+}
+
+/**
+ * Check every active webhook against the data on disk and enqueue the
+ * events they trigger. Webhooks whose key was revoked or deactivated are
+ * skipped. Returns { evaluated, enqueued, skipped, errors }.
+ */
+export async function evaluateWebhooks({ now = new Date() } = {}) {
+    const ctx = evaluationContext();
+    const summary = { evaluated: 0, enqueued: 0, skipped: 0, errors: 0 };
+    for (const webhook of listActiveWebhooks()) {
+        const key = getKeyById(webhook.key_id);
+        if (!key || !key.active) {
+            summary.skipped++;
+            continue;
+        }
+        try {
+            const filter = JSON.parse(webhook.filter_params);
+            const trigger = JSON.parse(webhook.trigger_spec);
+            const state = JSON.parse(webhook.state || '{}');
+            const compiled = await compileWebhookFilter(filter);
+            if (compiled.error) throw new Error(compiled.error.message || compiled.error.error);
+            const gate = { tier: key.tier, keep: compiled.keep };
+
+            const result = trigger.type === 'new_records'
+                ? await evaluateNewRecords(webhook, state, ctx, gate, now)
+                : await evaluateThreshold(webhook, state, ctx, gate, trigger, filter, now);
+            setWebhookState(webhook.id, result.state);
+            summary.evaluated++;
+            summary.enqueued += result.enqueued;
+        } catch (err) {
+            summary.errors++;
+            logger.error({ err, webhook_id: webhook.id }, 'webhook_evaluation_failed');
+        }
+    }
+    return summary;
+}
+
+// --- Delivery ---------------------------------------------------------------
+
+// POST one delivery. Redirects are not followed. The host is checked again
+// here, not just at registration: DNS can point a public name anywhere.
+function send(url, delivery, secret) {
+    const target = new URL(url);
+    const allowLocal = process.env.WEBHOOK_ALLOW_LOCAL === '1';
+    if (!allowLocal && isPrivateHost(target.hostname)) {
+        return Promise.resolve({ ok: false, status: null, error: 'private_address' });
+    }
+    return new Promise((resolve) => {
+        const req = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(delivery.payload),
+                'User-Agent': USER_AGENT,
+                'X-PDB-Event': delivery.event_type,
+                'X-PDB-Delivery': delivery.event_id,
+                [SIGNATURE_HEADER]: signPayload(secret, delivery.payload),
+            },
+            ...(allowLocal ? {} : { lookup: lookupPublicAddress }),
+        }, (res) => {
+            clearTimeout(timer);
+            res.resume();
+            const status = res.statusCode;
+            resolve(status >= 200 && status < 300 ? { ok: true, status } : { ok: false, status, error: `HTTP ${status}` });
+        });
+        const timer = setTimeout(() => req.destroy(Object.assign(new Error('timeout'), { code: 'timeout' })), DELIVERY_TIMEOUT_MS);
+        req.on('error', (err) => {
+            clearTimeout(timer);
+            resolve({ ok: false, status: null, error: err.code || err.message });
+        });
+        req.end(delivery.payload);
+    });
+}
+
+/**
+ * Send every pending delivery that is due, in batches, retrying failures
+ * on RETRY_DELAYS_MS and giving up after MAX_ATTEMPTS. Deliveries whose
+ * webhook was deactivated fail without a request. Returns
+ * { attempted, delivered, retrying, failed }.
+ */
+export async function deliverDue({ nowMs = Date.now() } = {}) {
+    const summary = { attempted: 0, delivered: 0, retrying: 0, failed: 0 };
+    const hooks = new Map(listActiveWebhooks().map((w) => [w.id, w]));
+    for (;;) {
+        const batch = claimDueWebhookDeliveries({ limit: DELIVERY_BATCH, leaseMs: LEASE_MS, nowMs });
+        if (!batch.length) break;
+        for (const delivery of batch) {
+            summary.attempted++;
+            const webhook = hooks.get(delivery.webhook_id);
+            const result = webhook
+                ? await send(webhook.url, delivery, webhook.secret)
+                : { ok: false, status: null, error: 'webhook_inactive', final: true };
+            const attempts = delivery.attempts + 1;
+            let status = 'delivered';
+            let nextAttemptAt = null;
+            if (!result.ok) {
+                status = result.final || attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+                if (status === 'pending') nextAttemptAt = nowMs + RETRY_DELAYS_MS[attempts - 1];
+            }
+            settleWebhookDelivery({
+                id: delivery.id, status, responseStatus: result.status, error: result.error || null, nextAttemptAt,
+            });
+            summary[status === 'pending' ? 'retrying' : status]++;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Run deliverDue() every `intervalMs` in this process. The timer is
+ * unref'd so it never holds the process open. Returns a stop function.
+ */
+export function startDeliveryWorker({ intervalMs = 30000 } = {}) {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const summary = await deliverDue();
+            if (summary.attempted) logger.info(summary, 'webhook_deliveries');
+        } catch (err) {
+            logger.error({ err }, 'webhook_delivery_worker_failed');
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+}
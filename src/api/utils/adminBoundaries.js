@@ -0,0 +1,209 @@
+/**
+ * OCHA admin boundaries (public/data/admin/*.geojson, scripts/sources/cod-ab.js)
+ * shared by /geo/admin, /tiles and the ?within= spatial filter.
+ *
+ * Layers are parsed once per file mtime. Polygon layers get a Flatbush
+ * R-tree over feature bounding boxes, so a point lookup runs the
+ * ray-casting test only against the few polygons whose box contains it.
+ * The adminpoints layer gets a k-NN index for nearest-locality lookups.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Flatbush from 'flatbush';
+import { haversineKm } from './spatial.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const ADMIN_DIR = path.resolve(__dirname, '../../../public/data/admin');
+
+// admin3 (localities) is only present when a COD-AB release ships a
+// pse_admin3 layer; everything reading it treats a missing file as empty.
+export const ADMIN_LAYERS = new Set([
+    'admin0', 'admin1', 'admin2', 'admin3', 'adminlines', 'adminpoints',
+]);
+
+// Parsed GeoJSON keyed by layer, with its mtime. Polygons are small (16
+// features for admin2) so loading once and reusing is fine.
+const cache = new Map();
+// FeatureCollection → { index, features } for polygon layers.
+const indexes = new WeakMap();
+// adminpoints FeatureCollection → { index, features } over locality points.
+const pointIndexes = new WeakMap();
+
+// Finest admin level a point labels; admin3 and below are localities.
+export const LOCALITY_LEVEL = 3;
+// cos(31.9°), as in gazetteer.js: projected k-NN candidates are re-ranked
+// by haversine.
+const LNG_SCALE = Math.cos(31.9 * Math.PI / 180);
+const POINT_CANDIDATES = 4;
+
+export async function loadAdminLayer(layer) {
+    if (!ADMIN_LAYERS.has(layer)) return null;
+    const file = path.join(ADMIN_DIR, `${layer}.geojson`);
+    let stat;
+    try { stat = await fs.stat(file); } catch { return null; }
+    const cached = cache.get(layer);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.data;
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    cache.set(layer, { mtimeMs: stat.mtimeMs, data });
+    return data;
+}
+
+// ── Point-in-polygon (ray casting) ───────────────────────────────────────────
+//
+// Walks a single ring of [lng, lat] coords; returns true if (lng, lat) is
+// inside. Edges-on-boundary count as inside.
+export function pointInRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const xi = ring[i][0], yi = ring[i][1];
+        const xj = ring[j][0], yj = ring[j][1];
+        const intersect = ((yi > lat) !== (yj > lat)) &&
+            (lng < (xj - xi) * (lat - yi) / (yj - yi || 1e-12) + xi);
+        if (intersect) inside = !inside;
+    }
+    return inside;
+}
+
+function pointInPolygon(lng, lat, rings) {
+    if (!pointInRing(lng, lat, rings[0])) return false;
+    // Subtract holes
+    for (let i = 1; i < rings.length; i++) {
+        if (pointInRing(lng, lat, rings[i])) return false;
+    }
+    return true;
+}
+
+export function pointInGeometry(lng, lat, g) {
+    if (!g) return false;
+    if (g.type === 'Polygon') return pointInPolygon(lng, lat, g.coordinates);
+    if (g.type === 'MultiPolygon') return g.coordinates.some((poly) => pointInPolygon(lng, lat, poly));
+    return false;
+}
+
+export function pointInFeature(lng, lat, feature) {
+    return pointInGeometry(lng, lat, feature.geometry);
+}
+
+// [minLng, minLat, maxLng, maxLat] of any GeoJSON geometry; null when empty.
+export function geometryBbox(geometry) {
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    const walk = (c) => {
+        if (typeof c[0] === 'number') {
+            if (c[0] < box[0]) box[0] = c[0];
+            if (c[1] < box[1]) box[1] = c[1];
+            if (c[0] > box[2]) box[2] = c[0];
+            if (c[1] > box[3]) box[3] = c[1];
+            return;
+        }
+        for (const x of c) walk(x);
+    };
+    if (geometry?.coordinates) walk(geometry.coordinates);
+    return Number.isFinite(box[0]) ? box : null;
+}
+
+function polygonIndex(data) {
+    let built = indexes.get(data);
+    if (built) return built;
+    const features = (data.features || []).filter((f) => geometryBbox(f.geometry));
+    let index = null;
+    if (features.length) {
+        index = new Flatbush(features.length);
+        for (const f of features) index.add(...geometryBbox(f.geometry));
+        index.finish();
+    }
+    built = { index, features };
+    indexes.set(data, built);
+    return built;
+}
+
+/**
+ * Feature of an already-loaded polygon FeatureCollection containing
+ * (lng, lat), or null. Synchronous, for batch lookups.
+ */
+export function adminFeatureAt(fc, lng, lat) {
+    if (!fc) return null;
+    const { index, features } = polygonIndex(fc);
+    if (!index) return null;
+    for (const i of index.search(lng, lat, lng, lat)) {
+        if (pointInFeature(lng, lat, features[i])) return features[i];
+    }
+    return null;
+}
+
+// Feature of polygon `layer` (admin0/1/2/3) containing (lng, lat), or null.
+export async function findAdminFeature(layer, lng, lat) {
+    return adminFeatureAt(await loadAdminLayer(layer), lng, lat);
+}
+
+/**
+ * Admin2 (or, failing that, admin1) feature whose OCHA pcode is `pcode`,
+ * case-insensitive. Returns { level, feature } or null.
+ */
+export async function findAdminByPcode(pcode) {
+    const wanted = String(pcode).toUpperCase();
+    for (const [level, key] of [['admin2', 'adm2_pcode'], ['admin1', 'adm1_pcode']]) {
+        const fc = await loadAdminLayer(level);
+        const feature = (fc?.features || []).find((f) => String(f.properties?.[key] || '').toUpperCase() === wanted);
+        if (feature) return { level, feature };
+    }
+    return null;
+}
+
+// ── Locality points ──────────────────────────────────────────────────────────
+
+// Admin level an adminpoints feature labels: the largest N among its
+// adm<N>_pcode properties, or null.
+export function pointAdminLevel(props) {
+    for (let n = 4; n >= 0; n--) {
+        if (props?.[`adm${n}_pcode`]) return n;
+    }
+    return null;
+}
+
+function localityPointIndex(data) {
+    let built = pointIndexes.get(data);
+    if (built) return built;
+    const features = (data.features || []).filter((f) => f.geometry?.type === 'Point'
+        && Number.isFinite(f.geometry.coordinates?.[0]) && Number.isFinite(f.geometry.coordinates?.[1])
+        && pointAdminLevel(f.properties) >= LOCALITY_LEVEL);
+    let index = null;
+    if (features.length) {
+        index = new Flatbush(features.length);
+        for (const f of features) {
+            const [lng, lat] = f.geometry.coordinates;
+            index.add(lng * LNG_SCALE, lat, lng * LNG_SCALE, lat);
+        }
+        index.finish();
+    }
+    built = { index, features };
+    pointIndexes.set(data, built);
+    return built;
+}
+
+/**
+ * Nearest locality-level (admin3 or finer) feature of an already-loaded
+ * adminpoints FeatureCollection to (lng, lat), restricted to governorate
+ * `admin2Pcode` when given. Returns { feature, level, distance_km } or
+ * null when the layer carries no locality points.
+ */
+export function nearestLocalityPoint(fc, lng, lat, { admin2Pcode = null } = {}) {
+    if (!fc) return null;
+    const { index, features } = localityPointIndex(fc);
+    if (!index) return null;
+    const inAdmin2 = admin2Pcode
+        ? (i) => features[i].properties?.adm2_pcode === admin2Pcode
+        : undefined;
+    let best = null;
+    let bestKm = Infinity;
+    for (const i of index.neighbors(lng * LNG_SCALE, lat, POINT_CANDIDATES, Infinity, inAdmin2)) {
+        const [plng, plat] = features[i].geometry.coordinates;
+        const km = haversineKm(lat, lng, plat, plng);
+        if (km < bestKm) {
+            best = features[i];
+            bestKm = km;
+        }
+    }
+    return best && { feature: best, level: pointAdminLevel(best.properties), distance_km: bestKm };
+}
@@ -0,0 +1,75 @@
+/**
+ * Record-level diff between two versions of a unified category, backing
+ * /unified/:category/changes.
+ *
+ * Records are matched on their logical key (computeLogicalKey) and compared
+ * on their content hash (stable_id, stamped by scripts/attach-stable-ids.js):
+ *
+ *   added     — logical key only in the newer version
+ *   removed   — logical key only in the older version
+ *   modified  — same logical key, different stable_id
+ *
+ * When several records share a logical key (e.g. two same-day rows for one
+ * place), identical stable_ids on both sides are unchanged and the leftovers
+ * are paired in stable_id order; any surplus is added/removed.
+ */
+import { computeStableId, computeLogicalKey } from '../../../scripts/utils/stable-id.js';
+
+export const CHANGE_TYPES = ['added', 'removed', 'modified'];
+
+function idOf(record) {
+    return record.stable_id ? String(record.stable_id) : computeStableId(record);
+}
+
+function groupByLogicalKey(records) {
+    const groups = new Map();
+    for (const r of records) {
+        const key = computeLogicalKey(r);
+        let list = groups.get(key);
+        if (!list) groups.set(key, (list = []));
+        list.push({ id: idOf(r), record: r });
+    }
+    return groups;
+}
+
+const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+/**
+ * Diff `before` against `after` (arrays of canonical records).
+ * Returns { entries, summary } — entries are
+ * { change, stable_id, previous_stable_id, logical_key, record } sorted by
+ * stable_id; `record` is the newer version, or the last known one for
+ * removals. summary counts { added, removed, modified, unchanged }.
+ */
+export function diffRecords(before, after) {
+    const oldGroups = groupByLogicalKey(before);
+    const newGroups = groupByLogicalKey(after);
+    const entries = [];
+    const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+
+    const keys = new Set([...oldGroups.keys(), ...newGroups.keys()]);
+    for (const key of keys) {
+        const olds = oldGroups.get(key) || [];
+        const news = newGroups.get(key) || [];
+        const oldIds = new Set(olds.map((o) => o.id));
+        const newIds = new Set(news.map((n) => n.id));
+        const oldOnly = olds.filter((o) => !newIds.has(o.id)).sort(byId);
+        const newOnly = news.filter((n) => !oldIds.has(n.id)).sort(byId);
+        summary.unchanged += news.length - newOnly.length;
+
+        const paired = Math.min(oldOnly.length, newOnly.length);
+        for (let i = 0; i < paired; i++) {
+            entries.push({ change: 'modified', stable_id: newOnly[i].id, previous_stable_id: oldOnly[i].id, logical_key: key, record: newOnly[i].record });
+        }
+        for (const n of newOnly.slice(paired)) {
+            entries.push({ change: 'added', stable_id: n.id, previous_stable_id: null, logical_key: key, record: n.record });
+        }
+        for (const o of oldOnly.slice(paired)) {
+            entries.push({ change: 'removed', stable_id: o.id, previous_stable_id: null, logical_key: key, record: o.record });
+        }
+    }
+
+    for (const e of entries) summary[e.change] += 1;
+    entries.sort((a, b) => (a.stable_id < b.stable_id ? -1 : a.stable_id > b.stable_id ? 1 : 0));
+    return { entries, summary };
+}
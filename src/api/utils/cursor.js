@@ -0,0 +1,159 @@
+/**
+ * Keyset (cursor) pagination shared by /unified/:category and
+ * /incidents/:category.
+ *
+ * Offset pagination shifts whenever the nightly pipeline inserts records
+ * ahead of a client's position. A cursor instead names the last (or first)
+ * row a client saw by its sort key plus its stable_id
+ * (scripts/utils/stable-id.js), so the next page starts strictly after that
+ * row no matter what was added or removed around it. stable_id is
+ * content-derived, so the same cursor resolves identically against a later
+ * pipeline run or a pinned ?as_of= snapshot.
+ *
+ * Cursors are opaque base64url JSON: { s: sort_by, o: order, v: sort value,
+ * id: stable_id, d: 'next'|'prev' }.
+ */
+import { computeStableId } from '../../../scripts/utils/stable-id.js';
+
+// Records without a pipeline-stamped stable_id get one computed on demand;
+// memoised so sorting does not re-hash on every comparison.
+const computedIds = new WeakMap();
+
+export function recordId(record) {
+    if (record.stable_id) return String(record.stable_id);
+    let id = computedIds.get(record);
+    if (!id) {
+        id = computeStableId(record);
+        computedIds.set(record, id);
+    }
+    return id;
+}
+
+function sortValue(record, sortBy) {
+    let cur = record;
+    for (const part of sortBy.split('.')) {
+        if (cur == null) return null;
+        cur = cur[part];
+    }
+    if (typeof cur === 'number' || typeof cur === 'string') return cur;
+    if (typeof cur === 'boolean') return cur ? 1 : 0;
+    return null;
+}
+
+// Total order over (value, id): value by `order` with nulls always last,
+// then stable_id ascending as the tie-breaker.
+function compareKeys(va, ida, vb, idb, order) {
+    if (va !== vb) {
+        if (va == null) return 1;
+        if (vb == null) return -1;
+        if (va < vb) return order === 'asc' ? -1 : 1;
+        if (va > vb) return order === 'asc' ? 1 : -1;
+    }
+    return ida < idb ? -1 : ida > idb ? 1 : 0;
+}
+
+/**
+ * Sort records in place by (sortBy, stable_id). Deterministic for any
+ * input, so offset and cursor pages agree on row order.
+ */
+export function sortRecords(records, sortBy, order) {
+    const keyed = records.map((r) => ({ r, v: sortValue(r, sortBy), id: recordId(r) }));
+    keyed.sort((a, b) => compareKeys(a.v, a.id, b.v, b.id, order));
+    for (let i = 0; i < keyed.length; i++) records[i] = keyed[i].r;
+    return records;
+}
+
+export function encodeCursor(record, { sortBy, order, dir }) {
+    const payload = { s: sortBy, o: order, v: sortValue(record, sortBy), id: recordId(record), d: dir };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor. Returns { sortBy, order, value, id, dir } or
+ * null when the string is not a cursor this module issued.
+ */
+export function decodeCursor(str) {
+    try {
+        const c = JSON.parse(Buffer.from(String(str), 'base64url').toString('utf8'));
+        if (!c || typeof c.s !== 'string' || typeof c.id !== 'string') return null;
+        if (c.o !== 'asc' && c.o !== 'desc') return null;
+        if (c.d !== 'next' && c.d !== 'prev') return null;
+        if (c.v !== null && typeof c.v !== 'number' && typeof c.v !== 'string') return null;
+        return { sortBy: c.s, order: c.o, value: c.v, id: c.id, dir: c.d };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read sort_by / order / cursor from a query string. A cursor carries its
+ * own sort, so sort_by and order may be omitted on follow-up requests but
+ * must match when given. Returns { sortBy, order, cursor } or
+ * { error } with a ready-to-send 400 body.
+ */
+export function readCursorQuery(query, defaults = {}) {
+    const sortBy = query.sort_by ? String(query.sort_by) : null;
+    const order = query.order ? (String(query.order) === 'asc' ? 'asc' : 'desc') : null;
+    if (query.cursor === undefined || query.cursor === '') {
+        return { sortBy: sortBy || defaults.sortBy || 'date', order: order || defaults.order || 'desc', cursor: null };
+    }
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+        return { error: { error: 'invalid_cursor', message: 'cursor is malformed; use next_cursor/prev_cursor exactly as returned' } };
+    }
+    if ((sortBy && sortBy !== cursor.sortBy) || (order && order !== cursor.order)) {
+        return {
+            error: {
+                error: 'invalid_cursor',
+                message: `cursor was issued for sort_by=${cursor.sortBy}&order=${cursor.order}`,
+            },
+        };
+    }
+    return { sortBy: cursor.sortBy, order: cursor.order, cursor };
+}
+
+// First index whose key sorts after (strict) or at-or-after the cursor key.
+function seek(sorted, cursor, strict) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        const r = sorted[mid];
+        const cmp = compareKeys(sortValue(r, cursor.sortBy), recordId(r), cursor.value, cursor.id, cursor.order);
+        if (cmp < 0 || (strict && cmp === 0)) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Slice one page out of records already ordered by sortRecords().
+ * With a decoded `cursor` the page starts right after (next) or ends right
+ * before (prev) the cursor row; otherwise it starts at `offset`.
+ * Returns { items, start, next_cursor, prev_cursor } — either cursor is
+ * null at the corresponding end of the result set.
+ */
+export function paginateSorted(sorted, { sortBy, order, limit, offset = 0, cursor = null }) {
+    let start;
+    if (cursor?.dir === 'next') {
+        start = seek(sorted, cursor, true);
+    } else if (cursor?.dir === 'prev') {
+        start = Math.max(0, seek(sorted, cursor, false) - limit);
+    } else {
+        start = Math.max(0, offset);
+    }
+    const end = cursor?.dir === 'prev'
+        ? Math.min(sorted.length, seek(sorted, cursor, false))
+        : Math.min(sorted.length, start + limit);
+    const items = sorted.slice(start, end);
+    return {
+        items,
+        start,
+        next_cursor: end < sorted.length && items.length
+            ? encodeCursor(items[items.length - 1], { sortBy, order, dir: 'next' })
+            : null,
+        prev_cursor: start > 0 && items.length
+            ? encodeCursor(items[0], { sortBy, order, dir: 'prev' })
+            : null,
+    };
+}
@@ -0,0 +1,87 @@
+/**
+ * Readers for the event-cluster outputs of scripts/build-events.js:
+ * public/data/events/events.json and member-index.json
+ * ({ <stable_id>: [<cluster_id>…] }).
+ *
+ * Both are cached in-process and re-read when the file's mtime changes, so a
+ * pipeline run is picked up without restarting the API. Loaders return null
+ * when the files have not been generated yet.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { categoryInScope } from './keyScopes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const EVENTS_DIR = path.resolve(__dirname, '../../../public/data/events');
+
+const caches = new Map(); // file → { mtimeMs, value }
+
+async function loadCached(file, build = (doc) => doc) {
+    const p = path.join(EVENTS_DIR, file);
+    try {
+        const stat = await fs.stat(p);
+        const hit = caches.get(file);
+        if (hit && hit.mtimeMs === stat.mtimeMs) return hit.value;
+        const value = build(JSON.parse(await fs.readFile(p, 'utf-8')));
+        caches.set(file, { mtimeMs: stat.mtimeMs, value });
+        return value;
+    } catch {
+        return null;
+    }
+}
+
+/** events.json — { generated_at, total, …, data: [cluster…] } */
+export function loadEventClusters() {
+    return loadCached('events.json', (doc) => {
+        // Non-enumerable id → cluster map for findCluster().
+        Object.defineProperty(doc, 'byId', {
+            value: new Map((doc.data || []).map((c) => [c.cluster_id, c])),
+        });
+        return doc;
+    });
+}
+
+/** member-index.json — { <stable_id>: [<cluster_id>…] } */
+export function loadMemberIndex() {
+    return loadCached('member-index.json');
+}
+
+/** One cluster by id, or null (also null when clusters are not built). */
+export async function findCluster(clusterId) {
+    const doc = await loadEventClusters();
+    return doc?.byId.get(clusterId) || null;
+}
+
+/**
+ * Clusters containing the record with `stable_id`, in events.json order.
+ * Null when the cluster files have not been generated.
+ */
+export async function clustersForRecord(stableId) {
+    const [memberIndex, doc] = await Promise.all([loadMemberIndex(), loadEventClusters()]);
+    if (!memberIndex || !doc) return null;
+    const ids = Object.prototype.hasOwnProperty.call(memberIndex, stableId) ? memberIndex[stableId] : [];
+    return ids.map((id) => doc.byId.get(id)).filter(Boolean);
+}
+
+/**
+ * `cluster` as an API key with category scopes (utils/keyScopes.js) may see
+ * it: out-of-scope categories and their members dropped, record_count
+ * recounted. `aggregated` sums metrics over every member, so it is null once
+ * anything was dropped. Null when no category is in scope.
+ */
+export function scopeCluster(cluster, scopes) {
+    if (!scopes?.categories) return cluster;
+    const categories = cluster.categories.filter((c) => categoryInScope(scopes, c));
+    if (categories.length === cluster.categories.length) return cluster;
+    if (!categories.length) return null;
+    const members = Object.fromEntries(categories.map((c) => [c, cluster.members?.[c] || []]));
+    return {
+        ...cluster,
+        categories,
+        members,
+        record_count: Object.values(members).reduce((n, list) => n + list.length, 0),
+        aggregated: null,
+    };
+}
@@ -0,0 +1,193 @@
+/**
+ * Bulk-export serializers for /unified/:category/export.
+ *
+ * Each writer streams batches of canonical records straight into the HTTP
+ * response so a full category extract never has to be held in memory:
+ *
+ *   ndjson  — one full record per line (nested objects kept as-is)
+ *   csv     — flattened columns, header row first
+ *   parquet — flattened columns, one row group per batch
+ *
+ * CSV and Parquet need their column set before the first row is written, so
+ * the flat layout is fixed: the canonical schema v3 fields (location.*,
+ * metrics.*, temporal_context.*, quality.* expanded into dot-named columns)
+ * plus stable_id. Category-specific extra fields only appear in NDJSON.
+ */
+import Papa from 'papaparse';
+import { ByteWriter, ParquetWriter } from 'hyparquet-writer';
+import { listFieldPaths } from '../../../scripts/utils/canonical-schema.js';
+
+export const EXPORT_FORMATS = Object.freeze({
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' },
+});
+
+/** Flat column layout shared by CSV and Parquet: [{ name, type }]. */
+export const EXPORT_COLUMNS = Object.freeze([
+    { name: 'stable_id', type: 'string' },
+    // Array fields (sources, actors) are written as one joined text cell.
+    ...listFieldPaths().map(({ path, type }) => ({ name: path, type: type === 'array' ? 'string' : type })),
+]);
+
+function getPath(record, name) {
+    let cur = record;
+    for (const part of name.split('.')) {
+        if (cur == null) return null;
+        cur = cur[part];
+    }
+    return cur;
+}
+
+// Arrays (sources, actors) collapse to a "; "-joined list of names so the
+// cell stays human-readable; anything without a name falls back to JSON.
+function arrayCell(arr) {
+    return arr
+        .map((v) => {
+            if (v == null) return null;
+            if (typeof v !== 'object') return String(v);
+            return v.name || v.organization || JSON.stringify(v);
+        })
+        .filter(Boolean)
+        .join('; ');
+}
+
+function coerce(value, type) {
+    if (value === undefined || value === null || value === '') return null;
+    if (type === 'number') {
+        const n = typeof value === 'number' ? value : Number(value);
+        return Number.isFinite(n) ? n : null;
+    }
+    if (type === 'boolean') return Boolean(value);
+    if (Array.isArray(value)) return arrayCell(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Flatten one canonical record into { <column>: scalar|null } following
+ * EXPORT_COLUMNS.
+ */
+export function flattenRecord(record) {
+    const row = {};
+    for (const { name, type } of EXPORT_COLUMNS) {
+        row[name] = coerce(getPath(record, name), type);
+    }
+    return row;
+}
+
+// Resolve once the chunk is accepted; waits for 'drain' when the socket
+// buffer is full so a slow client throttles the disk reads.
+function writeChunk(res, chunk) {
+    if (res.destroyed) return Promise.resolve();
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise((resolve) => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+function ndjsonWriter(res) {
+    return {
+        async writeBatch(records) {
+            let buf = '';
+            for (const r of records) buf += JSON.stringify(r) + '\n';
+            if (buf) await writeChunk(res, buf);
+        },
+        async end() {},
+    };
+}
+
+function csvWriter(res) {
+    const fields = EXPORT_COLUMNS.map((c) => c.name);
+    let headerWritten = false;
+    const header = () => Papa.unparse([fields], { newline: '\r\n' }) + '\r\n';
+    return {
+        async writeBatch(records) {
+            let out = '';
+            if (!headerWritten) {
+                out += header();
+                headerWritten = true;
+            }
+            if (records.length) {
+                const rows = records.map((r) => {
+                    const flat = flattenRecord(r);
+                    return fields.map((f) => flat[f]);
+                });
+                out += Papa.unparse(rows, { header: false, newline: '\r\n' }) + '\r\n';
+            }
+            await writeChunk(res, out);
+        },
+        async end() {
+            // Empty result sets still get a header row.
+            if (!headerWritten) await writeChunk(res, header());
+        },
+    };
+}
+
+const PARQUET_TYPES = {
+    string: { type: 'BYTE_ARRAY', converted_type: 'UTF8' },
+    number: { type: 'DOUBLE' },
+    boolean: { type: 'BOOLEAN' },
+};
+
+function parquetWriter(res, metadata) {
+    const schema = [
+        { name: 'root', num_children: EXPORT_COLUMNS.length },
+        ...EXPORT_COLUMNS.map(({ name, type }) => ({
+            name,
+            ...PARQUET_TYPES[type],
+            repetition_type: 'OPTIONAL',
+        })),
+    ];
+
+    // ParquetWriter calls writer.flush() after every row group; drain the
+    // buffered bytes into the response there, and once more on finish()
+    // for the footer.
+    const writer = new ByteWriter();
+    const drain = () => {
+        if (writer.index === 0) return Promise.resolve();
+        const chunk = Buffer.from(writer.buffer.slice(0, writer.index));
+        writer.index = 0;
+        return writeChunk(res, chunk);
+    };
+    writer.flush = drain;
+    writer.finish = drain;
+
+    const kvMetadata = Object.entries(metadata || {})
+        .filter(([, value]) => value != null)
+        .map(([key, value]) => ({ key, value: typeof value === 'string' ? value : JSON.stringify(value) }));
+    const pq = new ParquetWriter({ writer, schema, kvMetadata: kvMetadata.length ? kvMetadata : undefined });
+    return {
+        async writeBatch(records) {
+            if (!records.length) return;
+            const flat = records.map(flattenRecord);
+            const columnData = EXPORT_COLUMNS.map(({ name }) => ({
+                name,
+                data: flat.map((row) => row[name]),
+            }));
+            await pq.write({ columnData, rowGroupSize: flat.length });
+        },
+        async end() {
+            await pq.finish();
+        },
+    };
+}
+
+/**
+ * Create a streaming writer for `format` bound to an Express response.
+ * Returns { writeBatch(records): Promise, end(): Promise }. The caller sets
+ * headers before the first writeBatch and calls res.end() after end().
+ * `metadata` is embedded as Parquet key/value metadata (ignored otherwise).
+ */
+export function createExportWriter(format, res, { metadata } = {}) {
+    if (format === 'csv') return csvWriter(res);
+    if (format === 'ndjson') return ndjsonWriter(res);
+    if (format === 'parquet') return parquetWriter(res, metadata);
+    throw new Error(`unsupported export format: ${format}`);
+}
@@ -0,0 +1,186 @@
+/**
+ * Atom / RSS / JSON Feed output for list endpoints (/news/latest, /events,
+ * /events/timeline, /live/alerts, /unified/:category), for feed readers and
+ * Slack RSS apps.
+ *
+ * A route asks feedFormat(req) whether a feed was requested — `?format=`
+ * wins, else the Accept header — maps its page of results to feed items and
+ * hands them to sendFeed(). Items are { id, url, title, summary, published,
+ * updated, authors, categories, attributions, extra }: `id` is the stable
+ * permalink (/record/:category/:id, /events/:cluster_id, …), `url` what a
+ * reader opens (defaults to `id`), `attributions` the strings redistributors
+ * must reproduce (collectRequiredAttributions()). `extra` only appears in
+ * JSON Feed, under `_palestine_data`.
+ */
+
+export const FEED_FORMATS = Object.freeze({
+    atom: { contentType: 'application/atom+xml; charset=utf-8', mediaType: 'application/atom+xml' },
+    rss: { contentType: 'application/rss+xml; charset=utf-8', mediaType: 'application/rss+xml' },
+    jsonfeed: { contentType: 'application/feed+json; charset=utf-8', mediaType: 'application/feed+json' },
+});
+
+const GENERATOR = 'Palestine Data Backend';
+
+/**
+ * The feed format the Accept header prefers over JSON, or null. Also keys
+ * the response cache (server.js), since the URL alone no longer decides
+ * the body.
+ */
+export function acceptedFeedFormat(req) {
+    const accept = req.get?.('accept');
+    if (!accept || !/(atom|rss|feed)\+/.test(accept)) return null;
+    const best = req.accepts(['application/json', ...Object.values(FEED_FORMATS).map((f) => f.mediaType)]);
+    return Object.keys(FEED_FORMATS).find((k) => FEED_FORMATS[k].mediaType === best) || null;
+}
+
+/**
+ * { format } for a feed request — null format means plain JSON — or
+ * { error } with a ready-to-send 400 body for an unknown ?format=.
+ */
+export function feedFormat(req) {
+    const raw = req.query.format;
+    if (raw === undefined || raw === '') return { format: acceptedFeedFormat(req) };
+    const format = String(raw).toLowerCase();
+    if (format === 'json') return { format: null };
+    if (FEED_FORMATS[format]) return { format };
+    return {
+        error: {
+            error: 'invalid_format',
+            message: `format must be one of json, ${Object.keys(FEED_FORMATS).join(', ')}`,
+        },
+    };
+}
+
+export const apiBase = (req) => `${req.protocol}://${req.get('host')}/api/v1`;
+
+/** Citable permalink of a unified record (GET /record/:category/:id). */
+export function recordPermalink(base, category, record) {
+    const id = record.stable_id || record.id;
+    return `${base}/record/${encodeURIComponent(category)}/${encodeURIComponent(id)}`;
+}
+
+// ── Serializers ──────────────────────────────────────────────────────────────
+
+// XML 1.0 forbids most control characters outright, escaped or not.
+const xml = (s) => String(s ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+
+// Dates arrive as YYYY-MM-DD or full ISO strings; feeds need instants.
+function instant(date) {
+    if (!date) return null;
+    const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00Z` : date);
+    return Number.isNaN(d.getTime()) ? null : d;
+}
+
+const newest = (items) => items.map((i) => instant(i.updated || i.published)).filter(Boolean)
+    .sort((a, b) => b - a)[0] || new Date();
+
+function atom(feed) {
+    const updated = instant(feed.updated) || newest(feed.items);
+    const entries = feed.items.map((item) => {
+        const published = instant(item.published);
+        const lines = [
+            `    <id>${xml(item.id)}</id>`,
+            `    <title>${xml(item.title || item.id)}</title>`,
+            `    <link rel="alternate" href="${xml(item.url || item.id)}"/>`,
+            item.url && item.url !== item.id ? `    <link rel="related" href="${xml(item.id)}"/>` : null,
+            `    <updated>${(instant(item.updated) || published || updated).toISOString()}</updated>`,
+            published ? `    <published>${published.toISOString()}</published>` : null,
+            ...(item.authors || []).map((a) => `    <author><name>${xml(a)}</name></author>`),
+            ...(item.categories || []).map((c) => `    <category term="${xml(c)}"/>`),
+            item.summary ? `    <summary>${xml(item.summary)}</summary>` : null,
+            item.attributions?.length ? `    <rights>${xml(item.attributions.join('; '))}</rights>` : null,
+        ];
+        return `  <entry>\n${lines.filter(Boolean).join('\n')}\n  </entry>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${xml(feed.id || feed.selfUrl)}</id>`,
+        `  <title>${xml(feed.title)}</title>`,
+        feed.description ? `  <subtitle>${xml(feed.description)}</subtitle>` : null,
+        `  <link rel="self" href="${xml(feed.selfUrl)}"/>`,
+        feed.homeUrl ? `  <link rel="alternate" href="${xml(feed.homeUrl)}"/>` : null,
+        `  <updated>${updated.toISOString()}</updated>`,
+        `  <author><name>${GENERATOR}</name></author>`,
+        `  <generator>${GENERATOR}</generator>`,
+        feed.attributions?.length ? `  <rights>${xml(feed.attributions.join('; '))}</rights>` : null,
+        ...entries,
+        '</feed>',
+        '',
+    ].filter((l) => l !== null).join('\n');
+}
+
+function rss(feed) {
+    const items = feed.items.map((item) => {
+        const published = instant(item.published);
+        const lines = [
+            `      <title>${xml(item.title || item.id)}</title>`,
+            `      <link>${xml(item.url || item.id)}</link>`,
+            `      <guid isPermaLink="true">${xml(item.id)}</guid>`,
+            published ? `      <pubDate>${published.toUTCString()}</pubDate>` : null,
+            ...(item.authors || []).map((a) => `      <dc:creator>${xml(a)}</dc:creator>`),
+            ...(item.categories || []).map((c) => `      <category>${xml(c)}</category>`),
+            item.summary ? `      <description>${xml(item.summary)}</description>` : null,
+            item.attributions?.length ? `      <dc:rights>${xml(item.attributions.join('; '))}</dc:rights>` : null,
+        ];
+        return `    <item>\n${lines.filter(Boolean).join('\n')}\n    </item>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '  <channel>',
+        `    <title>${xml(feed.title)}</title>`,
+        `    <link>${xml(feed.homeUrl || feed.selfUrl)}</link>`,
+        `    <description>${xml(feed.description || feed.title)}</description>`,
+        `    <atom:link rel="self" type="application/rss+xml" href="${xml(feed.selfUrl)}"/>`,
+        `    <lastBuildDate>${(instant(feed.updated) || newest(feed.items)).toUTCString()}</lastBuildDate>`,
+        `    <generator>${GENERATOR}</generator>`,
+        feed.attributions?.length ? `    <copyright>${xml(feed.attributions.join('; '))}</copyright>` : null,
+        ...items,
+        '  </channel>',
+        '</rss>',
+        '',
+    ].filter((l) => l !== null).join('\n');
+}
+
+function jsonFeed(feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        ...(feed.description ? { description: feed.description } : {}),
+        ...(feed.homeUrl ? { home_page_url: feed.homeUrl } : {}),
+        feed_url: feed.selfUrl,
+        _palestine_data: { required_attributions: feed.attributions || [] },
+        items: feed.items.map((item) => ({
+            id: item.id,
+            url: item.url || item.id,
+            title: item.title || item.id,
+            ...(item.summary ? { content_text: item.summary } : {}),
+            ...(instant(item.published) ? { date_published: instant(item.published).toISOString() } : {}),
+            ...(instant(item.updated) ? { date_modified: instant(item.updated).toISOString() } : {}),
+            ...(item.authors?.length ? { authors: item.authors.map((name) => ({ name })) } : {}),
+            ...(item.categories?.length ? { tags: item.categories } : {}),
+            _palestine_data: { permalink: item.id, attributions: item.attributions || [], ...item.extra },
+        })),
+    });
+}
+
+const RENDERERS = { atom, rss, jsonfeed: jsonFeed };
+
+/** The feed document as a string. */
+export function renderFeed(format, feed) {
+    return RENDERERS[format](feed);
+}
+
+/**
+ * Send `feed` ({ title, description, selfUrl, homeUrl, updated,
+ * attributions, items }) as `format`. selfUrl defaults to the request URL.
+ */
+export function sendFeed(req, res, format, feed) {
+    const selfUrl = feed.selfUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    res.vary('Accept');
+    res.type(FEED_FORMATS[format].contentType);
+    res.send(renderFeed(format, { ...feed, selfUrl }));
+}
@@ -132,6 +132,69 @@ async function readPartitionedCategory(catDir) {
     }
 }
 
+/**
+ * Yield a category's records batch by batch without holding the whole
+ * category in memory: one batch per partition file for partition-only
+ * categories, one batch for all-data.json. Partition order matches
+ * readPartitionedCategory, so record order is the same as getUnifiedData.
+ * Yields nothing when the category has no data on disk.
+ *
+ * @param {string} category
+ * @param {{ snapshotDir?: string }} opts
+ */
+export async function* iterateUnifiedBatches(category, opts = {}) {
+    const catDir = path.join(opts.snapshotDir || UNIFIED_DIR, category);
+    let doc = null;
+    try {
+        doc = JSON.parse(await fs.readFile(path.join(catDir, 'all-data.json'), 'utf-8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    if (doc) {
+        if (Array.isArray(doc.data)) yield doc.data;
+        return;
+    }
+
+    let files;
+    try {
+        files = (await fs.readdir(path.join(catDir, 'partitions')))
+            .filter((f) => f.endsWith('.json') && f !== 'index.json')
+            .sort();
+    } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+    }
+    for (const f of files) {
+        let records;
+        try {
+            const part = JSON.parse(await fs.readFile(path.join(catDir, 'partitions', f), 'utf-8'));
+            records = Array.isArray(part) ? part : part.data;
+        } catch {
+            // skip unreadable partition, same as readPartitionedCategory
+            continue;
+        }
+        if (Array.isArray(records) && records.length) yield records;
+    }
+}
+
+/**
+ * Modification time (ms) of a category's live data — all-data.json, or the
+ * stable-id-index.json that attach-stable-ids.js rewrites on every pipeline
+ * run for partition-only categories. Null when neither exists. Lets callers
+ * key derived caches on "which pipeline run is on disk".
+ * @param {string} category
+ */
+export async function getUnifiedMtime(category) {
+    for (const f of ['all-data.json', 'stable-id-index.json']) {
+        try {
+            return (await fs.stat(path.join(UNIFIED_DIR, category, f))).mtimeMs;
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+    return null;
+}
+
 /**
  * Get metadata for a category
  * @param {string} category
@@ -0,0 +1,429 @@
+/**
+ * ?filter= expression language for /unified/:category (and its export).
+ *
+ *   metrics.injured>=5 AND event_type IN (airstrike,raid) AND location.admin1=Gaza Strip
+ *
+ * Grammar (keywords are case-insensitive, NOT binds tighter than AND,
+ * AND tighter than OR):
+ *
+ *   expr       := and (OR and)*
+ *   and        := unary (AND unary)*
+ *   unary      := NOT unary | '(' expr ')' | comparison
+ *   comparison := field op value | field [NOT] IN '(' value (',' value)* ')'
+ *   op         := = | != | > | >= | < | <= | ~      (~ is "contains")
+ *   value      := 'quoted' | "quoted" | bare words | null
+ *
+ * Bare values run up to the next AND/OR, comma or closing paren, so
+ * `location.admin1=Gaza Strip` needs no quotes. Fields are checked against
+ * the canonical schema (plus stable_id and any metrics.<name>), and values
+ * against the field's type. The expression compiles to a plain AST that is
+ * walked per record — nothing is ever eval'd.
+ */
+import { listFieldPaths } from '../../../scripts/utils/canonical-schema.js';
+
+const MAX_FILTER_LENGTH = 2000;
+const MAX_DEPTH = 32;
+
+const FIELD_TYPES = new Map([
+    ['stable_id', 'string'],
+    ...listFieldPaths().map(({ path, type }) => [path, type]),
+]);
+
+const OPERATORS = ['>=', '<=', '!=', '=', '>', '<', '~'];
+const PUNCT = new Set(['(', ')', ',']);
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'IN']);
+// Characters that end a bare word.
+const WORD_BREAK = /[\s()=!<>~,'"]/;
+
+// Operators allowed per field type; IN / NOT IN work everywhere.
+const TYPE_OPS = {
+    number: new Set(['=', '!=', '>', '>=', '<', '<=']),
+    string: new Set(['=', '!=', '>', '>=', '<', '<=', '~']),
+    array: new Set(['=', '!=', '~']),
+    boolean: new Set(['=', '!=']),
+};
+
+function fail(message, position, token) {
+    const err = new Error(message);
+    err.position = position;
+    err.token = token;
+    throw err;
+}
+
+function tokenize(src) {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+        const ch = src[i];
+        if (/\s/.test(ch)) { i++; continue; }
+
+        if (PUNCT.has(ch)) {
+            tokens.push({ type: ch, text: ch, pos: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        const op = OPERATORS.find((o) => src.startsWith(o, i));
+        if (op) {
+            tokens.push({ type: 'op', text: op, pos: i, end: i + op.length });
+            i += op.length;
+            continue;
+        }
+
+        if (ch === '"' || ch === '\'') {
+            let j = i + 1;
+            let value = '';
+            while (j < src.length && src[j] !== ch) {
+                if (src[j] === '\\' && j + 1 < src.length) j++;
+                value += src[j];
+                j++;
+            }
+            if (j >= src.length) fail('Unterminated quoted string', i, src.slice(i, i + 20));
+            tokens.push({ type: 'string', text: src.slice(i, j + 1), value, pos: i, end: j + 1 });
+            i = j + 1;
+            continue;
+        }
+
+        if (ch === '!') fail('Unexpected \'!\' (did you mean != or NOT?)', i, ch);
+
+        let j = i;
+        while (j < src.length && !WORD_BREAK.test(src[j])) j++;
+        const text = src.slice(i, j);
+        const upper = text.toUpperCase();
+        tokens.push({ type: KEYWORDS.has(upper) ? upper : 'word', text, pos: i, end: j });
+        i = j;
+    }
+    tokens.push({ type: 'eof', text: '', pos: src.length, end: src.length });
+    return tokens;
+}
+
+function describe(tok) {
+    return tok.type === 'eof' ? 'end of filter' : `'${tok.text}'`;
+}
+
+function parse(src) {
+    const tokens = tokenize(src);
+    let i = 0;
+    let depth = 0;
+    const peek = () => tokens[i];
+    const next = () => tokens[i++];
+    const expect = (type, what) => {
+        const tok = peek();
+        if (tok.type !== type) fail(`Expected ${what} but found ${describe(tok)}`, tok.pos, tok.text);
+        return next();
+    };
+
+    // One value: a quoted string, or a run of bare words (spaces kept)
+    // up to a keyword/punctuation. Unquoted `null` is the null literal.
+    function value() {
+        const tok = peek();
+        if (tok.type === 'string') {
+            next();
+            return { value: tok.value, quoted: true, pos: tok.pos, text: tok.text };
+        }
+        if (tok.type !== 'word') fail(`Expected a value but found ${describe(tok)}`, tok.pos, tok.text);
+        const start = tok.pos;
+        let end = tok.end;
+        next();
+        while (peek().type === 'word' || peek().type === 'IN' || peek().type === 'NOT') end = next().end;
+        const text = src.slice(start, end);
+        return { value: text, quoted: false, pos: start, text };
+    }
+
+    function comparison() {
+        const fieldTok = peek();
+        if (fieldTok.type !== 'word') fail(`Expected a field name but found ${describe(fieldTok)}`, fieldTok.pos, fieldTok.text);
+        next();
+        const field = fieldTok.text;
+        const type = FIELD_TYPES.get(field) || (/^metrics\.[A-Za-z0-9_]+$/.test(field) ? 'number' : null);
+        if (!type) fail(`Unknown field '${field}'`, fieldTok.pos, field);
+
+        let negate = false;
+        if (peek().type === 'NOT') {
+            next();
+            negate = true;
+            if (peek().type !== 'IN') fail(`Expected IN after NOT but found ${describe(peek())}`, peek().pos, peek().text);
+        }
+        if (peek().type === 'IN') {
+            next();
+            expect('(', '\'(\' after IN');
+            const values = [coerceValue(value(), type, field)];
+            while (peek().type === ',') {
+                next();
+                values.push(coerceValue(value(), type, field));
+            }
+            expect(')', '\',\' or \')\' to close the IN list');
+            return { type: 'in', field, fieldType: type, values, negate };
+        }
+
+        const opTok = peek();
+        if (opTok.type !== 'op') fail(`Expected an operator after '${field}' but found ${describe(opTok)}`, opTok.pos, opTok.text);
+        next();
+        if (!TYPE_OPS[type].has(opTok.text)) {
+            fail(`Operator '${opTok.text}' is not supported for ${type} field '${field}'`, opTok.pos, opTok.text);
+        }
+        const v = coerceValue(value(), type, field);
+        if (v === null && opTok.text !== '=' && opTok.text !== '!=') {
+            fail(`null can only be compared with = or !=`, opTok.pos, opTok.text);
+        }
+        return { type: 'cmp', field, fieldType: type, op: opTok.text, value: v };
+    }
+
+    function unary() {
+        const tok = peek();
+        if (tok.type === 'NOT') {
+            next();
+            return { type: 'not', expr: unary() };
+        }
+        if (tok.type === '(') {
+            if (++depth > MAX_DEPTH) fail(`Filter nests deeper than ${MAX_DEPTH} levels`, tok.pos, tok.text);
+            next();
+            const inner = orExpr();
+            expect(')', '\')\'');
+            depth--;
+            return inner;
+        }
+        return comparison();
+    }
+
+    function andExpr() {
+        const terms = [unary()];
+        while (peek().type === 'AND') {
+            next();
+            terms.push(unary());
+        }
+        return terms.length === 1 ? terms[0] : { type: 'and', terms };
+    }
+
+    function orExpr() {
+        const terms = [andExpr()];
+        while (peek().type === 'OR') {
+            next();
+            terms.push(andExpr());
+        }
+        return terms.length === 1 ? terms[0] : { type: 'or', terms };
+    }
+
+    const ast = orExpr();
+    const tail = peek();
+    if (tail.type !== 'eof') fail(`Unexpected ${describe(tail)} (expected AND, OR or end of filter)`, tail.pos, tail.text);
+    return ast;
+}
+
+function coerceValue(v, type, field) {
+    if (!v.quoted && v.value.toLowerCase() === 'null') return null;
+    if (type === 'number') {
+        const n = Number(v.value);
+        if (v.value.trim() === '' || !Number.isFinite(n)) fail(`Expected a number for '${field}' but got '${v.value}'`, v.pos, v.text);
+        return n;
+    }
+    if (type === 'boolean') {
+        const b = v.value.toLowerCase();
+        if (b !== 'true' && b !== 'false') fail(`Expected true or false for '${field}' but got '${v.value}'`, v.pos, v.text);
+        return b === 'true';
+    }
+    return v.value.toLowerCase();
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+function getPath(record, field) {
+    let cur = record;
+    for (const part of field.split('.')) {
+        if (cur == null) return undefined;
+        cur = cur[part];
+    }
+    return cur;
+}
+
+// Normalise a record value for comparison: numbers to finite numbers,
+// strings lower-cased, arrays to their element names. Missing → null.
+function readField(record, field, type) {
+    const raw = getPath(record, field);
+    if (raw === undefined || raw === null || raw === '') return null;
+    if (type === 'number') {
+        const n = typeof raw === 'number' ? raw : Number(raw);
+        return Number.isFinite(n) ? n : null;
+    }
+    if (type === 'boolean') return Boolean(raw);
+    if (type === 'array') {
+        const list = Array.isArray(raw) ? raw : [raw];
+        return list
+            .map((v) => (v && typeof v === 'object' ? v.name || v.organization : v))
+            .filter((v) => v != null)
+            .map((v) => String(v).toLowerCase());
+    }
+    return String(raw).toLowerCase();
+}
+
+function compare(actual, op, expected) {
+    switch (op) {
+    case '=': return actual === expected;
+    case '!=': return actual !== expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '~': return actual.includes(expected);
+    default: return false;
+    }
+}
+
+function evaluate(node, record) {
+    switch (node.type) {
+    case 'and': return node.terms.every((t) => evaluate(t, record));
+    case 'or': return node.terms.some((t) => evaluate(t, record));
+    case 'not': return !evaluate(node.expr, record);
+    case 'in': {
+        const actual = readField(record, node.field, node.fieldType);
+        const hit = node.fieldType === 'array'
+            ? (actual || []).some((a) => node.values.includes(a))
+            : node.values.includes(actual);
+        return node.negate ? !hit : hit;
+    }
+    case 'cmp': {
+        const actual = readField(record, node.field, node.fieldType);
+        if (node.value === null) {
+            const missing = actual === null || (Array.isArray(actual) && actual.length === 0);
+            return node.op === '=' ? missing : !missing;
+        }
+        // Missing values only ever satisfy "!=".
+        if (actual === null) return node.op === '!=';
+        if (node.fieldType === 'array') {
+            const any = actual.some((a) => compare(a, node.op === '!=' ? '=' : node.op, node.value));
+            return node.op === '!=' ? !any : any;
+        }
+        return compare(actual, node.op, node.value);
+    }
+    default: return false;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// SQL translation (records.db, see recordStore.js)
+// ---------------------------------------------------------------------------
+
+// Lower-cased element names of an array field, one row per element.
+const ARRAY_ELEMENT = `lower(CASE e.type WHEN 'object'
+    THEN COALESCE(json_extract(e.value, '$.name'), json_extract(e.value, '$.organization'))
+    ELSE e.value END)`;
+
+// SQL for a field's normalised value, mirroring readField(): NULL when
+// missing, numbers as numbers, strings lower-cased with '' as missing.
+function sqlField(field, type, columnFor, params) {
+    const column = columnFor(field);
+    if (type === 'number') {
+        if (column) return column;
+        params.push(`$.${field}`, `$.${field}`);
+        return `(CASE WHEN json_type(record, ?) IN ('integer', 'real') THEN json_extract(record, ?) END)`;
+    }
+    if (type === 'boolean') {
+        params.push(`$.${field}`);
+        return `(CASE json_type(record, ?) WHEN 'true' THEN 1 WHEN 'false' THEN 0 END)`;
+    }
+    if (column) return `NULLIF(lower(${column}), '')`;
+    params.push(`$.${field}`);
+    return `NULLIF(lower(json_extract(record, ?)), '')`;
+}
+
+// EXISTS over the elements of an array field; `condition` is SQL applied
+// to each lower-cased element name, with `$el` standing for it.
+function sqlArrayExists(field, condition, params, conditionParams) {
+    params.push(`$.${field}`, ...conditionParams);
+    return `EXISTS (SELECT 1 FROM json_each(record, ?) e WHERE ${condition.replace('$el', () => ARRAY_ELEMENT)})`;
+}
+
+const sqlValue = (v) => (typeof v === 'boolean' ? (v ? 1 : 0) : v);
+
+function toSql(node, columnFor, params) {
+    switch (node.type) {
+    case 'and':
+    case 'or':
+        return `(${node.terms.map((t) => toSql(t, columnFor, params)).join(node.type === 'and' ? ' AND ' : ' OR ')})`;
+    case 'not':
+        return `(NOT ${toSql(node.expr, columnFor, params)})`;
+    case 'in': {
+        const present = node.values.filter((v) => v !== null).map(sqlValue);
+        const wantsNull = present.length < node.values.length;
+        let sql;
+        if (node.fieldType === 'array') {
+            sql = present.length
+                ? sqlArrayExists(node.field, `$el IN (${present.map(() => '?').join(', ')})`, params, present)
+                : '0';
+        } else {
+            const v = sqlField(node.field, node.fieldType, columnFor, params);
+            const parts = [];
+            if (present.length) {
+                parts.push(`COALESCE(${v} IN (${present.map(() => '?').join(', ')}), 0)`);
+                params.push(...present);
+            }
+            if (wantsNull) {
+                parts.push(`${sqlField(node.field, node.fieldType, columnFor, params)} IS NULL`);
+            }
+            sql = `(${parts.join(' OR ')})`;
+        }
+        return node.negate ? `(NOT ${sql})` : sql;
+    }
+    case 'cmp': {
+        if (node.fieldType === 'array') {
+            if (node.value === null) {
+                const exists = sqlArrayExists(node.field, '$el IS NOT NULL', params, []);
+                return node.op === '=' ? `(NOT ${exists})` : exists;
+            }
+            if (node.op === '~') return sqlArrayExists(node.field, 'instr($el, ?) > 0', params, [node.value]);
+            const exists = sqlArrayExists(node.field, '$el = ?', params, [node.value]);
+            return node.op === '!=' ? `(NOT ${exists})` : exists;
+        }
+        const v = sqlField(node.field, node.fieldType, columnFor, params);
+        if (node.value === null) return `(${v} ${node.op === '=' ? 'IS NULL' : 'IS NOT NULL'})`;
+        if (node.op === '!=') {
+            params.push(sqlValue(node.value));
+            return `COALESCE(${v} != ?, 1)`;
+        }
+        params.push(sqlValue(node.value));
+        if (node.op === '~') return `COALESCE(instr(${v}, ?) > 0, 0)`;
+        return `COALESCE(${v} ${node.op} ?, 0)`;
+    }
+    default:
+        return '0';
+    }
+}
+
+/**
+ * Translate a compiled filter AST (compileFilter().ast) into a SQL boolean
+ * expression over the records.db `records` table, with the same semantics
+ * as the per-record evaluator. `columnFor(path)` names the column holding a
+ * canonical field, or returns null to read it from the `record` JSON.
+ * Returns { sql, params }.
+ */
+export function filterToSql(ast, columnFor) {
+    const params = [];
+    const sql = toSql(ast, columnFor, params);
+    return { sql, params };
+}
+
+/**
+ * Compile a ?filter= expression into a record predicate.
+ *
+ * Returns { predicate, ast } on success, or { error: { message, position,
+ * token } } when the expression is malformed — `position` is the 0-based
+ * character offset of the offending token in `expr`.
+ */
+export function compileFilter(expr) {
+    const src = String(expr ?? '');
+    if (src.length > MAX_FILTER_LENGTH) {
+        return { error: { message: `Filter is longer than ${MAX_FILTER_LENGTH} characters`, position: MAX_FILTER_LENGTH, token: null } };
+    }
+    if (!src.trim()) {
+        return { error: { message: 'Filter is empty', position: 0, token: null } };
+    }
+    try {
+        const ast = parse(src);
+        return { ast, predicate: (record) => evaluate(ast, record) };
+    } catch (err) {
+        if (err.position === undefined) throw err;
+        return { error: { message: `${err.message} at position ${err.position}`, position: err.position, token: err.token || null } };
+    }
+}
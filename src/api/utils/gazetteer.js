@@ -0,0 +1,184 @@
+/**
+ * Nearest-place lookups and name search against the curated gazetteer
+ * (services/westbank-alerts/data/known_locations.json, ~1,400 places with
+ * Arabic/English names — the same file scripts/utils/location-resolver.js
+ * matches names against). Used by /geo/admin/lookup and /places.
+ *
+ * Places are indexed with Flatbush on an equirectangular projection centred
+ * on Palestine, where plain Euclidean distance tracks ground distance
+ * closely; the few nearest candidates are then ranked by haversine.
+ * Re-read when the file's mtime changes (build-gazetteer.js rewrites it).
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Flatbush from 'flatbush';
+import { haversineKm } from './spatial.js';
+import { normalizeName } from '../../../scripts/utils/location-resolver.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const GAZETTEER_PATH = path.resolve(__dirname, '../../../services/westbank-alerts/data/known_locations.json');
+
+// cos(31.9°): longitude degrees are this much shorter than latitude ones.
+const LNG_SCALE = Math.cos(31.9 * Math.PI / 180);
+// Candidates re-ranked by haversine after the projected k-NN search.
+const CANDIDATES = 4;
+
+let cached = null; // { mtimeMs, places, index, byKey, names }
+
+export async function loadGazetteerIndex() {
+    let stat;
+    try { stat = await fs.stat(GAZETTEER_PATH); } catch { return null; }
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached;
+    const raw = JSON.parse(await fs.readFile(GAZETTEER_PATH, 'utf8'));
+    const places = (Array.isArray(raw) ? raw : [])
+        .filter((p) => Number.isFinite(p.latitude) && Number.isFinite(p.longitude));
+    let index = null;
+    if (places.length) {
+        index = new Flatbush(places.length);
+        for (const p of places) index.add(p.longitude * LNG_SCALE, p.latitude, p.longitude * LNG_SCALE, p.latitude);
+        index.finish();
+    }
+    cached = {
+        mtimeMs: stat.mtimeMs,
+        places,
+        index,
+        byKey: new Map(places.map((p) => [p.canonical_key, p])),
+        names: nameIndex(places),
+    };
+    return cached;
+}
+
+/**
+ * The gazetteer entry closest to (lat, lng) with its distance, or null when
+ * the gazetteer is missing. `gazetteer` is a loadGazetteerIndex() result.
+ */
+export function nearestPlace(gazetteer, lat, lng) {
+    if (!gazetteer?.index) return null;
+    let best = null;
+    let bestKm = Infinity;
+    for (const i of gazetteer.index.neighbors(lng * LNG_SCALE, lat, CANDIDATES)) {
+        const p = gazetteer.places[i];
+        const km = haversineKm(lat, lng, p.latitude, p.longitude);
+        if (km < bestKm) {
+            best = p;
+            bestKm = km;
+        }
+    }
+    return best && {
+        gazetteer_key: best.canonical_key,
+        name_en: best.name_en || null,
+        name_ar: best.name_ar || null,
+        governorate: best.governorate || null,
+        lat: best.latitude,
+        lng: best.longitude,
+        distance_km: bestKm,
+    };
+}
+
+// ── Name search ──────────────────────────────────────────────────────────────
+
+// Consonant skeletons make spellings comparable across scripts and
+// transliterations: "Jenin", "Janin" and "جنين" all reduce to "jn". Vowels,
+// long-vowel letters, ayn/hamza and a final h/taa-marbuta carry no signal;
+// letters romanised several ways fold onto one symbol.
+const LATIN_DIGRAPHS = [[/kh/g, 'k'], [/sh/g, 'x'], [/th/g, 't'], [/dh/g, 'd'], [/gh/g, 'g'], [/ph/g, 'f']];
+const SKELETON_MAP = {
+    b: 'b', p: 'b', t: 't', j: 'j', h: 'h', k: 'k', q: 'k', c: 'k', d: 'd', r: 'r', z: 'z',
+    s: 's', x: 'x', g: 'g', f: 'f', v: 'f', l: 'l', m: 'm', n: 'n',
+    'ب': 'b', 'ت': 't', 'ث': 't', 'ج': 'j', 'ح': 'h', 'خ': 'k', 'د': 'd', 'ذ': 'd', 'ر': 'r',
+    'ز': 'z', 'س': 's', 'ش': 'x', 'ص': 's', 'ض': 'd', 'ط': 't', 'ظ': 'z', 'غ': 'g', 'ف': 'f',
+    'ق': 'k', 'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ه': 'h',
+};
+// The definite article, written apart in Latin ("Deir al Balah" after
+// normalizeName) and joined in Arabic ("البلح"), including sun-letter forms.
+const LATIN_ARTICLE = /^(al|el|ad|ar|as|ash|az|an|at|ed|er|es|ez|en|et)$/;
+
+export function nameSkeleton(normalized) {
+    // Per word, so "Beit Hanun" does not read as "t-h".
+    const s = normalized
+        .split(' ')
+        .filter((w) => !LATIN_ARTICLE.test(w))
+        .map((w) => (w.length > 3 && w.startsWith('ال') ? w.slice(2) : w))
+        .map((w) => LATIN_DIGRAPHS.reduce((acc, [re, to]) => acc.replace(re, to), w))
+        .join('');
+    let out = '';
+    for (const ch of s) {
+        const m = SKELETON_MAP[ch];
+        if (m && out[out.length - 1] !== m) out += m;
+    }
+    return out.endsWith('h') ? out.slice(0, -1) : out;
+}
+
+function nameIndex(places) {
+    const names = [];
+    places.forEach((p, i) => {
+        const seen = new Set();
+        const raw = [p.name_en, p.name_ar, String(p.canonical_key || '').replace(/_/g, ' '), ...(p.aliases || [])];
+        for (const r of raw) {
+            const name = normalizeName(r);
+            if (!name || seen.has(name)) continue;
+            seen.add(name);
+            names.push({ place: i, display: r, name, skeleton: nameSkeleton(name) });
+        }
+    });
+    return names;
+}
+
+// Edit distance, giving up (Infinity) once it must exceed `max`.
+function boundedLevenshtein(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return Infinity;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (row[j] < best) best = row[j];
+        }
+        if (best > max) return Infinity;
+        prev = row;
+    }
+    return prev[b.length] <= max ? prev[b.length] : Infinity;
+}
+
+// How well one indexed name matches the normalized query: exact, prefix,
+// word prefix, same skeleton, then typo distance. 0 = no match.
+function matchScore(entry, q, qSkeleton) {
+    if (entry.name === q) return 1;
+    if (q.length >= 2 && entry.name.startsWith(q)) return 0.9;
+    if (qSkeleton.length >= 2 && entry.skeleton === qSkeleton) return 0.8;
+    if (q.length >= 3 && entry.name.includes(` ${q}`)) return 0.75;
+    const maxEdits = q.length <= 4 ? 1 : q.length <= 8 ? 2 : 3;
+    const d = boundedLevenshtein(entry.name, q, maxEdits);
+    if (d !== Infinity) return 0.7 - 0.05 * d;
+    if (qSkeleton.length >= 3 && boundedLevenshtein(entry.skeleton, qSkeleton, 1) === 1) return 0.5;
+    return 0;
+}
+
+/**
+ * Places whose names or aliases match `q`, best first:
+ * [{ place, score, matched }]. Arabic and Latin spellings, transliteration
+ * variants and small typos all match. Ties go to curated entries (no
+ * `source`), then shorter names.
+ */
+export function searchPlaces(gazetteer, q, { limit = 10 } = {}) {
+    const query = normalizeName(q);
+    if (!gazetteer || !query) return [];
+    const qSkeleton = nameSkeleton(query);
+    const best = new Map(); // place index → { score, entry }
+    for (const entry of gazetteer.names) {
+        const score = matchScore(entry, query, qSkeleton);
+        if (score === 0) continue;
+        const hit = best.get(entry.place);
+        if (!hit || score > hit.score) best.set(entry.place, { score, entry });
+    }
+    return [...best.entries()]
+        .map(([i, { score, entry }]) => ({ place: gazetteer.places[i], score: Math.round(score * 100) / 100, matched: entry.display }))
+        .sort((a, b) => b.score - a.score
+            || Boolean(a.place.source) - Boolean(b.place.source)
+            || (a.place.name_en || '').length - (b.place.name_en || '').length
+            || String(a.place.canonical_key).localeCompare(String(b.place.canonical_key)))
+        .slice(0, limit);
+}
@@ -0,0 +1,80 @@
+/**
+ * Static cost estimate for a GraphQL operation, charged against the caller's
+ * rate limit before execution (see routes/graphql.js).
+ *
+ * Each field may declare in its config `extensions`:
+ *   cost      — units for resolving it once (data loads: 1; in-memory
+ *               lookups and plain properties: 0, the default)
+ *   listSize  — how many times its selection set is resolved: the name of
+ *               an argument holding the page size (`'limit'`) or a fixed
+ *               estimate for lists without one
+ *
+ * A field costs `cost + listSize × cost(selection set)`, so fanning out
+ * from 50 records to each record's clusters and their members multiplies
+ * the way the resolvers actually do. Fragments are expanded; @skip /
+ * @include are ignored (the estimate stays an upper bound).
+ */
+import {
+    Kind, getNamedType, getArgumentValues, isObjectType, isInterfaceType,
+} from 'graphql';
+
+function listMultiplier(fieldDef, node, variables) {
+    const size = fieldDef.extensions?.listSize;
+    if (typeof size === 'number') return size;
+    if (typeof size === 'string') {
+        const args = getArgumentValues(fieldDef, node, variables);
+        const n = Number(args[size]);
+        return Number.isFinite(n) && n > 0 ? n : 1;
+    }
+    return 1;
+}
+
+function selectionCost(schema, parentType, selectionSet, ctx) {
+    let total = 0;
+    for (const sel of selectionSet.selections) {
+        if (sel.kind === Kind.FIELD) {
+            const fieldDef = parentType.getFields()[sel.name.value];
+            if (!fieldDef) continue; // __typename and other meta fields
+            let cost = fieldDef.extensions?.cost || 0;
+            const named = getNamedType(fieldDef.type);
+            if (sel.selectionSet && (isObjectType(named) || isInterfaceType(named))) {
+                cost += listMultiplier(fieldDef, sel, ctx.variables)
+                    * selectionCost(schema, named, sel.selectionSet, ctx);
+            }
+            total += cost;
+        } else if (sel.kind === Kind.INLINE_FRAGMENT) {
+            const type = sel.typeCondition ? schema.getType(sel.typeCondition.name.value) : parentType;
+            total += selectionCost(schema, type || parentType, sel.selectionSet, ctx);
+        } else if (sel.kind === Kind.FRAGMENT_SPREAD) {
+            const frag = ctx.fragments[sel.name.value];
+            if (!frag || ctx.visiting.has(frag.name.value)) continue;
+            ctx.visiting.add(frag.name.value);
+            const type = schema.getType(frag.typeCondition.name.value) || parentType;
+            total += selectionCost(schema, type, frag.selectionSet, ctx);
+            ctx.visiting.delete(frag.name.value);
+        }
+    }
+    return total;
+}
+
+/**
+ * Estimated cost in units of a validated operation. `variables` must be the
+ * coerced variable values for that operation.
+ *
+ * @param {import('graphql').GraphQLSchema} schema
+ * @param {import('graphql').DocumentNode} document
+ * @param {import('graphql').OperationDefinitionNode} operation
+ * @param {object} variables
+ * @returns {number}
+ */
+export function estimateQueryCost(schema, document, operation, variables = {}) {
+    const fragments = {};
+    for (const def of document.definitions) {
+        if (def.kind === Kind.FRAGMENT_DEFINITION) fragments[def.name.value] = def;
+    }
+    const rootType = schema.getRootType(operation.operation);
+    if (!rootType) return 0;
+    return selectionCost(schema, rootType, operation.selectionSet, {
+        fragments, variables, visiting: new Set(),
+    });
+}
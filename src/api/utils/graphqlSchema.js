@@ -0,0 +1,608 @@
+/**
+ * GraphQL schema for /api/v1/graphql (routes/graphql.js).
+ *
+ * The Record type and its nested object types are generated from
+ * canonical-schema.js (listFieldPaths), so a new canonical field shows up
+ * here without a schema edit. On top of the canonical fields, records link
+ * to the event clusters that contain them (member-index.json), clusters to
+ * their sibling member records, and record sources to the license registry
+ * (licenses.json) and the source registry (sources.json) — the
+ * record → cluster → siblings → source → license walk the REST surface
+ * needs 6–10 calls for.
+ *
+ * Resolvers take a per-request context from createGraphqlContext(): the
+ * caller's tier for the license gate, and the records served so far, from
+ * which the route reports required attributions. Field `extensions` carry
+ * the cost annotations read by graphqlCost.js.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    GraphQLSchema, GraphQLObjectType, GraphQLScalarType, GraphQLList, GraphQLNonNull,
+    GraphQLString, GraphQLFloat, GraphQLInt, GraphQLBoolean, GraphQLID, GraphQLError,
+} from 'graphql';
+import { listFieldPaths } from '../../../scripts/utils/canonical-schema.js';
+import { listCategories, getUnifiedData, categoryExists, resolveSnapshot } from './fileService.js';
+import { findUnifiedRecord } from './recordLookup.js';
+import { loadEventClusters, findCluster, clustersForRecord } from './eventClusters.js';
+import { readCursorQuery } from './cursor.js';
+import { buildRecordFilter, queryRecordPage } from '../controllers/unifiedController.js';
+import { isCommerciallyBlocked, licenseGateApplies } from '../middleware/licenseFilter.js';
+import { categoryInScope } from './keyScopes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const LICENSES_PATH = path.resolve(__dirname, '../data/licenses.json');
+const SOURCES_PATH = path.resolve(__dirname, '../data/sources.json');
+
+export const MAX_PAGE_SIZE = 100;
+
+// Typical member count used to cost cluster fan-out (graphqlCost.js).
+const CLUSTER_MEMBERS_ESTIMATE = 10;
+const RECORD_CLUSTERS_ESTIMATE = 2;
+
+// ---------------------------------------------------------------------------
+// Context
+// ---------------------------------------------------------------------------
+
+/**
+ * Per-request resolver context. `served` collects every record returned so
+ * the route can list required attributions; `hidden` counts records the
+ * license gate withheld. `scopes` are the API key's (utils/keyScopes.js).
+ *
+ * @param {{ tier?: string, scopes?: object|null }} opts
+ */
+export function createGraphqlContext({ tier = 'anonymous', scopes = null } = {}) {
+    const memo = new Map();
+    const once = (key, load) => {
+        if (!memo.has(key)) memo.set(key, load());
+        return memo.get(key);
+    };
+    return {
+        tier,
+        scopes,
+        served: [],
+        hidden: 0,
+        once,
+        // Shared by every JSON-fallback record lookup in this request.
+        getRecords: (category) => once(`records:${category}`, async () => (await getUnifiedData(category))?.data || null),
+    };
+}
+
+async function readJson(p) {
+    try {
+        return JSON.parse(await fs.readFile(p, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+const loadLicenses = (ctx) => ctx.once('licenses', () => readJson(LICENSES_PATH));
+const loadSources = (ctx) => ctx.once('sources', () => readJson(SOURCES_PATH));
+
+// Apply the tier license gate to one record: null (and counted) when a paid
+// tier may not receive it, otherwise the record, noted for attribution.
+function serve(ctx, record) {
+    if (!record) return null;
+    if (licenseGateApplies(ctx.tier) && isCommerciallyBlocked(record)) {
+        ctx.hidden += 1;
+        return null;
+    }
+    ctx.served.push(record);
+    return record;
+}
+
+// ---------------------------------------------------------------------------
+// Scalars and registry types
+// ---------------------------------------------------------------------------
+
+const JSONScalar = new GraphQLScalarType({
+    name: 'JSON',
+    description: 'Arbitrary JSON value, passed through as stored.',
+    serialize: (v) => v,
+    parseValue: (v) => v,
+});
+
+const nonNull = (t) => new GraphQLNonNull(t);
+const listOf = (t) => nonNull(new GraphQLList(nonNull(t)));
+
+// Registry flags are mostly booleans but some entries say "varies" / "unknown".
+const flag = (key) => ({
+    type: GraphQLString,
+    description: '"true", "false", "varies" or "unknown"',
+    resolve: (e) => (e[key] === undefined || e[key] === null ? null : String(e[key])),
+});
+
+const LicenseType = new GraphQLObjectType({
+    name: 'License',
+    description: 'Entry in the license registry (GET /licenses/:sourceId).',
+    fields: {
+        id: { type: nonNull(GraphQLID) },
+        name: { type: GraphQLString },
+        organization: { type: GraphQLString },
+        source_url: { type: GraphQLString },
+        license_id: { type: GraphQLString },
+        attribution_text: { type: GraphQLString },
+        redistribution_allowed: flag('redistribution_allowed'),
+        commercial_use: flag('commercial_use'),
+        verify_required: { type: GraphQLBoolean },
+        aliases: { type: new GraphQLList(nonNull(GraphQLString)) },
+        notes: { type: GraphQLString },
+    },
+});
+
+const SourceType = new GraphQLObjectType({
+    name: 'Source',
+    description: 'Entry in the source registry (GET /sources/:id).',
+    fields: () => ({
+        id: { type: nonNull(GraphQLID) },
+        name: { type: GraphQLString },
+        organization: { type: GraphQLString },
+        source_url: { type: GraphQLString },
+        api_url: { type: GraphQLString },
+        hdx_url: { type: GraphQLString },
+        license_id: { type: GraphQLString },
+        commercial_use: flag('commercial_use'),
+        attribution_text: { type: GraphQLString },
+        feeds_categories: { type: new GraphQLList(nonNull(GraphQLString)) },
+        feeds_endpoints: { type: new GraphQLList(nonNull(GraphQLString)) },
+        update_cadence: { type: GraphQLString },
+        coverage_start: { type: GraphQLString },
+        coverage_end: { type: GraphQLString },
+        typical_lag_days: { type: GraphQLInt },
+        primary: { type: GraphQLBoolean },
+        notes: { type: GraphQLString },
+        license: {
+            type: LicenseType,
+            description: 'License registry entry with the same id, when there is one.',
+            resolve: async (s, args, ctx) => licenseById(ctx, s.id),
+        },
+    }),
+});
+
+async function licenseById(ctx, id) {
+    const doc = await loadLicenses(ctx);
+    const entry = doc?.sources?.[id];
+    return entry ? { id, ...entry } : null;
+}
+
+// Same alias resolution as middleware/licenseFilter.js.
+async function licenseForSourceName(ctx, name) {
+    if (!name) return null;
+    const doc = await loadLicenses(ctx);
+    const aliases = await ctx.once('license-aliases', async () => {
+        const map = new Map();
+        for (const [id, entry] of Object.entries(doc?.sources || {})) {
+            for (const a of entry.aliases || []) map.set(String(a).toLowerCase(), id);
+            map.set(id.toLowerCase(), id);
+        }
+        return map;
+    });
+    const id = aliases.get(String(name).toLowerCase());
+    return id ? { id, ...doc.sources[id] } : null;
+}
+
+async function sourceById(ctx, id) {
+    const doc = await loadSources(ctx);
+    const entry = doc?.sources?.[id];
+    return entry ? { id, ...entry } : null;
+}
+
+const RecordSourceType = new GraphQLObjectType({
+    name: 'RecordSource',
+    description: 'One entry of a record\'s sources[].',
+    fields: {
+        name: { type: GraphQLString },
+        raw: { type: JSONScalar, description: 'The entry as stored on the record.' },
+        license: {
+            type: LicenseType,
+            description: 'License registry entry matched by name or alias — what the license gate and attributions use.',
+            resolve: (s, args, ctx) => licenseForSourceName(ctx, s.name),
+        },
+        registry: {
+            type: listOf(SourceType),
+            description: 'Source-registry entries feeding this record\'s category that belong to the same upstream '
+                + '(registry id equal to, or prefixed by, the license id).',
+            resolve: async (s, args, ctx) => {
+                const license = await licenseForSourceName(ctx, s.name);
+                const doc = await loadSources(ctx);
+                if (!license || !doc || !s.category) return [];
+                const ids = doc.category_index?.[s.category] || [];
+                return ids
+                    .filter((id) => id === license.id || id.startsWith(`${license.id}_`))
+                    .map((id) => (doc.sources[id] ? { id, ...doc.sources[id] } : null))
+                    .filter(Boolean);
+            },
+        },
+    },
+});
+
+// ---------------------------------------------------------------------------
+// Record — generated from canonical-schema.js
+// ---------------------------------------------------------------------------
+
+const SCALARS = { string: GraphQLString, number: GraphQLFloat, boolean: GraphQLBoolean };
+
+const pascal = (s) => s.split('_').map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+
+// Nest [{ path: 'location.admin2', type }] into { location: { admin2: type } }.
+function nestFieldPaths(paths) {
+    const tree = {};
+    for (const { path: p, type } of paths) {
+        const parts = p.split('.');
+        let node = tree;
+        for (const part of parts.slice(0, -1)) node = (node[part] ||= {});
+        node[parts[parts.length - 1]] = type;
+    }
+    return tree;
+}
+
+function buildFieldConfigs(tree, typeName) {
+    const fields = {};
+    for (const [key, leaf] of Object.entries(tree)) {
+        if (typeof leaf === 'object') {
+            fields[key] = {
+                type: new GraphQLObjectType({
+                    name: `${typeName}${pascal(key)}`,
+                    fields: buildFieldConfigs(leaf, `${typeName}${pascal(key)}`),
+                }),
+            };
+        } else if (leaf === 'array') {
+            fields[key] = { type: new GraphQLList(JSONScalar) };
+        } else {
+            fields[key] = { type: SCALARS[leaf] };
+        }
+    }
+    return fields;
+}
+
+// Field thunk: EventClusterType is defined below and resolved lazily.
+const RecordType = new GraphQLObjectType({
+    name: 'Record',
+    description: 'A unified record. Fields follow canonical-schema.js.',
+    fields: () => ({
+        stable_id: { type: GraphQLID, description: 'Content-derived id (scripts/utils/stable-id.js).' },
+        ...buildFieldConfigs(nestFieldPaths(listFieldPaths()), 'Record'),
+        id: { type: GraphQLString, description: 'Legacy upstream id.' },
+        sources: {
+            type: listOf(RecordSourceType),
+            resolve: (r) => (Array.isArray(r.sources) ? r.sources : []).map((s) => ({
+                name: typeof s === 'string' ? s : s?.name || null,
+                raw: s,
+                category: r.category,
+            })),
+        },
+        metric: {
+            type: GraphQLFloat,
+            description: 'Any metrics.<name>, including non-canonical ones.',
+            args: { name: { type: nonNull(GraphQLString) } },
+            resolve: (r, { name }) => {
+                const v = Number(r.metrics?.[name]);
+                return r.metrics?.[name] == null || !Number.isFinite(v) ? null : v;
+            },
+        },
+        permalink: {
+            type: GraphQLString,
+            description: 'Path of the citable permalink, GET /api/v1/record/:category/:stable_id.',
+            resolve: (r) => (r.category && r.stable_id
+                ? `/api/v1/record/${encodeURIComponent(r.category)}/${encodeURIComponent(r.stable_id)}`
+                : null),
+        },
+        raw: { type: JSONScalar, description: 'The full stored record.', resolve: (r) => r },
+        clusters: {
+            type: listOf(EventClusterType),
+            description: 'Place+week event clusters containing this record (scripts/build-events.js).',
+            extensions: { cost: 1, listSize: RECORD_CLUSTERS_ESTIMATE },
+            resolve: async (r) => {
+                if (!r.stable_id) return [];
+                const clusters = await clustersForRecord(r.stable_id);
+                return (clusters || []).map((c) => ({ cluster: c, via: r.stable_id }));
+            },
+        },
+    }),
+});
+
+// ---------------------------------------------------------------------------
+// Event clusters
+// ---------------------------------------------------------------------------
+
+const ClusterMemberType = new GraphQLObjectType({
+    name: 'ClusterMember',
+    fields: {
+        category: { type: nonNull(GraphQLString) },
+        stable_id: { type: nonNull(GraphQLID) },
+        date: { type: GraphQLString },
+        event_type: { type: GraphQLString },
+        record: {
+            type: RecordType,
+            description: 'The member record; null when it is no longer on disk, the license gate withholds it '
+                + 'or the API key is not scoped for its category.',
+            extensions: { cost: 1 },
+            resolve: async (m, args, ctx) => {
+                if (!categoryInScope(ctx.scopes, m.category)) return null;
+                const hit = await findUnifiedRecord(m.category, m.stable_id, { getRecords: ctx.getRecords });
+                return serve(ctx, hit?.record || null);
+            },
+        },
+    },
+});
+
+function clusterMembers(cluster, { category, exclude } = {}) {
+    const out = [];
+    for (const [cat, members] of Object.entries(cluster.members || {})) {
+        if (category && cat !== category) continue;
+        for (const m of members) {
+            if (exclude && m.stable_id === exclude) continue;
+            out.push({ ...m, category: cat });
+        }
+    }
+    return out;
+}
+
+const PeriodType = new GraphQLObjectType({
+    name: 'ClusterPeriod',
+    fields: { start: { type: GraphQLString }, end: { type: GraphQLString } },
+});
+
+const AggregatedType = new GraphQLObjectType({
+    name: 'ClusterAggregated',
+    fields: Object.fromEntries(
+        ['killed', 'injured', 'displaced', 'demolished', 'detained'].map((k) => [k, { type: GraphQLFloat }])
+    ),
+});
+
+// Resolved values are { cluster, via } — `via` is the stable_id of the
+// record the cluster was reached from, so `siblings` can leave it out.
+const clusterField = (key, type) => ({ type, resolve: ({ cluster }) => cluster[key] });
+
+const EventClusterType = new GraphQLObjectType({
+    name: 'EventCluster',
+    description: 'Records from several categories at one place in one ISO week (GET /events/:id).',
+    fields: {
+        cluster_id: clusterField('cluster_id', nonNull(GraphQLID)),
+        place_key: clusterField('place_key', GraphQLString),
+        place_kind: clusterField('place_kind', GraphQLString),
+        place_name: clusterField('place_name', GraphQLString),
+        admin1: clusterField('admin1', GraphQLString),
+        admin2: clusterField('admin2', GraphQLString),
+        week: clusterField('week', GraphQLString),
+        period: clusterField('period', PeriodType),
+        categories: clusterField('categories', new GraphQLList(nonNull(GraphQLString))),
+        record_count: clusterField('record_count', GraphQLInt),
+        aggregated: clusterField('aggregated', AggregatedType),
+        members: {
+            type: listOf(ClusterMemberType),
+            args: { category: { type: GraphQLString } },
+            extensions: { listSize: CLUSTER_MEMBERS_ESTIMATE },
+            resolve: ({ cluster }, { category }) => clusterMembers(cluster, { category }),
+        },
+        siblings: {
+            type: listOf(ClusterMemberType),
+            description: 'Members other than the record this cluster was reached from (all members at the root).',
+            args: { category: { type: GraphQLString } },
+            extensions: { listSize: CLUSTER_MEMBERS_ESTIMATE },
+            resolve: ({ cluster, via }, { category }) => clusterMembers(cluster, { category, exclude: via }),
+        },
+    },
+});
+
+// ---------------------------------------------------------------------------
+// Query
+// ---------------------------------------------------------------------------
+
+const RecordPageType = new GraphQLObjectType({
+    name: 'RecordPage',
+    fields: {
+        items: { type: listOf(RecordType) },
+        total: { type: nonNull(GraphQLInt) },
+        next_cursor: { type: GraphQLString },
+        prev_cursor: { type: GraphQLString },
+        records_hidden_by_license: { type: nonNull(GraphQLInt) },
+        as_of: { type: GraphQLString, description: 'Resolved snapshot date when as_of was given.' },
+        query_engine: { type: GraphQLString, description: '"sqlite" (records.db) or "json".' },
+    },
+});
+
+const ClusterPageType = new GraphQLObjectType({
+    name: 'ClusterPage',
+    fields: {
+        items: { type: listOf(EventClusterType) },
+        total: { type: nonNull(GraphQLInt) },
+    },
+});
+
+const clampLimit = (n, fallback = 20) => Math.min(MAX_PAGE_SIZE, Math.max(1, n || fallback));
+
+function userError(message, code, extra = {}) {
+    return new GraphQLError(message, { extensions: { code, ...extra } });
+}
+
+function assertCategoryInScope(ctx, category) {
+    if (categoryInScope(ctx.scopes, category)) return;
+    const missing = `category:${String(category).toLowerCase()}`;
+    throw userError(`This API key is not scoped for ${missing}.`, 'insufficient_scope', { missing_scope: missing });
+}
+
+// Same filter arguments as GET /unified/:category.
+const RECORD_FILTER_ARGS = {
+    filter: { type: GraphQLString, description: 'Filter expression, as ?filter= on /unified/:category.' },
+    location: { type: GraphQLString },
+    region: { type: GraphQLString },
+    admin2: { type: GraphQLString },
+    gazetteer_key: { type: GraphQLString },
+    event_type: { type: GraphQLString },
+    start_date: { type: GraphQLString },
+    end_date: { type: GraphQLString },
+    min_killed: { type: GraphQLInt },
+};
+
+async function resolveRecords(root, args, ctx) {
+    const { category, as_of: asOf } = args;
+    assertCategoryInScope(ctx, category);
+    const query = {};
+    for (const [k, v] of Object.entries(args)) {
+        if (v !== undefined && v !== null) query[k] = typeof v === 'number' ? String(v) : v;
+    }
+
+    let snapshotDir;
+    let resolvedAsOf = null;
+    if (asOf) {
+        const snap = /^\d{4}-\d{2}-\d{2}$/.test(asOf) ? await resolveSnapshot(asOf) : null;
+        if (!snap) throw userError(`No snapshot available on or before ${asOf}`, 'snapshot_not_found');
+        snapshotDir = snap.dir;
+        resolvedAsOf = snap.resolved;
+    }
+
+    const { keep, filterAst, error: filterError } = buildRecordFilter(query);
+    if (filterError) {
+        const { error, message, ...detail } = filterError;
+        throw userError(message, error, detail);
+    }
+    const { sortBy, order, cursor, error: cursorError } = readCursorQuery(query);
+    if (cursorError) throw userError(cursorError.message, cursorError.error);
+
+    if (!await categoryExists(category, { snapshotDir })) {
+        throw userError(`Unknown category "${category}"`, 'category_not_found');
+    }
+    const limit = clampLimit(args.limit);
+    const view = await queryRecordPage(category, snapshotDir, {
+        query, filterAst, keep, tier: ctx.tier,
+        sortBy, order, limit, offset: Math.max(0, args.offset || 0), cursor,
+    });
+    if (!view) return { items: [], total: 0, records_hidden_by_license: 0, as_of: resolvedAsOf };
+
+    // The page is already license-gated; count what the gate removed once.
+    ctx.hidden += view.hidden;
+    ctx.served.push(...view.items);
+    return {
+        items: view.items,
+        total: view.total,
+        next_cursor: view.next_cursor,
+        prev_cursor: view.prev_cursor,
+        records_hidden_by_license: view.hidden,
+        as_of: resolvedAsOf,
+        query_engine: view.query_engine,
+    };
+}
+
+async function resolveClusters(root, args) {
+    const doc = await loadEventClusters();
+    if (!doc) throw userError('Event clusters not generated yet — run scripts/build-events.js', 'clusters_unavailable');
+    let data = doc.data;
+    if (args.admin2) {
+        const a = args.admin2.toLowerCase();
+        data = data.filter((c) => (c.admin2 || '').toLowerCase() === a);
+    }
+    if (args.place_key) data = data.filter((c) => c.place_key === args.place_key);
+    if (args.category) data = data.filter((c) => c.categories.includes(args.category));
+    if (args.min_categories) data = data.filter((c) => c.categories.length >= args.min_categories);
+    if (args.start_date) data = data.filter((c) => c.period.end >= args.start_date);
+    if (args.end_date) data = data.filter((c) => c.period.start <= args.end_date);
+
+    const limit = clampLimit(args.limit);
+    const offset = Math.max(0, args.offset || 0);
+    return {
+        items: data.slice(offset, offset + limit).map((c) => ({ cluster: c, via: null })),
+        total: data.length,
+    };
+}
+
+const QueryType = new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+        categories: {
+            type: listOf(GraphQLString),
+            extensions: { cost: 1 },
+            resolve: () => listCategories(),
+        },
+        records: {
+            type: nonNull(RecordPageType),
+            description: `One page of a unified category, as GET /unified/:category (limit max ${MAX_PAGE_SIZE}).`,
+            args: {
+                category: { type: nonNull(GraphQLString) },
+                ...RECORD_FILTER_ARGS,
+                sort_by: { type: GraphQLString },
+                order: { type: GraphQLString },
+                limit: { type: GraphQLInt, defaultValue: 20 },
+                offset: { type: GraphQLInt, defaultValue: 0 },
+                cursor: { type: GraphQLString },
+                as_of: { type: GraphQLString, description: 'YYYY-MM-DD — read the snapshot on or before this date.' },
+            },
+            extensions: { cost: 1, listSize: 'limit' },
+            resolve: resolveRecords,
+        },
+        record: {
+            type: RecordType,
+            description: 'One record by stable_id or legacy id, as GET /record/:category/:id.',
+            args: {
+                category: { type: nonNull(GraphQLString) },
+                id: { type: nonNull(GraphQLID) },
+            },
+            extensions: { cost: 1 },
+            resolve: async (root, { category, id }, ctx) => {
+                assertCategoryInScope(ctx, category);
+                if (!await categoryExists(category)) return null;
+                const hit = await findUnifiedRecord(category, id, { getRecords: ctx.getRecords });
+                return serve(ctx, hit?.record || null);
+            },
+        },
+        cluster: {
+            type: EventClusterType,
+            args: { id: { type: nonNull(GraphQLID) } },
+            extensions: { cost: 1 },
+            resolve: async (root, { id }) => {
+                const c = await findCluster(id);
+                return c ? { cluster: c, via: null } : null;
+            },
+        },
+        clusters: {
+            type: nonNull(ClusterPageType),
+            description: `Event clusters, as GET /events (limit max ${MAX_PAGE_SIZE}).`,
+            args: {
+                admin2: { type: GraphQLString },
+                place_key: { type: GraphQLString },
+                category: { type: GraphQLString },
+                min_categories: { type: GraphQLInt },
+                start_date: { type: GraphQLString },
+                end_date: { type: GraphQLString },
+                limit: { type: GraphQLInt, defaultValue: 20 },
+                offset: { type: GraphQLInt, defaultValue: 0 },
+            },
+            extensions: { cost: 1, listSize: 'limit' },
+            resolve: resolveClusters,
+        },
+        source: {
+            type: SourceType,
+            args: { id: { type: nonNull(GraphQLID) } },
+            extensions: { cost: 1 },
+            resolve: (root, { id }, ctx) => sourceById(ctx, id),
+        },
+        sources: {
+            type: listOf(SourceType),
+            extensions: { cost: 1 },
+            resolve: async (root, args, ctx) => {
+                const doc = await loadSources(ctx);
+                return Object.entries(doc?.sources || {})
+                    .map(([id, entry]) => ({ id, ...entry }))
+                    .sort((a, b) => a.id.localeCompare(b.id));
+            },
+        },
+        license: {
+            type: LicenseType,
+            args: { id: { type: nonNull(GraphQLID) } },
+            extensions: { cost: 1 },
+            resolve: (root, { id }, ctx) => licenseById(ctx, id),
+        },
+        licenses: {
+            type: listOf(LicenseType),
+            extensions: { cost: 1 },
+            resolve: async (root, args, ctx) => {
+                const doc = await loadLicenses(ctx);
+                return Object.entries(doc?.sources || {}).map(([id, entry]) => ({ id, ...entry }));
+            },
+        },
+    },
+});
+
+export const schema = new GraphQLSchema({ query: QueryType });
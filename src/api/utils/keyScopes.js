@@ -0,0 +1,140 @@
+/**
+ * Per-key scopes (api_keys.scopes, JSON). A key with no scopes has the full
+ * read access of its tier; otherwise each present dimension narrows it:
+ *
+ *   routes      path prefixes, e.g. "/api/v1/unified" ("/unified" is read as
+ *               relative to /api/v1)
+ *   categories  unified categories reachable via /unified/:category,
+ *               /record/:category, /events/timeline, /pivot, GraphQL,
+ *               /search results, the /events clusters (list, feed and
+ *               /events/:id) and /places record counts and profiles
+ *   methods     HTTP methods (HEAD counts as GET)
+ *   origins     browser origins the key may be used from; requests without
+ *               an Origin/Referer from that list are refused
+ *
+ * Enforced by middleware/apiKey.js; a miss is a 403 `insufficient_scope`
+ * naming the scope, e.g. "category:health" or "route:/api/v1/news".
+ */
+
+export const SCOPE_DIMENSIONS = ['routes', 'categories', 'methods', 'origins'];
+export const SCOPE_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const API_BASE = '/api/v1';
+const MAX_SCOPE_ENTRIES = 50;
+const CATEGORY_RE = /^[a-z][a-z0-9_-]*$/;
+
+// Paths whose first segment after the prefix is a unified category.
+// Case-insensitive, as Express routing is: /api/v1/UNIFIED/health reaches
+// the same handler as /api/v1/unified/health.
+const CATEGORY_PATH_RE = /^\/api\/v1\/(?:unified|record)\/([^/]+)/i;
+
+function normalizeRoute(value) {
+    if (typeof value !== 'string' || !value.startsWith('/')) return null;
+    const trimmed = value.replace(/\/+$/, '') || '/';
+    return trimmed.startsWith('/api/') ? trimmed : `${API_BASE}${trimmed === '/' ? '' : trimmed}`;
+}
+
+function normalizeOrigin(value) {
+    try {
+        const url = new URL(value);
+        return url.origin === 'null' ? null : url.origin;
+    } catch {
+        return null;
+    }
+}
+
+const NORMALIZERS = {
+    routes: normalizeRoute,
+    categories: (v) => (typeof v === 'string' && CATEGORY_RE.test(v.toLowerCase()) ? v.toLowerCase() : null),
+    methods: (v) => (typeof v === 'string' && SCOPE_METHODS.includes(v.toUpperCase()) ? v.toUpperCase() : null),
+    origins: normalizeOrigin,
+};
+
+/**
+ * Validate client-supplied scopes. Returns { scopes } — null when nothing
+ * restricts the key — or { error } describing the first bad entry.
+ */
+export function normalizeScopes(input) {
+    if (input == null) return { scopes: null };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: '`scopes` must be an object with any of: ' + SCOPE_DIMENSIONS.join(', ') };
+    }
+    const unknown = Object.keys(input).find((k) => !SCOPE_DIMENSIONS.includes(k));
+    if (unknown) return { error: `Unknown scope "${unknown}"; use ${SCOPE_DIMENSIONS.join(', ')}` };
+
+    const scopes = {};
+    for (const dim of SCOPE_DIMENSIONS) {
+        const list = input[dim];
+        if (list == null) continue;
+        if (!Array.isArray(list) || list.length === 0 || list.length > MAX_SCOPE_ENTRIES) {
+            return { error: `\`scopes.${dim}\` must be a non-empty array of at most ${MAX_SCOPE_ENTRIES} entries` };
+        }
+        const values = [];
+        for (const raw of list) {
+            const value = NORMALIZERS[dim](raw);
+            if (!value) return { error: `Invalid ${dim} scope ${JSON.stringify(raw)}` };
+            if (!values.includes(value)) values.push(value);
+        }
+        scopes[dim] = values;
+    }
+    return { scopes: Object.keys(scopes).length ? scopes : null };
+}
+
+export function parseStoredScopes(json) {
+    if (!json) return null;
+    try {
+        return JSON.parse(json);
+    } catch {
+        // A corrupt row must not widen the key to full access.
+        return { routes: [] };
+    }
+}
+
+export function categoryInScope(scopes, category) {
+    return !scopes?.categories || scopes.categories.includes(String(category).toLowerCase());
+}
+
+function requestOrigin(req) {
+    if (req.headers.origin) return normalizeOrigin(req.headers.origin);
+    return req.headers.referer ? normalizeOrigin(req.headers.referer) : null;
+}
+
+/**
+ * The first scope `req` needs that `scopes` does not grant, as
+ * "<dimension>:<value>", or null when the request is in scope. CORS
+ * preflights are never blocked; they carry no credentials.
+ */
+export function missingScope(scopes, req) {
+    if (!scopes || req.method === 'OPTIONS') return null;
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    if (scopes.methods && !scopes.methods.includes(method)) return `method:${method}`;
+
+    const path = req.path;
+    if (scopes.routes && !scopes.routes.some((p) => path === p || path.startsWith(p.endsWith('/') ? p : `${p}/`))) {
+        return `route:${path}`;
+    }
+    if (scopes.origins) {
+        const origin = requestOrigin(req);
+        if (!origin || !scopes.origins.includes(origin)) return `origin:${origin || '(none)'}`;
+    }
+    const match = path.match(CATEGORY_PATH_RE);
+    if (match) {
+        let category;
+        try {
+            category = decodeURIComponent(match[1]);
+        } catch {
+            category = match[1];
+        }
+        if (!categoryInScope(scopes, category)) return `category:${category.toLowerCase()}`;
+    }
+    return null;
+}
+
+export function sendScopeError(res, missing, scopes) {
+    return res.status(403).json({
+        error: 'insufficient_scope',
+        missing_scope: missing,
+        key_scopes: scopes,
+        message: `This API key is not scoped for ${missing}.`,
+    });
+}
@@ -6,7 +6,9 @@
  */
 
 import { createEmptyRecord, SCHEMA_VERSION } from '../../../scripts/utils/canonical-schema.js';
-import { loadBaselines, lookupContext } from '../../../scripts/utils/baseline-analyzer.js';
+import {
+  loadBaselines, lookupContext, percentileRank, trendVsBaseline,
+} from '../../../scripts/utils/baseline-analyzer.js';
 import crypto from 'crypto';
 
 const GAZA_ZONES = new Set([
@@ -21,6 +23,31 @@ const GAZA_AREA_PATTERNS = [
   'north gaza',
 ];
 
+// Flag a week at or above this percentile of the past year's weeks.
+const UNUSUAL_PERCENTILE = 90;
+
+function ordinal(n) {
+  const s = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return `${n}${s[(v - 20) % 10] || s[v] || s[0]}`;
+}
+
+// YYYY-MM-DD `days` after the YYYY-MM-DD date `iso`.
+function addDays(iso, days) {
+  return new Date(Date.parse(iso) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// by_area keys are "<location.name>:<event_type>" as recorded; alert areas
+// vary in case, so fall back to a case-insensitive match.
+function findAreaStat(baselines, area, eventType) {
+  if (!area) return null;
+  const exact = baselines.by_area?.[`${area}:${eventType}`];
+  if (exact) return exact;
+  const wanted = `${area}:${eventType}`.toLowerCase();
+  const key = Object.keys(baselines.by_area || {}).find(k => k.toLowerCase() === wanted);
+  return key ? baselines.by_area[key] : null;
+}
+
 function resolveRegion(alertOrCp) {
   const zone = (alertOrCp.zone || '').toLowerCase();
   if (GAZA_ZONES.has(zone)) return 'Gaza Strip';
@@ -153,11 +180,7 @@ export class LiveTransformer {
           count_30d: ctx.count_30d,
           avg_weekly_90d: ctx.avg_weekly_90d,
           p90_weekly_12m: ctx.p90_weekly_12m,
-          trend_vs_baseline: ctx.avg_weekly_90d > 0
-            ? (ctx.count_30d / (30 / 7) > ctx.avg_weekly_90d * 1.15 ? 'above'
-               : ctx.count_30d / (30 / 7) < ctx.avg_weekly_90d * 0.85 ? 'below'
-               : 'near')
-            : 'insufficient_history',
+          trend_vs_baseline: trendVsBaseline(ctx.count_30d, ctx.avg_weekly_90d),
         },
       };
     });
@@ -169,4 +192,63 @@ export class LiveTransformer {
       baseline_window_ends: baselines.window_ends,
     };
   }
+
+  /**
+   * Place one canonical alert record (transformAlerts() output) against the
+   * baselines: "Nth raid in Jenin in the last 30 days vs the 90-day weekly
+   * average", plus the percentile rank of the current 7-day count among
+   * the past year's weeks. Area baselines win over region ones. An alert
+   * dated after window_ends is not in the baselines yet, so it is counted
+   * on top, after the alerts of the same batch placed before it: pass one
+   * `seen` Map across a batch (updated in place). count_7d and
+   * percentile_rank are null once the alert is more than a week past
+   * window_ends, where the baselines' last week no longer covers it. Null
+   * when neither key has a baseline.
+   */
+  static baselineContext(rec, baselines, seen = new Map()) {
+    const eventType = rec.event_type;
+    const region = rec.location?.region;
+    const area = rec.location?.name && rec.location.name !== 'Unknown' ? rec.location.name : null;
+    const areaStat = findAreaStat(baselines, area, eventType);
+    const regionStat = baselines.baselines?.[`${region}:${eventType}`];
+    const stat = areaStat || regionStat;
+    if (!stat) return null;
+
+    const place = areaStat ? area : region;
+    const key = `${place}:${eventType}`;
+    const date = String(rec.date || '').slice(0, 10);
+    const pending = seen.get(key) || { all: 0, week: 0 };
+    const isNew = date > baselines.window_ends;
+    const inWeek = !isNew || date <= addDays(baselines.window_ends, 7);
+    if (isNew) {
+      pending.all += 1;
+      if (inWeek) pending.week += 1;
+      seen.set(key, pending);
+    }
+    const count30d = (stat.count_30d || 0) + (isNew ? pending.all : 0);
+    const count7d = stat.weekly_12m && inWeek ? (stat.count_7d || 0) + (isNew ? pending.week : 0) : null;
+    const rank = count7d === null ? null : percentileRank(stat.weekly_12m, count7d);
+    const avgWeekly = stat.avg_weekly_90d || 0;
+    const label = String(eventType).replace(/_/g, ' ');
+
+    let summary = `${ordinal(count30d)} ${label} in ${place} in the last 30 days`;
+    if (avgWeekly > 0) {
+      summary += ` — ${(count30d / (30 / 7)).toFixed(2)}/wk vs 90-day weekly average of ${avgWeekly.toFixed(2)}`;
+    }
+    if (rank !== null) summary += `; this week ranks in the ${ordinal(Math.round(rank))} percentile of the past year`;
+
+    return {
+      scope: areaStat ? 'area' : 'region',
+      key,
+      nth_in_30d: count30d,
+      count_7d: count7d,
+      avg_weekly_90d: avgWeekly,
+      avg_weekly_12m: stat.avg_weekly_12m ?? null,
+      p90_weekly_12m: stat.p90_weekly_12m ?? null,
+      percentile_rank: rank,
+      trend_vs_baseline: trendVsBaseline(count30d, avgWeekly),
+      unusual: rank !== null && rank >= UNUSUAL_PERCENTILE,
+      summary,
+    };
+  }
 }
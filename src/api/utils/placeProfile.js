@@ -0,0 +1,301 @@
+/**
+ * "Everything about one place" for GET /places/:key/profile — one document
+ * joining the datasets that otherwise take a dozen calls: unified-record
+ * timelines, OSM facility counts, ACLED monthly aggregates, the IPC phase,
+ * the HAPI baseline population, latest news and recent event clusters.
+ *
+ * A place is a gazetteer key (a locality, matched on
+ * location.gazetteer_key) or an OCHA admin2 pcode (a governorate, matched
+ * on location.admin2) — the shared keys attach-locations.js stamps on
+ * unified records. Each section carries its own attribution and is null
+ * when its dataset is not on disk.
+ */
+import { loadGazetteerIndex } from './gazetteer.js';
+import { loadAdminLayer, adminFeatureAt, findAdminByPcode, geometryBbox, pointInGeometry } from './adminBoundaries.js';
+import { compileSpatial, selectWithin } from './spatial.js';
+import { loadEventClusters, scopeCluster } from './eventClusters.js';
+import { placeMonthlyTotals } from './placeRecords.js';
+import { normalizeName } from '../../../scripts/utils/location-resolver.js';
+import {
+    LAYER_DEFS as FACILITY_LAYERS, loadLayer as loadFacilityLayer,
+    loadManifest as loadFacilityManifest, featurePoint,
+} from '../routes/facilities.js';
+import { loadType as loadAcledType, loadManifest as loadAcledManifest } from '../routes/conflict.js';
+import { PHASE_LABELS, loadGeo as loadIpc, loadManifest as loadIpcManifest } from '../routes/humanitarian.js';
+import { loadDataset as loadHapiDataset, loadManifest as loadHapiManifest } from '../routes/hapi.js';
+import { articlesMentioning } from '../routes/news.js';
+
+// Facilities counted around a locality; governorates use their polygon.
+export const PLACE_RADIUS_KM = 5;
+const RECENT_CLUSTERS = 10;
+const NEWS_LIMIT = 5;
+const ACLED_TYPES = ['political-violence', 'civilian-targeting', 'demonstrations'];
+
+const ADMIN2_PCODE = /^PS\d{4}$/i;
+
+/**
+ * Resolve a /places/:key path segment to a profile subject, or null:
+ * { kind: 'gazetteer' | 'admin2', key, name_en, name_ar, lat, lng, admin1,
+ *   admin2, admin2_pcode, query, geometry?, newsKey }.
+ * `query` is the /unified filter for the place's records; `newsKey` the
+ * gazetteer key news entities are matched on.
+ */
+export async function resolvePlaceSubject(key) {
+    const [gazetteer, admin2Layer] = await Promise.all([loadGazetteerIndex(), loadAdminLayer('admin2')]);
+
+    const place = gazetteer?.byKey.get(key);
+    if (place) {
+        const props = adminFeatureAt(admin2Layer, place.longitude, place.latitude)?.properties || {};
+        return {
+            kind: 'gazetteer',
+            key,
+            name_en: place.name_en || null,
+            name_ar: place.name_ar || null,
+            lat: place.latitude,
+            lng: place.longitude,
+            admin1: props.adm1_name || null,
+            admin2: props.adm2_name || null,
+            admin2_pcode: props.adm2_pcode || null,
+            query: { gazetteer_key: key },
+            newsKey: key,
+        };
+    }
+
+    if (!ADMIN2_PCODE.test(key)) return null;
+    const hit = await findAdminByPcode(key);
+    if (!hit || hit.level !== 'admin2') return null;
+    const props = hit.feature.properties || {};
+    // The governorate's namesake town, when the gazetteer has it, stands in
+    // for the polygon where one point is needed (news, IPC area).
+    const seat = gazetteer?.byKey.get(normalizeName(props.adm2_name).replace(/ /g, '_'));
+    const inside = seat && pointInGeometry(seat.longitude, seat.latitude, hit.feature.geometry);
+    const [minLng, minLat, maxLng, maxLat] = geometryBbox(hit.feature.geometry);
+    return {
+        kind: 'admin2',
+        key: props.adm2_pcode,
+        name_en: props.adm2_name || null,
+        name_ar: props.adm2_name1 || null,
+        lat: inside ? seat.latitude : (minLat + maxLat) / 2,
+        lng: inside ? seat.longitude : (minLng + maxLng) / 2,
+        admin1: props.adm1_name || null,
+        admin2: props.adm2_name || null,
+        admin2_pcode: props.adm2_pcode,
+        query: { admin2: props.adm2_name },
+        geometry: hit.feature.geometry,
+        newsKey: inside ? seat.canonical_key : null,
+    };
+}
+
+// Conflict events from the conflict category; demolitions and displacement
+// summed over every category reporting them — of those the key may read.
+async function timelines(subject, tier, scopes) {
+    const monthly = await placeMonthlyTotals(subject.query, tier, scopes);
+    const conflict = monthly.conflict;
+
+    const across = (metric, field) => {
+        const byMonth = new Map();
+        const categories = [];
+        const attributions = new Set();
+        for (const [category, { rows, required_attributions }] of Object.entries(monthly)) {
+            const hits = rows.filter((r) => r[metric] > 0);
+            if (!hits.length) continue;
+            categories.push(category);
+            required_attributions.forEach((a) => attributions.add(a));
+            for (const r of hits) byMonth.set(r.month, (byMonth.get(r.month) || 0) + r[metric]);
+        }
+        return {
+            series: [...byMonth.entries()].sort(([a], [b]) => a.localeCompare(b))
+                .map(([month, value]) => ({ month, [field]: value })),
+            categories,
+            required_attributions: [...attributions].sort(),
+        };
+    };
+
+    return {
+        conflict: conflict ? {
+            series: conflict.rows.map((r) => ({ month: r.month, events: r.records, killed: r.killed, injured: r.injured })),
+            categories: ['conflict'],
+            required_attributions: conflict.required_attributions,
+        } : null,
+        demolitions: across('demolished', 'structures'),
+        displacement: across('displaced', 'displaced'),
+    };
+}
+
+async function facilities(subject) {
+    const spatial = compileSpatial(subject.geometry
+        ? { within: { pcode: subject.admin2_pcode, level: 'admin2', name: subject.admin2, geometry: subject.geometry } }
+        : { near: { lat: subject.lat, lng: subject.lng, radius_km: PLACE_RADIUS_KM } });
+    const counts = {};
+    let any = false;
+    for (const layer of Object.keys(FACILITY_LAYERS)) {
+        const fc = await loadFacilityLayer(layer);
+        if (!fc) continue;
+        any = true;
+        counts[layer] = selectWithin(fc.features || [], spatial, featurePoint).length;
+    }
+    if (!any) return null;
+    const m = await loadFacilityManifest();
+    return {
+        scope: subject.geometry ? { within: subject.admin2_pcode } : { radius_km: PLACE_RADIUS_KM },
+        counts,
+        attribution: m?.attribution
+            || 'OpenStreetMap contributors via Humanitarian OpenStreetMap Team (HOT) (ODbL).',
+        license_id: m?.license_id || 'hdx-odc-odbl',
+    };
+}
+
+// ACLED rows are per admin2 — a locality gets its governorate's series.
+async function acled(subject) {
+    if (!subject.admin2_pcode) return null;
+    const wanted = subject.admin2_pcode.toUpperCase();
+    const name = String(subject.admin2 || '').toLowerCase();
+    const types = {};
+    let attribution = null;
+    for (const type of ACLED_TYPES) {
+        const data = await loadAcledType(type);
+        if (!data) continue;
+        attribution = attribution || data.attribution;
+        types[type] = (data.rows || [])
+            .filter((r) => String(r.admin2_pcode || '').toUpperCase() === wanted
+                || (!r.admin2_pcode && name && String(r.admin2 || '').toLowerCase() === name))
+            .map((r) => ({ month: r.date_period, events: r.events, fatalities: r.fatalities }))
+            .sort((a, b) => a.month.localeCompare(b.month));
+    }
+    if (!Object.keys(types).length) return null;
+    const m = await loadAcledManifest();
+    return {
+        admin2_pcode: subject.admin2_pcode,
+        types,
+        attribution: m?.attribution || attribution
+            || 'ACLED — Armed Conflict Location & Event Data Project, via HDX.',
+    };
+}
+
+async function ipc(subject) {
+    const g = await loadIpc();
+    if (!g) return null;
+    const area = (g.features || []).find((f) => f.geometry && pointInGeometry(subject.lng, subject.lat, f.geometry));
+    const p = area?.properties || {};
+    const phase = area ? Number(p.overall_phase) : null;
+    const m = await loadIpcManifest();
+    return {
+        phase,
+        label: phase ? PHASE_LABELS[phase] || 'Unknown' : null,
+        area: p.title || null,
+        population_min: area ? Number(p.population_min) || 0 : null,
+        attribution: m?.attribution
+            || 'Integrated Food Security Phase Classification (IPC) via HDX.',
+    };
+}
+
+// HAPI baseline population: the admin2 all-genders, all-ages row from the
+// latest reference period.
+async function population(subject) {
+    if (!subject.admin2_pcode) return null;
+    const data = await loadHapiDataset('baseline-population');
+    if (!data) return null;
+    const wanted = subject.admin2_pcode.toUpperCase();
+    const row = (data.rows || [])
+        .filter((r) => String(r.admin2_code || '').toUpperCase() === wanted
+            && String(r.gender).toLowerCase() === 'all'
+            && String(r.age_range).toLowerCase() === 'all'
+            && Number.isFinite(Number(r.population)))
+        .sort((a, b) => String(b.reference_period_start || '').localeCompare(String(a.reference_period_start || '')))[0];
+    const m = await loadHapiManifest();
+    return {
+        admin2_pcode: subject.admin2_pcode,
+        population: row ? Number(row.population) : null,
+        reference_period: row
+            ? { start: row.reference_period_start || null, end: row.reference_period_end || null }
+            : null,
+        attribution: m?.attribution || data.attribution || 'HDX HAPI (Humanitarian API) via HDX.',
+    };
+}
+
+function news(subject) {
+    if (!subject.newsKey) return null;
+    const articles = articlesMentioning(subject.newsKey, NEWS_LIMIT);
+    if (!articles) return null;
+    return {
+        articles: articles.map((a) => ({
+            id: a.id,
+            title: a.title,
+            link: a.link,
+            source_name: a.source_name,
+            language: a.language,
+            published_at: a.published_at,
+        })),
+        attribution: 'Headlines and links only; each article belongs to its publisher (source_name).',
+    };
+}
+
+/**
+ * Event clusters at the place, most recent first: { total, url, recent }
+ * with /events links, or null before build-events.js has run. Category
+ * `scopes` narrow each cluster as /events does (scopeCluster()).
+ */
+export async function placeClusters(subject, base, limit = RECENT_CLUSTERS, scopes = null) {
+    const events = await loadEventClusters();
+    if (!events) return null;
+    const admin2 = String(subject.admin2 || '').toLowerCase();
+    const own = events.data
+        .filter((c) => (subject.kind === 'gazetteer'
+            ? c.place_key === subject.key
+            : (c.admin2 || '').toLowerCase() === admin2))
+        .map((c) => scopeCluster(c, scopes))
+        .filter(Boolean)
+        .sort((a, b) => b.period.start.localeCompare(a.period.start));
+    const filter = subject.kind === 'gazetteer'
+        ? `place_key=${encodeURIComponent(subject.key)}`
+        : `admin2=${encodeURIComponent(subject.admin2)}`;
+    return {
+        total: own.length,
+        url: `${base}/events?${filter}`,
+        recent: own.slice(0, limit).map((c) => ({
+            cluster_id: c.cluster_id,
+            week: c.week,
+            period: c.period,
+            categories: c.categories,
+            record_count: c.record_count,
+            url: `${base}/events/${c.cluster_id}`,
+        })),
+        attribution: 'Derived from unified records (scripts/build-events.js); member records carry their own sources.',
+    };
+}
+
+/**
+ * The full profile document for a resolvePlaceSubject() result.
+ * @param {object} subject
+ * @param {{ tier?: string, scopes?: object, base: string }} opts
+ */
+export async function buildPlaceProfile(subject, { tier, scopes, base }) {
+    const [timelineDoc, facilityDoc, acledDoc, ipcDoc, populationDoc, clusterDoc] = await Promise.all([
+        timelines(subject, tier, scopes),
+        facilities(subject),
+        acled(subject),
+        ipc(subject),
+        population(subject),
+        placeClusters(subject, base, RECENT_CLUSTERS, scopes),
+    ]);
+    return {
+        place: {
+            kind: subject.kind,
+            key: subject.key,
+            name_en: subject.name_en,
+            name_ar: subject.name_ar,
+            lat: subject.lat,
+            lng: subject.lng,
+            admin1: subject.admin1,
+            admin2: subject.admin2,
+            admin2_pcode: subject.admin2_pcode,
+        },
+        timelines: timelineDoc,
+        facilities: facilityDoc,
+        acled: acledDoc,
+        ipc: ipcDoc,
+        population: populationDoc,
+        news: news(subject),
+        clusters: clusterDoc,
+    };
+}
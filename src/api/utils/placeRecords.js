@@ -0,0 +1,112 @@
+/**
+ * Unified records attached to one place — a gazetteer place
+ * (location.gazetteer_key) or an OCHA governorate (location.admin2), both
+ * stamped by scripts/attach-locations.js. Backs GET /places/:key and
+ * /places/:key/profile.
+ *
+ * `query` is the matching /unified/:category filter ({ gazetteer_key } or
+ * { admin2 }), answered from each category's records.db when present.
+ * Without one, the category JSON is grouped by gazetteer key once per
+ * pipeline run and kept in-process; admin2 queries scan it.
+ */
+import { listCategories, getUnifiedData, getUnifiedMtime } from './fileService.js';
+import { openRecordStore } from './recordStore.js';
+import { filterRecordsByLicense, collectRequiredAttributions } from '../middleware/licenseFilter.js';
+import { buildRecordFilter } from '../controllers/unifiedController.js';
+import { categoryInScope } from './keyScopes.js';
+
+// category → { mtimeMs, byKey: Map<gazetteer_key, record[]> }
+const byKeyCache = new Map();
+
+async function recordsByKey(category) {
+    const mtimeMs = await getUnifiedMtime(category);
+    const hit = byKeyCache.get(category);
+    if (hit && hit.mtimeMs === mtimeMs) return hit.byKey;
+    const byKey = new Map();
+    for (const record of (await getUnifiedData(category))?.data || []) {
+        const key = record.location?.gazetteer_key;
+        if (!key) continue;
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(record);
+    }
+    byKeyCache.set(category, { mtimeMs, byKey });
+    return byKey;
+}
+
+// JSON path: the category's records matching `query`, license-gated.
+async function matchingRecords(category, query, tier) {
+    let records;
+    if (query.gazetteer_key) {
+        records = (await recordsByKey(category)).get(query.gazetteer_key) || [];
+    } else {
+        const { keep } = buildRecordFilter(query);
+        records = ((await getUnifiedData(category))?.data || []).filter(keep);
+    }
+    return filterRecordsByLicense(records, tier).records;
+}
+
+// Categories a key's scopes let it read (utils/keyScopes.js).
+async function scopedCategories(scopes) {
+    return (await listCategories()).filter((c) => categoryInScope(scopes, c));
+}
+
+/**
+ * { <category>: count } of records matching `query` visible to `tier` (the
+ * same license gate as /unified/:category) in the categories `scopes`
+ * allow. Categories without any are omitted.
+ * @param {{ gazetteer_key?: string, admin2?: string }} query
+ * @param {string} [tier]
+ * @param {object} [scopes] the key's scopes; null reads every category
+ */
+export async function placeRecordCounts(query, tier, scopes) {
+    const counts = {};
+    for (const category of await scopedCategories(scopes)) {
+        const store = await openRecordStore(category);
+        let n = store ? store.count({ query, tier }) : null;
+        if (n === null) n = (await matchingRecords(category, query, tier)).length;
+        if (n > 0) counts[category] = n;
+    }
+    return counts;
+}
+
+function monthlyFromRecords(records) {
+    const byMonth = new Map();
+    const dated = records.filter((r) => r.date);
+    for (const item of dated) {
+        const month = String(item.date).slice(0, 7);
+        const m = item.metrics || {};
+        let row = byMonth.get(month);
+        if (!row) {
+            row = { month, records: 0, killed: 0, injured: 0, demolished: 0, displaced: 0 };
+            byMonth.set(month, row);
+        }
+        row.records += 1;
+        row.killed += m.killed || item.fatalities || 0;
+        row.injured += m.injured || item.injuries || 0;
+        row.demolished += m.demolished || 0;
+        row.displaced += m.displaced || 0;
+    }
+    return {
+        rows: [...byMonth.values()].sort((a, b) => a.month.localeCompare(b.month)),
+        required_attributions: collectRequiredAttributions(dated),
+    };
+}
+
+/**
+ * { <category>: { rows, required_attributions } } — per-month totals
+ * (see recordStore monthlyTotals()) of the records matching `query`, for
+ * categories `scopes` allow that have any dated ones.
+ * @param {{ gazetteer_key?: string, admin2?: string }} query
+ * @param {string} [tier]
+ * @param {object} [scopes] the key's scopes; null reads every category
+ */
+export async function placeMonthlyTotals(query, tier, scopes) {
+    const out = {};
+    for (const category of await scopedCategories(scopes)) {
+        const store = await openRecordStore(category);
+        const monthly = store?.monthlyTotals({ query, tier })
+            || monthlyFromRecords(await matchingRecords(category, query, tier));
+        if (monthly.rows.length) out[category] = monthly;
+    }
+    return out;
+}
@@ -0,0 +1,76 @@
+/**
+ * Single-record lookup by stable_id (or legacy `id`) within a unified
+ * category — the resolution behind GET /record/:category/:id, shared with
+ * the GraphQL record and cluster-member fields.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getUnifiedData } from './fileService.js';
+import { openRecordStore } from './recordStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const UNIFIED_DIR = path.resolve(__dirname, '../../../public/data/unified');
+
+// In-process cache for stable-id indexes. Indexes are static per pipeline run
+// and small (O(record_count) 32-char keys) — one-time load per category.
+const indexCache = new Map();
+
+async function loadStableIdIndex(category) {
+    if (indexCache.has(category)) return indexCache.get(category);
+    try {
+        const raw = await fs.readFile(
+            path.join(UNIFIED_DIR, category, 'stable-id-index.json'),
+            'utf-8'
+        );
+        const parsed = JSON.parse(raw);
+        indexCache.set(category, parsed);
+        return parsed;
+    } catch {
+        indexCache.set(category, null);
+        return null;
+    }
+}
+
+/**
+ * Find one record in `category` by stable_id, falling back to legacy `id`.
+ * Returns { record, lookup } — lookup is 'stable_id', 'stable_id_scan' or
+ * 'legacy_id' — or null when nothing matches.
+ *
+ * records.db answers from an index when present. Without one the category
+ * JSON is loaded; callers resolving many ids in one request can pass
+ * `opts.getRecords` (async, returns the category's records) to share that
+ * load between lookups.
+ *
+ * @param {string} category
+ * @param {string} id
+ * @param {{ getRecords?: (category: string) => Promise<Array|null> }} opts
+ */
+export async function findUnifiedRecord(category, id, opts = {}) {
+    const store = await openRecordStore(category);
+    if (store) return store.findRecord(id);
+
+    const records = (opts.getRecords
+        ? await opts.getRecords(category)
+        : (await getUnifiedData(category))?.data) || [];
+
+    // Prefer stable_id lookup (O(1)). Fall back to legacy scan by `id` for
+    // records written before stable IDs were attached, and finally to
+    // `stable_id` field match when the index file isn't present.
+    const idx = await loadStableIdIndex(category);
+    if (idx && idx.index && Object.prototype.hasOwnProperty.call(idx.index, id)) {
+        const pos = idx.index[id];
+        if (records[pos] && records[pos].stable_id === id) {
+            return { record: records[pos], lookup: 'stable_id' };
+        }
+    }
+
+    let found = records.find((r) => r.stable_id === id);
+    if (found) return { record: found, lookup: 'stable_id_scan' };
+
+    found = records.find((r) => String(r.id) === String(id));
+    if (found) return { record: found, lookup: 'legacy_id' };
+
+    return null;
+}
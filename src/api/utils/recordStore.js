@@ -0,0 +1,445 @@
+/**
+ * SQL query engine over the per-category records.db files written by
+ * scripts/build-record-db.js (layout in scripts/utils/record-db.js).
+ *
+ * getData, getSummary, getTimeseries and /record/:category/:id ask this
+ * module first; filters (including ?filter= expressions), the license gate,
+ * sorting, keyset pagination and aggregation then run inside SQLite and
+ * only the page of records being returned is ever parsed. Every entry point
+ * returns null when it cannot answer — no DB, a DB older than the category
+ * JSON, or a sort/metric it does not cover — and the caller falls back to
+ * the JSON path in fileService.js. UNIFIED_QUERY_ENGINE=json disables it.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import {
+    RECORD_DB_FILE, RECORD_DB_VERSION, PATH_COLUMNS, METRIC_COLUMNS,
+} from '../../../scripts/utils/record-db.js';
+import {
+    isCommerciallyBlocked, licenseGateApplies, collectRequiredAttributions,
+} from '../middleware/licenseFilter.js';
+import { encodeCursor, recordId } from './cursor.js';
+import { filterToSql } from './filterQuery.js';
+import { compileSpatial, haversineKm } from './spatial.js';
+import { GROUP_DIMENSIONS } from './timeseries.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const UNIFIED_DIR = path.resolve(__dirname, '../../../public/data/unified');
+
+// Open read-only handles keyed by DB path; reopened when the file changes.
+const handles = new Map(); // dbPath → { mtimeMs, db, metadata?, hidden? }
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const SORT_PATH = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+const REGION_KEY = `COALESCE(NULLIF(region, ''), 'Unknown')`;
+
+// metrics.killed / injured with the pre-canonical top-level fallback that
+// the JSON aggregations apply (`m.killed || item.fatalities || 0`).
+const LEGACY_METRIC = { killed: 'legacy_fatalities', injured: 'legacy_injuries' };
+function metricValueSql(metric) {
+    const base = `COALESCE(m_${metric}, 0)`;
+    const legacy = LEGACY_METRIC[metric];
+    return legacy ? `(CASE WHEN ${base} != 0 THEN ${base} ELSE COALESCE(${legacy}, 0) END)` : base;
+}
+
+function columnFor(fieldPath) {
+    return PATH_COLUMNS[fieldPath] || null;
+}
+
+// A DB older than the JSON it mirrors means the pipeline stopped between
+// the stable-id sweep and build-record-db.js — serve JSON instead.
+async function isStale(catDir, dbMtimeMs) {
+    for (const f of ['all-data.json', 'stable-id-index.json']) {
+        try {
+            if ((await fs.stat(path.join(catDir, f))).mtimeMs > dbMtimeMs) return true;
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+    return false;
+}
+
+function openHandle(dbPath, mtimeMs) {
+    let db;
+    try {
+        db = new Database(dbPath, { readonly: true, fileMustExist: true });
+        const version = db.prepare('SELECT value FROM meta WHERE key = \'version\'').pluck().get();
+        if (Number(version) !== RECORD_DB_VERSION) {
+            db.close();
+            return null;
+        }
+    } catch (err) {
+        console.error(`Record DB ${dbPath} unusable:`, err.message);
+        db?.close();
+        return null;
+    }
+    db.function('license_blocked', { deterministic: true }, (names) =>
+        (isCommerciallyBlocked({ sources: JSON.parse(names) }) ? 1 : 0));
+    db.function('spatial_contains', { deterministic: true }, (lat, lon, spec) =>
+        (lat !== null && lon !== null && compiledSpatial(spec).contains(lat, lon) ? 1 : 0));
+    db.function('distance_km', { deterministic: true }, (lat, lon, clat, clng) =>
+        (lat === null || lon === null ? null : haversineKm(clat, clng, lat, lon)));
+    return { mtimeMs, db };
+}
+
+// spatial_contains() receives the spec as JSON on every row; compile each
+// distinct spec once. A handful covers the queries in flight.
+const SPATIAL_CACHE_SIZE = 8;
+const spatialCache = new Map();
+function compiledSpatial(specJson) {
+    let compiled = spatialCache.get(specJson);
+    if (!compiled) {
+        compiled = compileSpatial(JSON.parse(specJson));
+        spatialCache.set(specJson, compiled);
+        if (spatialCache.size > SPATIAL_CACHE_SIZE) spatialCache.delete(spatialCache.keys().next().value);
+    }
+    return compiled;
+}
+
+/**
+ * Open the record store for a category (live, or a pinned snapshot).
+ * Resolves to null when the SQL path is unavailable.
+ * @param {string} category
+ * @param {{ snapshotDir?: string }} opts
+ */
+export async function openRecordStore(category, opts = {}) {
+    if (process.env.UNIFIED_QUERY_ENGINE === 'json') return null;
+    const catDir = path.join(opts.snapshotDir || UNIFIED_DIR, category);
+    const dbPath = path.join(catDir, RECORD_DB_FILE);
+    let stat;
+    try {
+        stat = await fs.stat(dbPath);
+    } catch {
+        return null;
+    }
+    if (await isStale(catDir, stat.mtimeMs)) return null;
+
+    let h = handles.get(dbPath);
+    if (h && h.mtimeMs !== stat.mtimeMs) {
+        h.db.close();
+        handles.delete(dbPath);
+        h = null;
+    }
+    if (!h) {
+        h = openHandle(dbPath, stat.mtimeMs);
+        if (!h) return null;
+        handles.set(dbPath, h);
+    }
+    return createStore(h);
+}
+
+// WHERE clause for the /unified/:category filters; mirrors
+// buildRecordFilter() in unifiedController.js. Null when a filter value
+// has no exact SQL equivalent (the caller then uses the JSON path).
+// `spatial` (compileSpatial()) narrows to the R*Tree's bounding-box hits
+// before the exact test.
+function buildWhere({ query = {}, filterAst = null, spatial = null, tier } = {}) {
+    const clauses = [];
+    const params = [];
+    const lower = (v) => String(v).toLowerCase();
+
+    if (licenseGateApplies(tier)) clauses.push('license_blocked(source_names) = 0');
+
+    if (query.location) {
+        const q = lower(query.location);
+        clauses.push(`(instr(lower(COALESCE(location_name, '')), ?) > 0
+            OR instr(lower(COALESCE(region, '')), ?) > 0
+            OR instr(lower(COALESCE(governorate, '')), ?) > 0)`);
+        params.push(q, q, q);
+    }
+    if (query.region) {
+        clauses.push('instr(lower(COALESCE(region, \'\')), ?) > 0');
+        params.push(lower(query.region));
+    }
+    if (query.admin2) {
+        clauses.push('admin2 = ? COLLATE NOCASE');
+        params.push(String(query.admin2));
+    }
+    if (query.gazetteer_key) {
+        clauses.push('gazetteer_key = ?');
+        params.push(String(query.gazetteer_key));
+    }
+    if (query.event_type) {
+        clauses.push('event_type = ?');
+        params.push(String(query.event_type));
+    }
+    for (const [key, op] of [['start_date', '>='], ['end_date', '<=']]) {
+        if (!query[key]) continue;
+        if (!DATE_ONLY.test(String(query[key]))) return null;
+        clauses.push(`date ${op} ?`);
+        params.push(String(query[key]));
+    }
+    if (query.min_killed) {
+        const mk = parseInt(query.min_killed);
+        clauses.push(Number.isFinite(mk) ? 'COALESCE(m_killed, 0) >= ?' : '0');
+        if (Number.isFinite(mk)) params.push(mk);
+    }
+    if (filterAst) {
+        const f = filterToSql(filterAst, columnFor);
+        clauses.push(f.sql);
+        params.push(...f.params);
+    }
+    if (spatial) {
+        const [minLng, minLat, maxLng, maxLat] = spatial.bbox;
+        clauses.push(`pos IN (SELECT pos FROM records_rtree
+            WHERE min_lat <= ? AND max_lat >= ? AND min_lon <= ? AND max_lon >= ?)`);
+        params.push(maxLat, minLat, maxLng, minLng);
+        clauses.push('spatial_contains(lat, lon, ?) = 1');
+        params.push(JSON.stringify(spatial.spec));
+    }
+    return { sql: clauses.length ? clauses.join(' AND ') : '1', params };
+}
+
+// Sort key expression matching sortValue() in cursor.js: numbers and
+// strings as-is, booleans as 1/0, anything else NULL (sorted last).
+// distance_km is computed from the near= point, as withDistance() does.
+function sortExpression(sortBy, spatial) {
+    if (sortBy === 'distance_km' && spatial?.center) {
+        return { sql: 'distance_km(lat, lon, ?, ?)', params: spatial.center };
+    }
+    const column = columnFor(sortBy);
+    if (column) return { sql: column, params: [] };
+    if (!SORT_PATH.test(sortBy)) return null;
+    const p = `$.${sortBy}`;
+    return {
+        sql: `(CASE json_type(record, ?) WHEN 'integer' THEN json_extract(record, ?)
+            WHEN 'real' THEN json_extract(record, ?) WHEN 'text' THEN json_extract(record, ?)
+            WHEN 'true' THEN 1 WHEN 'false' THEN 0 END)`,
+        params: [p, p, p, p],
+    };
+}
+
+// Rows strictly after / before a cursor key in (sk, stable_id) order, with
+// NULL sort keys last — the same total order as sortRecords().
+function keysetCondition(cursor, which) {
+    if (cursor.value === null) {
+        return which === 'after'
+            ? { sql: 'sk IS NULL AND stable_id > ?', params: [cursor.id] }
+            : { sql: '(sk IS NOT NULL OR stable_id < ?)', params: [cursor.id] };
+    }
+    const op = (which === 'after') === (cursor.order === 'desc') ? '<' : '>';
+    return which === 'after'
+        ? { sql: `(sk IS NULL OR sk ${op} ? OR (sk = ? AND stable_id > ?))`, params: [cursor.value, cursor.value, cursor.id] }
+        : { sql: `(sk IS NOT NULL AND (sk ${op} ? OR (sk = ? AND stable_id < ?)))`, params: [cursor.value, cursor.value, cursor.id] };
+}
+
+function createStore(h) {
+    const { db } = h;
+
+    function hiddenByLicense(tier) {
+        if (!licenseGateApplies(tier)) return 0;
+        if (h.hidden === undefined) {
+            h.hidden = db.prepare('SELECT COALESCE(SUM(license_blocked(source_names)), 0) FROM records').pluck().get();
+        }
+        return h.hidden;
+    }
+
+    function metadata() {
+        if (h.metadata === undefined) {
+            const raw = db.prepare('SELECT value FROM meta WHERE key = \'metadata\'').pluck().get();
+            h.metadata = raw ? JSON.parse(raw) : null;
+        }
+        return h.metadata;
+    }
+
+    function attributions(where) {
+        const names = db.prepare(`SELECT DISTINCT source_names FROM records WHERE ${where.sql}`)
+            .pluck().all(...where.params);
+        return collectRequiredAttributions(names.map((n) => ({ sources: JSON.parse(n) })));
+    }
+
+    return {
+        metadata,
+        hiddenByLicense,
+
+        /**
+         * One page of /unified/:category. Same inputs and result shape as
+         * paginateSorted() plus { total, hidden, metadata }.
+         */
+        queryPage({ query, filterAst, spatial, tier, sortBy, order, limit, offset = 0, cursor = null }) {
+            const sort = sortExpression(sortBy, spatial);
+            const where = buildWhere({ query, filterAst, spatial, tier });
+            if (!sort || !where) return null;
+
+            const cte = `WITH q AS (SELECT stable_id, record, lat, lon, ${sort.sql} AS sk FROM records WHERE ${where.sql})`;
+            const base = [...sort.params, ...where.params];
+            const forward = `ORDER BY (sk IS NULL), sk ${order === 'asc' ? 'ASC' : 'DESC'}, stable_id ASC`;
+            const backward = `ORDER BY (sk IS NULL) DESC, sk ${order === 'asc' ? 'DESC' : 'ASC'}, stable_id DESC`;
+            const count = (cond) => db.prepare(`${cte} SELECT COUNT(*) FROM q${cond ? ` WHERE ${cond.sql}` : ''}`)
+                .pluck().get(...base, ...(cond?.params || []));
+
+            const total = count(null);
+            let rows;
+            let start;
+            if (cursor?.dir === 'prev') {
+                const before = keysetCondition(cursor, 'before');
+                rows = db.prepare(`${cte} SELECT record, lat, lon FROM q WHERE ${before.sql} ${backward} LIMIT ?`)
+                    .all(...base, ...before.params, limit).reverse();
+                start = count(before) - rows.length;
+            } else if (cursor?.dir === 'next') {
+                const after = keysetCondition(cursor, 'after');
+                rows = db.prepare(`${cte} SELECT record, lat, lon FROM q WHERE ${after.sql} ${forward} LIMIT ?`)
+                    .all(...base, ...after.params, limit);
+                start = total - count(after);
+            } else {
+                rows = db.prepare(`${cte} SELECT record, lat, lon FROM q ${forward} LIMIT ? OFFSET ?`)
+                    .all(...base, limit, offset);
+                start = offset;
+            }
+
+            const items = rows.map((r) => {
+                const record = JSON.parse(r.record);
+                if (!spatial?.center) return record;
+                const distance = r.lat === null || r.lon === null ? null : spatial.distanceKm(r.lat, r.lon);
+                return { ...record, stable_id: recordId(record), distance_km: distance };
+            });
+            const end = start + items.length;
+            return {
+                items,
+                total,
+                start,
+                next_cursor: end < total && items.length
+                    ? encodeCursor(items[items.length - 1], { sortBy, order, dir: 'next' })
+                    : null,
+                prev_cursor: start > 0 && items.length
+                    ? encodeCursor(items[0], { sortBy, order, dir: 'prev' })
+                    : null,
+                hidden: hiddenByLicense(tier),
+                metadata: metadata(),
+            };
+        },
+
+        /**
+         * Aggregates behind /unified/:category/summary. With
+         * `cumulativeByRegion`, killed/injured are the sum over regions of
+         * each region's maximum (cumulative conflict counters).
+         */
+        summarize({ tier, cumulativeByRegion = false }) {
+            const where = buildWhere({ tier });
+            const killed = metricValueSql('killed');
+            const injured = metricValueSql('injured');
+            const totals = db.prepare(`
+                SELECT COUNT(*) AS n,
+                       MIN(NULLIF(date, '')) AS earliest,
+                       MAX(NULLIF(date, '')) AS latest,
+                       SUM(${killed}) AS killed,
+                       SUM(${injured}) AS injured,
+                       ${['displaced', 'affected', 'demolished', 'detained', 'count']
+        .map((m) => `SUM(COALESCE(m_${m}, 0)) AS ${m}`).join(', ')}
+                FROM records WHERE ${where.sql}`).get(...where.params);
+
+            const metricsTotals = {
+                killed: totals.killed || 0, injured: totals.injured || 0,
+                displaced: totals.displaced || 0, affected: totals.affected || 0,
+                demolished: totals.demolished || 0, detained: totals.detained || 0,
+                count: totals.count || 0,
+            };
+            if (cumulativeByRegion) {
+                const peaks = db.prepare(`
+                    SELECT MAX(${killed}) AS killed, MAX(${injured}) AS injured
+                    FROM records WHERE ${where.sql} GROUP BY ${REGION_KEY}`).all(...where.params);
+                metricsTotals.killed = peaks.reduce((s, r) => s + Math.max(0, r.killed || 0), 0);
+                metricsTotals.injured = peaks.reduce((s, r) => s + Math.max(0, r.injured || 0), 0);
+            }
+
+            // First-seen order, like the JSON aggregation's object keys.
+            const groupCounts = (keySql) => Object.fromEntries(db.prepare(`
+                SELECT ${keySql} AS k, COUNT(*) AS n FROM records WHERE ${where.sql}
+                GROUP BY k ORDER BY MIN(pos)`).all(...where.params).map((r) => [r.k, r.n]));
+
+            return {
+                total_records: totals.n,
+                date_range: { earliest: totals.earliest ?? null, latest: totals.latest ?? null },
+                metrics_totals: metricsTotals,
+                by_region: groupCounts(REGION_KEY),
+                by_event_type: groupCounts('COALESCE(NULLIF(event_type, \'\'), \'unknown\')'),
+                hidden: hiddenByLicense(tier),
+                required_attributions: attributions(where),
+            };
+        },
+
+        /**
+         * Per-(date, region) rollup feeding /unified/:category/timeseries
+         * and /pivot: [{ date, region, count, sum, max }] for dated records,
+         * plus the attribution set. `query` adds /unified filters (e.g. a
+         * date range); each GROUP_DIMENSIONS name in `dims` adds a grouping
+         * column of that name. Null for metrics without a column.
+         */
+        timeseriesRows({ tier, metric, region, cumulative = false, query = {}, dims = [] }) {
+            if (!METRIC_COLUMNS.includes(metric)) return null;
+            const where = buildWhere({ query: { ...query, region }, tier });
+            if (!where) return null;
+            const extra = dims.filter((d) => d !== 'region');
+            let value = metricValueSql(metric);
+            if (!cumulative) {
+                // JSON path also falls back to a top-level field of that name.
+                value = `(CASE WHEN ${value} != 0 THEN ${value}
+                    WHEN json_type(record, '$.${metric}') IN ('integer', 'real') THEN json_extract(record, '$.${metric}')
+                    ELSE 0 END)`;
+            }
+            const dated = { sql: `${where.sql} AND date IS NOT NULL AND date != ''`, params: where.params };
+            // Positional d0, d1… aliases: a bare `admin2` alias would be
+            // ambiguous with the column in GROUP BY.
+            const dimSql = extra.map((d, i) => `, COALESCE(NULLIF(${columnFor(GROUP_DIMENSIONS[d])}, ''), 'Unknown') AS d${i}`).join('');
+            const rows = db.prepare(`
+                SELECT date, ${REGION_KEY} AS region${dimSql}, COUNT(*) AS count, SUM(${value}) AS sum, MAX(${value}) AS max
+                FROM records WHERE ${dated.sql}
+                GROUP BY date, ${REGION_KEY}${extra.map((_, i) => `, d${i}`).join('')}`).all(...dated.params);
+            if (extra.length) {
+                for (const row of rows) {
+                    extra.forEach((d, i) => {
+                        row[d] = row[`d${i}`];
+                        delete row[`d${i}`];
+                    });
+                }
+            }
+            return { rows, hidden: hiddenByLicense(tier), required_attributions: attributions(dated) };
+        },
+
+        /**
+         * Number of records matching the /unified/:category filters in
+         * `query` (e.g. { gazetteer_key }), after the license gate. Null
+         * when a filter has no SQL equivalent.
+         */
+        count({ query, tier }) {
+            const where = buildWhere({ query, tier });
+            if (!where) return null;
+            return db.prepare(`SELECT COUNT(*) FROM records WHERE ${where.sql}`).pluck().get(...where.params);
+        },
+
+        /**
+         * Per-month (YYYY-MM) record counts and killed / injured /
+         * demolished / displaced sums for the records matching `query`,
+         * oldest first, plus the attribution set. Feeds the place profile
+         * timelines.
+         */
+        monthlyTotals({ query, tier }) {
+            const where = buildWhere({ query, tier });
+            if (!where) return null;
+            const dated = { sql: `${where.sql} AND date IS NOT NULL AND date != ''`, params: where.params };
+            const rows = db.prepare(`
+                SELECT substr(date, 1, 7) AS month, COUNT(*) AS records,
+                       SUM(${metricValueSql('killed')}) AS killed,
+                       SUM(${metricValueSql('injured')}) AS injured,
+                       SUM(COALESCE(m_demolished, 0)) AS demolished,
+                       SUM(COALESCE(m_displaced, 0)) AS displaced
+                FROM records WHERE ${dated.sql} GROUP BY month ORDER BY month`).all(...dated.params);
+            return { rows, required_attributions: attributions(dated) };
+        },
+
+        /**
+         * Single record by stable_id, falling back to the legacy per-run id.
+         * Returns { record, lookup } or null.
+         */
+        findRecord(id) {
+            const byStable = db.prepare('SELECT record FROM records WHERE stable_id = ? LIMIT 1').pluck().get(String(id));
+            if (byStable) return { record: JSON.parse(byStable), lookup: 'stable_id' };
+            const byLegacy = db.prepare('SELECT record FROM records WHERE legacy_id = ? ORDER BY pos LIMIT 1').pluck().get(String(id));
+            if (byLegacy) return { record: JSON.parse(byLegacy), lookup: 'legacy_id' };
+            return null;
+        },
+    };
+}
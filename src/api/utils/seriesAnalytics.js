@@ -0,0 +1,134 @@
+/**
+ * On-demand statistics for GET /unified/:category/analytics: the trend,
+ * seasonality, change-point and forecasting functions generate-analytics.js
+ * runs offline (scripts/utils/time-series-analysis.js,
+ * descriptive-statistics.js), applied to one gap-filled /timeseries series.
+ *
+ * Every section names the method and parameters that produced it, so a
+ * chart caption can say what "anomalous" means.
+ */
+import {
+    calculateLinearTrend, detectSeasonality, detectChangePoints, forecastLinear,
+} from '../../../scripts/utils/time-series-analysis.js';
+import { detectOutliers, detectOutliersZScore } from '../../../scripts/utils/descriptive-statistics.js';
+import { periodsAfter } from './timeseries.js';
+
+export const ANOMALY_METHODS = {
+    zscore: { parameter: 'threshold', default: 3 },
+    iqr: { parameter: 'multiplier', default: 1.5 },
+};
+export const MIN_PERIODS = 4;
+export const MAX_HORIZON = 24;
+
+const CHANGE_POINT_Z = 2;
+const SEASONALITY_THRESHOLD = 0.3; // fixed inside detectSeasonality()
+const PREDICTION_Z = 1.96;
+// Seasonal lag per interval: a week of days, a year of weeks/months/quarters.
+const SEASONAL_PERIODS = { day: 7, week: 52, month: 12, quarter: 4 };
+
+const round = (v, places = 4) => (Number.isFinite(v) ? Math.round(v * 10 ** places) / 10 ** places : null);
+const at = (series, i) => ({ date: series[i].date, start: series[i].start, value: series[i].value });
+
+// 95% prediction interval around the least-squares line at period index x:
+// ŷ ± z · s · √(1 + 1/n + (x − x̄)² / Sxx), s the residual standard error.
+function forecastSection(values, series, interval, horizon, trend) {
+    const n = values.length;
+    const xMean = (n - 1) / 2;
+    const sxx = values.reduce((acc, _, i) => acc + (i - xMean) ** 2, 0);
+    const ssRes = values.reduce((acc, v, i) => acc + (v - (trend.slope * i + trend.intercept)) ** 2, 0);
+    const se = Math.sqrt(ssRes / (n - 2));
+    const points = forecastLinear(values, horizon);
+    const periods = periodsAfter(series[n - 1].start, interval, horizon);
+    return {
+        method: 'linear_trend_extrapolation',
+        description: `Least-squares line extended ${horizon} periods; band is the 95% prediction interval (±${PREDICTION_Z} × residual standard error), floored at 0.`,
+        horizon,
+        confidence_level: 0.95,
+        residual_standard_error: round(se),
+        periods: periods.map((p, i) => {
+            const x = n + i;
+            const half = PREDICTION_Z * se * Math.sqrt(1 + 1 / n + (x - xMean) ** 2 / sxx);
+            const predicted = trend.slope * x + trend.intercept;
+            return {
+                ...p,
+                forecast: round(points[i].forecast, 2),
+                lower: round(Math.max(0, predicted - half), 2),
+                upper: round(Math.max(0, predicted + half), 2),
+            };
+        }),
+    };
+}
+
+function anomalySection(values, series, method, parameter) {
+    if (method === 'iqr') {
+        const result = detectOutliers(values, parameter);
+        return {
+            method: 'iqr',
+            description: `Periods outside Q1 − ${parameter}·IQR … Q3 + ${parameter}·IQR.`,
+            multiplier: parameter,
+            bounds: { lower: round(result.bounds.lower), upper: round(result.bounds.upper) },
+            periods: result.indices.map((i) => ({ ...at(series, i), type: values[i] > result.bounds.upper ? 'high' : 'low' })),
+        };
+    }
+    const result = detectOutliersZScore(values, parameter);
+    return {
+        method: 'zscore',
+        description: `Periods more than ${parameter} standard deviations from the series mean.`,
+        threshold: parameter,
+        mean: round(result.mean ?? 0),
+        std_dev: round(result.stdDev ?? 0),
+        periods: result.indices.map((i) => ({
+            ...at(series, i),
+            z_score: round(result.zScores[i]),
+            type: result.zScores[i] > 0 ? 'high' : 'low',
+        })),
+    };
+}
+
+/**
+ * Analyze a gap-filled buildSeries() result (at least MIN_PERIODS long).
+ * @param {Array<{date, start, end, value}>} series
+ * @param {{ interval: string, anomalyMethod: 'zscore'|'iqr', anomalyParameter: number, horizon: number }} opts
+ */
+export function analyzeSeries(series, { interval, anomalyMethod, anomalyParameter, horizon }) {
+    const values = series.map((b) => b.value || 0);
+    const trend = calculateLinearTrend(values);
+
+    const lag = SEASONAL_PERIODS[interval];
+    let seasonality = null;
+    if (lag) {
+        const s = detectSeasonality(values, lag);
+        seasonality = {
+            method: 'autocorrelation',
+            description: `Autocorrelation at a lag of ${lag} ${interval}s; seasonal when |r| > ${SEASONALITY_THRESHOLD}. Needs ${lag * 2} periods.`,
+            lag,
+            detected: s.has_seasonality,
+            autocorrelation: s.autocorrelation === undefined ? null : round(s.autocorrelation),
+        };
+    }
+
+    return {
+        trend: {
+            method: 'linear_regression',
+            description: 'Least-squares fit of value on period index; stable when |slope| ≤ 0.01 per period.',
+            direction: trend.direction,
+            slope: round(trend.slope),
+            intercept: round(trend.intercept),
+            r_squared: round(trend.r_squared),
+            strength: trend.strength,
+        },
+        seasonality,
+        change_points: {
+            method: 'zscore_jump',
+            description: `Periods with |z| > ${CHANGE_POINT_Z} against the series mean that also jump more than one standard deviation from a neighbouring period.`,
+            threshold: CHANGE_POINT_Z,
+            periods: detectChangePoints(values, CHANGE_POINT_Z).map((c) => ({
+                ...at(series, c.index),
+                z_score: round(c.z_score),
+                type: c.type,
+            })),
+        },
+        anomalies: anomalySection(values, series, anomalyMethod, anomalyParameter),
+        forecast: forecastSection(values, series, interval, horizon, trend),
+    };
+}
@@ -0,0 +1,258 @@
+/**
+ * ?near= / ?within= / ?polygon= spatial filters shared by /unified/:category,
+ * /incidents/:category and /facilities/:layer.
+ *
+ *   near=lat,lng&radius_km=   records within radius_km (default 10, max 500)
+ *                             of the point; adds `distance_km` to each result
+ *                             and allows sort_by=distance_km
+ *   within=<pcode>            records inside an OCHA admin2 (or admin1)
+ *                             polygon, e.g. within=PS0110
+ *   polygon=<GeoJSON>         records inside a Polygon / MultiPolygon (bare
+ *                             geometry or Feature), URL-encoded JSON or
+ *                             base64url
+ *
+ * Filters combine (AND). Each parses to a plain-JSON spec, which
+ * compileSpatial() turns into a bounding box for the R-tree pass plus an
+ * exact contains(lat, lng) test. The JSON routes index their cached arrays
+ * with Flatbush (pointIndex); records.db carries an SQLite R*Tree
+ * (scripts/utils/record-db.js) and recordStore.js calls back into
+ * compileSpatial() for the exact test.
+ */
+import Flatbush from 'flatbush';
+import { recordCoordinates } from '../../../scripts/utils/record-db.js';
+import { findAdminByPcode, pointInGeometry, geometryBbox } from './adminBoundaries.js';
+import { recordId } from './cursor.js';
+
+export const DEFAULT_RADIUS_KM = 10;
+export const MAX_RADIUS_KM = 500;
+const MAX_POLYGON_VERTICES = 5000;
+const MAX_POLYGON_LENGTH = 200_000;
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_DEGREE_LAT = 111.32;
+const PCODE_RE = /^[A-Za-z]{2}[0-9]{2,8}$/;
+
+// Rounded to the metre so JSON sorting, SQL sorting and cursors agree.
+export function haversineKm(lat1, lng1, lat2, lng2) {
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLng = (lng2 - lng1) * toRad;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLng / 2) ** 2;
+    const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+    return Math.round(km * 1000) / 1000;
+}
+
+function invalid(message) {
+    return { error: { error: 'invalid_spatial_filter', message } };
+}
+
+function countVertices(coords) {
+    if (typeof coords[0] === 'number') return 1;
+    let n = 0;
+    for (const c of coords) n += countVertices(c);
+    return n;
+}
+
+function validRing(ring) {
+    return Array.isArray(ring) && ring.length >= 4 && ring.every((p) =>
+        Array.isArray(p) && p.length >= 2 && Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+        Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90);
+}
+
+function decodePolygon(raw) {
+    const text = String(raw).trim();
+    if (text.length > MAX_POLYGON_LENGTH) return invalid(`polygon must be under ${MAX_POLYGON_LENGTH} characters`);
+    let geojson;
+    try {
+        geojson = JSON.parse(text.startsWith('{') ? text : Buffer.from(text, 'base64url').toString('utf8'));
+    } catch {
+        return invalid('polygon must be GeoJSON, URL-encoded or base64url');
+    }
+    const geometry = geojson?.type === 'Feature' ? geojson.geometry : geojson;
+    const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+        : geometry?.type === 'MultiPolygon' ? geometry.coordinates
+            : null;
+    if (!Array.isArray(polygons) || polygons.length === 0) {
+        return invalid('polygon must be a GeoJSON Polygon or MultiPolygon (or a Feature wrapping one)');
+    }
+    if (!polygons.every((rings) => Array.isArray(rings) && rings.length > 0 && rings.every(validRing))) {
+        return invalid('polygon rings must be closed lists of at least 4 [lng, lat] positions');
+    }
+    if (countVertices(polygons) > MAX_POLYGON_VERTICES) {
+        return invalid(`polygon may have at most ${MAX_POLYGON_VERTICES} vertices`);
+    }
+    return { geometry: { type: geometry.type, coordinates: geometry.coordinates } };
+}
+
+/**
+ * Read near / radius_km / within / polygon from a query string. Resolves
+ * to { spec } — null when none is set — or { error } with a ready-to-send
+ * 400 body. The spec is plain JSON: { near?: { lat, lng, radius_km },
+ * within?: { pcode, level, name, geometry }, polygon?: geometry }.
+ */
+export async function parseSpatialQuery(query = {}) {
+    const spec = {};
+
+    if (query.near !== undefined && query.near !== '') {
+        const parts = String(query.near).split(',').map((p) => Number(p.trim()));
+        if (parts.length !== 2 || !parts.every(Number.isFinite) || Math.abs(parts[0]) > 90 || Math.abs(parts[1]) > 180) {
+            return invalid('near must be lat,lng in decimal degrees, e.g. near=31.52,34.45');
+        }
+        let radius = DEFAULT_RADIUS_KM;
+        if (query.radius_km !== undefined && query.radius_km !== '') {
+            radius = Number(query.radius_km);
+            if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+                return invalid(`radius_km must be a number between 0 and ${MAX_RADIUS_KM}`);
+            }
+        }
+        spec.near = { lat: parts[0], lng: parts[1], radius_km: radius };
+    } else if (query.radius_km !== undefined && query.radius_km !== '') {
+        return invalid('radius_km needs near=lat,lng');
+    }
+
+    if (query.within !== undefined && query.within !== '') {
+        const pcode = String(query.within).trim();
+        const hit = PCODE_RE.test(pcode) ? await findAdminByPcode(pcode) : null;
+        if (!hit) {
+            return {
+                error: {
+                    error: 'unknown_admin_area',
+                    message: 'within must be an OCHA admin2 (or admin1) pcode; see /api/v1/geo/admin/admin2',
+                    within: pcode,
+                },
+            };
+        }
+        const props = hit.feature.properties || {};
+        spec.within = {
+            pcode: props.adm2_pcode || props.adm1_pcode,
+            level: hit.level,
+            name: props.adm2_name || props.adm1_name || null,
+            geometry: hit.feature.geometry,
+        };
+    }
+
+    if (query.polygon !== undefined && query.polygon !== '') {
+        const decoded = decodePolygon(query.polygon);
+        if (decoded.error) return decoded;
+        spec.polygon = decoded.geometry;
+    }
+
+    return { spec: Object.keys(spec).length ? spec : null };
+}
+
+function intersectBbox(a, b) {
+    return [Math.max(a[0], b[0]), Math.max(a[1], b[1]), Math.min(a[2], b[2]), Math.min(a[3], b[3])];
+}
+
+function nearBbox({ lat, lng, radius_km: r }) {
+    const dLat = r / KM_PER_DEGREE_LAT;
+    const cos = Math.cos(lat * Math.PI / 180);
+    // Near the poles the box spans every longitude.
+    const dLng = cos > 1e-6 ? Math.min(180, r / (KM_PER_DEGREE_LAT * cos)) : 180;
+    return [lng - dLng, lat - dLat, lng + dLng, lat + dLat];
+}
+
+/**
+ * Turn a spec into { spec, bbox: [minLng, minLat, maxLng, maxLat], center,
+ * contains(lat, lng), distanceKm(lat, lng) }. `center` and distanceKm are
+ * null without near=. An empty `bbox` (min > max) matches nothing. A
+ * spec.bbox (e.g. /facilities ?bbox=) only narrows the box.
+ */
+export function compileSpatial(spec) {
+    let bbox = spec.bbox ? intersectBbox([-180, -90, 180, 90], spec.bbox) : [-180, -90, 180, 90];
+    const tests = [];
+    if (spec.near) {
+        const { lat: clat, lng: clng, radius_km: r } = spec.near;
+        bbox = intersectBbox(bbox, nearBbox(spec.near));
+        tests.push((lat, lng) => haversineKm(clat, clng, lat, lng) <= r);
+    }
+    for (const geometry of [spec.within?.geometry, spec.polygon]) {
+        if (!geometry) continue;
+        bbox = intersectBbox(bbox, geometryBbox(geometry) || [0, 0, -1, -1]);
+        tests.push((lat, lng) => pointInGeometry(lng, lat, geometry));
+    }
+    const center = spec.near ? [spec.near.lat, spec.near.lng] : null;
+    return {
+        spec,
+        bbox,
+        center,
+        contains: (lat, lng) => tests.every((t) => t(lat, lng)),
+        distanceKm: center ? (lat, lng) => haversineKm(center[0], center[1], lat, lng) : null,
+    };
+}
+
+/**
+ * The spec as echoed back in responses: the admin polygon is replaced by
+ * its pcode/name, a polygon= geometry by its bounding box.
+ */
+export function describeSpatial(spec) {
+    if (!spec) return null;
+    const out = {};
+    if (spec.near) out.near = spec.near;
+    if (spec.within) out.within = { pcode: spec.within.pcode, level: spec.within.level, name: spec.within.name };
+    if (spec.polygon) out.polygon = { type: spec.polygon.type, bbox: geometryBbox(spec.polygon) };
+    return out;
+}
+
+/**
+ * Default order for readCursorQuery(): nearest first for sort_by=distance_km.
+ * Returns { error } when distance sorting is asked for without near=.
+ */
+export function spatialSortDefaults(query, spec) {
+    if (String(query.sort_by || '') !== 'distance_km') return {};
+    if (!spec?.near) return invalid('sort_by=distance_km needs near=lat,lng');
+    return { order: 'asc' };
+}
+
+// items array → { index, ids } over its located entries, built once per array
+// (the routes cache their parsed files, so an index lives as long as its data).
+const pointIndexes = new WeakMap();
+
+export function pointIndex(items, getPoint = recordCoordinates) {
+    let built = pointIndexes.get(items);
+    if (built && built.getPoint === getPoint) return built;
+    const ids = [];
+    const points = [];
+    for (let i = 0; i < items.length; i++) {
+        const p = getPoint(items[i]);
+        if (!p) continue;
+        ids.push(i);
+        points.push(p);
+    }
+    let index = null;
+    if (ids.length) {
+        index = new Flatbush(ids.length);
+        for (const [lat, lng] of points) index.add(lng, lat, lng, lat);
+        index.finish();
+    }
+    built = { index, ids, points, getPoint };
+    pointIndexes.set(items, built);
+    return built;
+}
+
+/**
+ * Entries of `items` matching the compiled filter, in their original order.
+ * Candidates come from the R-tree over `bbox`; the exact test runs on those.
+ */
+export function selectWithin(items, spatial, getPoint = recordCoordinates) {
+    const { index, ids, points } = pointIndex(items, getPoint);
+    const [minLng, minLat, maxLng, maxLat] = spatial.bbox;
+    if (!index || minLng > maxLng || minLat > maxLat) return [];
+    const hits = index.search(minLng, minLat, maxLng, maxLat)
+        .filter((k) => spatial.contains(points[k][0], points[k][1]))
+        .sort((a, b) => a - b);
+    return hits.map((k) => items[ids[k]]);
+}
+
+/**
+ * Shallow copy of a record with `distance_km` from the near= point. The
+ * stable_id is pinned first so cursors do not hash the added field.
+ */
+export function withDistance(record, spatial, getPoint = recordCoordinates) {
+    const p = getPoint(record);
+    return {
+        ...record,
+        stable_id: recordId(record),
+        distance_km: p ? spatial.distanceKm(p[0], p[1]) : null,
+    };
+}
@@ -0,0 +1,241 @@
+/**
+ * Time bucketing shared by /unified/:category/timeseries and /pivot.
+ *
+ * Both start from { date, region, count, sum, max } rows — one per dated
+ * record on the JSON path, pre-grouped by (date, region) from records.db —
+ * and fold them into period buckets. Conflict killed/injured are cumulative
+ * counters per region, so those series take the per-region maximum of each
+ * period and report period-over-period deltas instead of sums.
+ */
+import { isoWeek } from '../../../scripts/utils/iso-week.js';
+
+// Grouping dimensions other than time: name → canonical record path.
+export const GROUP_DIMENSIONS = {
+    admin1: 'location.admin1',
+    admin2: 'location.admin2',
+    region: 'location.region',
+    gazetteer_key: 'location.gazetteer_key',
+    event_type: 'event_type',
+};
+
+/** True for metrics a category reports as running totals. */
+export function isCumulativeMetric(category, metric) {
+    return category === 'conflict' && (metric === 'killed' || metric === 'injured');
+}
+
+/** Calendar intervals /timeseries and /pivot bucket by. */
+export const INTERVALS = ['day', 'week', 'month', 'quarter', 'year'];
+
+/** Trailing-mean windows (in periods) /timeseries accepts as rolling=. */
+export const ROLLING_WINDOWS = [7, 30, 90];
+
+// Gap filling walks every period between the first and last bucket; this
+// bounds the walk (a century of days) against stray far-past dates.
+export const MAX_FILL_PERIODS = 40000;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?$/;
+const dayFormatters = new Map();
+
+/** True when `tz` is an IANA zone this runtime knows (e.g. Asia/Gaza). */
+export function isValidTimeZone(tz) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of `date` in `tz`. Plain dates and timestamps
+ * without an offset are already local wall time and keep their day; only
+ * instants (Z or ±hh:mm) move, so 2024-01-05T23:30:00Z is 2024-01-06 in
+ * Asia/Gaza. Null when unparseable.
+ */
+export function localDay(date, tz = 'UTC') {
+    const s = String(date ?? '');
+    if (DATE_ONLY.test(s)) return s.slice(0, 10);
+    const d = new Date(s);
+    if (Number.isNaN(d.getTime())) return null;
+    if (tz === 'UTC') return d.toISOString().slice(0, 10);
+    if (!dayFormatters.has(tz)) {
+        dayFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+            timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
+        }));
+    }
+    const parts = Object.fromEntries(dayFormatters.get(tz).formatToParts(d).map((p) => [p.type, p.value]));
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+const utcDay = (day) => new Date(`${day}T00:00:00Z`);
+const fmtDay = (d) => d.toISOString().slice(0, 10);
+
+// First day of the period containing `day`. Weeks are ISO-8601 (Monday
+// start), the same weeks build-events.js clusters by.
+function periodStart(day, interval) {
+    if (interval === 'day') return day;
+    if (interval === 'week') return isoWeek(day).start;
+    const [y, m] = day.split('-').map(Number);
+    if (interval === 'year') return `${y}-01-01`;
+    if (interval === 'quarter') return `${y}-${String(Math.floor((m - 1) / 3) * 3 + 1).padStart(2, '0')}-01`;
+    return `${day.slice(0, 7)}-01`;
+}
+
+function nextPeriod(start, interval) {
+    const d = utcDay(start);
+    if (interval === 'day') d.setUTCDate(d.getUTCDate() + 1);
+    else if (interval === 'week') d.setUTCDate(d.getUTCDate() + 7);
+    else if (interval === 'year') d.setUTCFullYear(d.getUTCFullYear() + 1);
+    else d.setUTCMonth(d.getUTCMonth() + (interval === 'quarter' ? 3 : 1));
+    return fmtDay(d);
+}
+
+function periodEnd(start, interval) {
+    const d = utcDay(nextPeriod(start, interval));
+    d.setUTCDate(d.getUTCDate() - 1);
+    return fmtDay(d);
+}
+
+// Period label: 2024-01-05, 2024-W01, 2024-01, 2024-Q1, 2024.
+function periodLabel(start, interval) {
+    if (interval === 'day') return start;
+    if (interval === 'week') return isoWeek(start).key;
+    if (interval === 'year') return start.slice(0, 4);
+    if (interval === 'quarter') return `${start.slice(0, 4)}-Q${Math.floor((Number(start.slice(5, 7)) - 1) / 3) + 1}`;
+    return start.slice(0, 7);
+}
+
+function dimensionValue(item, dim) {
+    const value = GROUP_DIMENSIONS[dim].split('.').reduce((o, k) => o?.[k], item);
+    return value === undefined || value === null || value === '' ? 'Unknown' : value;
+}
+
+/**
+ * JSON fallback: one { date, region, count, sum, max } row per dated
+ * record — the shape recordStore.timeseriesRows() returns pre-grouped by
+ * (date, region) — plus one field per extra grouping dimension in `dims`.
+ */
+export function timeseriesRowsFromRecords(data, metric, cumulative, dims = []) {
+    return data.map(item => {
+        let metricVal = item.metrics?.[metric] ?? 0;
+        if (metricVal === 0 && metric === 'killed') metricVal = item.fatalities ?? 0;
+        if (metricVal === 0 && metric === 'injured') metricVal = item.injuries ?? 0;
+        if (metricVal === 0 && !cumulative) metricVal = item[metric] ?? 0;
+        const value = typeof metricVal === 'number' ? metricVal : 0;
+        const row = { date: item.date, region: item.location?.region || 'Unknown', count: 1, sum: value, max: value };
+        for (const dim of dims) {
+            if (dim !== 'region') row[dim] = dimensionValue(item, dim);
+        }
+        return row;
+    });
+}
+
+function emptyBucket(start, interval) {
+    if (interval === 'all') return { date: 'all', value: 0, count: 0 };
+    return { date: periodLabel(start, interval), start, end: periodEnd(start, interval), value: 0, count: 0 };
+}
+
+/** The period containing `date` in `tz`: { date, start, end }, or null. */
+export function periodOf(date, interval, tz = 'UTC') {
+    const day = localDay(date, tz);
+    if (!day) return null;
+    const start = periodStart(day, interval);
+    return { date: periodLabel(start, interval), start, end: periodEnd(start, interval) };
+}
+
+/** The `n` periods after the one starting `start`: [{ date, start, end }]. */
+export function periodsAfter(start, interval, n) {
+    const out = [];
+    for (let next = nextPeriod(start, interval); out.length < n; next = nextPeriod(next, interval)) {
+        out.push({ date: periodLabel(next, interval), start: next, end: periodEnd(next, interval) });
+    }
+    return out;
+}
+
+/**
+ * Fold rows into [{ date: <period>, start, end, value, count }], oldest
+ * first. Only periods with records appear; see fillGaps(). Rows are
+ * bucketed by their calendar day in `tz`.
+ */
+export function buildSeries(rows, interval, cumulative, { tz = 'UTC' } = {}) {
+    const buckets = {};
+    const startOf = (date) => {
+        if (interval === 'all') return 'all';
+        const day = localDay(date, tz);
+        return day ? periodStart(day, interval) : null;
+    };
+
+    if (cumulative) {
+        // For cumulative data: find max value per region per time bucket
+        const regionBuckets = {}; // { region: { period: maxVal } }
+        for (const row of rows) {
+            const key = startOf(row.date);
+            if (!key) continue;
+            if (!regionBuckets[row.region]) regionBuckets[row.region] = {};
+            regionBuckets[row.region][key] = Math.max(regionBuckets[row.region][key] || 0, row.max);
+
+            if (!buckets[key]) buckets[key] = emptyBucket(key, interval);
+            buckets[key].count += row.count;
+        }
+        // Sum max values across regions for each period, then compute deltas
+        const allKeys = Object.keys(buckets).sort();
+        for (const key of allKeys) {
+            let totalForPeriod = 0;
+            for (const region of Object.keys(regionBuckets)) {
+                totalForPeriod += regionBuckets[region][key] || 0;
+            }
+            buckets[key].value = totalForPeriod;
+        }
+        // Convert from cumulative to delta
+        for (let i = allKeys.length - 1; i > 0; i--) {
+            buckets[allKeys[i]].value = Math.max(0, buckets[allKeys[i]].value - buckets[allKeys[i - 1]].value);
+        }
+    } else {
+        for (const row of rows) {
+            const key = startOf(row.date);
+            if (!key) continue;
+            if (!buckets[key]) buckets[key] = emptyBucket(key, interval);
+            buckets[key].value += row.sum;
+            buckets[key].count += row.count;
+        }
+    }
+
+    return Object.keys(buckets).sort().map((key) => buckets[key]);
+}
+
+/**
+ * Insert the periods buildSeries() left out between the first and last
+ * bucket, with value 0 (`fill` 'zero') or null ('null') and count 0, so
+ * charts draw gaps instead of interpolating across them. Null when the
+ * span exceeds MAX_FILL_PERIODS.
+ */
+export function fillGaps(series, interval, fill) {
+    if (interval === 'all' || series.length < 2) return series;
+    const byStart = new Map(series.map((b) => [b.start, b]));
+    const last = series[series.length - 1].start;
+    const out = [];
+    for (let start = series[0].start; start <= last; start = nextPeriod(start, interval)) {
+        if (out.length >= MAX_FILL_PERIODS) return null;
+        out.push(byStart.get(start) || { ...emptyBucket(start, interval), value: fill === 'null' ? null : 0 });
+    }
+    return out;
+}
+
+/**
+ * Set `rolling_avg` on each bucket: the mean value over the trailing
+ * `window` periods, counting periods without records (or null-filled) as
+ * 0. The first window-1 periods average over what precedes them. Null when
+ * the span exceeds MAX_FILL_PERIODS.
+ */
+export function addRollingAverage(series, interval, window) {
+    const timeline = fillGaps(series, interval, 'zero');
+    if (!timeline) return null;
+    const avgByStart = new Map();
+    let sum = 0;
+    timeline.forEach((b, i) => {
+        sum += b.value || 0;
+        if (i >= window) sum -= timeline[i - window].value || 0;
+        avgByStart.set(b.start, Math.round((sum / Math.min(i + 1, window)) * 100) / 100);
+    });
+    return series.map((b) => ({ ...b, rolling_avg: avgByStart.get(b.start) }));
+}
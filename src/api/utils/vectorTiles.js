@@ -0,0 +1,223 @@
+/**
+ * On-the-fly Mapbox Vector Tiles (routes/tiles.js).
+ *
+ * A tile layer is a list of GeoJSON features behind a `version` — the mtime
+ * of the file(s) it is read from. Each (indexKey, version) gets one
+ * geojson-vt index, built on first use and rebuilt when the version moves,
+ * the same way the /facilities and /geo/admin loaders re-read on mtime.
+ * geojson-vt simplifies per zoom (TILE_TOLERANCE px at TILE_EXTENT), so a
+ * low-zoom admin tile carries far fewer vertices than the source polygon.
+ *
+ * Encoded tiles are kept in a small in-memory LRU and, unless
+ * TILE_CACHE_DIR=off, on disk under TILE_CACHE_DIR (default data/tile-cache)
+ * as <key>/<version>/<z>/<x>/<y>.mvt. Versions are part of the path, so a
+ * refreshed source never serves an old tile; superseded version directories
+ * are removed when the new index is built.
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import GeoJSONVT from 'geojson-vt';
+import vtpbf from 'vt-pbf';
+import { logger } from '../logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TILE_EXTENT = 4096;
+// Deepest zoom geojson-vt keeps full detail for; clients overzoom past it.
+export const TILE_MAX_ZOOM = 14;
+// Deepest zoom a tile may be requested at.
+export const TILE_MAX_REQUEST_ZOOM = 22;
+const TILE_TOLERANCE = 3;
+const TILE_BUFFER = 64;
+
+const MEMORY_TILES = parseInt(process.env.TILE_MEMORY_CACHE_SIZE, 10) || 2000;
+const CACHE_DIR = process.env.TILE_CACHE_DIR === 'off'
+    ? null
+    : path.resolve(process.env.TILE_CACHE_DIR || path.resolve(__dirname, '../../../data/tile-cache'));
+
+// indexKey → { version, ready: Promise<{ index, count, bounds, fields }> }
+const indexes = new Map();
+// `${cacheKey}/${version}/${z}/${x}/${y}` → Buffer, oldest first
+const memoryTiles = new Map();
+
+export function isValidTile(z, x, y) {
+    if (![z, x, y].every(Number.isInteger)) return false;
+    if (z < 0 || z > TILE_MAX_REQUEST_ZOOM) return false;
+    const n = 2 ** z;
+    return x >= 0 && x < n && y >= 0 && y < n;
+}
+
+// MVT values are strings, numbers or booleans; nested values are sent as
+// JSON and empty ones dropped.
+function tileProperties(props) {
+    const out = {};
+    for (const [k, v] of Object.entries(props || {})) {
+        if (v === null || v === undefined || v === '') continue;
+        out[k] = typeof v === 'object' ? JSON.stringify(v) : v;
+    }
+    return out;
+}
+
+function extendBounds(bounds, coords) {
+    if (typeof coords[0] === 'number') {
+        const [lng, lat] = coords;
+        if (!Number.isFinite(lng) || !Number.isFinite(lat)) return;
+        if (lng < bounds[0]) bounds[0] = lng;
+        if (lat < bounds[1]) bounds[1] = lat;
+        if (lng > bounds[2]) bounds[2] = lng;
+        if (lat > bounds[3]) bounds[3] = lat;
+        return;
+    }
+    for (const c of coords) extendBounds(bounds, c);
+}
+
+async function buildIndex(indexKey, load) {
+    const features = ((await load()) || [])
+        .filter((f) => f?.geometry?.coordinates)
+        .map((f) => ({ type: 'Feature', geometry: f.geometry, properties: tileProperties(f.properties) }));
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    // TileJSON field types: the first value seen per property.
+    const fields = {};
+    for (const f of features) {
+        extendBounds(bounds, f.geometry.coordinates);
+        for (const [k, v] of Object.entries(f.properties)) {
+            if (!(k in fields)) fields[k] = typeof v === 'number' ? 'Number' : typeof v === 'boolean' ? 'Boolean' : 'String';
+        }
+    }
+    const index = new GeoJSONVT({ type: 'FeatureCollection', features }, {
+        maxZoom: TILE_MAX_ZOOM,
+        tolerance: TILE_TOLERANCE,
+        extent: TILE_EXTENT,
+        buffer: TILE_BUFFER,
+    });
+    logger.info({ index: indexKey, features: features.length }, 'vector_tile_index_built');
+    return { index, count: features.length, bounds: Number.isFinite(bounds[0]) ? bounds : null, fields };
+}
+
+/**
+ * The geojson-vt index for `indexKey` at `version`, building it with
+ * `load()` (→ GeoJSON features) when missing or stale.
+ */
+export function tileIndex(indexKey, version, load) {
+    const cached = indexes.get(indexKey);
+    if (cached && cached.version === version) return cached.ready;
+    const ready = buildIndex(indexKey, load);
+    indexes.set(indexKey, { version, ready });
+    ready.catch(() => {
+        if (indexes.get(indexKey)?.ready === ready) indexes.delete(indexKey);
+    });
+    return ready;
+}
+
+// A short, path-safe version for a tile assembled from several indexes.
+export function tileVersion(parts) {
+    return crypto.createHash('sha1')
+        .update(parts.map((p) => `${p.indexKey}@${p.version}`).join('|'))
+        .digest('hex')
+        .slice(0, 12);
+}
+
+function safeSegment(s) {
+    return String(s).replace(/[^a-zA-Z0-9_.+-]/g, '_');
+}
+
+function rememberTile(key, buf) {
+    memoryTiles.delete(key);
+    memoryTiles.set(key, buf);
+    while (memoryTiles.size > MEMORY_TILES) memoryTiles.delete(memoryTiles.keys().next().value);
+}
+
+async function readDiskTile(file) {
+    try {
+        return await fs.readFile(file);
+    } catch {
+        return null;
+    }
+}
+
+function writeDiskTile(file, buf) {
+    fs.mkdir(path.dirname(file), { recursive: true })
+        .then(() => fs.writeFile(file, buf))
+        .catch((err) => logger.warn({ err, file }, 'vector_tile_cache_write_failed'));
+}
+
+// Drop <cacheKey>/<other versions> once a new version is being served.
+const prunedVersions = new Map();
+function pruneDiskVersions(cacheKey, version) {
+    if (!CACHE_DIR || prunedVersions.get(cacheKey) === version) return;
+    prunedVersions.set(cacheKey, version);
+    const dir = path.join(CACHE_DIR, safeSegment(cacheKey));
+    fs.readdir(dir)
+        .then((entries) => Promise.all(entries
+            .filter((e) => e !== version)
+            .map((e) => fs.rm(path.join(dir, e), { recursive: true, force: true }))))
+        .catch(() => { /* nothing cached yet */ });
+}
+
+/**
+ * Encode tile z/x/y from `parts` — [{ name, indexKey, version, load }], one
+ * MVT layer per distinct `name` (parts sharing a name are merged). Returns
+ * a Buffer, empty when no part has features in the tile.
+ *
+ * @param {string} cacheKey  identifies the part set in the tile caches
+ */
+export async function renderTile(cacheKey, parts, z, x, y) {
+    const version = tileVersion(parts);
+    const key = `${cacheKey}/${version}/${z}/${x}/${y}`;
+    const hit = memoryTiles.get(key);
+    if (hit) {
+        rememberTile(key, hit);
+        return hit;
+    }
+    const file = CACHE_DIR
+        ? path.join(CACHE_DIR, safeSegment(cacheKey), version, String(z), String(x), `${y}.mvt`)
+        : null;
+    if (file) {
+        const disk = await readDiskTile(file);
+        if (disk) {
+            rememberTile(key, disk);
+            return disk;
+        }
+    }
+
+    const layers = {};
+    for (const part of parts) {
+        const { index } = await tileIndex(part.indexKey, part.version, part.load);
+        const tile = index.getTile(z, x, y);
+        if (!tile || tile.features.length === 0) continue;
+        const layer = (layers[part.name] ||= { features: [] });
+        layer.features = layer.features.concat(tile.features);
+    }
+    const buf = Object.keys(layers).length
+        ? Buffer.from(vtpbf.fromGeojsonVt(layers, { version: 2, extent: TILE_EXTENT }))
+        : Buffer.alloc(0);
+
+    rememberTile(key, buf);
+    if (file) {
+        pruneDiskVersions(cacheKey, version);
+        writeDiskTile(file, buf);
+    }
+    return buf;
+}
+
+// Bounds, feature counts and property fields of `parts`, for TileJSON.
+export async function describeParts(parts) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    const fields = {};
+    let count = 0;
+    for (const part of parts) {
+        const built = await tileIndex(part.indexKey, part.version, part.load);
+        if (built.bounds) {
+            bounds[0] = Math.min(bounds[0], built.bounds[0]);
+            bounds[1] = Math.min(bounds[1], built.bounds[1]);
+            bounds[2] = Math.max(bounds[2], built.bounds[2]);
+            bounds[3] = Math.max(bounds[3], built.bounds[3]);
+        }
+        fields[part.name] = { ...built.fields, ...fields[part.name] };
+        count += built.count;
+    }
+    return { bounds: Number.isFinite(bounds[0]) ? bounds : null, fields, count };
+}
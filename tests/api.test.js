@@ -47,4 +47,72 @@ describe('API Endpoints', () => {
             expect(res.statusCode).toEqual(400);
         });
     });
+
+    describe('POST /api/v1/geo/admin/lookup', () => {
+        it('resolves a batch in order with the nearest gazetteer place', async () => {
+            const res = await request(app)
+                .post('/api/v1/geo/admin/lookup')
+                .set('X-Forwarded-For', '10.9.0.1')
+                .send({ points: [{ id: 'jenin', lat: 32.46, lng: 35.3 }, { id: 'bad', lat: 'x' }, [31.9038, 35.2034]] });
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.count).toBe(3);
+            expect(res.body.invalid).toBe(1);
+            expect(res.body.results[0].id).toBe('jenin');
+            expect(res.body.results[0].nearest_place.gazetteer_key).toBe('jenin');
+            expect(res.body.results[0].nearest_place.distance_km).toBeLessThan(1);
+            expect(res.body.results[1]).toEqual({ id: 'bad', error: 'invalid_point' });
+            expect(res.body.results[2].nearest_place.gazetteer_key).toBe('ramallah');
+        });
+
+        it('should return 400 for an empty or oversized batch', async () => {
+            const empty = await request(app).post('/api/v1/geo/admin/lookup').set('X-Forwarded-For', '10.9.0.2').send({});
+            expect(empty.statusCode).toEqual(400);
+            const points = Array.from({ length: 10001 }, () => [31.5, 34.45]);
+            const big = await request(app).post('/api/v1/geo/admin/lookup').set('X-Forwarded-For', '10.9.0.3').send({ points });
+            expect(big.statusCode).toEqual(400);
+            expect(big.body.error).toBe('too_many_points');
+        });
+
+        it('charges the rate limit by batch size', async () => {
+            const batch = (n) => ({ points: Array.from({ length: n }, () => [31.5, 34.45]) });
+            // Anonymous: 10 per minute; 2,000 points cost 4.
+            const res = await request(app).post('/api/v1/geo/admin/lookup').set('X-Forwarded-For', '10.9.0.4').send(batch(2000));
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['x-ratelimit-minute-remaining']).toBe('6');
+            const over = await request(app).post('/api/v1/geo/admin/lookup').set('X-Forwarded-For', '10.9.0.4').send(batch(3500));
+            expect(over.statusCode).toEqual(429);
+        });
+    });
+
+    describe('POST /api/v1/baselines/contextualize', () => {
+        it('charges the rate limit by batch size', async () => {
+            const batch = (n) => ({ alerts: Array.from({ length: n }, () => ({ type: 'idf_raid', area: 'Jenin', zone: 'north' })) });
+            // Anonymous: 10 per minute; 50 alerts cost 5, whether or not baselines.json is built.
+            const res = await request(app).post('/api/v1/baselines/contextualize').set('X-Forwarded-For', '10.9.0.5').send(batch(50));
+            expect([200, 503]).toContain(res.statusCode);
+            expect(res.headers['x-ratelimit-minute-remaining']).toBe('5');
+            const over = await request(app).post('/api/v1/baselines/contextualize').set('X-Forwarded-For', '10.9.0.5').send(batch(200));
+            expect(over.statusCode).toEqual(429);
+        });
+    });
+
+    describe('GET /api/v1/places', () => {
+        it('finds a place from an Arabic spelling', async () => {
+            const res = await request(app).get('/api/v1/places?q=%D8%AC%D9%86%D9%8A%D9%86').set('X-Forwarded-For', '10.9.1.1');
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.results[0].gazetteer_key).toBe('jenin');
+        });
+
+        it('builds a profile by gazetteer key and rejects unknown keys', async () => {
+            const res = await request(app).get('/api/v1/places/jenin/profile').set('X-Forwarded-For', '10.9.1.2');
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.place).toMatchObject({ kind: 'gazetteer', key: 'jenin' });
+            for (const section of ['timelines', 'facilities', 'acled', 'ipc', 'population', 'news', 'clusters']) {
+                expect(res.body.data).toHaveProperty(section);
+            }
+            const missing = await request(app).get('/api/v1/places/PS9999/profile').set('X-Forwarded-For', '10.9.1.3');
+            expect(missing.statusCode).toEqual(404);
+            expect(missing.body.error).toBe('unknown_place');
+        });
+    });
 });
@@ -0,0 +1,45 @@
+import { lookupContext, percentileRank, trendVsBaseline } from '../scripts/utils/baseline-analyzer.js';
+import { LiveTransformer } from '../src/api/utils/live-transformer.js';
+
+describe('alert baselines', () => {
+    it('ranks the current week against the past year and counts new alerts on top', () => {
+        expect(percentileRank([0, 0, 1, 3], 1)).toBe(62.5);
+        expect(percentileRank([], 1)).toBeNull();
+        expect(trendVsBaseline(0, 0)).toBe('insufficient_history');
+
+        const weekly = [...new Array(51).fill(0), 1];
+        const baselines = {
+            window_ends: '2024-09-20',
+            baselines: { 'West Bank:idf_raid': { count_7d: 1, count_30d: 1, avg_weekly_90d: 0.1, weekly_12m: weekly } },
+            by_area: { 'Jenin:idf_raid': { count_7d: 1, count_30d: 2, avg_weekly_90d: 0.5, weekly_12m: weekly } },
+        };
+        const [rec] = LiveTransformer.transformAlerts([
+            { type: 'idf_raid', area: 'jenin', zone: 'north', timestamp: '2024-09-21T08:00:00Z' },
+        ]).data;
+        const ctx = LiveTransformer.baselineContext(rec, baselines);
+        expect(ctx).toMatchObject({ scope: 'area', nth_in_30d: 3, count_7d: 2, percentile_rank: 100, unusual: true });
+        expect(ctx.summary).toMatch(/^3rd idf raid in jenin in the last 30 days/);
+
+        const batch = LiveTransformer.transformAlerts([
+            { type: 'idf_raid', area: 'Jenin', zone: 'north', timestamp: '2024-09-21T08:00:00Z' },
+            { type: 'idf_raid', area: 'Jenin', zone: 'north', timestamp: '2024-09-22T08:00:00Z' },
+            { type: 'idf_raid', area: 'Jenin', zone: 'north', timestamp: '2024-09-23T08:00:00Z' },
+        ]).data;
+        const seen = new Map();
+        expect(batch.map((r) => LiveTransformer.baselineContext(r, baselines, seen))
+            .map((c) => [c.nth_in_30d, c.count_7d])).toEqual([[3, 2], [4, 3], [5, 4]]);
+
+        const [late] = LiveTransformer.transformAlerts([
+            { type: 'idf_raid', area: 'Jenin', zone: 'north', timestamp: '2024-10-05T08:00:00Z' },
+        ]).data;
+        expect(LiveTransformer.baselineContext(late, baselines, seen))
+            .toMatchObject({ nth_in_30d: 6, count_7d: null, percentile_rank: null, unusual: false });
+
+        expect(lookupContext(baselines, 'West Bank', 'idf_raid', 'Jenin').summary).toMatch(/near 90d avg of 0.50\/wk$/);
+        expect(lookupContext(baselines, 'West Bank', 'idf_raid').summary).toMatch(/above 90d avg/);
+        expect(trendVsBaseline(2, 0.5)).toBe('near');
+
+        const [elsewhere] = LiveTransformer.transformAlerts([{ type: 'curfew', area: 'Nablus' }]).data;
+        expect(LiveTransformer.baselineContext(elsewhere, baselines)).toBeNull();
+    });
+});
@@ -0,0 +1,87 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Isolated keys.db for this run — set BEFORE importing anything that opens it.
+const TMP_DB = path.join(os.tmpdir(), `pdb-category-scopes-test-${process.pid}.db`);
+process.env.KEYS_DB_PATH = TMP_DB;
+
+// One hit per category; options.filter narrows them as MiniSearch would.
+const HITS = [
+    { id: 'c1', category: 'conflict', preview: 'Strike in Gaza City' },
+    { id: 'h1', category: 'health', preview: 'Gaza hospital out of fuel' },
+];
+jest.unstable_mockModule('../src/api/services/searchService.js', () => ({
+    __esModule: true,
+    initializeSearch: () => { },
+    search: (_q, options = {}) => HITS.filter((h) => !options.filter || options.filter(h)),
+    isSearchReady: () => true,
+}));
+
+const { default: app } = await import('../src/api/server.js');
+const { upsertCustomer, issueApiKey } = await import('../src/api/services/keyStore.js');
+const { scopeCluster } = await import('../src/api/utils/eventClusters.js');
+
+const customer = upsertCustomer({ email: 'category-scopes@example.com' });
+const scoped = issueApiKey({ customerId: customer.id, tier: 'journalist', scopes: { categories: ['conflict'] } });
+const full = issueApiKey({ customerId: customer.id, tier: 'journalist' });
+const auth = (raw) => ({ Authorization: `Bearer ${raw}` });
+
+afterAll(() => {
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TMP_DB + suffix); } catch { /* ignore */ }
+    }
+});
+
+describe('category scopes on /search', () => {
+    it('drops out-of-scope results for a scoped key', async () => {
+        const res = await request(app).get('/api/v1/search?q=gaza').set(auth(scoped.raw));
+        expect(res.statusCode).toBe(200);
+        expect(res.body.results.map((r) => r.id)).toEqual(['c1']);
+
+        const unscoped = await request(app).get('/api/v1/search?q=gaza').set(auth(full.raw));
+        expect(unscoped.body.results.map((r) => r.id)).toEqual(['c1', 'h1']);
+    });
+
+    it('refuses an explicit out-of-scope category', async () => {
+        const res = await request(app).get('/api/v1/search?q=gaza&category=health').set(auth(scoped.raw));
+        expect(res.statusCode).toBe(403);
+        expect(res.body).toMatchObject({ error: 'insufficient_scope', missing_scope: 'category:health' });
+
+        const inScope = await request(app).get('/api/v1/search?q=gaza&category=conflict').set(auth(scoped.raw));
+        expect(inScope.body.results.map((r) => r.id)).toEqual(['c1']);
+    });
+});
+
+describe('category scopes on /events', () => {
+    it('refuses an explicit out-of-scope category', async () => {
+        const res = await request(app).get('/api/v1/events?category=Health').set(auth(scoped.raw));
+        expect(res.statusCode).toBe(403);
+        expect(res.body.missing_scope).toBe('category:health');
+    });
+
+    it('narrows clusters to the categories in scope', () => {
+        const cluster = {
+            cluster_id: 'ev-0000000000000001',
+            categories: ['conflict', 'health'],
+            record_count: 3,
+            members: {
+                conflict: [{ stable_id: 'c1' }],
+                health: [{ stable_id: 'h1' }, { stable_id: 'h2' }],
+            },
+            aggregated: { killed: 4 },
+        };
+        expect(scopeCluster(cluster, null)).toBe(cluster);
+        expect(scopeCluster(cluster, { categories: ['conflict', 'health'] })).toBe(cluster);
+        expect(scopeCluster(cluster, { categories: ['conflict'] })).toEqual({
+            cluster_id: 'ev-0000000000000001',
+            categories: ['conflict'],
+            record_count: 1,
+            members: { conflict: [{ stable_id: 'c1' }] },
+            aggregated: null,
+        });
+        expect(scopeCluster(cluster, { categories: ['land'] })).toBeNull();
+    });
+});
@@ -0,0 +1,38 @@
+import { diffRecords } from '../src/api/utils/changeFeed.js';
+import { attachStableIds, computeLogicalKey } from '../scripts/utils/stable-id.js';
+
+const row = (date, name, killed, extra = {}) => ({
+    category: 'conflict', date, event_type: 'airstrike',
+    location: { name }, metrics: { killed }, ...extra,
+});
+
+describe('stable-id.computeLogicalKey', () => {
+    it('ignores measurements and enrichment but not identity', () => {
+        const a = row('2024-01-01', 'Rafah', 3);
+        const b = row('2024-01-01', 'Rafah', 5, { description: 'revised' });
+        b.location.admin2 = 'Rafah';
+        expect(computeLogicalKey(a)).toBe(computeLogicalKey(b));
+        expect(computeLogicalKey(a)).not.toBe(computeLogicalKey(row('2024-01-02', 'Rafah', 3)));
+    });
+
+    it('prefers upstream source_record_key when present', () => {
+        const src = (key) => ({ sources: [{ name: 'UNRWA', source_record_key: key }] });
+        expect(computeLogicalKey(row('2024-01-01', 'Gaza', 1, src('r1'))))
+            .toBe(computeLogicalKey(row('2024-02-09', 'Gaza City', 1, src('r1'))));
+    });
+});
+
+describe('changeFeed.diffRecords', () => {
+    it('classifies added, removed, modified and unchanged', () => {
+        const before = attachStableIds([row('2024-01-01', 'Rafah', 3), row('2024-01-02', 'Jenin', 1), row('2024-01-03', 'Nablus', 0)]);
+        const after = attachStableIds([row('2024-01-01', 'Rafah', 4), row('2024-01-02', 'Jenin', 1), row('2024-01-04', 'Tubas', 2)]);
+        const { entries, summary } = diffRecords(before, after);
+
+        expect(summary).toEqual({ added: 1, removed: 1, modified: 1, unchanged: 1 });
+        const modified = entries.find((e) => e.change === 'modified');
+        expect(modified.previous_stable_id).toBe(before[0].stable_id);
+        expect(modified.stable_id).toBe(after[0].stable_id);
+        expect(entries.find((e) => e.change === 'removed').stable_id).toBe(before[2].stable_id);
+        expect(entries.map((e) => e.stable_id)).toEqual(entries.map((e) => e.stable_id).slice().sort());
+    });
+});
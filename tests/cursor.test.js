@@ -0,0 +1,49 @@
+import { sortRecords, paginateSorted, readCursorQuery } from '../src/api/utils/cursor.js';
+
+const rec = (id, date) => ({ stable_id: id, date });
+
+function page(records, query, limit = 2) {
+    const { sortBy, order, cursor } = readCursorQuery(query);
+    const sorted = sortRecords(records.slice(), sortBy, order);
+    return paginateSorted(sorted, { sortBy, order, limit, cursor });
+}
+
+describe('cursor pagination', () => {
+    const base = [rec('b', '2024-01-02'), rec('a', '2024-01-02'), rec('c', '2024-01-01'), rec('d', null), rec('e', '2024-01-03')];
+
+    it('orders by sort field then stable_id, nulls last', () => {
+        const sorted = sortRecords(base.slice(), 'date', 'desc');
+        expect(sorted.map((r) => r.stable_id)).toEqual(['e', 'a', 'b', 'c', 'd']);
+    });
+
+    it('walks forward and back with next/prev cursors', () => {
+        const p1 = page(base, {});
+        expect(p1.items.map((r) => r.stable_id)).toEqual(['e', 'a']);
+        expect(p1.prev_cursor).toBeNull();
+
+        const p2 = page(base, { cursor: p1.next_cursor });
+        expect(p2.items.map((r) => r.stable_id)).toEqual(['b', 'c']);
+
+        const back = page(base, { cursor: p2.prev_cursor });
+        expect(back.items.map((r) => r.stable_id)).toEqual(['e', 'a']);
+
+        const p3 = page(base, { cursor: p2.next_cursor });
+        expect(p3.items.map((r) => r.stable_id)).toEqual(['d']);
+        expect(p3.next_cursor).toBeNull();
+    });
+
+    it('does not skip or repeat rows when new records land mid-sync', () => {
+        const p1 = page(base, {});
+        const grown = [...base, rec('f', '2024-01-04'), rec('0', '2024-01-02')];
+        const p2 = page(grown, { cursor: p1.next_cursor });
+        // '0' sorts before 'a' at the same date, i.e. before the cursor row.
+        expect(p2.items.map((r) => r.stable_id)).toEqual(['b', 'c']);
+    });
+
+    it('rejects malformed cursors and sort mismatches', () => {
+        expect(readCursorQuery({ cursor: 'not-a-cursor' }).error.error).toBe('invalid_cursor');
+        const { next_cursor } = page(base, {});
+        expect(readCursorQuery({ cursor: next_cursor, order: 'asc' }).error.message).toMatch(/order=desc/);
+        expect(readCursorQuery({ cursor: next_cursor, sort_by: 'date' }).error).toBeUndefined();
+    });
+});
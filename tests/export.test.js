@@ -0,0 +1,30 @@
+import { EXPORT_COLUMNS, flattenRecord } from '../src/api/utils/exportWriters.js';
+
+describe('exportWriters.flattenRecord', () => {
+    it('expands nested location/metrics into dot-named columns', () => {
+        const row = flattenRecord({
+            stable_id: 'abc',
+            date: '2024-03-01',
+            location: { name: 'Jenin', admin2: 'Jenin', lat: '32.46' },
+            metrics: { killed: 3, injured: 0 },
+            quality: { verified: true },
+        });
+        expect(row['location.admin2']).toBe('Jenin');
+        expect(row['location.lat']).toBe(32.46);
+        expect(row['metrics.killed']).toBe(3);
+        expect(row['metrics.injured']).toBe(0);
+        expect(row['quality.verified']).toBe(true);
+        expect(row['metrics.displaced']).toBeNull();
+    });
+
+    it('joins source names into one cell', () => {
+        const row = flattenRecord({ sources: [{ name: 'UCDP' }, 'B\'Tselem'] });
+        expect(row.sources).toBe('UCDP; B\'Tselem');
+    });
+
+    it('emits exactly the shared column set', () => {
+        const row = flattenRecord({ unexpected_extra: 1 });
+        expect(Object.keys(row)).toEqual(EXPORT_COLUMNS.map((c) => c.name));
+        expect(EXPORT_COLUMNS[0].name).toBe('stable_id');
+    });
+});
@@ -0,0 +1,124 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DatabaseSync } from 'node:sqlite';
+import { renderFeed } from '../src/api/utils/feeds.js';
+
+// Throwaway news.db — set BEFORE importing the collector and the API.
+const TMP_DB = path.join(os.tmpdir(), `pdb-feeds-test-${process.pid}.db`);
+process.env.NEWS_DB_PATH = TMP_DB;
+
+jest.unstable_mockModule('../src/api/services/searchService.js', () => ({
+    __esModule: true,
+    initializeSearch: () => { },
+    search: () => [],
+    isSearchReady: () => true,
+}));
+
+const { initDb } = await import('../scripts/news-collector.js');
+const { default: app } = await import('../src/api/server.js');
+
+const ids = {};
+
+beforeAll(() => {
+    const db = new DatabaseSync(TMP_DB);
+    initDb(db);
+    const insert = db.prepare(`INSERT INTO articles (guid_hash, source_id, source_name, language, reliability,
+        palestine_relevant, title, link, published_at, fetched_at) VALUES (?, 'src', 'Source', 'en', 'high', 1, ?, ?, ?, ?)`);
+    const add = (key, title, at) => {
+        ids[key] = Number(insert.run(key, title, `https://example.org/${key}`, at, at).lastInsertRowid);
+    };
+    add('older', 'Gaza hospital out of fuel', '2024-05-01T08:00:00Z');
+    add('newer', 'Raid in Jenin & Tulkarm <update>', '2024-05-02T06:00:00Z');
+    db.close();
+});
+
+afterAll(() => {
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TMP_DB + suffix); } catch { /* ignore */ }
+    }
+});
+
+const FEED = {
+    title: 'Test & feed',
+    selfUrl: 'https://api.example/api/v1/unified/conflict?format=atom',
+    homeUrl: 'https://api.example/api/v1/unified/conflict',
+    attributions: ['Source A', 'Source B'],
+    items: [{
+        id: 'https://api.example/api/v1/record/conflict/abc',
+        title: 'Strike <north> "Gaza"\u0007',
+        summary: 'Two killed',
+        published: '2024-05-02',
+        categories: ['conflict'],
+        attributions: ['Source A'],
+        extra: { stable_id: 'abc' },
+    }],
+};
+
+describe('feed serializers', () => {
+    it('renders Atom with escaped text, permalinks and rights', () => {
+        const xml = renderFeed('atom', FEED);
+        expect(xml).toContain('<title>Test &amp; feed</title>');
+        expect(xml).toContain('<id>https://api.example/api/v1/record/conflict/abc</id>');
+        expect(xml).toContain('<title>Strike &lt;north&gt; &quot;Gaza&quot;</title>');
+        expect(xml).toContain('<published>2024-05-02T00:00:00.000Z</published>');
+        expect(xml).toContain('<rights>Source A</rights>');
+        expect(xml).toContain('<rights>Source A; Source B</rights>');
+        expect(xml).not.toContain('stable_id');
+    });
+
+    it('renders RSS with a permalink guid and dc:rights', () => {
+        const xml = renderFeed('rss', FEED);
+        expect(xml).toContain('<guid isPermaLink="true">https://api.example/api/v1/record/conflict/abc</guid>');
+        expect(xml).toContain('<pubDate>Thu, 02 May 2024 00:00:00 GMT</pubDate>');
+        expect(xml).toContain('<dc:rights>Source A</dc:rights>');
+        expect(xml).toContain('<copyright>Source A; Source B</copyright>');
+    });
+
+    it('renders JSON Feed with the extras under _palestine_data', () => {
+        const feed = JSON.parse(renderFeed('jsonfeed', FEED));
+        expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+        expect(feed._palestine_data.required_attributions).toEqual(['Source A', 'Source B']);
+        expect(feed.items[0]).toMatchObject({
+            id: FEED.items[0].id,
+            url: FEED.items[0].id,
+            date_published: '2024-05-02T00:00:00.000Z',
+            _palestine_data: { permalink: FEED.items[0].id, attributions: ['Source A'], stable_id: 'abc' },
+        });
+    });
+});
+
+describe('feeds over the API', () => {
+    it('serves /news/latest as Atom with ?format=', async () => {
+        const res = await request(app).get('/api/v1/news/latest?format=atom');
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^application\/atom\+xml/);
+        expect(res.headers.vary).toMatch(/Accept/);
+        const xml = res.text;
+        expect(xml).toMatch(new RegExp(`<id>http://[^<]+/api/v1/news/${ids.newer}</id>`));
+        expect(xml).toContain('<link rel="alternate" href="https://example.org/newer"/>');
+        expect(xml).toContain('Raid in Jenin &amp; Tulkarm &lt;update&gt;');
+        expect(xml.indexOf('example.org/newer')).toBeLessThan(xml.indexOf('example.org/older'));
+    });
+
+    it('negotiates a feed from the Accept header, and keeps JSON the default', async () => {
+        const rss = await request(app).get('/api/v1/news/latest').set('Accept', 'application/rss+xml');
+        expect(rss.headers['content-type']).toMatch(/^application\/rss\+xml/);
+        expect(rss.text).toContain(`/news/${ids.older}</guid>`);
+
+        const json = await request(app).get('/api/v1/news/latest');
+        expect(json.headers['content-type']).toMatch(/^application\/json/);
+        expect(json.body.count).toBe(2);
+
+        const explicit = await request(app).get('/api/v1/news/latest?format=json').set('Accept', 'application/rss+xml');
+        expect(explicit.headers['content-type']).toMatch(/^application\/json/);
+    });
+
+    it('rejects an unknown format', async () => {
+        const res = await request(app).get('/api/v1/news/latest?format=xml');
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toBe('invalid_format');
+    });
+});
@@ -0,0 +1,77 @@
+import Database from 'better-sqlite3';
+import { compileFilter, filterToSql } from '../src/api/utils/filterQuery.js';
+import { PATH_COLUMNS, RECORD_DB_SCHEMA, RECORD_INSERT_COLUMNS, recordToRow } from '../scripts/utils/record-db.js';
+
+const records = [
+    { stable_id: 'a', event_type: 'airstrike', date: '2024-02-01', location: { admin1: 'Gaza Strip' }, metrics: { injured: 7 }, sources: [{ name: 'UCDP' }] },
+    { stable_id: 'b', event_type: 'raid', date: '2024-03-05', location: { admin1: 'West Bank' }, metrics: { injured: 12 }, sources: [] },
+    { stable_id: 'c', event_type: 'raid', date: '2024-01-10', location: { admin1: 'Gaza Strip' }, metrics: { injured: 2 } },
+    { stable_id: 'd', event_type: 'demolition', date: '2024-04-01', location: { admin1: 'Gaza Strip', admin2: 'Rafah' }, metrics: { injured: '9' } },
+];
+
+function ids(expr) {
+    const { predicate, error } = compileFilter(expr);
+    expect(error).toBeUndefined();
+    return records.filter(predicate).map((r) => r.stable_id);
+}
+
+describe('filterQuery.compileFilter', () => {
+    it('evaluates AND / IN with unquoted multi-word values', () => {
+        expect(ids('metrics.injured>=5 AND event_type IN (airstrike,raid) AND location.admin1=Gaza Strip')).toEqual(['a']);
+    });
+
+    it('honours precedence, parentheses, NOT and case-insensitive keywords', () => {
+        expect(ids('event_type=raid or event_type=airstrike and metrics.injured>10')).toEqual(['b', 'c']);
+        expect(ids('(event_type=raid or event_type=airstrike) and metrics.injured>10')).toEqual(['b']);
+        expect(ids('NOT location.admin1="gaza strip"')).toEqual(['b']);
+        expect(ids('event_type NOT IN (raid)')).toEqual(['a', 'd']);
+    });
+
+    it('handles null, contains, ISO dates and array fields', () => {
+        expect(ids('location.admin2=null')).toEqual(['a', 'b', 'c']);
+        expect(ids('location.admin2!=null')).toEqual(['d']);
+        expect(ids('event_type~DEMO')).toEqual(['d']);
+        expect(ids('date>=2024-03-01')).toEqual(['b', 'd']);
+        expect(ids('sources=ucdp')).toEqual(['a']);
+    });
+
+    it('points at the offending token on malformed input', () => {
+        expect(compileFilter('metrics.rockets_fired>=5').error).toBeUndefined();
+        const unknown = compileFilter('event_typ=raid');
+        expect(unknown.error).toMatchObject({ position: 0, token: 'event_typ' });
+
+        const notNumber = compileFilter('event_type=raid AND metrics.killed>=lots');
+        expect(notNumber.error).toMatchObject({ position: 36, token: 'lots' });
+
+        const dangling = compileFilter('event_type=raid AND');
+        expect(dangling.error.position).toBe(19);
+        expect(dangling.error.message).toMatch(/end of filter/);
+
+        expect(compileFilter('event_type IN (raid').error.message).toMatch(/close the IN list/);
+        expect(compileFilter('quality.verified~tru').error.token).toBe('~');
+    });
+});
+
+describe('filterQuery.filterToSql', () => {
+    it('selects the same records from records.db as the JS predicate', () => {
+        const db = new Database(':memory:');
+        db.exec(RECORD_DB_SCHEMA);
+        const insert = db.prepare(`INSERT INTO records (${RECORD_INSERT_COLUMNS.join(', ')}) VALUES (${RECORD_INSERT_COLUMNS.map(() => '?').join(', ')})`);
+        records.forEach((r, i) => insert.run(recordToRow(r, i)));
+
+        for (const expr of [
+            'metrics.injured>=5 AND event_type IN (airstrike,raid) AND location.admin1=Gaza Strip',
+            'NOT location.admin1="gaza strip"',
+            'location.admin2=null OR location.admin2 IN (rafah)',
+            'location.admin2!=rafah',
+            'event_type~DEMO OR sources~ucd',
+            'sources=null',
+            'sources NOT IN (ucdp)',
+        ]) {
+            const { sql, params } = filterToSql(compileFilter(expr).ast, (p) => PATH_COLUMNS[p] || null);
+            const got = db.prepare(`SELECT stable_id FROM records WHERE ${sql} ORDER BY pos`).pluck().all(...params);
+            expect({ expr, ids: got }).toEqual({ expr, ids: ids(expr) });
+        }
+        db.close();
+    });
+});
@@ -0,0 +1,23 @@
+import { loadGazetteerIndex, searchPlaces, nameSkeleton } from '../src/api/utils/gazetteer.js';
+import { normalizeName } from '../scripts/utils/location-resolver.js';
+
+const gazetteer = await loadGazetteerIndex();
+const keys = (q) => searchPlaces(gazetteer, q, { limit: 3 }).map((r) => r.place.canonical_key);
+
+describe('gazetteer place search', () => {
+    it('reduces Arabic and Latin spellings to one consonant skeleton', () => {
+        const skeleton = (s) => nameSkeleton(normalizeName(s));
+        expect(new Set(['Jenin', 'جنين', 'Janin'].map(skeleton))).toEqual(new Set(['jn']));
+        expect(skeleton('Khan Younis')).toBe(skeleton('خان يونس'));
+        expect(skeleton('Deir el-Balah')).toBe(skeleton('دير البلح'));
+        expect(skeleton('Beit Hanun')).toBe(skeleton('بيت حانون'));
+    });
+
+    it('finds places across scripts, transliterations and typos', () => {
+        for (const q of ['Jenin', 'جنين', 'Janin']) expect(keys(q)).toContain('jenin');
+        expect(keys('Jenin')[0]).toBe('jenin');
+        expect(keys('خان يونس')[0]).toBe('khan_yunis');
+        expect(keys('nablis')[0]).toBe('nablus');
+        expect(searchPlaces(gazetteer, '  ')).toEqual([]);
+    });
+});
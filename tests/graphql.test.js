@@ -0,0 +1,38 @@
+import { parse, getOperationAST, getNamedType } from 'graphql';
+import { schema } from '../src/api/utils/graphqlSchema.js';
+import { estimateQueryCost } from '../src/api/utils/graphqlCost.js';
+import { listFieldPaths } from '../scripts/utils/canonical-schema.js';
+
+function cost(query, variables = {}) {
+    const doc = parse(query);
+    return estimateQueryCost(schema, doc, getOperationAST(doc), variables);
+}
+
+describe('graphqlSchema', () => {
+    it('exposes every canonical field path on Record', () => {
+        for (const { path } of listFieldPaths()) {
+            let type = schema.getType('Record');
+            for (const part of path.split('.')) {
+                const field = type.getFields()[part];
+                expect({ path, found: Boolean(field) }).toEqual({ path, found: true });
+                type = getNamedType(field.type);
+            }
+        }
+    });
+});
+
+describe('graphqlCost.estimateQueryCost', () => {
+    it('multiplies nested loads by page size and list estimates', () => {
+        expect(cost('{ categories licenses { id } }')).toBe(2);
+        expect(cost('{ records(category: "conflict", limit: 50) { total items { stable_id } } }')).toBe(1);
+        // 1 + 50 × (clusters 1 + 2 clusters × 10 members × record 1)
+        expect(cost('{ records(category: "conflict", limit: 50) { items { clusters { siblings { record { date } } } } } }')).toBe(1051);
+    });
+
+    it('reads limits from variables and expands fragments', () => {
+        const query = `query($n: Int) { records(category: "health", limit: $n) { items { ...R } } }
+            fragment R on Record { clusters { cluster_id } }`;
+        expect(cost(query, { n: 10 })).toBe(11);
+        expect(cost(query, {})).toBe(1 + 20);
+    });
+});
@@ -0,0 +1,66 @@
+import { normalizeScopes, missingScope } from '../src/api/utils/keyScopes.js';
+
+const req = (method, path, headers = {}) => ({ method, path, headers });
+
+describe('keyScopes.normalizeScopes', () => {
+    it('normalizes routes, methods, categories and origins', () => {
+        expect(normalizeScopes({
+            routes: ['/unified/', '/api/v1/record'],
+            methods: ['get', 'GET'],
+            categories: ['Conflict'],
+            origins: ['https://dash.example.org/embed?x=1'],
+        })).toEqual({
+            scopes: {
+                routes: ['/api/v1/unified', '/api/v1/record'],
+                categories: ['conflict'],
+                methods: ['GET'],
+                origins: ['https://dash.example.org'],
+            },
+        });
+        expect(normalizeScopes(undefined)).toEqual({ scopes: null });
+        expect(normalizeScopes({})).toEqual({ scopes: null });
+    });
+
+    it('rejects unknown dimensions and bad entries', () => {
+        expect(normalizeScopes({ tiers: ['ngo'] }).error).toMatch(/Unknown scope "tiers"/);
+        expect(normalizeScopes({ methods: ['TRACE'] }).error).toMatch(/Invalid methods scope/);
+        expect(normalizeScopes({ routes: [] }).error).toMatch(/non-empty array/);
+        expect(normalizeScopes({ origins: ['not a url'] }).error).toMatch(/Invalid origins scope/);
+    });
+});
+
+describe('keyScopes.missingScope', () => {
+    const { scopes } = normalizeScopes({
+        routes: ['/unified', '/record'],
+        categories: ['conflict'],
+        methods: ['GET'],
+    });
+
+    it('allows in-scope requests and unscoped keys', () => {
+        expect(missingScope(scopes, req('GET', '/api/v1/unified/conflict/summary'))).toBeNull();
+        expect(missingScope(scopes, req('HEAD', '/api/v1/record/conflict/abc'))).toBeNull();
+        expect(missingScope(null, req('DELETE', '/api/v1/anything'))).toBeNull();
+    });
+
+    it('names the first missing scope', () => {
+        expect(missingScope(scopes, req('POST', '/api/v1/unified/conflict'))).toBe('method:POST');
+        expect(missingScope(scopes, req('GET', '/api/v1/unifiedx'))).toBe('route:/api/v1/unifiedx');
+        expect(missingScope(scopes, req('GET', '/api/v1/unified/health'))).toBe('category:health');
+    });
+
+    it('reads the category from mixed-case paths, as Express routes them', () => {
+        const { scopes: categories } = normalizeScopes({ categories: ['conflict'] });
+        expect(missingScope(categories, req('GET', '/api/v1/UNIFIED/health'))).toBe('category:health');
+        expect(missingScope(categories, req('GET', '/API/V1/Unified/Health/summary'))).toBe('category:health');
+        expect(missingScope(categories, req('GET', '/api/v1/Record/health/abc'))).toBe('category:health');
+        expect(missingScope(categories, req('GET', '/api/v1/Unified/Conflict'))).toBeNull();
+    });
+
+    it('matches origins from Origin or Referer', () => {
+        const { scopes: web } = normalizeScopes({ origins: ['https://dash.example.org'] });
+        expect(missingScope(web, req('GET', '/api/v1/news', { origin: 'https://dash.example.org' }))).toBeNull();
+        expect(missingScope(web, req('GET', '/api/v1/news', { referer: 'https://dash.example.org/page' }))).toBeNull();
+        expect(missingScope(web, req('GET', '/api/v1/news', { origin: 'https://evil.example' }))).toBe('origin:https://evil.example');
+        expect(missingScope(web, req('GET', '/api/v1/news'))).toBe('origin:(none)');
+    });
+});
@@ -0,0 +1,109 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Isolated keys.db for this run — set BEFORE importing anything that opens it.
+const TMP_DB = path.join(os.tmpdir(), `pdb-me-keys-test-${process.pid}.db`);
+process.env.KEYS_DB_PATH = TMP_DB;
+
+jest.unstable_mockModule('../src/api/services/searchService.js', () => ({
+    __esModule: true,
+    initializeSearch: () => { },
+    search: () => [],
+    isSearchReady: () => true,
+}));
+
+const { default: app } = await import('../src/api/server.js');
+const { upsertCustomer, issueApiKey } = await import('../src/api/services/keyStore.js');
+
+const customer = upsertCustomer({ email: 'keys@example.com' });
+const first = issueApiKey({ customerId: customer.id, tier: 'journalist' });
+const other = issueApiKey({ customerId: upsertCustomer({ email: 'other@example.com' }).id, tier: 'free' });
+const auth = (raw) => ({ Authorization: `Bearer ${raw}` });
+
+afterAll(() => {
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TMP_DB + suffix); } catch { /* ignore */ }
+    }
+});
+
+describe('/api/v1/me/keys', () => {
+    it('requires a key', async () => {
+        const res = await request(app).get('/api/v1/me/keys');
+        expect(res.statusCode).toBe(401);
+    });
+
+    it('rotates: mint on the same tier, revoke the old key, old key stops working', async () => {
+        const minted = await request(app).post('/api/v1/me/keys').set(auth(first.raw)).send({ label: 'ci' });
+        expect(minted.statusCode).toBe(201);
+        expect(minted.body).toMatchObject({ tier: 'journalist', label: 'ci', status: 'active', current: false });
+        expect(minted.body.key).toMatch(/^pdb_live_[a-f0-9]{32}$/);
+
+        const list = await request(app).get('/api/v1/me/keys').set(auth(minted.body.key));
+        expect(list.body.keys.map((k) => k.id)).toEqual([minted.body.id, first.id]);
+        expect(list.body.keys[0].current).toBe(true);
+
+        const revoked = await request(app).delete(`/api/v1/me/keys/${first.id}`)
+            .set(auth(minted.body.key)).send({ reason: 'rotated' });
+        expect(revoked.statusCode).toBe(200);
+        expect(revoked.body).toMatchObject({ status: 'revoked', revoked_reason: 'rotated' });
+        expect(revoked.body.revoked_at).toBeTruthy();
+
+        const old = await request(app).get('/api/v1/me/keys').set(auth(first.raw));
+        expect(old.statusCode).toBe(401);
+
+        // Only one active key left — refuse to lock the account out.
+        const last = await request(app).delete(`/api/v1/me/keys/${minted.body.id}`).set(auth(minted.body.key));
+        expect(last.statusCode).toBe(409);
+        expect(last.body.error).toBe('last_active_key');
+    });
+
+    it('labels only the caller\'s own keys', async () => {
+        const mine = await request(app).get('/api/v1/me/keys').set(auth(other.raw));
+        const res = await request(app).patch(`/api/v1/me/keys/${mine.body.keys[0].id}`)
+            .set(auth(other.raw)).send({ label: 'laptop' });
+        expect(res.body.label).toBe('laptop');
+
+        const foreign = await request(app).patch(`/api/v1/me/keys/${first.id}`)
+            .set(auth(other.raw)).send({ label: 'x' });
+        expect(foreign.statusCode).toBe(404);
+    });
+
+    it('enforces scopes on minted keys and names the missing one', async () => {
+        const minted = await request(app).post('/api/v1/me/keys').set(auth(other.raw))
+            .send({ label: 'dashboard', scopes: { routes: ['/unified', '/me/usage'], categories: ['conflict'] } });
+        expect(minted.statusCode).toBe(201);
+        expect(minted.body.scopes).toEqual({ routes: ['/api/v1/unified', '/api/v1/me/usage'], categories: ['conflict'] });
+
+        const route = await request(app).get('/api/v1/sources').set(auth(minted.body.key));
+        expect(route.statusCode).toBe(403);
+        expect(route.body).toMatchObject({ error: 'insufficient_scope', missing_scope: 'route:/api/v1/sources' });
+
+        const category = await request(app).get('/api/v1/unified/health').set(auth(minted.body.key));
+        expect(category.body.missing_scope).toBe('category:health');
+
+        const byCategory = await request(app).post('/api/v1/me/keys').set(auth(other.raw))
+            .send({ scopes: { categories: ['conflict'] } });
+        for (const path of ['/api/v1/UNIFIED/health', '/api/v1/Unified/health/summary', '/api/v1/RECORD/health/abc']) {
+            const mixed = await request(app).get(path).set(auth(byCategory.body.key));
+            expect(mixed.statusCode).toBe(403);
+            expect(mixed.body.missing_scope).toBe('category:health');
+        }
+
+        const usage = await request(app).get('/api/v1/me/usage').set(auth(minted.body.key));
+        expect(usage.statusCode).toBe(200);
+
+        const bad = await request(app).post('/api/v1/me/keys').set(auth(other.raw)).send({ scopes: { methods: ['TRACE'] } });
+        expect(bad.body.error).toBe('invalid_scopes');
+    });
+
+    it('refuses key management with a scoped key', async () => {
+        const minted = await request(app).post('/api/v1/me/keys').set(auth(other.raw))
+            .send({ scopes: { methods: ['GET', 'POST'] } });
+        const res = await request(app).post('/api/v1/me/keys').set(auth(minted.body.key)).send({});
+        expect(res.statusCode).toBe(403);
+        expect(res.body.missing_scope).toBe('keys:manage');
+    });
+});
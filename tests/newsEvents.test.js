@@ -0,0 +1,96 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DatabaseSync } from 'node:sqlite';
+
+// Throwaway news.db — set BEFORE importing the collector and the API.
+const TMP_DB = path.join(os.tmpdir(), `pdb-news-events-test-${process.pid}.db`);
+process.env.NEWS_DB_PATH = TMP_DB;
+
+const CLUSTERS = [
+    { cluster_id: 'ev-00000000000000a1', place_key: 'jenin', place_kind: 'gazetteer', place_name: 'Jenin', admin2: 'Jenin', week: '2024-W18', period: { start: '2024-04-29', end: '2024-05-05' }, categories: ['conflict'], record_count: 2, members: {} },
+    { cluster_id: 'ev-00000000000000a2', place_key: 'admin2:jenin', place_kind: 'admin2', place_name: 'Jenin', admin2: 'Jenin', week: '2024-W18', period: { start: '2024-04-29', end: '2024-05-05' }, categories: ['conflict', 'land'], record_count: 5, members: {} },
+    { cluster_id: 'ev-00000000000000b1', place_key: 'nablus', place_kind: 'gazetteer', place_name: 'Nablus', admin2: 'Nablus', week: '2024-W18', period: { start: '2024-04-29', end: '2024-05-05' }, categories: ['conflict'], record_count: 1, members: {} },
+];
+const EVENTS = { generated_at: '2024-05-06T00:00:00Z', total: CLUSTERS.length, data: CLUSTERS };
+Object.defineProperty(EVENTS, 'byId', { value: new Map(CLUSTERS.map((c) => [c.cluster_id, c])) });
+
+jest.unstable_mockModule('../src/api/services/searchService.js', () => ({
+    __esModule: true,
+    initializeSearch: () => { },
+    search: () => [],
+    isSearchReady: () => true,
+}));
+// Cluster files and admin boundaries are pipeline outputs, not repo files.
+jest.unstable_mockModule('../src/api/utils/eventClusters.js', () => ({
+    __esModule: true,
+    loadEventClusters: async () => EVENTS,
+    loadMemberIndex: async () => ({}),
+    findCluster: async (id) => EVENTS.byId.get(id) || null,
+    clustersForRecord: async () => [],
+    // No category-scoped keys here.
+    scopeCluster: (cluster) => cluster,
+}));
+jest.unstable_mockModule('../scripts/utils/location-resolver.js', () => ({
+    __esModule: true,
+    normalizeName: (s) => String(s || '').toLowerCase(),
+    pointToAdmin: () => null,
+    resolveLocation: ({ name }) => ({
+        Jenin: { gazetteer_key: 'jenin', admin1: 'West Bank', admin2: 'Jenin', admin2_pcode: 'PS0105' },
+        'جنين': { gazetteer_key: 'jenin', admin1: 'West Bank', admin2: 'Jenin', admin2_pcode: 'PS0105' },
+    })[name] || null,
+}));
+
+const { initDb } = await import('../scripts/news-collector.js');
+const { linkArticles } = await import('../scripts/utils/news-events.js');
+const { default: app } = await import('../src/api/server.js');
+
+const JENIN = JSON.stringify([{ canonical: 'jenin', name_en: 'Jenin', name_ar: 'جنين' }]);
+const ids = {};
+
+beforeAll(() => {
+    const db = new DatabaseSync(TMP_DB);
+    initDb(db);
+    const insert = db.prepare(`INSERT INTO articles (guid_hash, source_id, source_name, language, reliability,
+        title, entities, published_at, fetched_at) VALUES (?, 'src', 'Source', 'en', 'high', ?, ?, ?, ?)`);
+    const add = (key, title, entities, at) => { ids[key] = Number(insert.run(key, title, entities, at, at).lastInsertRowid); };
+    add('raid', 'Israeli forces raid Jenin camp', JENIN, '2024-05-02T06:00:00Z');
+    add('later', 'Jenin residents rebuild', JENIN, '2024-05-20T06:00:00Z');
+    add('nowhere', 'Statement on Gaza', JSON.stringify([{ canonical: 'gaza_strip', name_en: 'Gaza Strip' }]), '2024-05-02T06:00:00Z');
+
+    expect(linkArticles(db, CLUSTERS)).toEqual({ articles: 2, placed: 1, links: 2, clusters: 2 });
+    // Rebuilt from scratch each run.
+    expect(linkArticles(db, CLUSTERS).links).toBe(2);
+    db.close();
+});
+
+afterAll(() => {
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TMP_DB + suffix); } catch { /* ignore */ }
+    }
+});
+
+describe('news ↔ event cluster links', () => {
+    it('returns related_events and resolved places on /news/:id', async () => {
+        const res = await request(app).get(`/api/v1/news/${ids.raid}`);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.places).toEqual([{ gazetteer_key: 'jenin', admin2: 'Jenin', admin2_pcode: 'PS0105' }]);
+        expect(res.body.related_events.map((e) => e.cluster_id).sort()).toEqual(['ev-00000000000000a1', 'ev-00000000000000a2']);
+        expect(res.body.related_events[0].url).toMatch(/\/api\/v1\/events\/ev-00000000000000a\d$/);
+
+        const other = await request(app).get(`/api/v1/news/${ids.later}`);
+        expect(other.body.related_events).toEqual([]);
+    });
+
+    it('lists a cluster\'s coverage on /events/:id', async () => {
+        const res = await request(app).get('/api/v1/events/ev-00000000000000a2');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.news.total).toBe(1);
+        expect(res.body.news.articles[0]).toMatchObject({ id: ids.raid, matched_on: 'admin2', source_name: 'Source' });
+
+        const none = await request(app).get('/api/v1/events/ev-00000000000000b1');
+        expect(none.body.news).toMatchObject({ total: 0, articles: [] });
+    });
+});
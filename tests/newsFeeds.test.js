@@ -0,0 +1,129 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { DatabaseSync } from 'node:sqlite';
+import {
+    adaptInterval, recordSuccess, recordFailure, fetchByHost,
+    MIN_INTERVAL_MS, MAX_INTERVAL_MS, DISABLE_AFTER_FAILURES, DISABLED_RETRY_MS,
+} from '../scripts/utils/feed-schedule.js';
+
+// Throwaway news.db — set BEFORE importing the collector and the API.
+const TMP_DB = path.join(os.tmpdir(), `pdb-news-feeds-test-${process.pid}.db`);
+process.env.NEWS_DB_PATH = TMP_DB;
+
+jest.unstable_mockModule('../src/api/services/searchService.js', () => ({
+    __esModule: true,
+    initializeSearch: () => { },
+    search: () => [],
+    isSearchReady: () => true,
+}));
+
+const { initDb, runOnce } = await import('../scripts/news-collector.js');
+const { default: app } = await import('../src/api/server.js');
+
+const HOUR = 60 * 60 * 1000;
+const RSS = `<rss><channel>
+<item><title>Israeli forces raid Jenin camp</title><link>https://example.org/1</link><guid>1</guid><pubDate>Thu, 02 May 2024 06:00:00 GMT</pubDate></item>
+<item><title>Gaza hospital out of fuel</title><link>https://example.org/2</link><guid>2</guid><pubDate>Thu, 02 May 2024 08:00:00 GMT</pubDate></item>
+</channel></rss>`;
+
+// Stand-in outlet: /feed honours If-None-Match, /broken always answers 500.
+const requests = [];
+const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, etag: req.headers['if-none-match'] });
+    if (req.url !== '/feed') return res.writeHead(500).end();
+    if (req.headers['if-none-match'] === '"v1"') return res.writeHead(304).end();
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: '"v1"' }).end(RSS);
+});
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+const FEEDS = [
+    { id: 'ok', name: 'OK Feed', url: `${base}/feed`, reliability: 'high', language: 'en' },
+    { id: 'broken', name: 'Broken Feed', url: `${base}/broken`, reliability: 'low', language: 'en' },
+];
+
+const db = new DatabaseSync(TMP_DB);
+initDb(db);
+
+afterAll(() => {
+    server.close();
+    db.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TMP_DB + suffix); } catch { /* ignore */ }
+    }
+});
+
+describe('feed scheduling', () => {
+    it('adapts the interval to the publishing rate', () => {
+        expect(adaptInterval(null, 15 * 60 * 1000)).toBe(15 * 60 * 1000);
+        expect(adaptInterval(0, 15 * 60 * 1000)).toBe(MAX_INTERVAL_MS);
+        expect(adaptInterval(1000, 15 * 60 * 1000)).toBe(MIN_INTERVAL_MS);
+        expect(adaptInterval(5, 15 * 60 * 1000)).toBe(HOUR);
+
+        const first = recordSuccess(null, { nowMs: 0, status: 200, newItems: null, itemCount: 20, fallbackMs: HOUR });
+        expect(first.items_per_hour).toBeNull();
+        const busy = recordSuccess(first, { nowMs: HOUR, status: 200, newItems: 10, itemCount: 20, fallbackMs: HOUR });
+        expect(busy.items_per_hour).toBe(10);
+        expect(busy.interval_ms).toBe(HOUR / 2);
+        const quiet = recordSuccess(busy, { nowMs: 2 * HOUR, status: 304, notModified: true, newItems: 0, fallbackMs: HOUR });
+        expect(quiet.items_per_hour).toBe(5);
+        expect(quiet.not_modified_count).toBe(1);
+    });
+
+    it('backs off on failure and disables a feed that keeps failing', () => {
+        let state = recordSuccess(null, { nowMs: 0, status: 200, newItems: null, fallbackMs: HOUR });
+        state = recordFailure(state, { nowMs: 0, status: 500, error: 'HTTP 500', fallbackMs: HOUR });
+        expect(Date.parse(state.next_fetch_at)).toBe(HOUR);
+        state = recordFailure(state, { nowMs: 0, status: 500, error: 'HTTP 500', fallbackMs: HOUR });
+        expect(Date.parse(state.next_fetch_at)).toBe(2 * HOUR);
+        for (let i = 2; i < DISABLE_AFTER_FAILURES; i++) state = recordFailure(state, { nowMs: 0, error: 'timeout', fallbackMs: HOUR });
+        expect(state.disabled_at).toBe(new Date(0).toISOString());
+        expect(Date.parse(state.next_fetch_at)).toBe(DISABLED_RETRY_MS);
+        expect(recordSuccess(state, { nowMs: 1, status: 200, newItems: 0, fallbackMs: HOUR })).toMatchObject({ disabled_at: null, consecutive_failures: 0 });
+    });
+
+    it('keeps one request per host in flight', async () => {
+        const feeds = ['a', 'b', 'c'].flatMap((host) => [1, 2].map((n) => ({ url: `https://${host}.example/${n}` })));
+        const busy = new Set();
+        let most = 0;
+        await fetchByHost(feeds, async ({ url }) => {
+            const host = new URL(url).host;
+            expect(busy.has(host)).toBe(false);
+            busy.add(host);
+            most = Math.max(most, busy.size);
+            await new Promise((r) => setTimeout(r, 5));
+            busy.delete(host);
+        }, { concurrency: 2 });
+        expect(most).toBe(2);
+    });
+});
+
+describe('collector runs', () => {
+    it('sends the stored ETag and records health per feed', async () => {
+        const first = await runOnce(db, FEEDS);
+        expect(first).toMatchObject({ feedsAttempted: 2, feedsOk: 1, articlesNew: 2 });
+
+        // Nothing is due yet; --all fetches anyway, conditionally.
+        expect((await runOnce(db, FEEDS)).feedsAttempted).toBe(0);
+        const second = await runOnce(db, FEEDS, { all: true });
+        expect(second).toMatchObject({ feedsOk: 1, feedsNotModified: 1, articlesNew: 0 });
+        expect(requests.filter((r) => r.url === '/feed').map((r) => r.etag)).toEqual([undefined, '"v1"']);
+
+        const state = db.prepare("SELECT * FROM feed_state WHERE feed_id = 'broken'").get();
+        expect(state).toMatchObject({ consecutive_failures: 2, last_status: 500, last_error: 'HTTP 500' });
+    });
+
+    it('exposes feed health through /news/sources', async () => {
+        db.prepare(`INSERT INTO feed_state (feed_id, url, consecutive_failures, disabled_at)
+            VALUES ('aljazeera-en', 'https://www.aljazeera.com/xml/rss/all.xml', 10, '2024-05-01T00:00:00.000Z')`).run();
+        const res = await request(app).get('/api/v1/news/sources');
+        expect(res.statusCode).toBe(200);
+        const byId = Object.fromEntries(res.body.sources.map((s) => [s.source_id, s]));
+        expect(byId.ok).toMatchObject({ article_count: 2, feed: { status: 'retired' } });
+        expect(byId['aljazeera-en'].feed).toMatchObject({ status: 'disabled', consecutive_failures: 10 });
+        expect(byId['middleeasteye'].feed).toEqual({ status: 'pending' });
+    });
+});
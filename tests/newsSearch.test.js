@@ -0,0 +1,91 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DatabaseSync } from 'node:sqlite';
+import { normalizeForSearch, buildMatchQuery } from '../scripts/utils/news-search.js';
+
+// Throwaway news.db, indexed the way the collector does it — set BEFORE
+// importing the API, which reads NEWS_DB_PATH at load.
+const TMP_DB = path.join(os.tmpdir(), `pdb-news-search-test-${process.pid}.db`);
+process.env.NEWS_DB_PATH = TMP_DB;
+
+jest.unstable_mockModule('../src/api/services/searchService.js', () => ({
+    __esModule: true,
+    initializeSearch: () => { },
+    search: () => [],
+    isSearchReady: () => true,
+}));
+
+const { initDb } = await import('../scripts/news-collector.js');
+const { default: app } = await import('../src/api/server.js');
+
+const ARTICLES = [
+    { title: 'Israeli forces raid Jenin camp', body: 'Troops raided the camp overnight; two people were wounded in the raids.', published_at: '2024-05-02T10:00:00Z' },
+    { title: 'قوات الاحتلال تقتحم مدينة غزّة', body: 'اقتحمت قوات الاحتلال المستشفى في مدينة غزة فجر اليوم.', published_at: '2024-05-03T10:00:00Z' },
+    { title: 'Football league resumes in Gaza', body: 'Matches resumed in Gaza after months.', published_at: '2024-05-04T10:00:00Z' },
+];
+
+beforeAll(() => {
+    const db = new DatabaseSync(TMP_DB);
+    initDb(db);
+    const insert = db.prepare(`INSERT INTO articles (guid_hash, source_id, source_name, language, reliability,
+        title, body, published_at, fetched_at) VALUES (?, 'src', 'Source', 'en', 'high', ?, ?, ?, ?)`);
+    ARTICLES.forEach((a, i) => insert.run(`g${i}`, a.title, a.body, a.published_at, a.published_at));
+    initDb(db); // backfills the rows inserted behind the collector's back
+    db.close();
+});
+
+afterAll(() => {
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TMP_DB + suffix); } catch { /* ignore */ }
+    }
+});
+
+describe('news search normalization', () => {
+    it('folds Arabic spelling variants and the definite article', () => {
+        expect(normalizeForSearch('مدينة غزّة')).toBe(normalizeForSearch('مدينه غزة'));
+        expect(normalizeForSearch('القدس')).toBe(normalizeForSearch('قدس'));
+        expect(normalizeForSearch('إسرائيل')).toBe('اسراييل');
+        expect(normalizeForSearch('٢٠٢٤')).toBe('2024');
+    });
+
+    it('builds FTS5 expressions and rejects malformed queries', () => {
+        expect(buildMatchQuery('"West Bank" raid*').match).toBe('"West Bank" AND "raid"*');
+        expect(buildMatchQuery('(jenin OR nablus) NOT football').match).toBe('( "jenin" OR "nablus" ) NOT "football"');
+        expect(buildMatchQuery('NOT gaza').error).toMatch(/both sides/);
+        expect(buildMatchQuery('"gaza').error).toMatch(/quotes/);
+    });
+});
+
+describe('GET /api/v1/news/search', () => {
+    it('stems English and marks hits in the title and snippet', async () => {
+        const res = await request(app).get('/api/v1/news/search?q=raids');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.total).toBe(1);
+        const [hit] = res.body.articles;
+        expect(hit.highlights.title).toBe('Israeli forces <mark>raid</mark> Jenin camp');
+        expect(hit.highlights.snippet).toContain('<mark>raided</mark>');
+        expect(hit.score).toBeGreaterThan(0);
+
+        const latest = await request(app).get('/api/v1/news/latest?q=raids');
+        expect(latest.body.total).toBe(1);
+    });
+
+    it('matches Arabic across hamza, taa marbuta and tashkeel variants', async () => {
+        const res = await request(app).get(`/api/v1/news/search?q=${encodeURIComponent('مدينه غزة')}`);
+        expect(res.body.total).toBe(1);
+        expect(res.body.articles[0].highlights.title).toBe('قوات الاحتلال تقتحم <mark>مدينة</mark> <mark>غزّة</mark>');
+    });
+
+    it('supports boolean queries and reports syntax errors', async () => {
+        const res = await request(app).get('/api/v1/news/search?q=gaza NOT football');
+        expect(res.body.total).toBe(0);
+        const either = await request(app).get('/api/v1/news/search?q=football OR jenin&sort=date');
+        expect(either.body.articles.map((a) => a.title)).toEqual([ARTICLES[2].title, ARTICLES[0].title]);
+        const bad = await request(app).get('/api/v1/news/search?q=gaza AND');
+        expect(bad.statusCode).toBe(400);
+        expect(bad.body.error).toBe('invalid_query');
+    });
+});
@@ -0,0 +1,93 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DatabaseSync } from 'node:sqlite';
+import { shingles, minhash, similarity } from '../scripts/utils/news-stories.js';
+
+// Throwaway news.db, clustered the way the collector does it — set BEFORE
+// importing the API, which reads NEWS_DB_PATH at load.
+const TMP_DB = path.join(os.tmpdir(), `pdb-news-stories-test-${process.pid}.db`);
+process.env.NEWS_DB_PATH = TMP_DB;
+
+jest.unstable_mockModule('../src/api/services/searchService.js', () => ({
+    __esModule: true,
+    initializeSearch: () => { },
+    search: () => [],
+    isSearchReady: () => true,
+}));
+
+const { initDb } = await import('../scripts/news-collector.js');
+const { clusterNewArticles } = await import('../scripts/utils/news-stories.js');
+const { default: app } = await import('../src/api/server.js');
+
+const JENIN = JSON.stringify([{ canonical: 'jenin', name: 'Jenin' }]);
+const RAID = 'Israeli forces raided Jenin refugee camp overnight, killing three Palestinians and wounding several others, health officials said.';
+const ARTICLES = [
+    { source: ['mee', 'Middle East Eye', 'medium'], title: 'Three killed as Israeli forces raid Jenin camp', body: RAID, entities: JENIN, at: '2024-05-02T06:00:00Z' },
+    { source: ['bbc', 'BBC Middle East', 'high'], title: 'Three Palestinians killed in Israeli raid on Jenin camp', body: RAID, entities: JENIN, at: '2024-05-02T09:00:00Z' },
+    { source: ['mee', 'Middle East Eye', 'medium'], title: 'Three killed as Israeli forces raid Jenin camp', body: `${RAID} Updated.`, entities: JENIN, at: '2024-05-02T10:00:00Z' },
+    // Same place, unrelated story.
+    { source: ['toi', 'Times of Israel', 'medium'], title: 'Jenin council approves new school budget', body: 'The municipal council voted on funding for classrooms and teachers.', entities: JENIN, at: '2024-05-02T12:00:00Z' },
+    // Same story, outside the window.
+    { source: ['bbc', 'BBC Middle East', 'high'], title: 'Three Palestinians killed in Israeli raid on Jenin camp', body: RAID, entities: JENIN, at: '2024-05-08T09:00:00Z' },
+];
+
+beforeAll(() => {
+    const db = new DatabaseSync(TMP_DB);
+    initDb(db);
+    const insert = db.prepare(`INSERT INTO articles (guid_hash, source_id, source_name, language, reliability,
+        title, body, entities, published_at, fetched_at) VALUES (?, ?, ?, 'en', ?, ?, ?, ?, ?, ?)`);
+    ARTICLES.forEach((a, i) => insert.run(`g${i}`, ...a.source, a.title, a.body, a.entities, a.at, a.at));
+    expect(clusterNewArticles(db)).toEqual({ clustered: 5, joined: 2, created: 3 });
+    expect(clusterNewArticles(db).clustered).toBe(0);
+    db.close();
+});
+
+afterAll(() => {
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TMP_DB + suffix); } catch { /* ignore */ }
+    }
+});
+
+describe('story signatures', () => {
+    it('scores rewrites of one report above unrelated articles', () => {
+        const sig = (a) => minhash(shingles(a));
+        const [mee, bbc, , council] = ARTICLES.map(sig);
+        expect(similarity(mee, mee)).toBe(1);
+        expect(similarity(mee, bbc)).toBeGreaterThan(similarity(mee, council));
+        expect(minhash(shingles({ title: 'the of and' }))).toBeNull();
+    });
+});
+
+describe('GET /api/v1/news/stories', () => {
+    it('lists stories newest first and filters by outlet count', async () => {
+        const res = await request(app).get('/api/v1/news/stories');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.total).toBe(3);
+        expect(res.body.stories.map((s) => s.article_count)).toEqual([1, 1, 3]);
+
+        const multi = await request(app).get('/api/v1/news/stories?min_sources=2');
+        expect(multi.body.total).toBe(1);
+        const [story] = multi.body.stories;
+        expect(story.sources.sort()).toEqual(['BBC Middle East', 'Middle East Eye']);
+        expect(story.entities).toEqual(['jenin']);
+        expect(story.title).toBe(ARTICLES[1].title);
+    });
+
+    it('returns the members with each source\'s reliability', async () => {
+        const list = await request(app).get('/api/v1/news/stories?min_sources=2');
+        const res = await request(app).get(`/api/v1/news/stories/${list.body.stories[0].id}`);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.sources).toEqual([
+            { source_id: 'bbc', source_name: 'BBC Middle East', reliability: 'high', articles: 1 },
+            { source_id: 'mee', source_name: 'Middle East Eye', reliability: 'medium', articles: 2 },
+        ]);
+        expect(res.body.articles.map((a) => a.source_id)).toEqual(['mee', 'bbc', 'mee']);
+        expect(res.body.articles.find((a) => a.lead).source_id).toBe('bbc');
+        expect(res.body.articles[2].near_duplicate).toBe(true);
+
+        expect((await request(app).get('/api/v1/news/stories/99999')).statusCode).toBe(404);
+    });
+});
@@ -0,0 +1,61 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Isolated keys.db for this run — set BEFORE importing anything that opens it.
+const TMP_DB = path.join(os.tmpdir(), `pdb-pivot-test-${process.pid}.db`);
+process.env.KEYS_DB_PATH = TMP_DB;
+
+jest.unstable_mockModule('../src/api/services/searchService.js', () => ({
+    __esModule: true,
+    initializeSearch: () => { },
+    search: () => [],
+    isSearchReady: () => true,
+}));
+
+const { default: app } = await import('../src/api/server.js');
+const { upsertCustomer, issueApiKey } = await import('../src/api/services/keyStore.js');
+
+const customer = upsertCustomer({ email: 'pivot@example.com' });
+const scoped = issueApiKey({ customerId: customer.id, tier: 'journalist', scopes: { categories: ['conflict'] } });
+const full = issueApiKey({ customerId: customer.id, tier: 'journalist' });
+const auth = (raw) => ({ Authorization: `Bearer ${raw}` });
+
+afterAll(() => {
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TMP_DB + suffix); } catch { /* ignore */ }
+    }
+});
+
+describe('GET /api/v1/pivot', () => {
+    it('validates metrics, categories and group_by', async () => {
+        const none = await request(app).get('/api/v1/pivot?categories=conflict').set(auth(full.raw));
+        expect(none.statusCode).toBe(400);
+        expect(none.body).toMatchObject({ error: 'invalid_pivot', message: expect.stringMatching(/metrics is required/) });
+
+        const metric = await request(app).get('/api/v1/pivot?categories=conflict&metrics=bogus').set(auth(full.raw));
+        expect(metric.statusCode).toBe(400);
+        expect(metric.body.metrics_available).toContain('killed');
+
+        const category = await request(app).get('/api/v1/pivot?metrics=nowhere:killed').set(auth(full.raw));
+        expect(category.statusCode).toBe(400);
+        expect(category.body.message).toMatch(/Unknown category "nowhere"/);
+    });
+
+    it('refuses categories outside a scoped key, from categories= or a metric prefix', async () => {
+        const listed = await request(app).get('/api/v1/pivot?categories=conflict,health&metrics=killed').set(auth(scoped.raw));
+        expect(listed.statusCode).toBe(403);
+        expect(listed.body).toMatchObject({ error: 'insufficient_scope', missing_scope: 'category:health' });
+
+        const prefixed = await request(app).get('/api/v1/pivot?metrics=conflict:killed,land:demolished').set(auth(scoped.raw));
+        expect(prefixed.statusCode).toBe(403);
+        expect(prefixed.body.missing_scope).toBe('category:land');
+    });
+
+    it('answers in-scope categories for a scoped key', async () => {
+        const res = await request(app).get('/api/v1/pivot?metrics=conflict:killed').set(auth(scoped.raw));
+        expect(res.statusCode).not.toBe(403);
+    });
+});
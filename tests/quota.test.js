@@ -0,0 +1,83 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Isolated keys.db for this run — set BEFORE importing anything that opens it.
+const TMP_DB = path.join(os.tmpdir(), `pdb-quota-test-${process.pid}.db`);
+process.env.KEYS_DB_PATH = TMP_DB;
+
+jest.unstable_mockModule('../src/api/services/searchService.js', () => ({
+    __esModule: true,
+    initializeSearch: () => { },
+    search: () => [],
+    isSearchReady: () => true,
+}));
+
+const { default: app } = await import('../src/api/server.js');
+const { upsertCustomer, issueApiKey, logUsage, getCurrentMonthUsage } = await import('../src/api/services/keyStore.js');
+const { TIERS } = await import('../src/api/config/tiers.js');
+
+const MONTHLY = TIERS.journalist.monthly;
+const key = issueApiKey({ customerId: upsertCustomer({ email: 'quota@example.com' }).id, tier: 'journalist' });
+const auth = { Authorization: `Bearer ${key.raw}` };
+
+// Rolled-up usage for earlier days this month, as rollupYesterday() leaves it.
+const db = new Database(TMP_DB);
+const setUsed = (count) => {
+    db.prepare('DELETE FROM usage_daily WHERE key_id = ?').run(key.id);
+    const monthStart = `${new Date().toISOString().slice(0, 7)}-01`;
+    db.prepare('INSERT INTO usage_daily (key_id, date, count, bytes) VALUES (?, ?, ?, 0)').run(key.id, monthStart, count);
+};
+
+afterAll(() => {
+    db.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TMP_DB + suffix); } catch { /* ignore */ }
+    }
+});
+
+describe('monthly quota', () => {
+    it('counts today\'s un-rolled events on top of the daily rollups', () => {
+        setUsed(10);
+        logUsage({ keyId: key.id, tier: 'journalist', route: '/api/v1/health', status: 200, bytes: 5 });
+        expect(getCurrentMonthUsage(key.id)).toMatchObject({ count: 11, bytes: 5 });
+    });
+
+    it('warns at 80% and 95% of the quota', async () => {
+        setUsed(MONTHLY * 0.5);
+        const quiet = await request(app).get('/api/v1/licenses').set(auth);
+        expect(quiet.headers['x-quota-warning']).toBeUndefined();
+        expect(Number(quiet.headers['x-ratelimit-monthly-limit'])).toBe(MONTHLY);
+
+        setUsed(MONTHLY * 0.8);
+        const eighty = await request(app).get('/api/v1/licenses').set(auth);
+        expect(eighty.statusCode).toBe(200);
+        expect(eighty.headers['x-quota-warning']).toMatch(/^80% of monthly quota used/);
+
+        setUsed(MONTHLY * 0.95);
+        const ninetyFive = await request(app).get('/api/v1/licenses').set(auth);
+        expect(ninetyFive.headers['x-quota-warning']).toMatch(/^95% of monthly quota used/);
+    });
+
+    it('answers 429 quota_exhausted once the quota is spent', async () => {
+        setUsed(MONTHLY + 5);
+        const res = await request(app).get('/api/v1/licenses').set(auth);
+        expect(res.statusCode).toBe(429);
+        expect(res.body).toMatchObject({ error: 'quota_exhausted', tier: 'journalist', monthly_limit: MONTHLY });
+        expect(res.body.used).toBeGreaterThanOrEqual(MONTHLY + 5);
+        expect(res.headers['x-ratelimit-monthly-remaining']).toBe('0');
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+        expect(Date.parse(res.body.resets_at)).toBeGreaterThan(Date.now());
+    });
+
+    it('keeps /me and /billing reachable with the quota spent', async () => {
+        setUsed(MONTHLY + 5);
+        const usage = await request(app).get('/api/v1/me/usage').set(auth);
+        expect(usage.statusCode).toBe(200);
+        const billing = await request(app).get('/api/v1/billing/status').set(auth);
+        expect(billing.statusCode).not.toBe(429);
+    });
+});
@@ -0,0 +1,55 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Isolated keys.db for this run — set BEFORE importing anything that opens it.
+const TMP_DB = path.join(os.tmpdir(), `pdb-ratelimit-test-${process.pid}.db`);
+process.env.KEYS_DB_PATH = TMP_DB;
+
+const { consumeRateLimitPoints, pruneRateLimits } = await import('../src/api/services/keyStore.js');
+
+afterAll(() => {
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TMP_DB + suffix); } catch { /* ignore */ }
+    }
+});
+
+describe('keyStore.consumeRateLimitPoints', () => {
+    it('accumulates within a fixed window and reopens it once expired', () => {
+        const t0 = 1_000_000;
+        expect(consumeRateLimitPoints('k', 1, 60_000, t0)).toEqual({ points: 1, expires_at: t0 + 60_000 });
+        expect(consumeRateLimitPoints('k', 3, 60_000, t0 + 10_000)).toEqual({ points: 4, expires_at: t0 + 60_000 });
+        expect(consumeRateLimitPoints('k', 2, 60_000, t0 + 60_000)).toEqual({ points: 2, expires_at: t0 + 120_000 });
+        expect(consumeRateLimitPoints('other', 1, 60_000, t0).points).toBe(1);
+    });
+
+    it('prunes only expired windows', () => {
+        consumeRateLimitPoints('old', 1, 1000, 0);
+        consumeRateLimitPoints('new', 1, 1000, 5000);
+        expect(pruneRateLimits(2000)).toBeGreaterThanOrEqual(1);
+        expect(consumeRateLimitPoints('new', 1, 1000, 5500).points).toBe(2);
+    });
+});
+
+describe('RATE_LIMIT_STORE=redis', () => {
+    afterEach(() => {
+        delete process.env.RATE_LIMIT_STORE;
+        delete process.env.RATE_LIMIT_REDIS_URL;
+        jest.resetModules();
+    });
+
+    it('fails the import without RATE_LIMIT_REDIS_URL', async () => {
+        process.env.RATE_LIMIT_STORE = 'redis';
+        await expect(import('../src/api/services/rateLimitStore.js')).rejects.toThrow(/RATE_LIMIT_REDIS_URL/);
+    });
+
+    it('fails the import when ioredis cannot be loaded', async () => {
+        process.env.RATE_LIMIT_STORE = 'redis';
+        process.env.RATE_LIMIT_REDIS_URL = 'redis://127.0.0.1:6379';
+        jest.unstable_mockModule('ioredis', () => {
+            throw new Error("Cannot find package 'ioredis'");
+        });
+        await expect(import('../src/api/services/rateLimitStore.js')).rejects.toThrow(/optional ioredis package/);
+    });
+});
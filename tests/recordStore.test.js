@@ -0,0 +1,117 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import {
+    RECORD_DB_FILE, RECORD_DB_VERSION, RECORD_DB_SCHEMA, RECORD_INSERT_COLUMNS, RECORD_RTREE_FILL, recordToRow,
+} from '../scripts/utils/record-db.js';
+import { buildRecordFilter, queryRecordPage } from '../src/api/controllers/unifiedController.js';
+import { readCursorQuery } from '../src/api/utils/cursor.js';
+import { parseSpatialQuery, compileSpatial, spatialSortDefaults } from '../src/api/utils/spatial.js';
+
+// A throwaway snapshot dir: <dir>/conflict/all-data.json plus the records.db
+// build-record-db.js would write beside it.
+const SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pdb-record-store-'));
+const CATEGORY = 'conflict';
+
+const rec = (id, date, name, admin2, lat, lon, killed, eventType = 'airstrike') => ({
+    stable_id: id,
+    date,
+    event_type: eventType,
+    location: { name, region: admin2.startsWith('PS1') ? 'Gaza Strip' : 'West Bank', admin2, lat, lon },
+    metrics: { killed },
+    sources: [{ name: 'Test source' }],
+});
+
+const records = [
+    rec('a1', '2024-05-01', 'Jenin', 'PS01', 32.46, 35.3, 0, 'raid'),
+    rec('a2', '2024-05-03', 'Gaza City', 'PS12', 31.52, 34.45, 4),
+    rec('a3', '2024-05-03', 'Khan Younis', 'PS14', 31.34, 34.3, 2),
+    rec('a4', '2024-05-02', 'Tulkarm', 'PS03', 32.31, 35.03, 1, 'raid'),
+    rec('a5', '2024-05-05', 'Rafah', 'PS15', 31.29, 34.25, 7),
+    rec('a6', '2024-05-04', 'Nablus', 'PS05', 32.22, 35.26, 0, 'raid'),
+    rec('a7', '2024-05-03', 'Deir al-Balah', 'PS13', 31.42, 34.35, 3),
+    { stable_id: 'a8', date: '2024-05-06', event_type: 'airstrike', location: { name: 'Unknown' }, metrics: { killed: 1 } },
+];
+
+beforeAll(() => {
+    const catDir = path.join(SNAPSHOT_DIR, CATEGORY);
+    fs.mkdirSync(catDir, { recursive: true });
+    fs.writeFileSync(path.join(catDir, 'all-data.json'), JSON.stringify({ metadata: { category: CATEGORY }, data: records }));
+
+    const db = new Database(path.join(catDir, RECORD_DB_FILE));
+    db.exec(RECORD_DB_SCHEMA);
+    const insert = db.prepare(`INSERT INTO records (${RECORD_INSERT_COLUMNS.join(', ')})
+        VALUES (${RECORD_INSERT_COLUMNS.map(() => '?').join(', ')})`);
+    records.forEach((r, i) => insert.run(recordToRow(r, i)));
+    db.exec(RECORD_RTREE_FILL);
+    const setMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+    setMeta.run('version', String(RECORD_DB_VERSION));
+    setMeta.run('category', CATEGORY);
+    setMeta.run('total', String(records.length));
+    setMeta.run('metadata', JSON.stringify({ category: CATEGORY }));
+    db.close();
+});
+
+afterAll(() => {
+    delete process.env.UNIFIED_QUERY_ENGINE;
+    fs.rmSync(SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+// The pageQuery getData builds for `query`.
+async function pageQuery(query, limit = 3) {
+    const { keep, filterAst } = buildRecordFilter(query);
+    const { spec } = await parseSpatialQuery(query);
+    const { sortBy, order, cursor } = readCursorQuery(query, spatialSortDefaults(query, spec));
+    return { query, filterAst, keep, spatial: spec && compileSpatial(spec), sortBy, order, limit, offset: 0, cursor };
+}
+
+async function page(query, engine) {
+    if (engine === 'json') process.env.UNIFIED_QUERY_ENGINE = 'json';
+    else delete process.env.UNIFIED_QUERY_ENGINE;
+    const view = await queryRecordPage(CATEGORY, SNAPSHOT_DIR, await pageQuery(query));
+    expect(view.query_engine).toBe(engine);
+    return {
+        ids: view.items.map((r) => r.stable_id),
+        distances: view.items.map((r) => r.distance_km),
+        total: view.total,
+        start: view.start,
+        next_cursor: view.next_cursor,
+        prev_cursor: view.prev_cursor,
+    };
+}
+
+describe('record store vs JSON fallback', () => {
+    // [query, matching records]
+    const queries = [
+        [{}, 8],
+        [{ sort_by: 'date', order: 'asc' }, 8],
+        [{ sort_by: 'metrics.killed', order: 'desc' }, 8],
+        [{ event_type: 'raid' }, 3],
+        [{ region: 'gaza', start_date: '2024-05-03' }, 4],
+        [{ filter: 'metrics.killed >= 2 AND location.admin2 != PS15' }, 3],
+        [{ near: '31.5,34.45', radius_km: '30' }, 3],
+    ];
+
+    it.each(queries.map(([q, total]) => [JSON.stringify(q), q, total]))('returns the same page for %s', async (_label, query, total) => {
+        const sqlite = await page(query, 'sqlite');
+        expect(sqlite.total).toBe(total);
+        expect(sqlite).toEqual(await page(query, 'json'));
+    });
+
+    it('walks the same pages by cursor in both directions', async () => {
+        const walk = async (engine) => {
+            let p = await page({ sort_by: 'date', order: 'desc' }, engine);
+            const pages = [p.ids];
+            while (p.next_cursor) {
+                p = await page({ cursor: p.next_cursor }, engine);
+                pages.push(p.ids);
+            }
+            pages.push((await page({ cursor: p.prev_cursor }, engine)).ids);
+            return pages;
+        };
+        const sqlite = await walk('sqlite');
+        expect(sqlite.flat().slice(0, records.length).sort()).toEqual(records.map((r) => r.stable_id).sort());
+        expect(sqlite).toEqual(await walk('json'));
+    });
+});
@@ -0,0 +1,25 @@
+import { analyzeSeries } from '../src/api/utils/seriesAnalytics.js';
+import { buildSeries, fillGaps } from '../src/api/utils/timeseries.js';
+
+const monthly = (values) => fillGaps(buildSeries(
+    values.map((v, i) => ({ date: `2024-${String(i + 1).padStart(2, '0')}-15`, region: 'Gaza', count: 1, sum: v, max: v })),
+    'month', false,
+), 'month', 'zero');
+
+describe('series analytics', () => {
+    it('reports trend, anomalies and a banded forecast with their methods', () => {
+        const series = monthly([1, 2, 3, 4, 5, 40, 7, 8, 9, 10]);
+        const zscore = analyzeSeries(series, { interval: 'month', anomalyMethod: 'zscore', anomalyParameter: 2, horizon: 3 });
+        expect(zscore.trend).toMatchObject({ method: 'linear_regression', direction: 'increasing' });
+        expect(zscore.anomalies.periods.map((p) => p.date)).toEqual(['2024-06']);
+        expect(zscore.forecast.periods.map((p) => p.date)).toEqual(['2024-11', '2024-12', '2025-01']);
+        for (const p of zscore.forecast.periods) {
+            expect(p.lower).toBeLessThanOrEqual(p.forecast);
+            expect(p.upper).toBeGreaterThan(p.forecast);
+        }
+
+        const iqr = analyzeSeries(series, { interval: 'month', anomalyMethod: 'iqr', anomalyParameter: 1.5, horizon: 1 });
+        expect(iqr.anomalies).toMatchObject({ method: 'iqr', multiplier: 1.5 });
+        expect(iqr.anomalies.periods.map((p) => [p.date, p.type])).toEqual([['2024-06', 'high']]);
+    });
+});
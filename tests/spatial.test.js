@@ -0,0 +1,120 @@
+import {
+    haversineKm, parseSpatialQuery, compileSpatial, selectWithin, withDistance, spatialSortDefaults,
+} from '../src/api/utils/spatial.js';
+import { recordCoordinates } from '../scripts/utils/record-db.js';
+import { nearestLocalityPoint, pointAdminLevel } from '../src/api/utils/adminBoundaries.js';
+
+const rec = (id, lat, lon) => ({ stable_id: id, location: { lat, lon } });
+
+const records = [
+    rec('jenin', 32.46, 35.3),
+    rec('gaza', 31.52, 34.45),
+    rec('khan-younis', 31.34, 34.3),
+    { stable_id: 'unlocated', location: { name: 'Unknown' } },
+    { stable_id: 'incident', latitude: 31.53, longitude: 34.46 },
+];
+
+const square = (x0, y0, x1, y1) => ({
+    type: 'Polygon',
+    coordinates: [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]],
+});
+
+describe('spatial filters', () => {
+    it('reads coordinates from location, GeoJSON order and top-level fields', () => {
+        expect(recordCoordinates(rec('a', 32.46, 35.3))).toEqual([32.46, 35.3]);
+        expect(recordCoordinates({ location: { coordinates: [35.3, 32.46] } })).toEqual([32.46, 35.3]);
+        expect(recordCoordinates({ latitude: '31.5', longitude: '34.4' })).toEqual([31.5, 34.4]);
+        expect(recordCoordinates({ location: { lat: 95, lon: 35 } })).toBeNull();
+        expect(recordCoordinates({ location: {} })).toBeNull();
+    });
+
+    it('measures great-circle distance in km, rounded to the metre', () => {
+        expect(haversineKm(31.52, 34.45, 31.52, 34.45)).toBe(0);
+        // Gaza City → Jenin is roughly 137 km.
+        expect(haversineKm(31.52, 34.45, 32.46, 35.3)).toBeGreaterThan(130);
+        expect(haversineKm(31.52, 34.45, 32.46, 35.3)).toBeLessThan(140);
+    });
+
+    it('filters near= by radius through the R-tree and keeps input order', async () => {
+        const { spec } = await parseSpatialQuery({ near: '31.52,34.45', radius_km: '5' });
+        const spatial = compileSpatial(spec);
+        expect(selectWithin(records, spatial).map((r) => r.stable_id)).toEqual(['gaza', 'incident']);
+
+        const withKm = withDistance(records[4], spatial);
+        expect(withKm.distance_km).toBeGreaterThan(1);
+        expect(withKm.stable_id).toBe('incident');
+    });
+
+    it('filters polygon= given as URL-decoded JSON or base64url', async () => {
+        const gaza = square(34.2, 31.2, 34.6, 31.6);
+        for (const polygon of [JSON.stringify(gaza), Buffer.from(JSON.stringify({ type: 'Feature', geometry: gaza })).toString('base64url')]) {
+            const { spec, error } = await parseSpatialQuery({ polygon });
+            expect(error).toBeUndefined();
+            expect(selectWithin(records, compileSpatial(spec)).map((r) => r.stable_id))
+                .toEqual(['gaza', 'khan-younis', 'incident']);
+        }
+    });
+
+    it('ANDs combined filters and an extra bbox', async () => {
+        const { spec } = await parseSpatialQuery({
+            near: '31.45,34.4', radius_km: '50', polygon: JSON.stringify(square(34.2, 31.2, 34.6, 31.6)),
+        });
+        const both = compileSpatial({ ...spec, bbox: [34.2, 31.2, 34.6, 31.4] });
+        expect(selectWithin(records, both).map((r) => r.stable_id)).toEqual(['khan-younis']);
+    });
+
+    it('rejects malformed input with invalid_spatial_filter', async () => {
+        const cases = [
+            { near: '31.5' },
+            { near: '91,34' },
+            { near: '31.5,34.4', radius_km: '0' },
+            { near: '31.5,34.4', radius_km: '501' },
+            { radius_km: '5' },
+            { polygon: 'not-json' },
+            { polygon: JSON.stringify({ type: 'Point', coordinates: [34, 31] }) },
+            { polygon: JSON.stringify({ type: 'Polygon', coordinates: [[[34, 31], [35, 31], [34, 31]]] }) },
+        ];
+        for (const query of cases) {
+            expect((await parseSpatialQuery(query)).error?.error).toBe('invalid_spatial_filter');
+        }
+        expect((await parseSpatialQuery({})).spec).toBeNull();
+    });
+
+    it('sorts by distance nearest-first and only with near=', () => {
+        expect(spatialSortDefaults({ sort_by: 'date' }, null)).toEqual({});
+        expect(spatialSortDefaults({ sort_by: 'distance_km' }, { near: { lat: 0, lng: 0, radius_km: 1 } })).toEqual({ order: 'asc' });
+        expect(spatialSortDefaults({ sort_by: 'distance_km' }, null).error.error).toBe('invalid_spatial_filter');
+    });
+});
+
+describe('adminpoints localities', () => {
+    const point = (lng, lat, props) => ({ type: 'Feature', properties: props, geometry: { type: 'Point', coordinates: [lng, lat] } });
+    const adminpoints = {
+        type: 'FeatureCollection',
+        features: [
+            point(35.3, 32.46, { adm2_pcode: 'PS01', adm2_name: 'Jenin' }),
+            point(35.29, 32.45, { adm2_pcode: 'PS01', adm3_pcode: 'PS0101', adm3_name: 'Jenin City' }),
+            point(35.26, 32.48, { adm2_pcode: 'PS01', adm3_pcode: 'PS0102', adm3_name: 'Jenin Camp' }),
+            point(35.31, 32.44, { adm2_pcode: 'PS09', adm3_pcode: 'PS0901', adm3_name: 'Over the line' }),
+        ],
+    };
+
+    it('reads the finest admin level a point labels', () => {
+        expect(pointAdminLevel(adminpoints.features[0].properties)).toBe(2);
+        expect(pointAdminLevel(adminpoints.features[1].properties)).toBe(3);
+        expect(pointAdminLevel({})).toBeNull();
+    });
+
+    it('finds the nearest locality point, within the governorate when given', () => {
+        const any = nearestLocalityPoint(adminpoints, 35.308, 32.442);
+        expect(any.feature.properties.adm3_name).toBe('Over the line');
+        expect(any.level).toBe(3);
+
+        const same = nearestLocalityPoint(adminpoints, 35.308, 32.442, { admin2Pcode: 'PS01' });
+        expect(same.feature.properties.adm3_name).toBe('Jenin City');
+        expect(same.distance_km).toBe(haversineKm(32.442, 35.308, 32.45, 35.29));
+
+        expect(nearestLocalityPoint({ features: [adminpoints.features[0]] }, 35.3, 32.46)).toBeNull();
+        expect(nearestLocalityPoint(null, 35.3, 32.46)).toBeNull();
+    });
+});
@@ -0,0 +1,63 @@
+import {
+    buildSeries, fillGaps, addRollingAverage, localDay, timeseriesRowsFromRecords, isCumulativeMetric,
+} from '../src/api/utils/timeseries.js';
+
+const rec = (date, region, admin2, killed) => ({ date, location: { region, admin2 }, metrics: { killed } });
+
+describe('timeseries bucketing', () => {
+    it('sums plain metrics and carries grouping dimensions', () => {
+        const rows = timeseriesRowsFromRecords([
+            rec('2024-01-05', 'Gaza', 'North Gaza', 2),
+            rec('2024-01-20', 'Gaza', null, 3),
+        ], 'killed', false, ['admin2', 'region']);
+        expect(rows.map((r) => r.admin2)).toEqual(['North Gaza', 'Unknown']);
+        expect(buildSeries(rows, 'month', false)).toEqual([
+            { date: '2024-01', start: '2024-01-01', end: '2024-01-31', value: 5, count: 2 },
+        ]);
+        expect(buildSeries(rows, 'all', false)).toEqual([{ date: 'all', value: 5, count: 2 }]);
+    });
+
+    it('folds cumulative counters into per-region maxima and deltas', () => {
+        expect(isCumulativeMetric('conflict', 'killed')).toBe(true);
+        expect(isCumulativeMetric('health', 'killed')).toBe(false);
+        const rows = timeseriesRowsFromRecords([
+            rec('2024-01-01', 'Gaza', 'Gaza', 10),
+            rec('2024-01-15', 'Gaza', 'Gaza', 12),
+            rec('2024-02-01', 'Gaza', 'Gaza', 20),
+            rec('2024-02-01', 'West Bank', 'Jenin', 5),
+        ], 'killed', true);
+        expect(buildSeries(rows, 'month', true).map((b) => b.value)).toEqual([12, 13]);
+        expect(buildSeries(rows, 'all', true)).toEqual([{ date: 'all', value: 25, count: 4 }]);
+    });
+
+    it('uses ISO weeks, quarters and local days', () => {
+        const rows = timeseriesRowsFromRecords([
+            rec('2021-01-01', 'Gaza', 'Gaza', 1),
+            rec('2024-12-30', 'Gaza', 'Gaza', 1),
+            rec('2024-05-31T22:30:00Z', 'Gaza', 'Gaza', 1),
+        ], 'killed', false);
+        expect(buildSeries(rows, 'week', false).map((b) => [b.date, b.start, b.end])).toEqual([
+            ['2020-W53', '2020-12-28', '2021-01-03'],
+            ['2024-W22', '2024-05-27', '2024-06-02'],
+            ['2025-W01', '2024-12-30', '2025-01-05'],
+        ]);
+        expect(buildSeries(rows, 'quarter', false).map((b) => b.date)).toEqual(['2021-Q1', '2024-Q2', '2024-Q4']);
+        expect(buildSeries(rows, 'month', false, { tz: 'Asia/Gaza' }).map((b) => b.date))
+            .toEqual(['2021-01', '2024-06', '2024-12']);
+        expect(localDay('2024-05-31', 'Asia/Hebron')).toBe('2024-05-31');
+        expect(localDay('not a date')).toBeNull();
+    });
+
+    it('fills gaps and adds trailing averages', () => {
+        const rows = timeseriesRowsFromRecords([
+            rec('2024-01-01', 'Gaza', 'Gaza', 4),
+            rec('2024-01-04', 'Gaza', 'Gaza', 2),
+        ], 'killed', false);
+        const series = buildSeries(rows, 'day', false);
+        expect(fillGaps(series, 'day', 'zero').map((b) => b.value)).toEqual([4, 0, 0, 2]);
+        expect(fillGaps(series, 'day', 'null').map((b) => [b.date, b.value, b.count])).toEqual([
+            ['2024-01-01', 4, 1], ['2024-01-02', null, 0], ['2024-01-03', null, 0], ['2024-01-04', 2, 1],
+        ]);
+        expect(addRollingAverage(series, 'day', 7).map((b) => b.rolling_avg)).toEqual([4, 1.5]);
+    });
+});
@@ -0,0 +1,48 @@
+// Memory cache only — set BEFORE importing the module.
+process.env.TILE_CACHE_DIR = 'off';
+
+const { renderTile, isValidTile, describeParts } = await import('../src/api/utils/vectorTiles.js');
+
+const point = (lng, lat, props) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties: props });
+
+function part(version, features, loads) {
+    return {
+        name: 'pts',
+        indexKey: 'test:pts',
+        version,
+        load: async () => {
+            loads.push(version);
+            return features;
+        },
+    };
+}
+
+describe('vectorTiles', () => {
+    it('validates tile coordinates', () => {
+        expect(isValidTile(0, 0, 0)).toBe(true);
+        expect(isValidTile(3, 7, 7)).toBe(true);
+        expect(isValidTile(3, 8, 0)).toBe(false);
+        expect(isValidTile(23, 0, 0)).toBe(false);
+        expect(isValidTile(1.5, 0, 0)).toBe(false);
+    });
+
+    it('cuts tiles, caches the index per version and rebuilds on a new one', async () => {
+        const loads = [];
+        const jenin = [point(35.3, 32.46, { name: 'Jenin', nested: { a: 1 }, empty: null })];
+        const v1 = [part(1, jenin, loads)];
+
+        // z1: Jenin is in the north-east quadrant (x=1, y=0).
+        expect((await renderTile('pts', v1, 1, 1, 0)).length).toBeGreaterThan(0);
+        expect((await renderTile('pts', v1, 1, 0, 1)).length).toBe(0);
+        expect(loads).toEqual([1]);
+
+        const { bounds, fields, count } = await describeParts(v1);
+        expect(bounds).toEqual([35.3, 32.46, 35.3, 32.46]);
+        expect(fields).toEqual({ pts: { name: 'String', nested: 'String' } });
+        expect(count).toBe(1);
+
+        const v2 = [part(2, [], loads)];
+        expect((await renderTile('pts', v2, 1, 1, 0)).length).toBe(0);
+        expect(loads).toEqual([1, 2]);
+    });
+});
@@ -0,0 +1,191 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// Isolated keys.db for this run — set BEFORE importing anything that opens it.
+const TMP_DB = path.join(os.tmpdir(), `pdb-webhooks-test-${process.pid}.db`);
+process.env.KEYS_DB_PATH = TMP_DB;
+
+jest.unstable_mockModule('../src/api/services/searchService.js', () => ({
+    __esModule: true,
+    initializeSearch: () => { },
+    search: () => [],
+    isSearchReady: () => true,
+}));
+
+const { default: app } = await import('../src/api/server.js');
+const { upsertCustomer, issueApiKey, createWebhook } = await import('../src/api/services/keyStore.js');
+const {
+    signPayload, verifySignature, validateWebhookUrl, lookupPublicAddress, normalizeTrigger, baselineP90,
+    enqueuePing, deliverDue, RETRY_DELAYS_MS,
+} = await import('../src/api/services/webhooks.js');
+
+const customer = upsertCustomer({ email: 'hooks@example.com' });
+const key = issueApiKey({ customerId: customer.id, tier: 'journalist' });
+const other = issueApiKey({ customerId: upsertCustomer({ email: 'nohooks@example.com' }).id, tier: 'free' });
+const auth = (raw) => ({ Authorization: `Bearer ${raw}` });
+
+// Stand-in receiver: answers 500 while `failures` > 0, records what it got.
+const received = [];
+let failures = 0;
+const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(failures-- > 0 ? 500 : 204).end();
+    });
+});
+await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+const receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+afterAll(() => {
+    receiver.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TMP_DB + suffix); } catch { /* ignore */ }
+    }
+});
+
+describe('webhook signatures', () => {
+    it('verifies its own signature and rejects tampered or stale ones', () => {
+        const body = '{"id":"evt_1"}';
+        const header = signPayload('whsec_test', body, 1700000000);
+        expect(header).toMatch(/^t=1700000000,v1=[a-f0-9]{64}$/);
+        expect(verifySignature('whsec_test', body, header, { nowSec: 1700000010 })).toBe(true);
+        expect(verifySignature('whsec_test', `${body} `, header, { nowSec: 1700000010 })).toBe(false);
+        expect(verifySignature('whsec_other', body, header, { nowSec: 1700000010 })).toBe(false);
+        expect(verifySignature('whsec_test', body, header, { nowSec: 1700001000 })).toBe(false);
+    });
+});
+
+describe('webhook registration checks', () => {
+    it('takes https URLs to public hosts only', () => {
+        expect(validateWebhookUrl('https://example.org/hook')).toEqual({ url: 'https://example.org/hook' });
+        expect(validateWebhookUrl('http://example.org/hook').error).toMatch(/https/);
+        expect(validateWebhookUrl('https://127.0.0.1/hook').error).toMatch(/public host/);
+        expect(validateWebhookUrl('https://10.0.0.5/hook').error).toMatch(/public host/);
+        expect(validateWebhookUrl('not a url').error).toBeTruthy();
+    });
+
+    it('refuses names that resolve to a private address', async () => {
+        const lookup = (host, options = {}) => new Promise((resolve) => {
+            lookupPublicAddress(host, options, (err, address) => resolve(err ? err.code : address));
+        });
+        expect(await lookup('localhost')).toBe('private_address');
+        expect(await lookup('localhost', { all: true })).toBe('private_address');
+    });
+
+    it('needs an area or region in the filter for a p90 threshold', () => {
+        const trigger = { type: 'threshold', metric: 'killed', above: 'p90' };
+        expect(normalizeTrigger(trigger, {}).error.error).toBe('invalid_trigger');
+        expect(normalizeTrigger(trigger, { admin2: 'Jenin' }).trigger)
+            .toEqual({ type: 'threshold', metric: 'killed', interval: 'week', above: 'p90' });
+        expect(normalizeTrigger({ type: 'threshold', above: 5, interval: 'year' }, {}).error).toBeTruthy();
+        expect(normalizeTrigger({ type: 'sometimes' }, {}).error).toBeTruthy();
+    });
+
+    it('sums weekly baselines across event types before taking the p90', () => {
+        const weekly = (n) => Array.from({ length: 10 }, (_, i) => (i < n ? 1 : 0));
+        const baselines = {
+            by_area: {
+                'Jenin:raid': { weekly_12m: weekly(10) },
+                'Jenin:airstrike': { weekly_12m: weekly(5) },
+                'Nablus:raid': { weekly_12m: weekly(10).map(() => 9) },
+            },
+        };
+        expect(baselineP90(baselines, { admin2: 'jenin' })).toEqual({ scope: 'area', key: 'jenin', p90_weekly_12m: 2 });
+        expect(baselineP90(baselines, { admin2: 'Jenin', event_type: 'airstrike' }).p90_weekly_12m).toBe(1);
+        expect(baselineP90(baselines, { admin2: 'Hebron' })).toBeNull();
+    });
+
+    it('rejects an http callback unless WEBHOOK_ALLOW_LOCAL is set', async () => {
+        const res = await request(app).post('/api/v1/me/webhooks').set(auth(key.raw))
+            .send({ url: receiverUrl, category: 'conflict', trigger: { type: 'new_records' } });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toBe('invalid_url');
+    });
+});
+
+describe('webhook delivery', () => {
+    // The stand-in receiver listens on loopback.
+    beforeAll(() => { process.env.WEBHOOK_ALLOW_LOCAL = '1'; });
+    afterAll(() => { delete process.env.WEBHOOK_ALLOW_LOCAL; });
+
+    const hook = createWebhook({
+        customerId: customer.id,
+        keyId: key.id,
+        url: receiverUrl,
+        secret: 'whsec_delivery_test',
+        category: 'conflict',
+        filter: { admin2: 'Jenin' },
+        trigger: { type: 'new_records' },
+        label: 'local',
+    });
+
+    it('signs, retries a failed send with backoff, and logs every attempt', async () => {
+        failures = 1;
+        const eventId = enqueuePing(hook);
+        const now = Date.now();
+
+        const first = await deliverDue({ nowMs: now });
+        expect(first).toMatchObject({ attempted: 1, retrying: 1, delivered: 0 });
+        // Not due again until the first backoff step has passed.
+        expect((await deliverDue({ nowMs: now + 1000 })).attempted).toBe(0);
+        const second = await deliverDue({ nowMs: now + RETRY_DELAYS_MS[0] });
+        expect(second).toMatchObject({ attempted: 1, delivered: 1 });
+
+        expect(received).toHaveLength(2);
+        const { headers, body } = received[1];
+        expect(headers['x-pdb-event']).toBe('ping');
+        expect(headers['x-pdb-delivery']).toBe(eventId);
+        expect(verifySignature('whsec_delivery_test', body, headers['x-pdb-signature'])).toBe(true);
+        expect(JSON.parse(body)).toMatchObject({ id: eventId, type: 'ping', category: 'conflict', webhook: { id: hook.id } });
+
+        const log = await request(app).get(`/api/v1/me/webhooks/${hook.id}/deliveries`).set(auth(key.raw));
+        expect(log.statusCode).toBe(200);
+        expect(log.body.deliveries[0]).toMatchObject({
+            event_id: eventId, status: 'delivered', attempts: 2, response_status: 204, last_error: null,
+        });
+    });
+
+    it('does not send to a private address unless WEBHOOK_ALLOW_LOCAL is set', async () => {
+        delete process.env.WEBHOOK_ALLOW_LOCAL;
+        const local = createWebhook({
+            customerId: customer.id,
+            keyId: key.id,
+            url: receiverUrl.replace('127.0.0.1', 'localhost'),
+            secret: 'whsec_private_test',
+            category: 'conflict',
+            filter: {},
+            trigger: { type: 'new_records' },
+            label: 'private',
+        });
+        const seen = received.length;
+        const eventId = enqueuePing(local);
+        expect(await deliverDue()).toMatchObject({ attempted: 1, delivered: 0, retrying: 1 });
+        expect(received).toHaveLength(seen);
+
+        const log = await request(app).get(`/api/v1/me/webhooks/${local.id}/deliveries`).set(auth(key.raw));
+        expect(log.body.deliveries[0]).toMatchObject({ event_id: eventId, last_error: 'private_address' });
+        await request(app).delete(`/api/v1/me/webhooks/${local.id}`).set(auth(key.raw));
+        process.env.WEBHOOK_ALLOW_LOCAL = '1';
+    });
+
+    it('lists webhooks without their secret and hides them from other customers', async () => {
+        const list = await request(app).get('/api/v1/me/webhooks').set(auth(key.raw));
+        expect(list.body.webhooks).toHaveLength(1);
+        expect(list.body.webhooks[0]).toMatchObject({ id: hook.id, filter: { admin2: 'Jenin' }, trigger: { type: 'new_records' } });
+        expect(list.body.webhooks[0].secret).toBeUndefined();
+
+        const foreign = await request(app).get(`/api/v1/me/webhooks/${hook.id}`).set(auth(other.raw));
+        expect(foreign.statusCode).toBe(404);
+
+        const removed = await request(app).delete(`/api/v1/me/webhooks/${hook.id}`).set(auth(key.raw));
+        expect(removed.body.deleted).toBe(true);
+        const gone = await request(app).get(`/api/v1/me/webhooks/${hook.id}/deliveries`).set(auth(key.raw));
+        expect(gone.statusCode).toBe(404);
+    });
+});